@@ -87,12 +87,14 @@ async function deleteInstance(instanceName) {
 }
 
 // Send text message
-async function sendTextMessage(instanceName, phoneNumber, message) {
+// quoted: { key, message } of the message replied to
+async function sendTextMessage(instanceName, phoneNumber, message, { quoted = null } = {}) {
   const response = await evolutionClient.post(`/message/sendText/${instanceName}`, {
     number: phoneNumber,
     options: {
       delay: 1200,
-      presence: 'composing'
+      presence: 'composing',
+      ...(quoted && { quoted })
     },
     textMessage: {
       text: message
@@ -102,30 +104,84 @@ async function sendTextMessage(instanceName, phoneNumber, message) {
 }
 
 // Send media message
-async function sendMediaMessage(instanceName, phoneNumber, mediaUrl, caption = '') {
+// media is a public URL or a base64 string; mediatype: image | video | audio | document
+async function sendMediaMessage(instanceName, phoneNumber, { media, mediatype, mimetype, fileName, caption = '', quoted = null }) {
   const response = await evolutionClient.post(`/message/sendMedia/${instanceName}`, {
     number: phoneNumber,
     options: {
       delay: 1200,
-      presence: 'composing'
+      presence: 'composing',
+      ...(quoted && { quoted })
     },
     mediaMessage: {
-      mediaUrl,
-      caption
+      mediatype,
+      media,
+      caption,
+      ...(mimetype && { mimetype }),
+      ...(fileName && { fileName })
     }
   });
   return response.data;
 }
 
-// Get chat messages (from Evolution API's internal storage)
-async function getChatMessages(instanceName, phoneNumber, limit = 50) {
+// Send voice note (PTT) - audio is a public URL or a base64 string
+async function sendAudioMessage(instanceName, phoneNumber, audio, { quoted = null } = {}) {
+  const response = await evolutionClient.post(`/message/sendWhatsAppAudio/${instanceName}`, {
+    number: phoneNumber,
+    options: {
+      delay: 1200,
+      presence: 'recording',
+      encoding: true,
+      ...(quoted && { quoted })
+    },
+    audioMessage: {
+      audio
+    }
+  });
+  return response.data;
+}
+
+// React to a message - key: { remoteJid, fromMe, id }; an empty reaction removes ours
+async function sendReaction(instanceName, key, reaction) {
+  const response = await evolutionClient.post(`/message/sendReaction/${instanceName}`, {
+    reactionMessage: {
+      key,
+      reaction
+    }
+  });
+  return response.data;
+}
+
+// Edit the text (or caption) of a message we sent
+async function updateMessage(instanceName, phoneNumber, key, text) {
+  const response = await evolutionClient.post(`/chat/updateMessage/${instanceName}`, {
+    number: phoneNumber,
+    key,
+    text
+  });
+  return response.data;
+}
+
+// Delete a message for everyone
+async function deleteMessageForEveryone(instanceName, key) {
+  const response = await evolutionClient.delete(`/chat/deleteMessageForEveryone/${instanceName}`, {
+    data: key
+  });
+  return response.data;
+}
+
+// Get one page of chat messages, newest first (from Evolution API's internal storage)
+// page is 1-based; Evolution API v2 takes the page size as `offset`
+async function getChatMessages(instanceName, remoteJid, { page = 1, pageSize = 50 } = {}) {
   const response = await evolutionClient.post(`/chat/findMessages/${instanceName}`, {
     where: {
       key: {
-        remoteJid: phoneNumber
+        remoteJid
       }
     },
-    limit
+    page,
+    offset: pageSize,
+    limit: pageSize
   });
   return response.data;
 }
@@ -160,6 +216,14 @@ async function getAllChats(instanceName) {
   return allChats;
 }
 
+// Get all groups the instance is in, with their participants
+async function fetchAllGroups(instanceName) {
+  const response = await evolutionClient.get(`/group/fetchAllGroups/${instanceName}`, {
+    params: { getParticipants: true }
+  });
+  return response.data;
+}
+
 // Mark message as read
 async function markMessageRead(instanceName, phoneNumber, messageId) {
   const response = await evolutionClient.post(`/chat/markMessageRead/${instanceName}`, {
@@ -188,12 +252,18 @@ async function restartInstance(instanceName) {
 }
 
 // Set webhook for instance
-async function setWebhook(instanceName, webhookUrl, events) {
+// The shared secret is sent back by Evolution API in the x-webhook-token header
+async function setWebhook(instanceName, webhookUrl, events, secret = null) {
   const response = await evolutionClient.post(`/webhook/set/${instanceName}`, {
     url: webhookUrl,
     enabled: true,
     webhookByEvents: true,
-    events
+    events,
+    ...(secret && {
+      headers: {
+        'x-webhook-token': secret
+      }
+    })
   });
   return response.data;
 }
@@ -229,8 +299,13 @@ module.exports = {
   // Messaging
   sendTextMessage,
   sendMediaMessage,
+  sendAudioMessage,
+  sendReaction,
+  updateMessage,
+  deleteMessageForEveryone,
   getChatMessages,
   getAllChats,
+  fetchAllGroups,
   markMessageRead,
   downloadMedia,
 
@@ -0,0 +1,189 @@
+/**
+ * Chat Assignment Controller
+ * Assign individual conversations to agents (users or teams)
+ */
+
+const { supabaseAdmin } = require('../config/database');
+const {
+  listChatAssignments,
+  assignChat: createChatAssignment,
+  reassignChat: replaceChatAssignments,
+  unassignChat: endChatAssignment
+} = require('../services/chatAssignmentService');
+
+/**
+ * Get active assignments of a chat
+ * GET /api/sessions/:sessionId/contacts/:contactId/assignments
+ */
+async function getChatAssignments(req, res) {
+  try {
+    const { sessionId, contactId } = req.params;
+
+    const assignments = await listChatAssignments(sessionId, contactId);
+
+    res.json({
+      success: true,
+      data: assignments
+    });
+  } catch (error) {
+    console.error('[ChatAssignment] Get assignments error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch chat assignments'
+    });
+  }
+}
+
+/**
+ * Assign a chat to a user or team (keeps other assignments)
+ * POST /api/sessions/:sessionId/contacts/:contactId/assignments
+ */
+async function assignChat(req, res) {
+  return saveAssignment(req, res, createChatAssignment, 201);
+}
+
+/**
+ * Reassign a chat to a single user or team (ends other assignments)
+ * PUT /api/sessions/:sessionId/contacts/:contactId/assignments
+ */
+async function reassignChat(req, res) {
+  return saveAssignment(req, res, replaceChatAssignments, 200);
+}
+
+/**
+ * Unassign a chat
+ * DELETE /api/sessions/:sessionId/contacts/:contactId/assignments/:assignmentId
+ */
+async function unassignChat(req, res) {
+  try {
+    const { sessionId, contactId, assignmentId } = req.params;
+
+    const assignment = await endChatAssignment(sessionId, contactId, assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Assignment not found'
+      });
+    }
+
+    console.log(`[ChatAssignment] Chat ${contactId} unassigned (${assignmentId}) by ${req.profile.username}`);
+
+    res.json({
+      success: true,
+      message: 'Chat unassigned successfully'
+    });
+  } catch (error) {
+    console.error('[ChatAssignment] Unassign error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to unassign chat'
+    });
+  }
+}
+
+/**
+ * Shared body of assign / reassign
+ */
+async function saveAssignment(req, res, save, successStatus) {
+  try {
+    const { sessionId, contactId } = req.params;
+    const { assigned_to_user_id, assigned_to_team_id, permissions, expires_at } = req.body;
+
+    const { data: session } = await supabaseAdmin
+      .from('sessions')
+      .select('created_by_admin_id')
+      .eq('id', sessionId)
+      .single();
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Session not found'
+      });
+    }
+
+    const assigneeError = await validateAssignee(session, req.profile, assigned_to_user_id, assigned_to_team_id);
+
+    if (assigneeError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: assigneeError
+      });
+    }
+
+    const assignment = await save({
+      sessionId,
+      contactId,
+      userId: assigned_to_user_id || null,
+      teamId: assigned_to_team_id || null,
+      permissions,
+      expiresAt: expires_at || null,
+      assignedBy: req.profile.id
+    });
+
+    console.log(`[ChatAssignment] Chat ${contactId} assigned to ${assigned_to_user_id ? 'user' : 'team'} ${assigned_to_user_id || assigned_to_team_id} by ${req.profile.username}`);
+
+    res.status(successStatus).json({
+      success: true,
+      data: assignment
+    });
+  } catch (error) {
+    console.error('[ChatAssignment] Assign error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to assign chat'
+    });
+  }
+}
+
+/**
+ * Agents must be active and belong to the session owner's hierarchy
+ * (super admins may assign anyone)
+ * @returns {string|null} - Error message, or null if the assignee is valid
+ */
+async function validateAssignee(session, profile, userId, teamId) {
+  const isSuperAdmin = profile.role === 'super_admin';
+  const ownerId = session.created_by_admin_id;
+
+  if (userId) {
+    const { data: user } = await supabaseAdmin
+      .from('profiles')
+      .select('id, is_active, created_by_admin_id')
+      .eq('id', userId)
+      .single();
+
+    if (!user || !user.is_active) {
+      return 'User not found or inactive';
+    }
+
+    if (!isSuperAdmin && user.id !== ownerId && user.created_by_admin_id !== ownerId) {
+      return 'User does not belong to this session owner';
+    }
+
+    return null;
+  }
+
+  const { data: team } = await supabaseAdmin
+    .from('teams')
+    .select('id, is_active, created_by_admin_id')
+    .eq('id', teamId)
+    .single();
+
+  if (!team || !team.is_active) {
+    return 'Team not found or inactive';
+  }
+
+  if (!isSuperAdmin && team.created_by_admin_id !== ownerId) {
+    return 'Team does not belong to this session owner';
+  }
+
+  return null;
+}
+
+module.exports = {
+  getChatAssignments,
+  assignChat,
+  reassignChat,
+  unassignChat
+};
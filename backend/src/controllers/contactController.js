@@ -0,0 +1,259 @@
+/**
+ * Contact Controller
+ * CRM profile of a contact: custom name, notes, tags and importance,
+ * and the members of group chats
+ */
+
+const { supabaseAdmin } = require('../config/database');
+const { publishToSession } = require('../services/realtimeService');
+const { getGroupParticipants: fetchGroupParticipants } = require('../services/groupService');
+const { getViewableContactIds } = require('../middlewares/auth');
+
+const METADATA_FIELDS = ['custom_name', 'notes', 'tags', 'importance'];
+
+const DEFAULT_METADATA = {
+  custom_name: null,
+  notes: null,
+  tags: [],
+  importance: 'normal',
+  last_note_updated_at: null
+};
+
+/**
+ * Get the CRM profile of a contact
+ * GET /api/sessions/:sessionId/contacts/:contactId/metadata
+ */
+async function getContactMetadata(req, res) {
+  try {
+    const { sessionId, contactId } = req.params;
+
+    const { data: contact, error: contactError } = await supabaseAdmin
+      .from('contacts')
+      .select('id, phone_number, name, is_group, profile_pic_url, group_description, group_owner, group_synced_at')
+      .eq('id', contactId)
+      .eq('session_id', sessionId)
+      .single();
+
+    if (contactError || !contact) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Contact not found'
+      });
+    }
+
+    const { data: metadata, error } = await supabaseAdmin
+      .from('contact_metadata')
+      .select('custom_name, notes, tags, importance, last_note_updated_at, updated_at')
+      .eq('contact_id', contactId)
+      .eq('session_id', sessionId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        contact,
+        metadata: { ...DEFAULT_METADATA, ...metadata, tags: metadata?.tags || [] }
+      }
+    });
+  } catch (error) {
+    console.error('[Contact] Get metadata error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch contact profile'
+    });
+  }
+}
+
+/**
+ * Update the CRM profile of a contact
+ * PUT /api/sessions/:sessionId/contacts/:contactId/metadata
+ *
+ * Only the provided fields change; null clears a field
+ */
+async function updateContactMetadata(req, res) {
+  try {
+    const { sessionId, contactId } = req.params;
+
+    const updates = {};
+    for (const field of METADATA_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Provide at least one of: ${METADATA_FIELDS.join(', ')}`
+      });
+    }
+
+    if (updates.custom_name !== undefined) {
+      updates.custom_name = updates.custom_name?.trim() || null;
+    }
+    if (updates.notes !== undefined) {
+      updates.notes = updates.notes || null;
+      updates.last_note_updated_at = new Date().toISOString();
+    }
+    if (updates.tags !== undefined) {
+      updates.tags = normalizeTags(updates.tags);
+    }
+    if (updates.importance === null) {
+      updates.importance = 'normal';
+    }
+
+    const { data: metadata, error } = await supabaseAdmin
+      .from('contact_metadata')
+      .upsert({
+        contact_id: contactId,
+        session_id: sessionId,
+        ...updates,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'contact_id,session_id' })
+      .select('custom_name, notes, tags, importance, last_note_updated_at, updated_at')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    console.log(`[Contact] Profile of ${contactId} updated by ${req.profile.username}`);
+
+    publishToSession(sessionId, 'contact.updated', {
+      contact_id: contactId,
+      custom_name: metadata.custom_name,
+      tags: metadata.tags || [],
+      importance: metadata.importance
+    });
+
+    res.json({
+      success: true,
+      data: { ...DEFAULT_METADATA, ...metadata, tags: metadata.tags || [] }
+    });
+  } catch (error) {
+    console.error('[Contact] Update metadata error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update contact profile'
+    });
+  }
+}
+
+/**
+ * Get all tags used in a session (for chat list filters)
+ * GET /api/sessions/:sessionId/tags
+ */
+async function getSessionTags(req, res) {
+  try {
+    const { sessionId } = req.params;
+
+    let query = supabaseAdmin
+      .from('contact_metadata')
+      .select('contact_id, tags')
+      .eq('session_id', sessionId);
+
+    // Team members only see tags of chats assigned to them
+    const viewableContactIds = await getViewableContactIds(sessionId, req.profile);
+    if (viewableContactIds) {
+      query = query.in('contact_id', viewableContactIds);
+    }
+
+    const { data: rows, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    const tags = [...new Set((rows || []).flatMap(row => row.tags || []))]
+      .sort((a, b) => a.localeCompare(b));
+
+    res.json({
+      success: true,
+      data: tags
+    });
+  } catch (error) {
+    console.error('[Contact] Get tags error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch tags'
+    });
+  }
+}
+
+/**
+ * Trim, drop empties and de-duplicate tags (case-insensitive)
+ */
+function normalizeTags(tags) {
+  if (!tags) {
+    return [];
+  }
+
+  const seen = new Set();
+  const result = [];
+
+  for (const tag of tags) {
+    const value = String(tag).trim();
+    const key = value.toLowerCase();
+    if (value && !seen.has(key)) {
+      seen.add(key);
+      result.push(value);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Get the current members of a group chat, admins first
+ * GET /api/sessions/:sessionId/contacts/:contactId/participants
+ */
+async function getGroupParticipants(req, res) {
+  try {
+    const { sessionId, contactId } = req.params;
+
+    const { data: contact } = await supabaseAdmin
+      .from('contacts')
+      .select('id, is_group')
+      .eq('id', contactId)
+      .eq('session_id', sessionId)
+      .maybeSingle();
+
+    if (!contact) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Contact not found'
+      });
+    }
+
+    if (!contact.is_group) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Contact is not a group'
+      });
+    }
+
+    const participants = await fetchGroupParticipants(sessionId, contactId);
+
+    res.json({
+      success: true,
+      data: participants
+    });
+  } catch (error) {
+    console.error('[Contact] Get group participants error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch group participants'
+    });
+  }
+}
+
+module.exports = {
+  getContactMetadata,
+  updateContactMetadata,
+  getSessionTags,
+  getGroupParticipants
+};
@@ -2,28 +2,72 @@
  * Message Controller
  */
 
-const { supabaseAdmin, createUserClient } = require('../config/database');
-const wahaClient = require('../config/waha');
+const { supabaseAdmin } = require('../config/database');
+const { getSessionProvider } = require('../providers');
+const {
+  uploadOutgoingMedia,
+  copyStoredMedia,
+  getMediaTypeFromMimetype,
+  signMessageMedia,
+  toMediaPreviewFields,
+  downloadStoredMedia
+} = require('../services/mediaService');
+const { downloadMediaNow } = require('../services/mediaQueue');
+const {
+  queueOutgoingMessage,
+  findQueuedMessage,
+  retryOutboundMessage
+} = require('../services/outboundQueue');
+const { ingestMessages } = require('../services/ingestService');
+const { getSessionTemplate } = require('../services/templateService');
+const { publishToSession } = require('../services/realtimeService');
+const {
+  getViewableContactIds,
+  getAccessibleChatScope,
+  checkSessionAccess,
+  getChatPermissions
+} = require('../middlewares/auth');
+
+// How long WhatsApp lets the sender change a message
+const EDIT_WINDOW_MS = 15 * 60 * 1000;
+const DELETE_WINDOW_MS = 60 * 60 * 60 * 1000;
+
+// Text messages and captions can be edited
+const EDITABLE_TYPES = ['text', 'image', 'video', 'document'];
+
+// Columns of a message replied to, reacted to, edited or deleted
+// (key_participant: JID of a group message's sender, part of its Baileys key)
+const TARGET_MESSAGE_COLUMNS = 'id, contact_id, waha_message_id, message_type, body, from_me, timestamp, deleted_at, key_participant:raw_payload->key->>participant';
 
 /**
  * Get chats for a session
- * GET /api/sessions/:sessionId/chats
+ * GET /api/sessions/:sessionId/chats?tag=&importance=
  */
 async function getChats(req, res) {
   try {
     const { sessionId } = req.params;
+    const { tag, importance } = req.query;
 
-    // Use RPC function to get chat list with last message
+    // Use RPC function to get chat list with last message and CRM metadata
     const { data: chats, error } = await supabaseAdmin
-      .rpc('get_chat_list', { p_session_id: sessionId });
+      .rpc('get_chat_list', {
+        p_session_id: sessionId,
+        p_tag: tag || null,
+        p_importance: importance || null
+      });
 
     if (error) {
       throw error;
     }
 
+    // Outside their own and assigned sessions, users only see chats assigned to them
+    const viewableContactIds = await getViewableContactIds(sessionId, req.profile);
+
     res.json({
       success: true,
-      data: chats
+      data: viewableContactIds
+        ? (chats || []).filter(chat => viewableContactIds.includes(chat.contact_id))
+        : chats
     });
   } catch (error) {
     console.error('[Message] Get chats error:', error);
@@ -35,29 +79,195 @@ async function getChats(req, res) {
 }
 
 /**
- * Get messages for a specific chat
+ * Open the chat with a phone number, creating its contact if needed
+ * POST /api/sessions/:sessionId/chats
+ *
+ * Used to start a conversation, e.g. from a shared contact card.
+ * Returns the chat in the shape of the chat list.
+ */
+async function openChat(req, res) {
+  try {
+    const { sessionId } = req.params;
+    const { phone_number, name } = req.body;
+    const phoneNumber = phone_number.replace(/^\+/, '');
+
+    const { data: contactId, error: contactError } = await supabaseAdmin.rpc('ensure_contact_exists', {
+      p_session_id: sessionId,
+      p_phone_number: phoneNumber,
+      p_name: name || null,
+      p_is_group: false
+    });
+
+    if (contactError) {
+      throw contactError;
+    }
+
+    const [{ data: contact, error }, { data: metadata }] = await Promise.all([
+      supabaseAdmin
+        .from('contacts')
+        .select('id, phone_number, name, is_group, profile_pic_url')
+        .eq('id', contactId)
+        .single(),
+      supabaseAdmin
+        .from('contact_metadata')
+        .select('custom_name, tags, importance')
+        .eq('contact_id', contactId)
+        .eq('session_id', sessionId)
+        .maybeSingle()
+    ]);
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        contact_id: contact.id,
+        phone_number: contact.phone_number,
+        name: contact.name,
+        custom_name: metadata?.custom_name || null,
+        is_group: contact.is_group,
+        profile_pic_url: contact.profile_pic_url,
+        tags: metadata?.tags || [],
+        importance: metadata?.importance || 'normal'
+      }
+    });
+  } catch (error) {
+    console.error('[Message] Open chat error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to open chat'
+    });
+  }
+}
+
+const MESSAGE_PAGE_COLUMNS = 'id, waha_message_id, message_type, body, from_me, ack, has_media, media_url, media_path, media_mimetype, media_filename, media_size, timestamp, quoted_message_id, metadata, edited_at, deleted_at, reactions, participant, sender_contact_id, message_media(thumbnail_path, width, height, duration), sender:contacts!messages_sender_contact_id_fkey(name, contact_metadata(custom_name)), outbound_messages(error_message)';
+
+/**
+ * Flatten a message selected with MESSAGE_PAGE_COLUMNS to the shape of
+ * get_chat_messages_page rows
+ */
+function toPageRow({ message_media: media, sender, outbound_messages: outbound, ...message }) {
+  const senderMetadata = Array.isArray(sender?.contact_metadata) ? sender.contact_metadata[0] : sender?.contact_metadata;
+  const job = Array.isArray(outbound) ? outbound[0] : outbound;
+
+  return {
+    ...message,
+    ...toMediaPreviewFields(Array.isArray(media) ? media[0] : media),
+    sender_name: senderMetadata?.custom_name || sender?.name || null,
+    // Why a message we sent is FAILED or UNCONFIRMED
+    send_error: ['FAILED', 'UNCONFIRMED'].includes(message.ack) ? job?.error_message || null : null
+  };
+}
+
+/**
+ * One message shaped like get_chat_messages_page rows, media signed
+ */
+async function getClientMessage(sessionId, messageId) {
+  const { data: message, error } = await supabaseAdmin
+    .from('messages')
+    .select(MESSAGE_PAGE_COLUMNS)
+    .eq('id', messageId)
+    .eq('session_id', sessionId)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  const [signed] = await signMessageMedia([toPageRow(message)]);
+  return signed;
+}
+
+/**
+ * Get messages for a specific chat (newest first)
  * GET /api/sessions/:sessionId/contacts/:contactId/messages
+ *
+ * Without a cursor returns the latest page. `before` / `after` take the
+ * cursors from the previous response's `paging`; `around=<messageId>`
+ * returns the page surrounding one message (jump to a search result).
+ * `offset` is still accepted for older clients.
  */
 async function getMessages(req, res) {
   try {
     const { sessionId, contactId } = req.params;
-    const { limit = 50, offset = 0 } = req.query;
+    const { limit = 50, offset, before, after, around } = req.query;
+    const pageSize = parseInt(limit);
 
-    const { data: messages, error } = await supabaseAdmin
-      .rpc('get_chat_messages', {
-        p_session_id: sessionId,
-        p_contact_id: contactId,
-        p_limit: parseInt(limit),
-        p_offset: parseInt(offset)
+    if (offset !== undefined && !before && !after && !around) {
+      const { data: messages, error } = await supabaseAdmin
+        .rpc('get_chat_messages', {
+          p_session_id: sessionId,
+          p_contact_id: contactId,
+          p_limit: pageSize,
+          p_offset: parseInt(offset)
+        });
+
+      if (error) {
+        throw error;
+      }
+
+      return res.json({
+        success: true,
+        data: messages
       });
+    }
 
-    if (error) {
-      throw error;
+    if (around) {
+      const page = await getMessagesAround(sessionId, contactId, around, pageSize);
+
+      if (!page) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Message not found in this chat'
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: await signMessageMedia(page.messages),
+        paging: page.paging
+      });
+    }
+
+    const beforeCursor = before ? decodeCursor(before) : null;
+    const afterCursor = after ? decodeCursor(after) : null;
+
+    if ((before && !beforeCursor) || (after && !afterCursor)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid cursor'
+      });
+    }
+
+    // One extra row tells whether there is another page
+    const rows = await fetchMessagePage(sessionId, contactId, { before: beforeCursor, after: afterCursor }, pageSize + 1);
+    const hasMore = rows.length > pageSize;
+
+    let messages;
+    let paging;
+
+    if (afterCursor) {
+      // Rows are newest first, so the extra row is the first one
+      messages = hasMore ? rows.slice(rows.length - pageSize) : rows;
+      paging = {
+        before: messages.length > 0 ? encodeCursor(messages[messages.length - 1]) : null,
+        after: hasMore ? encodeCursor(messages[0]) : null
+      };
+    } else {
+      messages = rows.slice(0, pageSize);
+      paging = {
+        before: hasMore ? encodeCursor(messages[messages.length - 1]) : null,
+        // Paging back from a cursor always leaves newer messages behind
+        after: beforeCursor && messages.length > 0 ? encodeCursor(messages[0]) : null
+      };
     }
 
     res.json({
       success: true,
-      data: messages
+      data: await signMessageMedia(messages),
+      paging
     });
   } catch (error) {
     console.error('[Message] Get messages error:', error);
@@ -69,18 +279,92 @@ async function getMessages(req, res) {
 }
 
 /**
- * Send a message
+ * One keyset page of a chat, newest first
+ * @param {Object} cursors - { before, after } decoded cursors (after wins)
+ */
+async function fetchMessagePage(sessionId, contactId, { before = null, after = null }, limit) {
+  const { data: messages, error } = await supabaseAdmin
+    .rpc('get_chat_messages_page', {
+      p_session_id: sessionId,
+      p_contact_id: contactId,
+      p_before_timestamp: before?.timestamp ?? null,
+      p_before_id: before?.id ?? null,
+      p_after_timestamp: after?.timestamp ?? null,
+      p_after_id: after?.id ?? null,
+      p_limit: limit
+    });
+
+  if (error) {
+    throw error;
+  }
+
+  return messages || [];
+}
+
+/**
+ * The page surrounding a message: half older, the message, half newer
+ * @returns {Object|null} - { messages, paging }, or null if the message is not in the chat
+ */
+async function getMessagesAround(sessionId, contactId, messageId, pageSize) {
+  const { data: target } = await supabaseAdmin
+    .from('messages')
+    .select(MESSAGE_PAGE_COLUMNS)
+    .eq('id', messageId)
+    .eq('session_id', sessionId)
+    .eq('contact_id', contactId)
+    .maybeSingle();
+
+  if (!target) {
+    return null;
+  }
+
+  const targetRow = toPageRow(target);
+  const half = Math.max(Math.floor((pageSize - 1) / 2), 1);
+  const cursor = { timestamp: target.timestamp, id: target.id };
+
+  const [olderRows, newerRows] = await Promise.all([
+    fetchMessagePage(sessionId, contactId, { before: cursor }, half + 1),
+    fetchMessagePage(sessionId, contactId, { after: cursor }, half + 1)
+  ]);
+
+  const older = olderRows.slice(0, half);
+  const newer = newerRows.length > half ? newerRows.slice(newerRows.length - half) : newerRows;
+  const messages = [...newer, targetRow, ...older];
+
+  return {
+    messages,
+    paging: {
+      before: olderRows.length > half ? encodeCursor(messages[messages.length - 1]) : null,
+      after: newerRows.length > half ? encodeCursor(messages[0]) : null
+    }
+  };
+}
+
+/**
+ * Queue a text or media message for sending
+ * template_id sends a template's attachment with the (already filled in) text
  * POST /api/sessions/:sessionId/messages
+ *
+ * Media is sent either as a multipart "file" upload or as a public media_url.
+ * The message is stored as QUEUED and sent by the outbound worker; a request
+ * repeated with the same idempotency_key returns the first one's message
  */
 async function sendMessage(req, res) {
   try {
     const { sessionId } = req.params;
-    const { phone_number, message, message_type = 'text' } = req.body;
+    const { phone_number, message, media_url, caption, message_type, as_voice, quoted_message_id, idempotency_key, template_id } = req.body;
+
+    if (!message && !req.file && !media_url && !template_id) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Either a message or a media file is required'
+      });
+    }
 
     // Get session
     const { data: session } = await supabaseAdmin
       .from('sessions')
-      .select('session_name, status')
+      .select('session_name, provider, status')
       .eq('id', sessionId)
       .single();
 
@@ -91,6 +375,17 @@ async function sendMessage(req, res) {
       });
     }
 
+    // A retried request: answer with the message the first one queued
+    if (idempotency_key) {
+      const queuedMessage = await findQueuedMessage(sessionId, idempotency_key);
+      if (queuedMessage) {
+        return res.json({
+          success: true,
+          data: await getClientMessage(sessionId, queuedMessage.id)
+        });
+      }
+    }
+
     if (session.status !== 'CONNECTED') {
       return res.status(400).json({
         error: 'Bad Request',
@@ -98,32 +393,469 @@ async function sendMessage(req, res) {
       });
     }
 
-    // Send via WAHA
-    const wahaResponse = await wahaClient.post(
-      `/api/sendText`,
-      {
-        session: session.session_name,
-        chatId: phone_number,
-        text: message
+    // Contacts store groups without their @g.us suffix (WhatsApp ids never contain '+')
+    const phoneNumber = phone_number.replace(/^\+/, '');
+    const cleanPhoneNumber = phoneNumber.split('@')[0];
+
+    const { data: existingContact } = await supabaseAdmin
+      .from('contacts')
+      .select('id, is_group')
+      .eq('session_id', sessionId)
+      .eq('phone_number', cleanPhoneNumber)
+      .maybeSingle();
+
+    let quoted = null;
+
+    if (quoted_message_id) {
+      // Only a message of the same chat: its body is copied into the quote
+      const { data: quotedMessage } = existingContact
+        ? await supabaseAdmin
+          .from('messages')
+          .select(TARGET_MESSAGE_COLUMNS)
+          .eq('id', quoted_message_id)
+          .eq('session_id', sessionId)
+          .eq('contact_id', existingContact.id)
+          .maybeSingle()
+        : { data: null };
+
+      if (!quotedMessage) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Quoted message not found'
+        });
       }
+
+      if (!quotedMessage.waha_message_id) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Quoted message has not been sent yet'
+        });
+      }
+
+      quoted = { ...toMessageTarget(quotedMessage), body: quotedMessage.body };
+    }
+
+    let template = null;
+
+    if (template_id) {
+      template = await getSessionTemplate(sessionId, template_id, req.profile);
+
+      if (!template) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Template not found'
+        });
+      }
+
+      if (!message && !template.media_path) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Either a message or a media file is required'
+        });
+      }
+    }
+
+    const provider = getSessionProvider(session);
+
+    const isGroup = existingContact?.is_group || phoneNumber.endsWith('@g.us');
+    const formattedNumber = provider.toChatId(isGroup ? `${cleanPhoneNumber}@g.us` : cleanPhoneNumber);
+
+    let mediaInfo = null;
+
+    if (req.file) {
+      // Store the upload first - the queue sends it from the bucket
+      const mediaType = getMediaTypeFromMimetype(req.file.mimetype, as_voice === true || as_voice === 'true');
+      mediaInfo = await uploadOutgoingMedia(sessionId, req.file, mediaType);
+    } else if (template?.media_path) {
+      // Each message gets its own copy of the template's attachment
+      mediaInfo = await copyStoredMedia(sessionId, template);
+    } else if (media_url) {
+      mediaInfo = {
+        url: media_url,
+        storage_path: null,
+        filename: null,
+        mimetype: null,
+        size_bytes: null,
+        media_type: message_type && message_type !== 'text' ? message_type : 'document'
+      };
+    }
+
+    // Ensure contact exists in database
+    const { data: contactId } = await supabaseAdmin.rpc('ensure_contact_exists', {
+      p_session_id: sessionId,
+      p_phone_number: cleanPhoneNumber,
+      p_name: null,
+      p_is_group: isGroup
+    });
+
+    const { message: savedMessage, duplicate } = await queueOutgoingMessage({
+      sessionId,
+      contactId,
+      chatId: formattedNumber,
+      body: caption || message || '',
+      mediaInfo,
+      quoted,
+      quotedMessageId: quoted_message_id,
+      idempotencyKey: idempotency_key,
+      createdBy: req.user.id
+    });
+
+    // Queued: the outbound worker sends it and publishes its progress as message.ack
+    res.status(duplicate ? 200 : 202).json({
+      success: true,
+      data: await getClientMessage(sessionId, savedMessage.id)
+    });
+  } catch (error) {
+    console.error('[Message] Send error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.response?.data?.message || 'Failed to send message'
+    });
+  }
+}
+
+/**
+ * React to a message ('' removes our reaction)
+ * POST /api/sessions/:sessionId/contacts/:contactId/messages/:messageId/reactions
+ */
+async function reactToMessage(req, res) {
+  try {
+    const { sessionId, contactId, messageId } = req.params;
+    const { emoji } = req.body;
+
+    const context = await getMessageContext(sessionId, contactId, messageId);
+    if (rejectMessageAction(res, context)) {
+      return;
+    }
+
+    const { session, chatId, message } = context;
+
+    if (message.deleted_at) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Deleted messages cannot be reacted to'
+      });
+    }
+
+    const provider = getSessionProvider(session);
+    const sent = await callProvider(res, 'react to the message', () =>
+      provider.sendReaction(session.session_name, chatId, toMessageTarget(message), emoji)
     );
+    if (!sent) {
+      return;
+    }
+
+    const updated = await applyOwnUpdate(sessionId, chatId, message, sent, { kind: 'reaction', emoji });
 
     res.json({
       success: true,
-      data: {
-        message_id: wahaResponse.data.id,
-        timestamp: wahaResponse.data.timestamp
-      }
+      data: updated
     });
   } catch (error) {
-    console.error('[Message] Send error:', error);
+    console.error('[Message] React error:', error);
     res.status(500).json({
       error: 'Internal Server Error',
-      message: 'Failed to send message'
+      message: 'Failed to react to message'
     });
   }
 }
 
+/**
+ * Edit the text or caption of a message we sent
+ * PATCH /api/sessions/:sessionId/contacts/:contactId/messages/:messageId
+ */
+async function editMessage(req, res) {
+  try {
+    const { sessionId, contactId, messageId } = req.params;
+    const { body } = req.body;
+
+    const context = await getMessageContext(sessionId, contactId, messageId);
+    if (rejectMessageAction(res, context)) {
+      return;
+    }
+
+    const { session, chatId, message } = context;
+
+    const reason = !message.from_me
+      ? 'Only messages sent from this number can be edited'
+      : message.deleted_at
+        ? 'Deleted messages cannot be edited'
+        : !EDITABLE_TYPES.includes(message.message_type)
+          ? `${message.message_type} messages cannot be edited`
+          : Date.now() - new Date(message.timestamp).getTime() > EDIT_WINDOW_MS
+            ? 'Messages can only be edited for 15 minutes after sending'
+            : null;
+
+    if (reason) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: reason
+      });
+    }
+
+    const provider = getSessionProvider(session);
+    const sent = await callProvider(res, 'edit the message', () =>
+      provider.editMessage(session.session_name, chatId, toMessageTarget(message), body)
+    );
+    if (!sent) {
+      return;
+    }
+
+    const updated = await applyOwnUpdate(sessionId, chatId, message, sent, { kind: 'edit', body });
+
+    res.json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    console.error('[Message] Edit error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to edit message'
+    });
+  }
+}
+
+/**
+ * Delete a message we sent for everyone
+ * DELETE /api/sessions/:sessionId/contacts/:contactId/messages/:messageId
+ */
+async function deleteMessage(req, res) {
+  try {
+    const { sessionId, contactId, messageId } = req.params;
+
+    const context = await getMessageContext(sessionId, contactId, messageId);
+    if (rejectMessageAction(res, context)) {
+      return;
+    }
+
+    const { session, chatId, message } = context;
+
+    const reason = !message.from_me
+      ? 'Only messages sent from this number can be deleted for everyone'
+      : message.deleted_at
+        ? 'Message is already deleted'
+        : Date.now() - new Date(message.timestamp).getTime() > DELETE_WINDOW_MS
+          ? 'Messages can only be deleted for everyone for 60 hours after sending'
+          : null;
+
+    if (reason) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: reason
+      });
+    }
+
+    const provider = getSessionProvider(session);
+    const sent = await callProvider(res, 'delete the message', () =>
+      provider.deleteMessage(session.session_name, chatId, toMessageTarget(message))
+    );
+    if (!sent) {
+      return;
+    }
+
+    const updated = await applyOwnUpdate(sessionId, chatId, message, sent, { kind: 'revoke' });
+
+    res.json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    console.error('[Message] Delete error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete message'
+    });
+  }
+}
+
+/**
+ * Send a message that failed to send again
+ * POST /api/sessions/:sessionId/contacts/:contactId/messages/:messageId/retry
+ */
+async function retryMessage(req, res) {
+  try {
+    const { sessionId, contactId, messageId } = req.params;
+
+    const { data: message } = await supabaseAdmin
+      .from('messages')
+      .select('id')
+      .eq('id', messageId)
+      .eq('session_id', sessionId)
+      .eq('contact_id', contactId)
+      .maybeSingle();
+
+    if (!message) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Message not found'
+      });
+    }
+
+    const job = await retryOutboundMessage(messageId);
+
+    if (!job) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Only messages that failed to send can be retried'
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      data: await getClientMessage(sessionId, messageId)
+    });
+  } catch (error) {
+    console.error('[Message] Retry error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retry message'
+    });
+  }
+}
+
+/**
+ * Load the session, chat and message a message action applies to
+ * @returns {Object} - { session, chatId, message }, null where not found
+ */
+async function getMessageContext(sessionId, contactId, messageId) {
+  const [{ data: session }, { data: contact }, { data: message }] = await Promise.all([
+    supabaseAdmin
+      .from('sessions')
+      .select('session_name, provider, status')
+      .eq('id', sessionId)
+      .maybeSingle(),
+    supabaseAdmin
+      .from('contacts')
+      .select('phone_number, is_group')
+      .eq('id', contactId)
+      .eq('session_id', sessionId)
+      .maybeSingle(),
+    supabaseAdmin
+      .from('messages')
+      .select(TARGET_MESSAGE_COLUMNS)
+      .eq('id', messageId)
+      .eq('session_id', sessionId)
+      .eq('contact_id', contactId)
+      .maybeSingle()
+  ]);
+
+  const chatId = session && contact
+    ? getSessionProvider(session).toChatId(contact.is_group ? `${contact.phone_number}@g.us` : contact.phone_number)
+    : null;
+
+  return { session, chatId, message };
+}
+
+/**
+ * Reply with the reason a message action cannot run, if any
+ * @returns {boolean} - true when a response was sent
+ */
+function rejectMessageAction(res, { session, chatId, message }) {
+  if (!session) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'Session not found'
+    });
+    return true;
+  }
+
+  if (!chatId || !message) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'Message not found'
+    });
+    return true;
+  }
+
+  if (session.status !== 'CONNECTED') {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: 'Session is not connected'
+    });
+    return true;
+  }
+
+  if (!message.waha_message_id) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: 'Message has not been sent yet'
+    });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Run a provider call, replying with a provider error if it fails
+ * @returns {Object|null} - The provider's result, null when a response was sent
+ */
+async function callProvider(res, action, call) {
+  try {
+    return await call();
+  } catch (error) {
+    console.error(`[Message] Provider failed to ${action}:`, error.response?.data || error.message);
+    res.status(502).json({
+      error: 'Provider Error',
+      message: error.response?.data?.message || `Failed to ${action}`
+    });
+    return null;
+  }
+}
+
+/**
+ * Provider key of a stored message
+ */
+function toMessageTarget(message) {
+  return {
+    id: message.waha_message_id,
+    fromMe: message.from_me,
+    participant: message.key_participant || null
+  };
+}
+
+/**
+ * Store a reaction, edit or revoke we sent like the ones that arrive by
+ * webhook, so the chat updates before the provider echoes it back (the
+ * echo is then a duplicate)
+ * @returns {Object} - { message_id, body, edited_at, deleted_at, reactions }
+ */
+async function applyOwnUpdate(sessionId, chatId, message, sent, update) {
+  const { updated } = await ingestMessages(sessionId, [{
+    id: sent.id || `${message.waha_message_id}:${update.kind}:${Date.now()}`,
+    kind: update.kind,
+    targetId: message.waha_message_id,
+    chatId,
+    fromMe: true,
+    participant: null,
+    timestamp: sent.timestamp,
+    emoji: update.emoji ?? null,
+    body: update.body ?? null
+  }], 'api');
+
+  const row = updated.find(entry => entry.id === message.id);
+
+  if (!row) {
+    // Sent, but not stored: the webhook echo will apply it
+    console.error(`[Message] Failed to store ${update.kind} of message ${message.id}`);
+    return { message_id: message.id };
+  }
+
+  const data = {
+    message_id: row.id,
+    contact_id: row.contact_id,
+    body: row.body,
+    edited_at: row.edited_at,
+    deleted_at: row.deleted_at,
+    reactions: row.reactions
+  };
+
+  publishToSession(sessionId, 'message.updated', data);
+
+  return data;
+}
+
 /**
  * Mark messages as read
  * POST /api/sessions/:sessionId/contacts/:contactId/read
@@ -132,6 +864,27 @@ async function markAsRead(req, res) {
   try {
     const { sessionId, contactId } = req.params;
 
+    // Get session and contact
+    const { data: session } = await supabaseAdmin
+      .from('sessions')
+      .select('session_name, provider')
+      .eq('id', sessionId)
+      .single();
+
+    const { data: contact } = await supabaseAdmin
+      .from('contacts')
+      .select('phone_number, is_group')
+      .eq('id', contactId)
+      .single();
+
+    if (!session || !contact) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Session or contact not found'
+      });
+    }
+
+    // Mark as read in database
     const { data: count, error } = await supabaseAdmin
       .rpc('mark_messages_read', {
         p_session_id: sessionId,
@@ -142,6 +895,15 @@ async function markAsRead(req, res) {
       throw error;
     }
 
+    // Also mark as read on WhatsApp (optional)
+    try {
+      const provider = getSessionProvider(session);
+      await provider.markRead(session.session_name, provider.toChatId(contact.is_group ? `${contact.phone_number}@g.us` : contact.phone_number));
+    } catch (providerError) {
+      console.error('[Message] Provider mark read error:', providerError);
+      // Continue even if the provider call fails
+    }
+
     res.json({
       success: true,
       data: {
@@ -158,35 +920,267 @@ async function markAsRead(req, res) {
 }
 
 /**
- * Search messages
+ * Download a message's media now instead of waiting for the media queue
+ * (also retries downloads that were given up)
+ * POST /api/sessions/:sessionId/contacts/:contactId/messages/:messageId/media/download
+ */
+async function downloadMessageMedia(req, res) {
+  try {
+    const { sessionId, contactId, messageId } = req.params;
+
+    const { data: message } = await supabaseAdmin
+      .from('messages')
+      .select('id, has_media')
+      .eq('id', messageId)
+      .eq('session_id', sessionId)
+      .eq('contact_id', contactId)
+      .maybeSingle();
+
+    if (!message) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Message not found'
+      });
+    }
+
+    const job = message.has_media ? await downloadMediaNow(messageId) : null;
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'This message has no media to download'
+      });
+    }
+
+    let signed = { media_url: null, media_url_expires_at: null, media_thumbnail_url: null };
+
+    if (job.download_status === 'completed' && job.storage_path) {
+      [signed] = await signMessageMedia([{ media_path: job.storage_path, ...toMediaPreviewFields(job) }]);
+    }
+
+    const data = {
+      message_id: messageId,
+      download_status: job.download_status,
+      attempts: job.attempts,
+      error_message: job.error_message,
+      next_attempt_at: job.next_attempt_at,
+      media_url: signed.media_url,
+      media_url_expires_at: signed.media_url_expires_at,
+      media_thumbnail_url: signed.media_thumbnail_url,
+      media_mimetype: job.mime_type,
+      media_filename: job.file_name,
+      media_size: job.file_size,
+      media_width: job.width,
+      media_height: job.height,
+      media_duration: job.duration
+    };
+
+    if (job.download_status === 'failed') {
+      return res.status(502).json({
+        error: 'Provider Error',
+        message: `Failed to download media: ${job.error_message}`,
+        data
+      });
+    }
+
+    // Already being downloaded by the media worker
+    res.status(job.download_status === 'completed' ? 200 : 202).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('[Message] Download media error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to download media'
+    });
+  }
+}
+
+/**
+ * Get a fresh signed URL for a message's media, or the file itself
+ * GET /api/messages/:messageId/media
+ *
+ * Signed URLs in message responses expire; clients call this to get a new
+ * one. With `download=true` the file is streamed through the backend.
+ */
+async function getMessageMedia(req, res) {
+  try {
+    const { messageId } = req.params;
+    const download = req.query.download === true || req.query.download === 'true';
+
+    const { data: message } = await supabaseAdmin
+      .from('messages')
+      .select('id, session_id, contact_id, has_media, media_path, media_url, media_mimetype, media_filename, message_media(thumbnail_path)')
+      .eq('id', messageId)
+      .maybeSingle();
+
+    if (!message) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Message not found'
+      });
+    }
+
+    const hasAccess = await checkSessionAccess(message.session_id, req.profile);
+    const permissions = hasAccess
+      ? await getChatPermissions(message.session_id, message.contact_id, req.profile)
+      : null;
+
+    if (!permissions?.can_view) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Access denied to this chat'
+      });
+    }
+
+    if (!message.media_path) {
+      // Media sent by URL lives outside the bucket
+      if (message.media_url && !download) {
+        return res.json({
+          success: true,
+          data: {
+            url: message.media_url,
+            expires_at: null,
+            mimetype: message.media_mimetype,
+            filename: message.media_filename
+          }
+        });
+      }
+
+      return res.status(404).json({
+        error: 'Not Found',
+        message: message.has_media ? 'Media has not been downloaded yet' : 'This message has no media'
+      });
+    }
+
+    if (download) {
+      const file = await downloadStoredMedia(message.media_path);
+      const filename = message.media_filename || message.media_path.split('/').pop();
+
+      res.set({
+        'Content-Type': message.media_mimetype || 'application/octet-stream',
+        'Content-Length': file.length,
+        'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`,
+        'Cache-Control': 'private, no-store'
+      });
+
+      return res.send(file);
+    }
+
+    const [signed] = await signMessageMedia([toPageRow(message)]);
+
+    res.json({
+      success: true,
+      data: {
+        url: signed.media_url,
+        expires_at: signed.media_url_expires_at,
+        thumbnail_url: signed.media_thumbnail_url,
+        mimetype: message.media_mimetype,
+        filename: message.media_filename
+      }
+    });
+  } catch (error) {
+    console.error('[Message] Get media error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to get media'
+    });
+  }
+}
+
+/**
+ * Full-text search across every chat the user can access
+ * GET /api/search
  * GET /api/sessions/:sessionId/search
+ *
+ * Filters: session_id, contact_id, from, to, direction, type, has_media
+ * Results are ranked (or newest first with sort=recent) and paginated with next_cursor
  */
 async function searchMessages(req, res) {
   try {
-    const { sessionId } = req.params;
-    const { q: searchQuery, limit = 50 } = req.query;
+    const {
+      q: searchQuery,
+      contact_id: contactId,
+      from,
+      to,
+      direction,
+      type,
+      has_media: hasMedia,
+      sort = 'relevance',
+      cursor,
+      limit = 20
+    } = req.query;
+    const sessionId = req.params.sessionId || req.query.session_id;
+    const pageSize = parseInt(limit);
 
-    if (!searchQuery) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Search query is required'
-      });
+    let cursorValues = null;
+    if (cursor) {
+      cursorValues = decodeCursor(cursor);
+      if (!cursorValues || typeof cursorValues.rank !== 'number') {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Invalid cursor'
+        });
+      }
+    }
+
+    // Outside their own and assigned sessions, users only see results from chats assigned to them
+    let { sessionIds, contactIds } = await getAccessibleChatScope(req.profile);
+
+    if (sessionId) {
+      if (sessionIds && !sessionIds.includes(sessionId)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Access denied to this session'
+        });
+      }
+      sessionIds = [sessionId];
+    }
+
+    if (contactId) {
+      if (contactIds && !contactIds.includes(contactId)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Access denied to this chat'
+        });
+      }
+      contactIds = [contactId];
     }
 
+    if (sessionIds?.length === 0 || contactIds?.length === 0) {
+      return res.json({ success: true, data: [], next_cursor: null });
+    }
+
+    // One extra row tells whether there is another page
     const { data: results, error } = await supabaseAdmin
       .rpc('search_messages', {
-        p_session_id: sessionId,
-        p_search_query: searchQuery,
-        p_limit: parseInt(limit)
+        p_query: searchQuery,
+        p_session_ids: sessionIds,
+        p_contact_ids: contactIds,
+        p_date_from: from || null,
+        p_date_to: to || null,
+        p_from_me: direction ? direction === 'outgoing' : null,
+        p_message_type: type || null,
+        p_has_media: hasMedia === undefined ? null : String(hasMedia) === 'true',
+        p_sort: sort,
+        p_cursor_rank: cursorValues?.rank ?? null,
+        p_cursor_timestamp: cursorValues?.timestamp ?? null,
+        p_cursor_id: cursorValues?.id ?? null,
+        p_limit: pageSize + 1
       });
 
     if (error) {
       throw error;
     }
 
+    const page = (results || []).slice(0, pageSize);
+    const hasMore = (results || []).length > pageSize;
+
     res.json({
       success: true,
-      data: results
+      data: page,
+      next_cursor: hasMore ? encodeCursor(page[page.length - 1], { rank: page[page.length - 1].rank }) : null
     });
   } catch (error) {
     console.error('[Message] Search error:', error);
@@ -197,10 +1191,46 @@ async function searchMessages(req, res) {
   }
 }
 
+/**
+ * Opaque pagination cursor from a message row (timestamp + id)
+ * @param {Object} extra - Additional sort keys (e.g. search rank)
+ */
+function encodeCursor(row, extra = {}) {
+  return Buffer.from(JSON.stringify({
+    ...extra,
+    timestamp: row.timestamp,
+    id: row.id
+  })).toString('base64url');
+}
+
+/**
+ * @returns {Object|null} - The cursor values ({ timestamp, id, ... }), or null if malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (!values?.timestamp || isNaN(Date.parse(values.timestamp)) || !/^[0-9a-f-]{36}$/i.test(values.id)) {
+      return null;
+    }
+
+    return values;
+  } catch (error) {
+    return null;
+  }
+}
+
 module.exports = {
   getChats,
+  openChat,
   getMessages,
   sendMessage,
+  reactToMessage,
+  editMessage,
+  deleteMessage,
+  retryMessage,
   markAsRead,
+  downloadMessageMedia,
+  getMessageMedia,
   searchMessages
 };
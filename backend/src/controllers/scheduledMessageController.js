@@ -0,0 +1,455 @@
+/**
+ * Scheduled Message Controller
+ * Messages agents write now for a later time, picked as a wall-clock time
+ * in a time zone; the scheduler worker queues them when they are due
+ */
+
+const { supabaseAdmin } = require('../config/database');
+const {
+  uploadOutgoingMedia,
+  copyStoredMedia,
+  deleteStoredMedia,
+  getMediaTypeFromMimetype,
+  toStoredMediaFields
+} = require('../services/mediaService');
+const { getSessionTemplate } = require('../services/templateService');
+const {
+  SCHEDULED_MESSAGE_COLUMNS,
+  PENDING_STATUSES,
+  toClientScheduledMessages,
+  publishScheduledMessage,
+  scheduleRun
+} = require('../services/scheduledMessageService');
+const { zonedTimeToUtc, utcToZonedTime } = require('../services/scheduleTime');
+const { getViewableContactIds } = require('../middlewares/auth');
+
+/**
+ * Instant a send_at is due, or a 400 when it is not a future time
+ * @returns {Date|null} - null when the response was sent
+ */
+function resolveScheduledAt(res, sendAt, timezone) {
+  const scheduledAt = zonedTimeToUtc(sendAt, timezone);
+
+  if (!scheduledAt) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: 'Invalid send time'
+    });
+    return null;
+  }
+
+  if (scheduledAt.getTime() <= Date.now()) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: 'The send time must be in the future'
+    });
+    return null;
+  }
+
+  return scheduledAt;
+}
+
+/**
+ * 409 for a scheduled message that was sent or cancelled meanwhile
+ */
+function rejectNotPending(res) {
+  res.status(409).json({
+    error: 'Conflict',
+    message: 'Only scheduled, held or failed messages can be changed'
+  });
+}
+
+/**
+ * Store a scheduled message's attachment upload
+ */
+function uploadAttachment(sessionId, file, asVoice) {
+  const mediaType = getMediaTypeFromMimetype(file.mimetype, asVoice === true || asVoice === 'true');
+  return uploadOutgoingMedia(sessionId, file, mediaType);
+}
+
+/**
+ * Schedule a message to a chat (multipart with an optional "file")
+ * send_at is a wall-clock time ("2026-03-10T09:00") in timezone (IANA);
+ * template_id attaches a template's attachment, as when sending
+ * POST /api/sessions/:sessionId/contacts/:contactId/scheduled-messages
+ */
+async function createScheduledMessage(req, res) {
+  try {
+    const { sessionId, contactId } = req.params;
+    const { message, send_at, timezone, template_id, as_voice } = req.body;
+
+    if (!message && !req.file && !template_id) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Either a message or a media file is required'
+      });
+    }
+
+    const scheduledAt = resolveScheduledAt(res, send_at, timezone);
+
+    if (!scheduledAt) {
+      return;
+    }
+
+    let template = null;
+
+    if (template_id) {
+      template = await getSessionTemplate(sessionId, template_id, req.profile);
+
+      if (!template) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Template not found'
+        });
+      }
+
+      if (!message && !template.media_path) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Either a message or a media file is required'
+        });
+      }
+    }
+
+    let mediaInfo = null;
+
+    if (req.file) {
+      mediaInfo = await uploadAttachment(sessionId, req.file, as_voice);
+    } else if (template?.media_path) {
+      mediaInfo = await copyStoredMedia(sessionId, template);
+    }
+
+    const { data: scheduled, error } = await supabaseAdmin
+      .from('scheduled_messages')
+      .insert({
+        session_id: sessionId,
+        contact_id: contactId,
+        body: message || '',
+        ...toStoredMediaFields(mediaInfo),
+        scheduled_at: scheduledAt.toISOString(),
+        timezone,
+        created_by: req.profile.id
+      })
+      .select(SCHEDULED_MESSAGE_COLUMNS)
+      .single();
+
+    if (error) {
+      await deleteStoredMedia([mediaInfo?.storage_path, mediaInfo?.thumbnail_path]);
+      throw error;
+    }
+
+    console.log(`[Scheduler] Message ${scheduled.id} scheduled for ${scheduled.scheduled_at} (${send_at} ${timezone}) by ${req.profile.username}`);
+
+    const [data] = await toClientScheduledMessages([scheduled]);
+    publishScheduledMessage(scheduled, data);
+
+    res.status(201).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('[Scheduler] Create scheduled message error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to schedule message'
+    });
+  }
+}
+
+/**
+ * Scheduled messages of a chat, or of every chat of a session the user can
+ * see, soonest first
+ * GET /api/sessions/:sessionId/contacts/:contactId/scheduled-messages?status=
+ * GET /api/sessions/:sessionId/scheduled-messages?status=
+ */
+async function getScheduledMessages(req, res) {
+  try {
+    const { sessionId, contactId } = req.params;
+    const { status } = req.query;
+
+    let query = supabaseAdmin
+      .from('scheduled_messages')
+      .select(contactId ? SCHEDULED_MESSAGE_COLUMNS : `${SCHEDULED_MESSAGE_COLUMNS}, contact:contacts(id, phone_number, name, is_group)`)
+      .eq('session_id', sessionId);
+
+    if (contactId) {
+      query = query.eq('contact_id', contactId);
+    } else {
+      // Team members only see chats assigned to them
+      const viewableContactIds = await getViewableContactIds(sessionId, req.profile);
+      if (viewableContactIds) {
+        query = query.in('contact_id', viewableContactIds);
+      }
+    }
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: scheduled, error } = await query.order('scheduled_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: await toClientScheduledMessages(scheduled || [])
+    });
+  } catch (error) {
+    console.error('[Scheduler] Get scheduled messages error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch scheduled messages'
+    });
+  }
+}
+
+/**
+ * Change a scheduled message's text, time or attachment
+ * A new "file" replaces the attachment, remove_media drops it. A new time
+ * (send_at and/or timezone) schedules a held or failed message again
+ * PUT /api/sessions/:sessionId/contacts/:contactId/scheduled-messages/:scheduledMessageId
+ */
+async function updateScheduledMessage(req, res) {
+  try {
+    const { sessionId } = req.params;
+    const { message, send_at, timezone, remove_media, as_voice } = req.body;
+    const removeMedia = remove_media === true || remove_media === 'true';
+    const scheduled = req.scheduledMessage;
+
+    if (!PENDING_STATUSES.includes(scheduled.status)) {
+      return rejectNotPending(res);
+    }
+
+    const nextBody = message !== undefined ? message : scheduled.body;
+    const keepsMedia = !!req.file || (!removeMedia && !!scheduled.media_path);
+
+    if (!nextBody && !keepsMedia) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Either a message or a media file is required'
+      });
+    }
+
+    const reschedules = send_at !== undefined || timezone !== undefined;
+    let scheduledAt = null;
+
+    if (reschedules) {
+      const nextTimezone = timezone || scheduled.timezone;
+      // A new zone alone keeps the wall-clock time
+      scheduledAt = resolveScheduledAt(res, send_at || utcToZonedTime(scheduled.scheduled_at, scheduled.timezone), nextTimezone);
+
+      if (!scheduledAt) {
+        return;
+      }
+    }
+
+    const mediaInfo = req.file ? await uploadAttachment(sessionId, req.file, as_voice) : null;
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('scheduled_messages')
+      .update({
+        ...(message !== undefined && { body: message }),
+        ...((req.file || removeMedia) && toStoredMediaFields(mediaInfo)),
+        ...(reschedules && {
+          scheduled_at: scheduledAt.toISOString(),
+          timezone: timezone || scheduled.timezone,
+          status: 'scheduled',
+          held_at: null,
+          error_message: null
+        }),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', scheduled.id)
+      // The scheduler may have claimed it meanwhile
+      .in('status', PENDING_STATUSES)
+      .select(SCHEDULED_MESSAGE_COLUMNS)
+      .maybeSingle();
+
+    if (error || !updated) {
+      await deleteStoredMedia([mediaInfo?.storage_path, mediaInfo?.thumbnail_path]);
+      if (error) {
+        throw error;
+      }
+      return rejectNotPending(res);
+    }
+
+    if (req.file || removeMedia) {
+      await deleteStoredMedia([scheduled.media_path, scheduled.media_thumbnail_path]);
+    }
+
+    const [data] = await toClientScheduledMessages([updated]);
+    publishScheduledMessage(updated, data);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('[Scheduler] Update scheduled message error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update scheduled message'
+    });
+  }
+}
+
+/**
+ * Send a scheduled, held or failed message right away
+ * POST /api/sessions/:sessionId/contacts/:contactId/scheduled-messages/:scheduledMessageId/send
+ */
+async function sendScheduledMessageNow(req, res) {
+  try {
+    const { sessionId } = req.params;
+    const scheduled = req.scheduledMessage;
+
+    if (!PENDING_STATUSES.includes(scheduled.status)) {
+      return rejectNotPending(res);
+    }
+
+    const { data: session } = await supabaseAdmin
+      .from('sessions')
+      .select('status')
+      .eq('id', sessionId)
+      .single();
+
+    if (session?.status !== 'CONNECTED') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Session is not connected'
+      });
+    }
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('scheduled_messages')
+      .update({
+        scheduled_at: new Date().toISOString(),
+        status: 'scheduled',
+        held_at: null,
+        error_message: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', scheduled.id)
+      .in('status', PENDING_STATUSES)
+      .select(SCHEDULED_MESSAGE_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!updated) {
+      return rejectNotPending(res);
+    }
+
+    // Due now: the scheduler picks it up and publishes its progress
+    scheduleRun();
+
+    const [data] = await toClientScheduledMessages([updated]);
+
+    res.status(202).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('[Scheduler] Send scheduled message error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to send scheduled message'
+    });
+  }
+}
+
+/**
+ * Cancel a scheduled message that has not been sent
+ * The row is kept (status cancelled), its attachment deleted
+ * DELETE /api/sessions/:sessionId/contacts/:contactId/scheduled-messages/:scheduledMessageId
+ */
+async function cancelScheduledMessage(req, res) {
+  try {
+    const scheduled = req.scheduledMessage;
+
+    const { data: cancelled, error } = await supabaseAdmin
+      .from('scheduled_messages')
+      .update({
+        status: 'cancelled',
+        cancelled_at: new Date().toISOString(),
+        cancelled_by: req.profile.id,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', scheduled.id)
+      .in('status', PENDING_STATUSES)
+      .select(SCHEDULED_MESSAGE_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!cancelled) {
+      return rejectNotPending(res);
+    }
+
+    await deleteStoredMedia([scheduled.media_path, scheduled.media_thumbnail_path]);
+
+    console.log(`[Scheduler] Scheduled message ${scheduled.id} cancelled by ${req.profile.username}`);
+
+    const [data] = await toClientScheduledMessages([cancelled]);
+    publishScheduledMessage(cancelled, data);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('[Scheduler] Cancel scheduled message error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to cancel scheduled message'
+    });
+  }
+}
+
+/**
+ * Load :scheduledMessageId of the chat
+ * Sets req.scheduledMessage
+ */
+async function loadScheduledMessage(req, res, next) {
+  try {
+    const { sessionId, contactId, scheduledMessageId } = req.params;
+
+    const { data: scheduled } = await supabaseAdmin
+      .from('scheduled_messages')
+      .select(SCHEDULED_MESSAGE_COLUMNS)
+      .eq('id', scheduledMessageId)
+      .eq('session_id', sessionId)
+      .eq('contact_id', contactId)
+      .maybeSingle();
+
+    if (!scheduled) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Scheduled message not found'
+      });
+    }
+
+    req.scheduledMessage = scheduled;
+    next();
+  } catch (error) {
+    console.error('[Scheduler] Load scheduled message error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch scheduled message'
+    });
+  }
+}
+
+module.exports = {
+  createScheduledMessage,
+  getScheduledMessages,
+  updateScheduledMessage,
+  sendScheduledMessageNow,
+  cancelScheduledMessage,
+  loadScheduledMessage
+};
@@ -1,10 +1,13 @@
 /**
  * WhatsApp Session Controller
- * Manages WAHA sessions
+ * Manages provider instances (Evolution API, WAHA)
  */
 
 const { supabaseAdmin } = require('../config/database');
-const wahaClient = require('../config/waha');
+const { DEFAULT_PROVIDER, getProvider, getSessionProvider } = require('../providers');
+const { getUserTeamIds, getActiveChatAssignments } = require('../middlewares/auth');
+const { generateWebhookSecret } = require('../middlewares/webhookAuth');
+const { getWebhookConfig } = require('../services/webhookSecretService');
 
 /**
  * Create a new WhatsApp session
@@ -12,8 +15,9 @@ const wahaClient = require('../config/waha');
  */
 async function createSession(req, res) {
   try {
-    const { session_name } = req.body;
+    const { session_name, provider: providerName = DEFAULT_PROVIDER } = req.body;
     const adminId = req.profile.id;
+    const provider = getProvider(providerName);
 
     // Check if session name already exists
     const { data: existing } = await supabaseAdmin
@@ -29,24 +33,21 @@ async function createSession(req, res) {
       });
     }
 
-    // Create session in WAHA
+    const webhookSecret = generateWebhookSecret();
+
+    // Create instance with its webhook and a fresh per-instance secret
     try {
-      await wahaClient.post('/api/sessions', {
-        name: session_name,
-        config: {
-          webhooks: [
-            {
-              url: `${process.env.API_BASE_URL}/api/webhooks/waha`,
-              events: ['message', 'message.ack', 'session.status']
-            }
-          ]
-        }
-      });
-    } catch (wahaError) {
-      console.error('[Session] WAHA error:', wahaError.response?.data);
+      const providerResponse = await provider.createInstance(
+        session_name,
+        getWebhookConfig(provider, webhookSecret)
+      );
+
+      console.log(`[Session] ${provider.name} instance created:`, providerResponse);
+    } catch (providerError) {
+      console.error(`[Session] ${provider.name} error:`, providerError.response?.data || providerError.message);
       return res.status(500).json({
-        error: 'WAHA Error',
-        message: 'Failed to create session in WAHA'
+        error: 'Provider Error',
+        message: `Failed to create instance in ${provider.name}`
       });
     }
 
@@ -56,18 +57,30 @@ async function createSession(req, res) {
       .insert({
         session_name,
         status: 'DISCONNECTED',
-        created_by_admin_id: adminId
+        created_by_admin_id: adminId,
+        provider: provider.name,
+        webhook_secret: webhookSecret,
+        waha_metadata: {
+          instance_name: session_name,
+          created_at: new Date().toISOString()
+        }
       })
       .select()
       .single();
 
     if (error) {
+      // Rollback: delete from provider
+      try {
+        await provider.deleteInstance(session_name);
+      } catch (rollbackError) {
+        console.error('[Session] Rollback error:', rollbackError);
+      }
       throw error;
     }
 
     res.status(201).json({
       success: true,
-      data: session
+      data: omitSecrets(session)
     });
   } catch (error) {
     console.error('[Session] Create error:', error);
@@ -91,6 +104,7 @@ async function getSessions(req, res) {
       .select(`
         id,
         session_name,
+        provider,
         phone_number,
         status,
         last_connected_at,
@@ -105,14 +119,26 @@ async function getSessions(req, res) {
       // Admin sees only their sessions
       query = query.eq('created_by_admin_id', userId);
     } else {
-      // Team member sees assigned sessions
-      // Get assigned session IDs
+      // Team member sees sessions assigned to them or their teams,
+      // plus sessions where they have a chat assigned
+      const teamIds = await getUserTeamIds(userId);
+      const assignees = [`assigned_to_user_id.eq.${userId}`];
+
+      if (teamIds.length > 0) {
+        assignees.push(`assigned_to_team_id.in.(${teamIds.join(',')})`);
+      }
+
       const { data: assignments } = await supabaseAdmin
         .from('session_assignments')
-        .select('session_id, assigned_to_team_id')
-        .or(`assigned_to_user_id.eq.${userId},assigned_to_team_id.in.(SELECT team_id FROM team_members WHERE user_id = '${userId}')`);
+        .select('session_id')
+        .or(assignees.join(','));
+
+      const chatAssignments = await getActiveChatAssignments(null, req.profile);
 
-      const sessionIds = assignments?.map(a => a.session_id) || [];
+      const sessionIds = [...new Set([
+        ...(assignments || []).map(a => a.session_id),
+        ...chatAssignments.map(a => a.session_id)
+      ])];
 
       if (sessionIds.length === 0) {
         return res.json({ success: true, data: [] });
@@ -127,9 +153,27 @@ async function getSessions(req, res) {
       throw error;
     }
 
+    // Enrich with live provider status
+    const enrichedSessions = await Promise.all(
+      sessions.map(async (session) => {
+        try {
+          const status = await getSessionProvider(session).getStatus(session.session_name);
+          return {
+            ...session,
+            provider_status: status
+          };
+        } catch (err) {
+          return {
+            ...session,
+            provider_status: null
+          };
+        }
+      })
+    );
+
     res.json({
       success: true,
-      data: sessions
+      data: enrichedSessions
     });
   } catch (error) {
     console.error('[Session] Get sessions error:', error);
@@ -144,23 +188,14 @@ async function getSessions(req, res) {
  * Get QR code for session
  * GET /api/sessions/:sessionId/qr
  */
-async function getQRCode(req, res) {
+async function getSessionQRCode(req, res) {
   try {
     const { sessionId } = req.params;
 
-    // Verify user has access to session
-    const hasAccess = await checkSessionAccess(sessionId, req.profile);
-    if (!hasAccess) {
-      return res.status(403).json({
-        error: 'Forbidden',
-        message: 'Access denied to this session'
-      });
-    }
-
     // Get session from DB
     const { data: session } = await supabaseAdmin
       .from('sessions')
-      .select('session_name, status')
+      .select('session_name, provider, status')
       .eq('id', sessionId)
       .single();
 
@@ -171,19 +206,14 @@ async function getQRCode(req, res) {
       });
     }
 
-    // Start session if not started
-    if (session.status === 'DISCONNECTED') {
-      await wahaClient.post(`/api/sessions/${session.session_name}/start`);
-    }
-
-    // Get QR code from WAHA
-    const qrResponse = await wahaClient.get(
-      `/api/sessions/${session.session_name}/auth/qr`,
-      { responseType: 'arraybuffer' }
-    );
+    // Get QR code from provider
+    const qrData = await getSessionProvider(session).getQRCode(session.session_name);
 
-    res.set('Content-Type', 'image/png');
-    res.send(qrResponse.data);
+    // Return QR code data (base64 or image URL)
+    res.json({
+      success: true,
+      data: qrData
+    });
   } catch (error) {
     console.error('[Session] QR code error:', error);
     res.status(500).json({
@@ -197,24 +227,15 @@ async function getQRCode(req, res) {
  * Request pairing code
  * POST /api/sessions/:sessionId/pairing-code
  */
-async function requestPairingCode(req, res) {
+async function requestSessionPairingCode(req, res) {
   try {
     const { sessionId } = req.params;
     const { phone_number } = req.body;
 
-    // Verify access
-    const hasAccess = await checkSessionAccess(sessionId, req.profile);
-    if (!hasAccess) {
-      return res.status(403).json({
-        error: 'Forbidden',
-        message: 'Access denied'
-      });
-    }
-
     // Get session
     const { data: session } = await supabaseAdmin
       .from('sessions')
-      .select('session_name, status')
+      .select('session_name, provider, status')
       .eq('id', sessionId)
       .single();
 
@@ -225,11 +246,8 @@ async function requestPairingCode(req, res) {
       });
     }
 
-    // Request pairing code from WAHA
-    const response = await wahaClient.post(
-      `/api/sessions/${session.session_name}/auth/request-code`,
-      { phoneNumber: phone_number }
-    );
+    // Request pairing code from provider
+    const pairingData = await getSessionProvider(session).requestPairingCode(session.session_name, phone_number);
 
     // Update phone number in DB
     await supabaseAdmin
@@ -240,7 +258,7 @@ async function requestPairingCode(req, res) {
     res.json({
       success: true,
       data: {
-        code: response.data.code,
+        code: pairingData.code,
         phone_number
       }
     });
@@ -284,6 +302,21 @@ async function assignSession(req, res) {
       });
     }
 
+    if (assigned_to_team_id) {
+      const { data: team } = await supabaseAdmin
+        .from('teams')
+        .select('created_by_admin_id')
+        .eq('id', assigned_to_team_id)
+        .single();
+
+      if (!team || (req.profile.role !== 'super_admin' && team.created_by_admin_id !== adminId)) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Team not found'
+        });
+      }
+    }
+
     // Create assignment
     const { data: assignment, error } = await supabaseAdmin
       .from('session_assignments')
@@ -324,7 +357,7 @@ async function deleteSession(req, res) {
     // Get session
     const { data: session } = await supabaseAdmin
       .from('sessions')
-      .select('session_name, created_by_admin_id')
+      .select('session_name, provider, created_by_admin_id')
       .eq('id', sessionId)
       .single();
 
@@ -343,11 +376,12 @@ async function deleteSession(req, res) {
       });
     }
 
-    // Delete from WAHA
+    // Delete from provider
     try {
-      await wahaClient.delete(`/api/sessions/${session.session_name}`);
-    } catch (wahaError) {
-      console.error('[Session] WAHA delete error:', wahaError);
+      await getSessionProvider(session).deleteInstance(session.session_name);
+    } catch (providerError) {
+      console.error('[Session] Provider delete error:', providerError);
+      // Continue with DB deletion even if the provider fails
     }
 
     // Delete from database (cascade will handle related records)
@@ -370,56 +404,320 @@ async function deleteSession(req, res) {
 }
 
 /**
- * Helper: Check if user has access to session
+ * Get session details
+ * GET /api/sessions/:sessionId
  */
-async function checkSessionAccess(sessionId, profile) {
-  if (profile.role === 'super_admin') {
-    return true;
+async function getSessionDetails(req, res) {
+  try {
+    const { sessionId } = req.params;
+
+    // Get session from DB
+    const { data: session, error } = await supabaseAdmin
+      .from('sessions')
+      .select('*')
+      .eq('id', sessionId)
+      .single();
+
+    if (error || !session) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Session not found'
+      });
+    }
+
+    // Get live provider status
+    try {
+      session.provider_status = await getSessionProvider(session).getStatus(session.session_name);
+    } catch (err) {
+      session.provider_status = null;
+    }
+
+    res.json({
+      success: true,
+      data: omitSecrets(session)
+    });
+  } catch (error) {
+    console.error('[Session] Get details error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to get session details'
+    });
   }
+}
+
+/**
+ * Rotate webhook secret
+ * POST /api/sessions/:sessionId/webhook-secret/rotate
+ * The previous secret stays valid for a grace period so in-flight
+ * webhooks are not rejected while the provider picks up the new one
+ */
+async function rotateWebhookSecret(req, res) {
+  try {
+    const { sessionId } = req.params;
+
+    const { data: session } = await supabaseAdmin
+      .from('sessions')
+      .select('id, session_name, provider, created_by_admin_id, webhook_secret, webhook_secret_previous, webhook_secret_rotated_at')
+      .eq('id', sessionId)
+      .single();
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Session not found'
+      });
+    }
+
+    if (req.profile.role !== 'super_admin' && session.created_by_admin_id !== req.profile.id) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Insufficient permissions'
+      });
+    }
+
+    const newSecret = generateWebhookSecret();
+    const rotatedAt = new Date().toISOString();
+
+    // Store first: both secrets are accepted from this point on
+    const { error } = await supabaseAdmin
+      .from('sessions')
+      .update({
+        webhook_secret: newSecret,
+        webhook_secret_previous: session.webhook_secret,
+        webhook_secret_rotated_at: rotatedAt
+      })
+      .eq('id', sessionId);
 
-  const { data: session } = await supabaseAdmin
-    .from('sessions')
-    .select('created_by_admin_id')
-    .eq('id', sessionId)
-    .single();
+    if (error) {
+      throw error;
+    }
+
+    // Then switch the provider over to the new secret
+    const provider = getSessionProvider(session);
+    try {
+      await provider.setWebhook(session.session_name, getWebhookConfig(provider, newSecret));
+    } catch (providerError) {
+      console.error('[Session] Webhook re-registration error:', providerError.response?.data || providerError.message);
+
+      // Roll back so the secret the provider still sends remains current,
+      // and a previous secret still in its grace period stays accepted
+      await supabaseAdmin
+        .from('sessions')
+        .update({
+          webhook_secret: session.webhook_secret,
+          webhook_secret_previous: session.webhook_secret_previous,
+          webhook_secret_rotated_at: session.webhook_secret_rotated_at
+        })
+        .eq('id', sessionId);
+
+      return res.status(502).json({
+        error: 'Provider Error',
+        message: 'Failed to register the new webhook secret'
+      });
+    }
+
+    console.log(`[Session] Webhook secret rotated for: ${session.session_name}`);
 
-  if (profile.role === 'admin' && session?.created_by_admin_id === profile.id) {
-    return true;
+    res.json({
+      success: true,
+      message: 'Webhook secret rotated successfully',
+      data: {
+        rotated_at: rotatedAt
+      }
+    });
+  } catch (error) {
+    console.error('[Session] Rotate webhook secret error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to rotate webhook secret'
+    });
   }
+}
+
+/**
+ * Helper: Strip webhook secrets from a session row before returning it
+ */
+function omitSecrets(session) {
+  const {
+    webhook_secret,
+    webhook_secret_previous,
+    ...safeSession
+  } = session;
+
+  return safeSession;
+}
+
+/**
+ * Reconnect a disconnected session
+ * POST /api/sessions/:sessionId/reconnect
+ * Returns QR code or pairing code for reconnection
+ */
+async function reconnectSession(req, res) {
+  try {
+    const { sessionId } = req.params;
+    const { method = 'qr' } = req.body; // 'qr' or 'pairing'
 
-  // Check assignments
-  const { data: assignments } = await supabaseAdmin
-    .from('session_assignments')
-    .select('id, assigned_to_team_id')
-    .eq('session_id', sessionId);
+    // Get session
+    const { data: session, error: sessionError } = await supabaseAdmin
+      .from('sessions')
+      .select('*')
+      .eq('id', sessionId)
+      .single();
 
-  for (const assignment of assignments || []) {
-    if (assignment.assigned_to_user_id === profile.id) {
-      return true;
+    if (sessionError || !session) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Session not found'
+      });
     }
 
-    if (assignment.assigned_to_team_id) {
-      const { data: membership } = await supabaseAdmin
-        .from('team_members')
-        .select('id')
-        .eq('team_id', assignment.assigned_to_team_id)
-        .eq('user_id', profile.id)
-        .single();
+    console.log(`[Session] Reconnecting session: ${session.session_name} using ${method}`);
+
+    const provider = getSessionProvider(session);
+
+    // Check current provider status
+    try {
+      const { status } = await provider.getStatus(session.session_name);
+
+      if (status === 'CONNECTED') {
+        return res.json({
+          success: true,
+          message: 'Session already connected',
+          status: 'CONNECTED'
+        });
+      }
+    } catch (error) {
+      // Instance might not exist, will recreate
+      console.log('[Session] Instance not found, recreating...');
+    }
+
+    // Recreate instance if needed
+    try {
+      // Generate a secret for sessions created before secrets existed
+      let webhookSecret = session.webhook_secret;
+      if (!webhookSecret) {
+        webhookSecret = generateWebhookSecret();
+        await supabaseAdmin
+          .from('sessions')
+          .update({ webhook_secret: webhookSecret })
+          .eq('id', sessionId);
+      }
+
+      await provider.createInstance(session.session_name, getWebhookConfig(provider, webhookSecret));
+    } catch (createError) {
+      console.error('[Session] Instance recreation error:', createError);
+      // Continue anyway - instance might already exist
+    }
 
-      if (membership) {
-        return true;
+    // Get QR code or pairing code based on method
+    if (method === 'pairing') {
+      // Pairing code method
+      const phone = req.body.phone;
+
+      if (!phone) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Phone number required for pairing method'
+        });
       }
+
+      const pairingData = await provider.requestPairingCode(session.session_name, phone);
+
+      return res.json({
+        success: true,
+        method: 'pairing',
+        data: {
+          code: pairingData.code,
+          phone: phone
+        }
+      });
+    } else {
+      // QR code method (default)
+      const qrData = await provider.getQRCode(session.session_name);
+
+      return res.json({
+        success: true,
+        method: 'qr',
+        data: qrData
+      });
     }
+  } catch (error) {
+    console.error('[Session] Reconnect error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to reconnect session'
+    });
   }
+}
+
+/**
+ * Trigger gap-fill sync (pull missed messages)
+ * POST /api/sessions/:sessionId/gap-fill
+ * Optional feature to sync messages missed during disconnect
+ */
+async function triggerGapFillSync(req, res) {
+  try {
+    const { sessionId } = req.params;
+
+    // Get session
+    const { data: session, error: sessionError } = await supabaseAdmin
+      .from('sessions')
+      .select('*')
+      .eq('id', sessionId)
+      .single();
 
-  return false;
+    if (sessionError || !session) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Session not found'
+      });
+    }
+
+    // Check if session is connected
+    if (session.status !== 'CONNECTED') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Session must be connected to sync messages'
+      });
+    }
+
+    console.log(`[Session] Gap-fill sync requested for: ${session.session_name}`);
+
+    // Import and queue gap-fill sync
+    const { enqueueSyncJob } = require('../services/syncService');
+    const { job, created } = await enqueueSyncJob(session.id, 'gap_fill', req.profile.id);
+
+    if (!created) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'A sync is already running for this session'
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Gap-fill sync queued. This may take a few minutes depending on message volume.',
+      status: 'syncing',
+      sync_log_id: job.id
+    });
+  } catch (error) {
+    console.error('[Session] Gap-fill trigger error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to trigger gap-fill sync'
+    });
+  }
 }
 
 module.exports = {
   createSession,
   getSessions,
-  getQRCode,
-  requestPairingCode,
+  getSessionQRCode,
+  requestSessionPairingCode,
   assignSession,
-  deleteSession
+  deleteSession,
+  getSessionDetails,
+  reconnectSession,
+  rotateWebhookSecret,
+  triggerGapFillSync
 };
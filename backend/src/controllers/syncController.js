@@ -1,126 +1,224 @@
 /**
  * Sync Controller
  * Handles message synchronization triggers
+ * Syncs run as background jobs (see syncService); these endpoints queue,
+ * cancel and report on them
  */
 
-const { initialMessageSync, triggerGapFillSync, triggerManualSync } = require('../services/syncService.evolution');
+const {
+  enqueueSyncJob,
+  cancelSyncJob,
+  getLatestSyncJob,
+  serializeSyncJob
+} = require('../services/syncService');
+const ingestService = require('../services/ingestService');
 const { supabaseAdmin } = require('../config/database');
 
+/**
+ * Load a session the user may sync (own session, or any for super_admin)
+ * Sends the error response and returns null otherwise
+ */
+async function getSyncableSession(req, res) {
+  const { sessionId } = req.params;
+
+  const { data: session } = await supabaseAdmin
+    .from('sessions')
+    .select('id, session_name, created_by_admin_id, status')
+    .eq('id', sessionId)
+    .single();
+
+  if (!session) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'Session not found'
+    });
+    return null;
+  }
+
+  if (req.profile.role !== 'super_admin' && session.created_by_admin_id !== req.profile.id) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'You can only sync your own sessions'
+    });
+    return null;
+  }
+
+  return session;
+}
+
+/**
+ * Queue a sync job and answer 202, or 409 if one is already active
+ */
+async function startSyncJob(req, res, syncType) {
+  const session = await getSyncableSession(req, res);
+  if (!session) return;
+
+  if (session.status !== 'CONNECTED') {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Session must be CONNECTED to sync'
+    });
+  }
+
+  const { job, created } = await enqueueSyncJob(session.id, syncType, req.profile.id);
+
+  if (!created) {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: 'A sync is already running for this session',
+      data: serializeSyncJob(job)
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    message: `${syncType === 'initial' ? 'Initial' : 'Gap-fill'} sync queued`,
+    data: serializeSyncJob(job)
+  });
+}
+
 /**
  * Trigger initial message sync for a session
  * POST /api/sessions/:sessionId/sync/initial
  */
 async function triggerInitialSync(req, res) {
   try {
-    const { sessionId } = req.params;
-    const userId = req.profile.id;
+    console.log(`[Sync Controller] Initial sync requested for session: ${req.params.sessionId} by user: ${req.profile.id}`);
 
-    console.log(`[Sync Controller] Initial sync requested for session: ${sessionId} by user: ${userId}`);
+    await startSyncJob(req, res, 'initial');
 
-    // Verify session belongs to user (or user is super_admin)
-    const { data: session } = await supabaseAdmin
-      .from('sessions')
-      .select('id, session_name, created_by_admin_id, status')
-      .eq('id', sessionId)
-      .single();
+  } catch (error) {
+    console.error('[Sync Controller] Trigger initial sync error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to start initial sync'
+    });
+  }
+}
 
-    if (!session) {
-      return res.status(404).json({
-        error: 'Not Found',
-        message: 'Session not found'
-      });
-    }
+/**
+ * Trigger gap-fill sync for a session
+ * POST /api/sessions/:sessionId/sync/gap-fill
+ */
+async function triggerGapFill(req, res) {
+  try {
+    console.log(`[Sync Controller] Gap-fill sync requested for session: ${req.params.sessionId}`);
 
-    if (req.profile.role !== 'super_admin' && session.created_by_admin_id !== userId) {
-      return res.status(403).json({
-        error: 'Forbidden',
-        message: 'You can only sync your own sessions'
-      });
-    }
+    await startSyncJob(req, res, 'gap_fill');
 
-    if (session.status !== 'CONNECTED') {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Session must be CONNECTED to sync'
+  } catch (error) {
+    console.error('[Sync Controller] Trigger gap-fill error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to start gap-fill sync'
+    });
+  }
+}
+
+/**
+ * Cancel the running sync of a session
+ * A running job stops after the chat it is syncing
+ * POST /api/sessions/:sessionId/sync/cancel
+ */
+async function cancelSync(req, res) {
+  try {
+    const session = await getSyncableSession(req, res);
+    if (!session) return;
+
+    const job = await cancelSyncJob(session.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'No sync is running for this session'
       });
     }
 
-    // Start sync in background (don't wait)
-    initialMessageSync(sessionId, (progress) => {
-      console.log(`[Sync Progress] ${progress.processedChats}/${progress.totalChats} chats, ${progress.totalMessages} messages`);
-    }).catch(err => {
-      console.error('[Sync Controller] Background sync error:', err);
-    });
+    console.log(`[Sync Controller] Sync job ${job.id} cancelled by user: ${req.profile.id}`);
 
-    // Return immediately
     res.json({
       success: true,
-      message: 'Initial sync started in background',
-      session_id: sessionId
+      message: job.status === 'cancelled' ? 'Sync cancelled' : 'Sync will stop after the current chat',
+      data: serializeSyncJob(job)
     });
 
   } catch (error) {
-    console.error('[Sync Controller] Trigger initial sync error:', error);
+    console.error('[Sync Controller] Cancel sync error:', error);
     res.status(500).json({
       error: 'Internal Server Error',
-      message: 'Failed to start initial sync'
+      message: 'Failed to cancel sync'
     });
   }
 }
 
 /**
- * Trigger gap-fill sync for a session
- * POST /api/sessions/:sessionId/sync/gap-fill
+ * Get a sync job with the range filled in each chat
+ * Query: limit, offset, incomplete (only chats that did not reach their watermark)
+ * GET /api/sessions/:sessionId/sync/jobs/:jobId
  */
-async function triggerGapFill(req, res) {
+async function getSyncJob(req, res) {
   try {
-    const { sessionId } = req.params;
-    const userId = req.profile.id;
+    const session = await getSyncableSession(req, res);
+    if (!session) return;
 
-    console.log(`[Sync Controller] Gap-fill sync requested for session: ${sessionId}`);
+    const { jobId } = req.params;
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = parseInt(req.query.offset) || 0;
 
-    // Verify session access
-    const { data: session } = await supabaseAdmin
-      .from('sessions')
-      .select('id, created_by_admin_id')
-      .eq('id', sessionId)
-      .single();
+    const { data: job } = await supabaseAdmin
+      .from('sync_logs')
+      .select('*')
+      .eq('id', jobId)
+      .eq('session_id', session.id)
+      .maybeSingle();
 
-    if (!session) {
+    if (!job) {
       return res.status(404).json({
         error: 'Not Found',
-        message: 'Session not found'
+        message: 'Sync job not found'
       });
     }
 
-    if (req.profile.role !== 'super_admin' && session.created_by_admin_id !== userId) {
-      return res.status(403).json({
-        error: 'Forbidden',
-        message: 'Insufficient permissions'
-      });
+    let query = supabaseAdmin
+      .from('sync_log_chats')
+      .select('chat_id, phone_number, name, status, messages_synced, error_message, watermark, filled_from, filled_to, pages_fetched, complete, processed_at', { count: 'exact' })
+      .eq('sync_log_id', job.id)
+      .order('position')
+      .range(offset, offset + limit - 1);
+
+    if (req.query.incomplete === 'true') {
+      query = query.neq('status', 'pending').eq('complete', false);
     }
 
-    // Start gap-fill sync in background
-    triggerGapFillSync(sessionId).catch(err => {
-      console.error('[Sync Controller] Gap-fill error:', err);
-    });
+    const { data: chats, count, error } = await query;
+
+    if (error) {
+      throw error;
+    }
 
     res.json({
       success: true,
-      message: 'Gap-fill sync started in background'
+      data: {
+        ...serializeSyncJob(job),
+        filled_from: job.from_timestamp,
+        filled_to: job.to_timestamp,
+        chats
+      },
+      count
     });
 
   } catch (error) {
-    console.error('[Sync Controller] Trigger gap-fill error:', error);
+    console.error('[Sync Controller] Get sync job error:', error);
     res.status(500).json({
       error: 'Internal Server Error',
-      message: 'Failed to start gap-fill sync'
+      message: 'Failed to get sync job'
     });
   }
 }
 
 /**
  * Get sync status for a session
+ * Includes the progress of the latest sync job
  * GET /api/sessions/:sessionId/sync/status
  */
 async function getSyncStatus(req, res) {
@@ -137,12 +235,17 @@ async function getSyncStatus(req, res) {
       throw error;
     }
 
+    const job = await getLatestSyncJob(sessionId);
+
     res.json({
       success: true,
-      data: syncState || {
-        sync_status: 'idle',
-        last_synced_at: null,
-        total_messages_synced: 0
+      data: {
+        ...(syncState || {
+          sync_status: 'idle',
+          last_synced_at: null,
+          total_messages_synced: 0
+        }),
+        job: serializeSyncJob(job)
       }
     });
 
@@ -155,8 +258,22 @@ async function getSyncStatus(req, res) {
   }
 }
 
+/**
+ * Message ingest throughput of this backend process (webhooks and syncs)
+ * GET /api/ingest/metrics
+ */
+async function getIngestMetrics(req, res) {
+  res.json({
+    success: true,
+    data: ingestService.getIngestMetrics()
+  });
+}
+
 module.exports = {
   triggerInitialSync,
   triggerGapFill,
-  getSyncStatus
+  cancelSync,
+  getSyncJob,
+  getSyncStatus,
+  getIngestMetrics
 };
@@ -0,0 +1,408 @@
+/**
+ * Team Management Controller
+ * Teams belong to the admin who created them (created_by_admin_id)
+ */
+
+const { supabaseAdmin } = require('../config/database');
+
+/**
+ * Create a new team
+ * POST /api/teams
+ */
+async function createTeam(req, res) {
+  try {
+    const { name, description } = req.body;
+
+    const { data: team, error } = await supabaseAdmin
+      .from('teams')
+      .insert({
+        name,
+        description: description || null,
+        created_by_admin_id: req.profile.id
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    console.log(`[Team] Team created: ${team.name} by ${req.profile.username}`);
+
+    res.status(201).json({
+      success: true,
+      data: team
+    });
+  } catch (error) {
+    console.error('[Team] Create team error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create team'
+    });
+  }
+}
+
+/**
+ * Get all teams created by current admin
+ * GET /api/teams
+ */
+async function getTeams(req, res) {
+  try {
+    let query = supabaseAdmin
+      .from('teams')
+      .select('id, name, description, created_by_admin_id, is_active, created_at, updated_at, team_members(count)');
+
+    // Super admin sees every team, admins only their own
+    if (req.profile.role !== 'super_admin') {
+      query = query.eq('created_by_admin_id', req.profile.id);
+    }
+
+    const { data: teams, error } = await query.order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: teams.map(({ team_members, ...team }) => ({
+        ...team,
+        member_count: team_members?.[0]?.count || 0
+      }))
+    });
+  } catch (error) {
+    console.error('[Team] Get teams error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch teams'
+    });
+  }
+}
+
+/**
+ * Get team with its members
+ * GET /api/teams/:teamId
+ */
+async function getTeamById(req, res) {
+  try {
+    const { data: members, error } = await supabaseAdmin
+      .from('team_members')
+      .select('id, joined_at, user:profiles(id, username, full_name, role, is_active)')
+      .eq('team_id', req.team.id)
+      .order('joined_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...req.team,
+        members
+      }
+    });
+  } catch (error) {
+    console.error('[Team] Get team error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch team'
+    });
+  }
+}
+
+/**
+ * Update team name, description or active state
+ * PUT /api/teams/:teamId
+ */
+async function updateTeam(req, res) {
+  try {
+    const { name, description, is_active } = req.body;
+
+    const { data: team, error } = await supabaseAdmin
+      .from('teams')
+      .update({
+        ...(name !== undefined && { name }),
+        ...(description !== undefined && { description }),
+        ...(is_active !== undefined && { is_active }),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', req.team.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: team
+    });
+  } catch (error) {
+    console.error('[Team] Update team error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update team'
+    });
+  }
+}
+
+/**
+ * Delete team (its memberships and assignments are removed with it)
+ * DELETE /api/teams/:teamId
+ */
+async function deleteTeam(req, res) {
+  try {
+    const { error } = await supabaseAdmin
+      .from('teams')
+      .delete()
+      .eq('id', req.team.id);
+
+    if (error) {
+      throw error;
+    }
+
+    console.log(`[Team] Team deleted: ${req.team.name} by ${req.profile.username}`);
+
+    res.json({
+      success: true,
+      message: 'Team deleted successfully'
+    });
+  } catch (error) {
+    console.error('[Team] Delete team error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete team'
+    });
+  }
+}
+
+/**
+ * Add a user to a team
+ * POST /api/teams/:teamId/members
+ */
+async function addTeamMember(req, res) {
+  try {
+    const { user_id } = req.body;
+
+    const { data: user } = await supabaseAdmin
+      .from('profiles')
+      .select('id, is_active, created_by_admin_id')
+      .eq('id', user_id)
+      .single();
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'User not found'
+      });
+    }
+
+    // Members come from the team owner's own users
+    const ownerId = req.team.created_by_admin_id;
+    if (req.profile.role !== 'super_admin' && user.id !== ownerId && user.created_by_admin_id !== ownerId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only add your own users to this team'
+      });
+    }
+
+    if (!user.is_active) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'User is deactivated'
+      });
+    }
+
+    const { data: member, error } = await supabaseAdmin
+      .from('team_members')
+      .insert({
+        team_id: req.team.id,
+        user_id
+      })
+      .select('id, joined_at, user:profiles(id, username, full_name, role, is_active)')
+      .single();
+
+    if (error) {
+      // Unique violation: already a member
+      if (error.code === '23505') {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: 'User is already a member of this team'
+        });
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      data: member
+    });
+  } catch (error) {
+    console.error('[Team] Add member error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to add team member'
+    });
+  }
+}
+
+/**
+ * Remove a user from a team
+ * DELETE /api/teams/:teamId/members/:userId
+ */
+async function removeTeamMember(req, res) {
+  try {
+    const { userId } = req.params;
+
+    const { data: removed, error } = await supabaseAdmin
+      .from('team_members')
+      .delete()
+      .eq('team_id', req.team.id)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+
+    if (!removed?.length) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'User is not a member of this team'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Team member removed successfully'
+    });
+  } catch (error) {
+    console.error('[Team] Remove member error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to remove team member'
+    });
+  }
+}
+
+/**
+ * Get sessions assigned to a team
+ * GET /api/teams/:teamId/sessions
+ */
+async function getTeamSessions(req, res) {
+  try {
+    const { data: assignments, error } = await supabaseAdmin
+      .from('session_assignments')
+      .select('id, assigned_at, session:sessions(id, session_name, provider, phone_number, status)')
+      .eq('assigned_to_team_id', req.team.id)
+      .order('assigned_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: assignments
+    });
+  } catch (error) {
+    console.error('[Team] Get team sessions error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch team sessions'
+    });
+  }
+}
+
+/**
+ * Get chats assigned to a team
+ * GET /api/teams/:teamId/chats
+ */
+async function getTeamChats(req, res) {
+  try {
+    const { data: assignments, error } = await supabaseAdmin
+      .from('chat_assignments')
+      .select(`
+        id,
+        permissions,
+        assigned_at,
+        expires_at,
+        contact:contacts(id, phone_number, name, is_group),
+        session:sessions(id, session_name)
+      `)
+      .eq('assigned_to_team_id', req.team.id)
+      .eq('is_active', true)
+      .order('assigned_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    const now = Date.now();
+
+    res.json({
+      success: true,
+      data: assignments.filter(assignment =>
+        !assignment.expires_at || new Date(assignment.expires_at).getTime() > now
+      )
+    });
+  } catch (error) {
+    console.error('[Team] Get team chats error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch team chats'
+    });
+  }
+}
+
+/**
+ * Load :teamId and require the caller to manage it
+ * Super admins manage every team, admins the teams they created
+ */
+async function loadManagedTeam(req, res, next) {
+  try {
+    const { data: team } = await supabaseAdmin
+      .from('teams')
+      .select('*')
+      .eq('id', req.params.teamId)
+      .single();
+
+    if (!team) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Team not found'
+      });
+    }
+
+    if (req.profile.role !== 'super_admin' && team.created_by_admin_id !== req.profile.id) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only manage your own teams'
+      });
+    }
+
+    req.team = team;
+    next();
+  } catch (error) {
+    console.error('[Team] Load team error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch team'
+    });
+  }
+}
+
+module.exports = {
+  createTeam,
+  getTeams,
+  getTeamById,
+  updateTeam,
+  deleteTeam,
+  addTeamMember,
+  removeTeamMember,
+  getTeamSessions,
+  getTeamChats,
+  loadManagedTeam
+};
@@ -0,0 +1,385 @@
+/**
+ * Message Template Controller
+ * Canned responses: admins manage them for their own library, their teams
+ * and their sessions; agents list the ones they can use in a session and
+ * fill them in for a chat before sending
+ */
+
+const { supabaseAdmin } = require('../config/database');
+const {
+  uploadTemplateMedia,
+  deleteStoredMedia,
+  getMediaTypeFromMimetype,
+  toStoredMediaFields
+} = require('../services/mediaService');
+const {
+  TEMPLATE_COLUMNS,
+  getSessionTemplates: fetchSessionTemplates,
+  getSessionTemplate,
+  resolveTemplateOwner,
+  renderTemplateForChat,
+  toClientTemplates
+} = require('../services/templateService');
+const { TEMPLATE_VARIABLES, findUnknownVariables } = require('../services/templateVariables');
+
+const MANAGED_TEMPLATE_COLUMNS = `${TEMPLATE_COLUMNS}, team:teams(id, name), session:sessions(id, session_name, phone_number)`;
+
+/**
+ * 400 for variables that do not exist
+ * @returns {boolean} - Whether the response was sent
+ */
+function rejectUnknownVariables(res, body) {
+  const unknown = findUnknownVariables(body);
+
+  if (unknown.length === 0) {
+    return false;
+  }
+
+  res.status(400).json({
+    error: 'Bad Request',
+    message: `Unknown template variables: ${unknown.map(name => `{{${name}}}`).join(', ')}`
+  });
+  return true;
+}
+
+/**
+ * 409 for a shortcut already used in the same library, team or session
+ * @returns {boolean} - Whether the response was sent
+ */
+function rejectDuplicateShortcut(res, error, shortcut) {
+  if (error.code !== '23505') {
+    return false;
+  }
+
+  res.status(409).json({
+    error: 'Conflict',
+    message: `A template with the shortcut /${shortcut} already exists here`
+  });
+  return true;
+}
+
+/**
+ * Store a template attachment upload
+ */
+function uploadAttachment(file, asVoice) {
+  const mediaType = getMediaTypeFromMimetype(file.mimetype, asVoice === true || asVoice === 'true');
+  return uploadTemplateMedia(file, mediaType);
+}
+
+/**
+ * Create a template (multipart with an optional "file" attachment)
+ * POST /api/templates
+ */
+async function createTemplate(req, res) {
+  try {
+    const { scope, team_id, session_id, shortcut, title, body, as_voice } = req.body;
+
+    if (!body && !req.file) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Either a body or a media file is required'
+      });
+    }
+
+    if (rejectUnknownVariables(res, body)) {
+      return;
+    }
+
+    const { ownerAdminId, error: ownerError } = await resolveTemplateOwner(req.profile, { scope, team_id, session_id });
+
+    if (ownerError) {
+      return res.status(ownerError.status).json({
+        error: ownerError.error,
+        message: ownerError.message
+      });
+    }
+
+    const mediaInfo = req.file ? await uploadAttachment(req.file, as_voice) : null;
+
+    const { data: template, error } = await supabaseAdmin
+      .from('message_templates')
+      .insert({
+        scope,
+        owner_admin_id: ownerAdminId,
+        team_id: scope === 'team' ? team_id : null,
+        session_id: scope === 'session' ? session_id : null,
+        shortcut,
+        title,
+        body: body || '',
+        ...toStoredMediaFields(mediaInfo),
+        created_by: req.profile.id
+      })
+      .select(MANAGED_TEMPLATE_COLUMNS)
+      .single();
+
+    if (error) {
+      await deleteStoredMedia([mediaInfo?.storage_path, mediaInfo?.thumbnail_path]);
+      if (rejectDuplicateShortcut(res, error, shortcut)) {
+        return;
+      }
+      throw error;
+    }
+
+    console.log(`[Template] Template /${template.shortcut} (${scope}) created by ${req.profile.username}`);
+
+    const [data] = await toClientTemplates([template]);
+
+    res.status(201).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('[Template] Create template error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create template'
+    });
+  }
+}
+
+/**
+ * Templates the current admin manages (super admins: all)
+ * GET /api/templates?scope=&team_id=&session_id=
+ */
+async function getTemplates(req, res) {
+  try {
+    const { scope, team_id, session_id } = req.query;
+
+    let query = supabaseAdmin
+      .from('message_templates')
+      .select(MANAGED_TEMPLATE_COLUMNS);
+
+    if (req.profile.role !== 'super_admin') {
+      query = query.eq('owner_admin_id', req.profile.id);
+    }
+
+    if (scope) {
+      query = query.eq('scope', scope);
+    }
+
+    if (team_id) {
+      query = query.eq('team_id', team_id);
+    }
+
+    if (session_id) {
+      query = query.eq('session_id', session_id);
+    }
+
+    const { data: templates, error } = await query.order('shortcut', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: await toClientTemplates(templates || []),
+      variables: TEMPLATE_VARIABLES
+    });
+  } catch (error) {
+    console.error('[Template] Get templates error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch templates'
+    });
+  }
+}
+
+/**
+ * Update a template's shortcut, title, body or attachment
+ * A new "file" replaces the attachment, remove_media drops it
+ * PUT /api/templates/:templateId
+ */
+async function updateTemplate(req, res) {
+  try {
+    const { shortcut, title, body, remove_media, as_voice } = req.body;
+    const removeMedia = remove_media === true || remove_media === 'true';
+    const template = req.template;
+
+    const nextBody = body !== undefined ? body : template.body;
+    const keepsMedia = !!req.file || (!removeMedia && !!template.media_path);
+
+    if (!nextBody && !keepsMedia) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Either a body or a media file is required'
+      });
+    }
+
+    if (rejectUnknownVariables(res, nextBody)) {
+      return;
+    }
+
+    const mediaInfo = req.file ? await uploadAttachment(req.file, as_voice) : null;
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('message_templates')
+      .update({
+        ...(shortcut !== undefined && { shortcut }),
+        ...(title !== undefined && { title }),
+        ...(body !== undefined && { body }),
+        ...((req.file || removeMedia) && toStoredMediaFields(mediaInfo)),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', template.id)
+      .select(MANAGED_TEMPLATE_COLUMNS)
+      .single();
+
+    if (error) {
+      await deleteStoredMedia([mediaInfo?.storage_path, mediaInfo?.thumbnail_path]);
+      if (rejectDuplicateShortcut(res, error, shortcut)) {
+        return;
+      }
+      throw error;
+    }
+
+    // Sent messages have their own copies
+    if (req.file || removeMedia) {
+      await deleteStoredMedia([template.media_path, template.media_thumbnail_path]);
+    }
+
+    const [data] = await toClientTemplates([updated]);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('[Template] Update template error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update template'
+    });
+  }
+}
+
+/**
+ * Delete a template and its attachment
+ * DELETE /api/templates/:templateId
+ */
+async function deleteTemplate(req, res) {
+  try {
+    const { error } = await supabaseAdmin
+      .from('message_templates')
+      .delete()
+      .eq('id', req.template.id);
+
+    if (error) {
+      throw error;
+    }
+
+    await deleteStoredMedia([req.template.media_path, req.template.media_thumbnail_path]);
+
+    console.log(`[Template] Template /${req.template.shortcut} deleted by ${req.profile.username}`);
+
+    res.json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+  } catch (error) {
+    console.error('[Template] Delete template error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete template'
+    });
+  }
+}
+
+/**
+ * Templates the current user can use in a session
+ * GET /api/sessions/:sessionId/templates
+ */
+async function getSessionTemplates(req, res) {
+  try {
+    const templates = await fetchSessionTemplates(req.params.sessionId, req.profile);
+
+    res.json({
+      success: true,
+      data: await toClientTemplates(templates)
+    });
+  } catch (error) {
+    console.error('[Template] Get session templates error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch templates'
+    });
+  }
+}
+
+/**
+ * Fill a template in for a chat: its variables get the contact's and the
+ * current agent's values
+ * GET /api/sessions/:sessionId/contacts/:contactId/templates/:templateId/render
+ */
+async function renderTemplate(req, res) {
+  try {
+    const { sessionId, contactId, templateId } = req.params;
+
+    const template = await getSessionTemplate(sessionId, templateId, req.profile);
+
+    if (!template) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await renderTemplateForChat(sessionId, contactId, template, req.profile)
+    });
+  } catch (error) {
+    console.error('[Template] Render template error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to render template'
+    });
+  }
+}
+
+/**
+ * Load :templateId and check the current admin manages it
+ * Sets req.template
+ */
+async function loadManagedTemplate(req, res, next) {
+  try {
+    const { data: template } = await supabaseAdmin
+      .from('message_templates')
+      .select(TEMPLATE_COLUMNS)
+      .eq('id', req.params.templateId)
+      .maybeSingle();
+
+    if (!template) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Template not found'
+      });
+    }
+
+    if (req.profile.role !== 'super_admin' && template.owner_admin_id !== req.profile.id) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only manage your own templates'
+      });
+    }
+
+    req.template = template;
+    next();
+  } catch (error) {
+    console.error('[Template] Load template error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch template'
+    });
+  }
+}
+
+module.exports = {
+  createTemplate,
+  getTemplates,
+  updateTemplate,
+  deleteTemplate,
+  getSessionTemplates,
+  renderTemplate,
+  loadManagedTemplate
+};
@@ -1,64 +1,172 @@
 /**
  * Webhook Controller
- * Handles incoming webhooks from WAHA
+ * Handles incoming webhooks from WhatsApp providers (Evolution API, WAHA)
  */
 
 const { supabaseAdmin } = require('../config/database');
-const { handleIncomingMessage, handleMessageAck, handleSessionStatus } = require('../services/webhookService');
+const { enqueueWebhookEvent, replayWebhookEvent: requeueWebhookEvent } = require('../services/webhookQueue');
 
 /**
- * WAHA Webhook Handler
- * POST /api/webhooks/waha
+ * Provider Webhook Handler
+ * POST /api/webhooks/:provider (evolution | waha)
+ * Payloads are persisted first and processed by the webhook queue worker
  */
-async function handleWahaWebhook(req, res) {
+async function handleProviderWebhook(req, res) {
   try {
+    const { provider } = req.params;
     const payload = req.body;
-    const { event, session, data } = payload;
 
-    console.log(`[Webhook] Received event: ${event} for session: ${session}`);
+    console.log(`[Webhook] Received ${provider} event: ${payload.event} for instance: ${req.webhookSession.session_name}`);
 
-    // Find session in database
-    const { data: dbSession, error } = await supabaseAdmin
-      .from('sessions')
-      .select('id, session_name')
-      .eq('session_name', session)
+    const log = await enqueueWebhookEvent(provider, payload);
+
+    // Acknowledge receipt once the event is safely stored
+    res.status(200).json({ success: true, event_id: log.id });
+  } catch (error) {
+    console.error('[Webhook] Failed to persist event:', error);
+    // Not stored - let the provider redeliver
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to store webhook event'
+    });
+  }
+}
+
+/**
+ * List failed / dead-lettered webhook events
+ * GET /api/webhooks/events?status=dead&instance=name&limit=50
+ */
+async function listWebhookEvents(req, res) {
+  try {
+    const { status = 'dead', instance, limit = 50 } = req.query;
+
+    if (!['failed', 'dead', 'pending', 'processing', 'completed'].includes(status)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid status'
+      });
+    }
+
+    let query = supabaseAdmin
+      .from('webhook_logs')
+      .select('id, provider, event_type, instance_name, status, attempts, error_message, received_at, processed_at, next_attempt_at')
+      .eq('status', status);
+
+    // Admins only see events of their own sessions
+    const instanceNames = await getAccessibleInstanceNames(req.profile);
+    if (instanceNames) {
+      query = query.in('instance_name', instanceNames);
+    }
+
+    if (instance) {
+      query = query.eq('instance_name', instance);
+    }
+
+    const { data: events, error } = await query
+      .order('received_at', { ascending: false })
+      .limit(Math.min(parseInt(limit) || 50, 200));
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: events
+    });
+  } catch (error) {
+    console.error('[Webhook] List events error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch webhook events'
+    });
+  }
+}
+
+/**
+ * Replay a failed / dead-lettered webhook event
+ * POST /api/webhooks/events/:eventId/replay
+ */
+async function replayWebhookEvent(req, res) {
+  try {
+    const { eventId } = req.params;
+
+    const { data: event } = await supabaseAdmin
+      .from('webhook_logs')
+      .select('id, instance_name, status')
+      .eq('id', eventId)
       .single();
 
-    if (error || !dbSession) {
-      console.error(`[Webhook] Session not found: ${session}`);
+    if (!event) {
       return res.status(404).json({
         error: 'Not Found',
-        message: 'Session not found'
+        message: 'Webhook event not found'
       });
     }
 
-    // Route to appropriate handler based on event type
-    switch (event) {
-      case 'message':
-        await handleIncomingMessage(dbSession.id, data);
-        break;
-
-      case 'message.ack':
-        await handleMessageAck(dbSession.id, data);
-        break;
+    const instanceNames = await getAccessibleInstanceNames(req.profile);
+    if (instanceNames && !instanceNames.includes(event.instance_name)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Insufficient permissions'
+      });
+    }
 
-      case 'session.status':
-        await handleSessionStatus(dbSession.id, data);
-        break;
+    const replayed = await requeueWebhookEvent(eventId);
 
-      default:
-        console.log(`[Webhook] Unhandled event type: ${event}`);
+    if (!replayed) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Only failed or dead events can be replayed (current status: ${event.status})`
+      });
     }
 
-    // Always return 200 to acknowledge receipt
-    res.status(200).json({ success: true });
+    res.json({
+      success: true,
+      message: 'Webhook event queued for replay',
+      data: replayed
+    });
   } catch (error) {
-    console.error('[Webhook] Error:', error);
-    // Still return 200 to prevent WAHA from retrying
-    res.status(200).json({ success: false, error: error.message });
+    console.error('[Webhook] Replay event error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to replay webhook event'
+    });
   }
 }
 
+/**
+ * Webhook health check
+ * GET /api/webhooks/health
+ */
+async function webhookHealth(req, res) {
+  res.json({
+    success: true,
+    message: 'Webhook endpoint is healthy',
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Helper: Instance names whose events the user may see
+ * Returns null for super admins (no restriction)
+ */
+async function getAccessibleInstanceNames(profile) {
+  if (profile.role === 'super_admin') {
+    return null;
+  }
+
+  const { data: sessions } = await supabaseAdmin
+    .from('sessions')
+    .select('session_name')
+    .eq('created_by_admin_id', profile.id);
+
+  return (sessions || []).map(s => s.session_name);
+}
+
 module.exports = {
-  handleWahaWebhook
+  handleProviderWebhook,
+  listWebhookEvents,
+  replayWebhookEvent,
+  webhookHealth
 };
@@ -4,6 +4,37 @@
 
 const { supabaseAdmin } = require('../config/database');
 
+/**
+ * Resolve an access token to its user and active profile
+ * Shared by the HTTP middleware and the realtime WebSocket server
+ * @returns {Object} - { user, profile } or { error: { status, message } }
+ */
+async function resolveAccessToken(token) {
+  // Verify token with Supabase
+  const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
+
+  if (error || !user) {
+    return { error: { status: 401, error: 'Unauthorized', message: 'Invalid or expired token' } };
+  }
+
+  // Fetch user profile with role
+  const { data: profile, error: profileError } = await supabaseAdmin
+    .from('profiles')
+    .select('*')
+    .eq('id', user.id)
+    .single();
+
+  if (profileError || !profile) {
+    return { error: { status: 403, error: 'Forbidden', message: 'User profile not found' } };
+  }
+
+  if (!profile.is_active) {
+    return { error: { status: 403, error: 'Forbidden', message: 'Account is deactivated' } };
+  }
+
+  return { user, profile };
+}
+
 /**
  * Verify JWT token and attach user to request
  */
@@ -20,34 +51,12 @@ async function authenticate(req, res, next) {
 
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
-    // Verify token with Supabase
-    const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
+    const { user, profile, error } = await resolveAccessToken(token);
 
-    if (error || !user) {
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: 'Invalid or expired token'
-      });
-    }
-
-    // Fetch user profile with role
-    const { data: profile, error: profileError } = await supabaseAdmin
-      .from('profiles')
-      .select('*')
-      .eq('id', user.id)
-      .single();
-
-    if (profileError || !profile) {
-      return res.status(403).json({
-        error: 'Forbidden',
-        message: 'User profile not found'
-      });
-    }
-
-    if (!profile.is_active) {
-      return res.status(403).json({
-        error: 'Forbidden',
-        message: 'Account is deactivated'
+    if (error) {
+      return res.status(error.status).json({
+        error: error.error,
+        message: error.message
       });
     }
 
@@ -116,9 +125,336 @@ function isAdmin(req, res, next) {
   next();
 }
 
+/**
+ * Check if the user has a session assignment, directly or via a team
+ */
+async function hasSessionAssignment(sessionId, profile) {
+  const teamIds = await getUserTeamIds(profile.id);
+  const assignees = [`assigned_to_user_id.eq.${profile.id}`];
+
+  if (teamIds.length > 0) {
+    assignees.push(`assigned_to_team_id.in.(${teamIds.join(',')})`);
+  }
+
+  const { data: assignments, error } = await supabaseAdmin
+    .from('session_assignments')
+    .select('id')
+    .eq('session_id', sessionId)
+    .or(assignees.join(','))
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  return (assignments || []).length > 0;
+}
+
+/**
+ * Check if the user may read and manage every chat of a session
+ * Super admins everywhere, admins in the sessions they own or are assigned
+ * to; an admin reaching a session through chat assignments only gets
+ * those chats, like agents do
+ */
+async function hasFullSessionAccess(sessionId, profile) {
+  if (profile.role === 'super_admin') {
+    return true;
+  }
+
+  if (profile.role !== 'admin') {
+    return false;
+  }
+
+  const { data: session } = await supabaseAdmin
+    .from('sessions')
+    .select('created_by_admin_id')
+    .eq('id', sessionId)
+    .single();
+
+  if (session?.created_by_admin_id === profile.id) {
+    return true;
+  }
+
+  return hasSessionAssignment(sessionId, profile);
+}
+
+/**
+ * Check if user has access to session
+ * Super admins see everything, admins their own sessions,
+ * everyone else needs a session or chat assignment (direct or via a team)
+ */
+async function checkSessionAccess(sessionId, profile) {
+  const hasSessionAccess = ['super_admin', 'admin'].includes(profile.role)
+    ? await hasFullSessionAccess(sessionId, profile)
+    : await hasSessionAssignment(sessionId, profile);
+
+  if (hasSessionAccess) {
+    return true;
+  }
+
+  // A chat assignment grants access to that chat's session
+  const chatAssignments = await getActiveChatAssignments(sessionId, profile);
+  return chatAssignments.length > 0;
+}
+
+/**
+ * Require access to the :sessionId route parameter
+ */
+async function requireSessionAccess(req, res, next) {
+  try {
+    const hasAccess = await checkSessionAccess(req.params.sessionId, req.profile);
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Access denied to this session'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('[Auth] Session access check error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Authorization failed'
+    });
+  }
+}
+
+const FULL_CHAT_PERMISSIONS = { can_view: true, can_send: true, can_manage: true };
+const NO_CHAT_PERMISSIONS = { can_view: false, can_send: false, can_manage: false };
+
+/**
+ * Active team ids the user is a member of
+ * Deactivating a team takes away the access its assignments gave
+ */
+async function getUserTeamIds(userId) {
+  const { data: memberships } = await supabaseAdmin
+    .from('team_members')
+    .select('team_id, teams!inner(is_active)')
+    .eq('user_id', userId)
+    .eq('teams.is_active', true);
+
+  return (memberships || []).map(membership => membership.team_id);
+}
+
+/**
+ * Active (not expired) chat assignments of a user, directly or via a team
+ * @param {string|null} sessionId - Limit to one session (null for all sessions)
+ * @param {string|null} contactId - Limit to one contact
+ */
+async function getActiveChatAssignments(sessionId, profile, contactId = null) {
+  const teamIds = await getUserTeamIds(profile.id);
+  const assignees = [`assigned_to_user_id.eq.${profile.id}`];
+
+  if (teamIds.length > 0) {
+    assignees.push(`assigned_to_team_id.in.(${teamIds.join(',')})`);
+  }
+
+  let query = supabaseAdmin
+    .from('chat_assignments')
+    .select('session_id, contact_id, permissions, expires_at')
+    .eq('is_active', true)
+    .or(assignees.join(','));
+
+  if (sessionId) {
+    query = query.eq('session_id', sessionId);
+  }
+
+  if (contactId) {
+    query = query.eq('contact_id', contactId);
+  }
+
+  const { data: assignments, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  const now = Date.now();
+  return (assignments || []).filter(assignment =>
+    !assignment.expires_at || new Date(assignment.expires_at).getTime() > now
+  );
+}
+
+/**
+ * Resolve what a user may do in one chat of a session they can access
+ * Admins have full access to their own and assigned sessions; otherwise a
+ * chat assignment is needed, and several assignments (user + teams) add up
+ * @returns {Object} - { can_view, can_send, can_manage }
+ */
+async function getChatPermissions(sessionId, contactId, profile) {
+  if (await hasFullSessionAccess(sessionId, profile)) {
+    return { ...FULL_CHAT_PERMISSIONS };
+  }
+
+  const assignments = await getActiveChatAssignments(sessionId, profile, contactId);
+
+  return assignments.reduce((permissions, assignment) => ({
+    can_view: permissions.can_view || assignment.permissions?.can_view !== false,
+    can_send: permissions.can_send || assignment.permissions?.can_send !== false,
+    can_manage: permissions.can_manage || assignment.permissions?.can_manage === true
+  }), { ...NO_CHAT_PERMISSIONS });
+}
+
+/**
+ * Contacts a user may view in a session
+ * @returns {string[]|null} - Contact ids, or null when every chat is visible
+ */
+async function getViewableContactIds(sessionId, profile) {
+  if (await hasFullSessionAccess(sessionId, profile)) {
+    return null;
+  }
+
+  const assignments = await getActiveChatAssignments(sessionId, profile);
+
+  return [...new Set(
+    assignments
+      .filter(assignment => assignment.permissions?.can_view !== false)
+      .map(assignment => assignment.contact_id)
+  )];
+}
+
+/**
+ * Sessions and chats a user may read across all their sessions
+ * Super admins see everything, admins every chat of their own and assigned
+ * sessions, and everyone only the chats assigned to them elsewhere
+ * @returns {Object} - { sessionIds, contactIds } (null means no restriction)
+ */
+async function getAccessibleChatScope(profile) {
+  if (profile.role === 'super_admin') {
+    return { sessionIds: null, contactIds: null };
+  }
+
+  const chatAssignments = (await getActiveChatAssignments(null, profile))
+    .filter(assignment => assignment.permissions?.can_view !== false);
+
+  let fullSessionIds = [];
+
+  if (profile.role === 'admin') {
+    const { data: ownSessions } = await supabaseAdmin
+      .from('sessions')
+      .select('id')
+      .eq('created_by_admin_id', profile.id);
+
+    const teamIds = await getUserTeamIds(profile.id);
+    const assignees = [`assigned_to_user_id.eq.${profile.id}`];
+
+    if (teamIds.length > 0) {
+      assignees.push(`assigned_to_team_id.in.(${teamIds.join(',')})`);
+    }
+
+    const { data: assignments } = await supabaseAdmin
+      .from('session_assignments')
+      .select('session_id')
+      .or(assignees.join(','));
+
+    fullSessionIds = [...new Set([
+      ...(ownSessions || []).map(session => session.id),
+      ...(assignments || []).map(assignment => assignment.session_id)
+    ])];
+  }
+
+  const assignedChats = chatAssignments.filter(assignment => !fullSessionIds.includes(assignment.session_id));
+
+  if (assignedChats.length === 0) {
+    return { sessionIds: fullSessionIds, contactIds: null };
+  }
+
+  const contactIds = assignedChats.map(assignment => assignment.contact_id);
+
+  // Chats assigned in other sessions narrow the search to listed chats:
+  // list every chat of the fully visible sessions too
+  if (fullSessionIds.length > 0) {
+    const { data: contacts, error } = await supabaseAdmin
+      .from('contacts')
+      .select('id')
+      .in('session_id', fullSessionIds);
+
+    if (error) {
+      throw error;
+    }
+
+    contactIds.push(...(contacts || []).map(contact => contact.id));
+  }
+
+  return {
+    sessionIds: [...new Set([...fullSessionIds, ...assignedChats.map(assignment => assignment.session_id)])],
+    contactIds: [...new Set(contactIds)]
+  };
+}
+
+/**
+ * Require a chat permission (can_view, can_send, can_manage)
+ * The chat is the :contactId route parameter, or the body phone_number
+ * for sends - must run after requireSessionAccess
+ */
+function requireChatPermission(permission) {
+  return async (req, res, next) => {
+    try {
+      const { sessionId, contactId } = req.params;
+
+      let query = supabaseAdmin
+        .from('contacts')
+        .select('id')
+        .eq('session_id', sessionId);
+
+      if (contactId) {
+        query = query.eq('id', contactId);
+      } else {
+        // Stored without '+' or a chat id suffix (groups: @g.us)
+        query = query.eq('phone_number', String(req.body.phone_number || '').replace(/^\+/, '').split('@')[0]);
+      }
+
+      const { data: contact } = await query.maybeSingle();
+
+      if (!contact) {
+        // A send may start a new conversation - only admins of the session can do that
+        if (!contactId && await hasFullSessionAccess(sessionId, req.profile)) {
+          req.chatPermissions = { ...FULL_CHAT_PERMISSIONS };
+          return next();
+        }
+
+        return res.status(contactId ? 404 : 403).json({
+          error: contactId ? 'Not Found' : 'Forbidden',
+          message: contactId ? 'Chat not found' : 'Access denied to this chat'
+        });
+      }
+
+      const permissions = await getChatPermissions(sessionId, contact.id, req.profile);
+
+      if (!permissions[permission]) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Access denied to this chat'
+        });
+      }
+
+      req.chatPermissions = permissions;
+      next();
+    } catch (error) {
+      console.error('[Auth] Chat access check error:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Authorization failed'
+      });
+    }
+  };
+}
+
 module.exports = {
   authenticate,
+  resolveAccessToken,
   requireRole,
   isSuperAdmin,
-  isAdmin
+  isAdmin,
+  checkSessionAccess,
+  hasFullSessionAccess,
+  getUserTeamIds,
+  getActiveChatAssignments,
+  requireSessionAccess,
+  requireChatPermission,
+  getChatPermissions,
+  getViewableContactIds,
+  getAccessibleChatScope
 };
@@ -0,0 +1,76 @@
+/**
+ * Upload Middleware
+ * Parses multipart media uploads (kept in memory, then stored in Supabase Storage)
+ */
+
+const multer = require('multer');
+
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 100 * 1024 * 1024; // 100 MB
+
+// MIME types WhatsApp accepts as media or documents
+const ALLOWED_MIME_PREFIXES = ['image/', 'video/', 'audio/'];
+const ALLOWED_DOCUMENT_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/rtf',
+  'application/zip',
+  'application/x-rar-compressed',
+  'application/x-7z-compressed',
+  'application/json',
+  'application/xml',
+  'text/plain',
+  'text/csv'
+];
+
+function isAllowedMimetype(mimetype) {
+  return ALLOWED_MIME_PREFIXES.some(prefix => mimetype.startsWith(prefix)) ||
+    ALLOWED_DOCUMENT_TYPES.includes(mimetype);
+}
+
+const mediaUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, callback) => {
+    if (!isAllowedMimetype(file.mimetype)) {
+      const error = new Error(`Unsupported file type: ${file.mimetype}`);
+      error.code = 'UNSUPPORTED_FILE_TYPE';
+      return callback(error);
+    }
+    callback(null, true);
+  }
+}).single('file');
+
+/**
+ * Accept an optional media file in the "file" field
+ * JSON requests pass through untouched
+ */
+function handleMediaUpload(req, res, next) {
+  mediaUpload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error instanceof multer.MulterError || error.code === 'UNSUPPORTED_FILE_TYPE') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `File too large (max ${Math.round(MAX_FILE_SIZE / 1024 / 1024)} MB)`
+          : error.message
+      });
+    }
+
+    next(error);
+  });
+}
+
+module.exports = {
+  handleMediaUpload
+};
@@ -3,6 +3,8 @@
  */
 
 const { body, param, query, validationResult } = require('express-validator');
+const { SUPPORTED_PROVIDERS } = require('../providers');
+const { isValidTimeZone } = require('../services/scheduleTime');
 
 /**
  * Handle validation errors
@@ -78,6 +80,31 @@ const validateCreateTeam = [
   handleValidationErrors
 ];
 
+const validateUpdateTeam = [
+  param('teamId')
+    .isUUID()
+    .withMessage('Invalid team ID'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Team name must be 2-100 characters'),
+
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be max 500 characters'),
+
+  body('is_active')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('is_active must be a boolean'),
+
+  handleValidationErrors
+];
+
 const validateAddTeamMember = [
   param('teamId')
     .isUUID()
@@ -100,6 +127,11 @@ const validateCreateSession = [
     .matches(/^[a-zA-Z0-9_-]+$/)
     .withMessage('Session name can only contain letters, numbers, underscores, and hyphens'),
 
+  body('provider')
+    .optional()
+    .isIn(SUPPORTED_PROVIDERS)
+    .withMessage(`Provider must be one of: ${SUPPORTED_PROVIDERS.join(', ')}`),
+
   handleValidationErrors
 ];
 
@@ -144,8 +176,145 @@ const validateAssignSession = [
   handleValidationErrors
 ];
 
+// ===== Chat Assignment Validation =====
+
+const validateAssignChat = [
+  param('sessionId')
+    .isUUID()
+    .withMessage('Invalid session ID'),
+
+  param('contactId')
+    .isUUID()
+    .withMessage('Invalid contact ID'),
+
+  body('assigned_to_user_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Invalid user ID'),
+
+  body('assigned_to_team_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Invalid team ID'),
+
+  body('permissions')
+    .optional()
+    .isObject()
+    .withMessage('Permissions must be an object'),
+
+  body(['permissions.can_view', 'permissions.can_send', 'permissions.can_manage'])
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Permission flags must be booleans'),
+
+  body('expires_at')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('expires_at must be an ISO 8601 date')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('expires_at must be in the future');
+      }
+      return true;
+    }),
+
+  body()
+    .custom((value, { req }) => {
+      if (!req.body.assigned_to_user_id && !req.body.assigned_to_team_id) {
+        throw new Error('Must assign to either user or team');
+      }
+      if (req.body.assigned_to_user_id && req.body.assigned_to_team_id) {
+        throw new Error('Cannot assign to both user and team');
+      }
+      return true;
+    }),
+
+  handleValidationErrors
+];
+
+// ===== Contact Validation =====
+
+const CONTACT_IMPORTANCE_LEVELS = ['low', 'normal', 'high', 'urgent'];
+
+const validateUpdateContactMetadata = [
+  param('sessionId')
+    .isUUID()
+    .withMessage('Invalid session ID'),
+
+  param('contactId')
+    .isUUID()
+    .withMessage('Invalid contact ID'),
+
+  body('custom_name')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage('Custom name must be max 255 characters'),
+
+  body('notes')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 10000 })
+    .withMessage('Notes must be max 10000 characters'),
+
+  body('tags')
+    .optional({ nullable: true })
+    .isArray({ max: 20 })
+    .withMessage('Tags must be an array of max 20 items'),
+
+  body('tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each tag must be 1-50 characters'),
+
+  body('importance')
+    .optional({ nullable: true })
+    .isIn(CONTACT_IMPORTANCE_LEVELS)
+    .withMessage(`Importance must be one of: ${CONTACT_IMPORTANCE_LEVELS.join(', ')}`),
+
+  handleValidationErrors
+];
+
+const validateGetChats = [
+  param('sessionId')
+    .isUUID()
+    .withMessage('Invalid session ID'),
+
+  query('tag')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Tag must be 1-50 characters'),
+
+  query('importance')
+    .optional()
+    .isIn(CONTACT_IMPORTANCE_LEVELS)
+    .withMessage(`Importance must be one of: ${CONTACT_IMPORTANCE_LEVELS.join(', ')}`),
+
+  handleValidationErrors
+];
+
 // ===== Message Validation =====
 
+const validateOpenChat = [
+  param('sessionId')
+    .isUUID()
+    .withMessage('Invalid session ID'),
+
+  body('phone_number')
+    .matches(/^\+?[1-9]\d{1,14}$/)
+    .withMessage('Invalid phone number format'),
+
+  body('name')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Name must be at most 255 characters'),
+
+  handleValidationErrors
+];
+
 const validateSendMessage = [
   param('sessionId')
     .isUUID()
@@ -163,9 +332,37 @@ const validateSendMessage = [
 
   body('message_type')
     .optional()
-    .isIn(['text', 'image', 'video', 'audio', 'document'])
+    .isIn(['text', 'image', 'video', 'audio', 'document', 'voice'])
     .withMessage('Invalid message type'),
 
+  body('caption')
+    .optional()
+    .trim()
+    .isLength({ max: 1024 })
+    .withMessage('Caption must be at most 1024 characters'),
+
+  body('as_voice')
+    .optional()
+    .isBoolean()
+    .withMessage('as_voice must be a boolean'),
+
+  body('quoted_message_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Invalid quoted message ID'),
+
+  body('idempotency_key')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Idempotency key must be 1-100 characters'),
+
+  body('template_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Invalid template ID'),
+
   handleValidationErrors
 ];
 
@@ -188,6 +385,374 @@ const validateGetMessages = [
     .isInt({ min: 0 })
     .withMessage('Offset must be >= 0'),
 
+  query(['before', 'after'])
+    .optional()
+    .isBase64({ urlSafe: true })
+    .withMessage('Invalid cursor'),
+
+  query('around')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid message ID'),
+
+  handleValidationErrors
+];
+
+const validateMessageParams = [
+  param('sessionId')
+    .isUUID()
+    .withMessage('Invalid session ID'),
+
+  param('contactId')
+    .isUUID()
+    .withMessage('Invalid contact ID'),
+
+  param('messageId')
+    .isUUID()
+    .withMessage('Invalid message ID'),
+
+  handleValidationErrors
+];
+
+const validateReactToMessage = [
+  param('sessionId')
+    .isUUID()
+    .withMessage('Invalid session ID'),
+
+  param('contactId')
+    .isUUID()
+    .withMessage('Invalid contact ID'),
+
+  param('messageId')
+    .isUUID()
+    .withMessage('Invalid message ID'),
+
+  body('emoji')
+    .isString()
+    .isLength({ max: 16 })
+    .withMessage('Emoji must be a string (empty to remove the reaction)'),
+
+  handleValidationErrors
+];
+
+const validateEditMessage = [
+  param('sessionId')
+    .isUUID()
+    .withMessage('Invalid session ID'),
+
+  param('contactId')
+    .isUUID()
+    .withMessage('Invalid contact ID'),
+
+  param('messageId')
+    .isUUID()
+    .withMessage('Invalid message ID'),
+
+  body('body')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 10000 })
+    .withMessage('Message must be 1-10000 characters'),
+
+  handleValidationErrors
+];
+
+const validateGetMessageMedia = [
+  param('messageId')
+    .isUUID()
+    .withMessage('Invalid message ID'),
+
+  query('download')
+    .optional()
+    .isBoolean()
+    .withMessage('download must be a boolean'),
+
+  handleValidationErrors
+];
+
+const validateGetSyncJob = [
+  param('sessionId')
+    .isUUID()
+    .withMessage('Invalid session ID'),
+
+  param('jobId')
+    .isUUID()
+    .withMessage('Invalid sync job ID'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be 1-500'),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be >= 0'),
+
+  query('incomplete')
+    .optional()
+    .isBoolean()
+    .withMessage('incomplete must be true or false'),
+
+  handleValidationErrors
+];
+
+const validateSearchMessages = [
+  param('sessionId')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid session ID'),
+
+  query('q')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Search query must be 2-200 characters'),
+
+  query(['session_id', 'contact_id'])
+    .optional()
+    .isUUID()
+    .withMessage('Invalid ID'),
+
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601'),
+
+  query('direction')
+    .optional()
+    .isIn(['incoming', 'outgoing'])
+    .withMessage('Direction must be incoming or outgoing'),
+
+  query('type')
+    .optional()
+    .isIn(['text', 'image', 'video', 'audio', 'document', 'sticker', 'location', 'contact', 'voice', 'poll'])
+    .withMessage('Invalid message type'),
+
+  query('has_media')
+    .optional()
+    .isBoolean()
+    .withMessage('has_media must be a boolean'),
+
+  query('sort')
+    .optional()
+    .isIn(['relevance', 'recent'])
+    .withMessage('Sort must be relevance or recent'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be 1-50'),
+
+  handleValidationErrors
+];
+
+// ===== Message Template Validation =====
+
+const validateCreateTemplate = [
+  body('scope')
+    .isIn(['admin', 'team', 'session'])
+    .withMessage('Scope must be admin, team or session'),
+
+  body('team_id')
+    .if(body('scope').equals('team'))
+    .isUUID()
+    .withMessage('team_id is required for team templates'),
+
+  body('session_id')
+    .if(body('scope').equals('session'))
+    .isUUID()
+    .withMessage('session_id is required for session templates'),
+
+  body('shortcut')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9_-]{1,32}$/)
+    .withMessage('Shortcut must be 1-32 letters, digits, - or _'),
+
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be 1-100 characters'),
+
+  body('body')
+    .optional()
+    .isString()
+    .isLength({ max: 10000 })
+    .withMessage('Body must be max 10000 characters'),
+
+  body('as_voice')
+    .optional()
+    .isBoolean()
+    .withMessage('as_voice must be a boolean'),
+
+  handleValidationErrors
+];
+
+const validateUpdateTemplate = [
+  param('templateId')
+    .isUUID()
+    .withMessage('Invalid template ID'),
+
+  body('shortcut')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9_-]{1,32}$/)
+    .withMessage('Shortcut must be 1-32 letters, digits, - or _'),
+
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be 1-100 characters'),
+
+  body('body')
+    .optional()
+    .isString()
+    .isLength({ max: 10000 })
+    .withMessage('Body must be max 10000 characters'),
+
+  body('remove_media')
+    .optional()
+    .isBoolean()
+    .withMessage('remove_media must be a boolean'),
+
+  body('as_voice')
+    .optional()
+    .isBoolean()
+    .withMessage('as_voice must be a boolean'),
+
+  handleValidationErrors
+];
+
+const validateGetTemplates = [
+  query('scope')
+    .optional()
+    .isIn(['admin', 'team', 'session'])
+    .withMessage('Scope must be admin, team or session'),
+
+  query(['team_id', 'session_id'])
+    .optional()
+    .isUUID()
+    .withMessage('Invalid ID'),
+
+  handleValidationErrors
+];
+
+const validateRenderTemplate = [
+  param('sessionId')
+    .isUUID()
+    .withMessage('Invalid session ID'),
+
+  param('contactId')
+    .isUUID()
+    .withMessage('Invalid contact ID'),
+
+  param('templateId')
+    .isUUID()
+    .withMessage('Invalid template ID'),
+
+  handleValidationErrors
+];
+
+// ===== Scheduled Message Validation =====
+
+const SCHEDULED_MESSAGE_STATUSES = ['scheduled', 'sending', 'held', 'sent', 'failed', 'cancelled'];
+
+const validateCreateScheduledMessage = [
+  param('sessionId')
+    .isUUID()
+    .withMessage('Invalid session ID'),
+
+  param('contactId')
+    .isUUID()
+    .withMessage('Invalid contact ID'),
+
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 10000 })
+    .withMessage('Message must be 1-10000 characters'),
+
+  body('send_at')
+    .matches(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/)
+    .withMessage('send_at must be a local date and time (YYYY-MM-DDTHH:mm)'),
+
+  body('timezone')
+    .custom(isValidTimeZone)
+    .withMessage('Invalid time zone'),
+
+  body('template_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Invalid template ID'),
+
+  body('as_voice')
+    .optional()
+    .isBoolean()
+    .withMessage('as_voice must be a boolean'),
+
+  handleValidationErrors
+];
+
+const validateUpdateScheduledMessage = [
+  param(['sessionId', 'contactId', 'scheduledMessageId'])
+    .isUUID()
+    .withMessage('Invalid ID'),
+
+  body('message')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 10000 })
+    .withMessage('Message must be max 10000 characters'),
+
+  body('send_at')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/)
+    .withMessage('send_at must be a local date and time (YYYY-MM-DDTHH:mm)'),
+
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Invalid time zone'),
+
+  body('remove_media')
+    .optional()
+    .isBoolean()
+    .withMessage('remove_media must be a boolean'),
+
+  body('as_voice')
+    .optional()
+    .isBoolean()
+    .withMessage('as_voice must be a boolean'),
+
+  handleValidationErrors
+];
+
+const validateScheduledMessageParams = [
+  param(['sessionId', 'contactId', 'scheduledMessageId'])
+    .isUUID()
+    .withMessage('Invalid ID'),
+
+  handleValidationErrors
+];
+
+const validateGetScheduledMessages = [
+  param('sessionId')
+    .isUUID()
+    .withMessage('Invalid session ID'),
+
+  param('contactId')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid contact ID'),
+
+  query('status')
+    .optional()
+    .isIn(SCHEDULED_MESSAGE_STATUSES)
+    .withMessage(`Status must be one of: ${SCHEDULED_MESSAGE_STATUSES.join(', ')}`),
+
   handleValidationErrors
 ];
 
@@ -211,11 +776,30 @@ module.exports = {
   validateCreateUser,
   validateResetPassword,
   validateCreateTeam,
+  validateUpdateTeam,
   validateAddTeamMember,
   validateCreateSession,
   validateRequestPairingCode,
   validateAssignSession,
+  validateAssignChat,
+  validateUpdateContactMetadata,
+  validateGetChats,
+  validateOpenChat,
   validateSendMessage,
   validateGetMessages,
+  validateMessageParams,
+  validateReactToMessage,
+  validateEditMessage,
+  validateGetMessageMedia,
+  validateSearchMessages,
+  validateGetSyncJob,
+  validateCreateTemplate,
+  validateUpdateTemplate,
+  validateGetTemplates,
+  validateRenderTemplate,
+  validateCreateScheduledMessage,
+  validateUpdateScheduledMessage,
+  validateScheduledMessageParams,
+  validateGetScheduledMessages,
   validateLogin
 };
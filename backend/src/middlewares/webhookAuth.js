@@ -0,0 +1,168 @@
+/**
+ * Webhook Authentication Middleware
+ * Verifies per-instance shared secrets on incoming provider webhooks
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/database');
+const { isSupportedProvider, getProvider, DEFAULT_PROVIDER } = require('../providers');
+
+// How long the previous secret stays valid after a rotation
+const SECRET_GRACE_PERIOD_MS = parseInt(process.env.WEBHOOK_SECRET_GRACE_MS) || 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Whether webhooks of sessions without a secret are still accepted unsigned
+ * Only until WEBHOOK_UNSIGNED_UNTIL (ISO date), the migration window for
+ * sessions created before webhook secrets existed; unset means never
+ */
+function acceptsUnsignedWebhooks() {
+  const until = Date.parse(process.env.WEBHOOK_UNSIGNED_UNTIL || '');
+  return !isNaN(until) && Date.now() < until;
+}
+
+/**
+ * Generate a new webhook secret
+ */
+function generateWebhookSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+
+  if (bufA.length !== bufB.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Secrets currently accepted for a session (current + previous during grace period)
+ */
+function getAcceptedSecrets(session) {
+  const secrets = [];
+
+  if (session.webhook_secret) {
+    secrets.push(session.webhook_secret);
+  }
+
+  if (session.webhook_secret_previous && session.webhook_secret_rotated_at) {
+    const rotatedAt = new Date(session.webhook_secret_rotated_at).getTime();
+    if (Date.now() - rotatedAt < SECRET_GRACE_PERIOD_MS) {
+      secrets.push(session.webhook_secret_previous);
+    }
+  }
+
+  return secrets;
+}
+
+/**
+ * Check the request against a secret
+ * Accepts either a plain token (x-webhook-token) or an HMAC-SHA256
+ * signature of the raw body (x-webhook-signature: sha256=<hex>)
+ */
+function matchesSecret(req, secret) {
+  const token = req.get('x-webhook-token');
+  if (token && safeEqual(token, secret)) {
+    return true;
+  }
+
+  const signature = req.get('x-webhook-signature');
+  if (signature && req.rawBody) {
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(req.rawBody)
+      .digest('hex');
+
+    return safeEqual(signature.replace(/^sha256=/, ''), expected);
+  }
+
+  return false;
+}
+
+/**
+ * Reject a webhook request and log the reason
+ */
+function rejectWebhook(req, res, instance, reason) {
+  console.warn(`[Webhook] Rejected request for instance: ${instance || 'unknown'} from ${req.ip} - ${reason}`);
+
+  return res.status(401).json({
+    error: 'Unauthorized',
+    message: 'Invalid webhook signature'
+  });
+}
+
+/**
+ * Verify a provider webhook (POST /api/webhooks/:provider)
+ * Attaches the matching session as req.webhookSession
+ */
+async function verifyProviderWebhook(req, res, next) {
+  try {
+    const providerName = req.params.provider;
+
+    if (!isSupportedProvider(providerName)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Unknown webhook provider'
+      });
+    }
+
+    const instance = getProvider(providerName).getInstanceName(req.body);
+
+    if (!instance) {
+      return rejectWebhook(req, res, null, 'missing instance name');
+    }
+
+    const { data: session } = await supabaseAdmin
+      .from('sessions')
+      .select('id, session_name, provider, webhook_secret, webhook_secret_previous, webhook_secret_rotated_at')
+      .eq('session_name', instance)
+      .single();
+
+    if (!session) {
+      return rejectWebhook(req, res, instance, 'unknown instance');
+    }
+
+    if ((session.provider || DEFAULT_PROVIDER) !== providerName) {
+      return rejectWebhook(req, res, instance, `session does not use provider ${providerName}`);
+    }
+
+    // Sessions from before webhook secrets get one registered by the
+    // provisioning worker (startWebhookSecretWorker)
+    if (!session.webhook_secret) {
+      if (!acceptsUnsignedWebhooks()) {
+        return rejectWebhook(req, res, instance, 'no webhook secret registered yet');
+      }
+
+      console.warn(`[Webhook] Accepted unsigned request for instance: ${instance} - no webhook secret registered yet (allowed until ${process.env.WEBHOOK_UNSIGNED_UNTIL})`);
+      req.webhookSession = { id: session.id, session_name: session.session_name };
+      return next();
+    }
+
+    const secrets = getAcceptedSecrets(session);
+
+    if (!secrets.some(secret => matchesSecret(req, secret))) {
+      return rejectWebhook(req, res, instance, 'signature mismatch');
+    }
+
+    req.webhookSession = { id: session.id, session_name: session.session_name };
+
+    next();
+  } catch (error) {
+    console.error('[Webhook] Verification error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Webhook verification failed'
+    });
+  }
+}
+
+module.exports = {
+  verifyProviderWebhook,
+  generateWebhookSecret
+};
@@ -0,0 +1,400 @@
+/**
+ * Baileys Message Normalizer
+ * Maps raw Baileys WebMessageInfo records (Evolution API webhooks and
+ * findMessages records, WAHA NOWEB `_data`) to the normalized message
+ * described in providers/index.js
+ *
+ * Besides regular messages a record can carry an update of another message
+ * (kind: 'reaction', 'edit', 'revoke') or nothing we store (kind: 'ignored')
+ */
+
+// Wrappers around the actual content, with the flag they set
+const WRAPPERS = {
+  ephemeralMessage: 'ephemeral',
+  viewOnceMessage: 'view_once',
+  viewOnceMessageV2: 'view_once',
+  viewOnceMessageV2Extension: 'view_once',
+  documentWithCaptionMessage: null,
+  editedMessage: null,
+  deviceSentMessage: null
+};
+
+// Keys next to the content that are not content themselves
+// (base64: media inlined by Evolution API when webhook_base64 is on)
+const NON_CONTENT_KEYS = ['messageContextInfo', 'senderKeyDistributionMessage', 'base64'];
+
+const MEDIA_TYPES = {
+  imageMessage: 'image',
+  videoMessage: 'video',
+  ptvMessage: 'video', // Round video notes
+  audioMessage: 'audio',
+  documentMessage: 'document',
+  stickerMessage: 'sticker'
+};
+
+// protocolMessage.type (numeric in protobuf JSON, names in some Evolution API versions)
+const PROTOCOL_REVOKE = [0, 'REVOKE'];
+const PROTOCOL_EDIT = [14, 'MESSAGE_EDIT'];
+
+/**
+ * Normalize a Baileys message record
+ * @param {Object} raw - WebMessageInfo ({ key, message, messageTimestamp, pushName, ... })
+ * @param {Object} options - { ack } already mapped by the provider adapter
+ */
+function normalizeBaileysMessage(raw, { ack = 'PENDING' } = {}) {
+  const { key, pushName } = raw;
+  const chatId = key.remoteJid;
+
+  const base = {
+    id: key.id,
+    chatId,
+    phoneNumber: chatId.split('@')[0],
+    isGroup: chatId.endsWith('@g.us'),
+    fromMe: !!key.fromMe,
+    participant: key.participant || null,
+    pushName: pushName || null,
+    timestamp: toSeconds(raw.messageTimestamp) || Math.floor(Date.now() / 1000),
+    ack,
+    raw
+  };
+
+  const { message, flags } = unwrap(raw.message);
+  const contentKey = getContentKey(message);
+
+  if (!contentKey) {
+    return { ...base, ...emptyContent(), kind: 'ignored' };
+  }
+
+  const content = message[contentKey];
+
+  if (contentKey === 'reactionMessage') {
+    return {
+      ...base,
+      ...emptyContent(),
+      kind: 'reaction',
+      targetId: content.key?.id || null,
+      // An empty reaction removes the sender's previous one
+      emoji: content.text || '',
+      timestamp: toSeconds(content.senderTimestampMs, 1000) || base.timestamp
+    };
+  }
+
+  if (contentKey === 'protocolMessage') {
+    return { ...base, ...normalizeProtocolMessage(content, base.timestamp) };
+  }
+
+  if (contentKey === 'pollUpdateMessage') {
+    // Votes are end-to-end encrypted with the poll's secret - nothing readable to store
+    return { ...base, ...emptyContent(), kind: 'ignored' };
+  }
+
+  const described = describeContent(contentKey, content);
+  const contextInfo = content?.contextInfo || raw.contextInfo || null;
+
+  const metadata = {
+    ...described.metadata,
+    ...(flags.view_once && { view_once: true }),
+    ...(flags.ephemeral && { ephemeral: true }),
+    ...(contextInfo?.isForwarded && { forwarded: true })
+  };
+
+  return {
+    ...base,
+    kind: 'message',
+    type: described.type,
+    body: described.body,
+    hasMedia: !!described.media,
+    media: described.media,
+    quotedMessageId: contextInfo?.stanzaId || null,
+    metadata: Object.keys(metadata).length > 0 ? metadata : null
+  };
+}
+
+/**
+ * Revokes ("delete for everyone") and edits of earlier messages
+ */
+function normalizeProtocolMessage(protocol, timestamp) {
+  const targetId = protocol.key?.id || null;
+
+  if (PROTOCOL_REVOKE.includes(protocol.type) && targetId) {
+    return { ...emptyContent(), kind: 'revoke', targetId };
+  }
+
+  if (PROTOCOL_EDIT.includes(protocol.type) && targetId && protocol.editedMessage) {
+    const { message } = unwrap(protocol.editedMessage);
+    const contentKey = getContentKey(message);
+    const described = contentKey ? describeContent(contentKey, message[contentKey]) : { body: '' };
+
+    return {
+      ...emptyContent(),
+      kind: 'edit',
+      targetId,
+      body: described.body,
+      timestamp: toSeconds(protocol.timestampMs, 1000) || timestamp
+    };
+  }
+
+  // Ephemeral settings, history sync notifications, key shares...
+  return { ...emptyContent(), kind: 'ignored' };
+}
+
+/**
+ * Type, body, media and details of a content object
+ */
+function describeContent(contentKey, content) {
+  if (contentKey === 'conversation') {
+    return { type: 'text', body: content || '', media: null, metadata: {} };
+  }
+
+  if (contentKey === 'extendedTextMessage') {
+    return {
+      type: 'text',
+      body: content.text || '',
+      media: null,
+      metadata: content.matchedText ? { link: { url: content.matchedText, title: content.title || null } } : {}
+    };
+  }
+
+  if (MEDIA_TYPES[contentKey]) {
+    let type = MEDIA_TYPES[contentKey];
+    if (type === 'audio' && content.ptt) {
+      type = 'voice';
+    }
+
+    return {
+      type,
+      body: content.caption || (type === 'document' ? content.fileName || content.title || '' : ''),
+      media: {
+        mimetype: content.mimetype || 'application/octet-stream',
+        filename: content.fileName || null,
+        url: null
+      },
+      metadata: {
+        ...(content.seconds && { duration: content.seconds }),
+        ...(content.width && content.height && { width: content.width, height: content.height }),
+        ...(contentKey === 'videoMessage' && content.gifPlayback && { gif: true }),
+        ...(contentKey === 'ptvMessage' && { video_note: true })
+      }
+    };
+  }
+
+  if (contentKey === 'locationMessage' || contentKey === 'liveLocationMessage') {
+    const location = {
+      latitude: content.degreesLatitude,
+      longitude: content.degreesLongitude,
+      name: content.name || null,
+      address: content.address || null,
+      url: content.url || null,
+      live: contentKey === 'liveLocationMessage'
+    };
+
+    return {
+      type: 'location',
+      body: content.caption || [location.name, location.address].filter(Boolean).join('\n') ||
+        `${location.latitude}, ${location.longitude}`,
+      media: null,
+      metadata: { location }
+    };
+  }
+
+  if (contentKey === 'contactMessage' || contentKey === 'contactsArrayMessage') {
+    const cards = contentKey === 'contactMessage' ? [content] : content.contacts || [];
+    const contacts = cards.map(card => {
+      const vcard = parseVCard(card.vcard);
+      return {
+        name: card.displayName || vcard.name,
+        phone_numbers: vcard.phoneNumbers,
+        vcard: card.vcard || null
+      };
+    });
+
+    return {
+      type: 'contact',
+      body: content.displayName || contacts.map(contact => contact.name).filter(Boolean).join(', '),
+      media: null,
+      metadata: { contacts }
+    };
+  }
+
+  if (['pollCreationMessage', 'pollCreationMessageV2', 'pollCreationMessageV3'].includes(contentKey)) {
+    return {
+      type: 'poll',
+      body: content.name || '',
+      media: null,
+      metadata: {
+        poll: {
+          name: content.name || '',
+          options: (content.options || []).map(option => option.optionName),
+          selectable_count: content.selectableOptionsCount || 0
+        }
+      }
+    };
+  }
+
+  // Replies to business buttons and lists arrive as text
+  if (contentKey === 'buttonsResponseMessage') {
+    return textReply('button', content.selectedButtonId, content.selectedDisplayText);
+  }
+
+  if (contentKey === 'templateButtonReplyMessage') {
+    return textReply('button', content.selectedId, content.selectedDisplayText);
+  }
+
+  if (contentKey === 'listResponseMessage') {
+    return textReply('list', content.singleSelectReply?.selectedRowId, content.title, content.description);
+  }
+
+  if (contentKey === 'interactiveResponseMessage') {
+    const params = parseJson(content.nativeFlowResponseMessage?.paramsJson);
+    return textReply('interactive', params?.id || null, content.body?.text || '');
+  }
+
+  // Business messages with buttons or lists (usually sent by bots)
+  if (contentKey === 'buttonsMessage') {
+    return {
+      type: 'text',
+      body: content.contentText || content.text || '',
+      media: null,
+      metadata: { buttons: (content.buttons || []).map(button => button.buttonText?.displayText).filter(Boolean) }
+    };
+  }
+
+  if (contentKey === 'templateMessage') {
+    const template = content.hydratedTemplate || content.hydratedFourRowTemplate || {};
+    return {
+      type: 'text',
+      body: template.hydratedContentText || '',
+      media: null,
+      metadata: {
+        buttons: (template.hydratedButtons || [])
+          .map(button => button.quickReplyButton?.displayText || button.urlButton?.displayText || button.callButton?.displayText)
+          .filter(Boolean)
+      }
+    };
+  }
+
+  if (contentKey === 'listMessage') {
+    return {
+      type: 'text',
+      body: [content.title, content.description].filter(Boolean).join('\n'),
+      media: null,
+      metadata: { list: { button: content.buttonText || null } }
+    };
+  }
+
+  if (contentKey === 'interactiveMessage') {
+    return { type: 'text', body: content.body?.text || '', media: null, metadata: {} };
+  }
+
+  return { type: 'text', body: '', media: null, metadata: { unsupported: contentKey } };
+}
+
+function textReply(kind, id, title, description = null) {
+  return {
+    type: 'text',
+    body: title || '',
+    media: null,
+    metadata: {
+      reply: {
+        kind,
+        id: id || null,
+        title: title || null,
+        ...(description && { description })
+      }
+    }
+  };
+}
+
+/**
+ * Strip ephemeral / view-once / edit wrappers, remembering which were present
+ */
+function unwrap(message) {
+  const flags = {};
+  let current = message || {};
+
+  for (;;) {
+    const wrapperKey = Object.keys(WRAPPERS).find(key => current[key]?.message);
+    if (!wrapperKey) {
+      break;
+    }
+
+    if (WRAPPERS[wrapperKey]) {
+      flags[WRAPPERS[wrapperKey]] = true;
+    }
+    current = current[wrapperKey].message;
+  }
+
+  return { message: current, flags };
+}
+
+function getContentKey(message) {
+  return Object.keys(message || {}).find(key =>
+    !NON_CONTENT_KEYS.includes(key) && message[key] !== null && message[key] !== undefined
+  ) || null;
+}
+
+function emptyContent() {
+  return {
+    type: 'text',
+    body: '',
+    hasMedia: false,
+    media: null,
+    quotedMessageId: null,
+    metadata: null
+  };
+}
+
+/**
+ * Name and phone numbers of a vCard
+ */
+function parseVCard(vcard) {
+  const result = { name: null, phoneNumbers: [] };
+
+  if (!vcard) {
+    return result;
+  }
+
+  for (const line of vcard.split(/\r?\n/)) {
+    if (/^FN[:;]/i.test(line)) {
+      result.name = line.slice(line.indexOf(':') + 1).trim() || null;
+    } else if (/^(item\d+\.)?TEL[:;]/i.test(line)) {
+      // WhatsApp puts the bare number in waid=, the formatted one after the colon
+      const waid = line.match(/waid=(\d+)/i);
+      const number = waid ? waid[1] : line.slice(line.indexOf(':') + 1).replace(/[^\d+]/g, '');
+      if (number) {
+        result.phoneNumbers.push(number);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Timestamps arrive as numbers, numeric strings or protobuf Long objects
+ * @param {number} divisor - 1000 for millisecond values
+ */
+function toSeconds(value, divisor = 1) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const number = typeof value === 'object' && 'low' in value
+    ? (value.high || 0) * 4294967296 + (value.low >>> 0)
+    : Number(value);
+
+  return Number.isFinite(number) && number > 0 ? Math.floor(number / divisor) : null;
+}
+
+function parseJson(value) {
+  try {
+    return value ? JSON.parse(value) : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  normalizeBaileysMessage,
+  parseVCard
+};
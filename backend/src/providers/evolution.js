@@ -0,0 +1,483 @@
+/**
+ * Evolution API Provider Adapter
+ * Maps Evolution API (Baileys) requests and payloads to the provider interface
+ */
+
+const evolution = require('../config/evolution');
+const { normalizeBaileysMessage } = require('./baileys');
+
+// Events forwarded by Evolution API to our webhook
+const WEBHOOK_EVENTS = [
+  'QRCODE_UPDATED',
+  'CONNECTION_UPDATE',
+  'MESSAGES_SET',
+  'MESSAGES_UPSERT',
+  'MESSAGES_UPDATE',
+  'MESSAGES_DELETE',
+  'SEND_MESSAGE',
+  'CONTACTS_SET',
+  'CONTACTS_UPSERT',
+  'CONTACTS_UPDATE',
+  'CHATS_SET',
+  'CHATS_UPSERT',
+  'CHATS_UPDATE',
+  'CHATS_DELETE',
+  'GROUPS_UPSERT',
+  'GROUP_UPDATE',
+  'GROUP_PARTICIPANTS_UPDATE'
+];
+
+// GROUP_PARTICIPANTS_UPDATE actions we store
+const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+
+// ===== Instance management =====
+
+async function createInstance(sessionName, webhook) {
+  const response = await evolution.createInstance(sessionName);
+
+  // Register webhook with the per-instance secret
+  await setWebhook(sessionName, webhook);
+
+  return response;
+}
+
+async function deleteInstance(sessionName) {
+  return evolution.deleteInstance(sessionName);
+}
+
+async function setWebhook(sessionName, { url, secret }) {
+  return evolution.setWebhook(sessionName, url, WEBHOOK_EVENTS, secret);
+}
+
+async function getStatus(sessionName) {
+  const data = await evolution.getInstanceStatus(sessionName);
+  const state = data?.instance?.state || data?.state || null;
+
+  return {
+    status: mapConnectionState(state),
+    state
+  };
+}
+
+// ===== Authentication =====
+
+async function getQRCode(sessionName) {
+  const qrData = await evolution.getQRCode(sessionName);
+
+  return {
+    qrcode: qrData.base64 || qrData.code,
+    pairingCode: qrData.pairingCode || null
+  };
+}
+
+async function requestPairingCode(sessionName, phoneNumber) {
+  const pairingData = await evolution.requestPairingCode(sessionName, phoneNumber);
+
+  return {
+    code: pairingData.code || pairingData.pairingCode
+  };
+}
+
+// ===== Messaging =====
+
+function toChatId(phoneNumber) {
+  return phoneNumber.includes('@') ? phoneNumber : `${phoneNumber}@s.whatsapp.net`;
+}
+
+async function sendText(sessionName, chatId, text, { quoted = null } = {}) {
+  return toSendResult(await evolution.sendTextMessage(sessionName, chatId, text, {
+    quoted: toQuoted(chatId, quoted)
+  }));
+}
+
+async function sendMedia(sessionName, chatId, { url, caption = '', mimetype = null, filename = null, mediaType = 'document', quoted = null }) {
+  // Voice notes go through the PTT endpoint so they play inline
+  if (mediaType === 'voice') {
+    return toSendResult(await evolution.sendAudioMessage(sessionName, chatId, url, {
+      quoted: toQuoted(chatId, quoted)
+    }));
+  }
+
+  return toSendResult(await evolution.sendMediaMessage(sessionName, chatId, {
+    media: url,
+    mediatype: mediaType,
+    mimetype,
+    fileName: filename,
+    caption,
+    quoted: toQuoted(chatId, quoted)
+  }));
+}
+
+async function sendReaction(sessionName, chatId, target, emoji) {
+  return toSendResult(await evolution.sendReaction(sessionName, toMessageKey(chatId, target), emoji));
+}
+
+async function editMessage(sessionName, chatId, target, text) {
+  return toSendResult(await evolution.updateMessage(sessionName, chatId, toMessageKey(chatId, target), text));
+}
+
+async function deleteMessage(sessionName, chatId, target) {
+  return toSendResult(await evolution.deleteMessageForEveryone(sessionName, toMessageKey(chatId, target)));
+}
+
+async function markRead(sessionName, chatId) {
+  return evolution.markMessageRead(sessionName, chatId, null);
+}
+
+// ===== History =====
+
+async function fetchChats(sessionName) {
+  const chats = await evolution.getAllChats(sessionName);
+
+  return (chats || [])
+    .filter(chat => chat.id)
+    .map(normalizeChat);
+}
+
+async function fetchMessagePage(sessionName, chatId, { page = 1, pageSize = 50 } = {}) {
+  const response = await evolution.getChatMessages(sessionName, chatId, { page, pageSize });
+  const records = extractMessages(response);
+
+  // v2 reports the page count; older versions only return a plain list
+  const pages = response?.messages?.pages;
+
+  return {
+    messages: records
+      .filter(msg => msg?.key?.id && msg.message)
+      .map(normalizeMessage)
+      .sort((a, b) => b.timestamp - a.timestamp),
+    hasMore: pages ? page < pages : records.length >= pageSize
+  };
+}
+
+async function fetchGroups(sessionName) {
+  const groups = await evolution.fetchAllGroups(sessionName);
+  return toArray(groups).filter(group => group?.id).map(normalizeGroup);
+}
+
+async function downloadMedia(sessionName, message) {
+  // WhatsApp media URLs are encrypted - Evolution API decrypts them for us
+  const data = await evolution.downloadMedia(sessionName, message.id, false);
+  return Buffer.from(data);
+}
+
+// ===== Webhooks =====
+
+function getInstanceName(payload) {
+  return payload?.instance || null;
+}
+
+function getEventName(payload) {
+  return payload?.event || 'unknown';
+}
+
+/**
+ * Normalize an Evolution API webhook payload into provider-neutral events
+ */
+function normalizeWebhook(payload) {
+  const { event, data } = payload;
+
+  // Normalize event name to uppercase for consistency
+  const normalizedEvent = event?.toUpperCase().replace(/\./g, '_');
+
+  switch (normalizedEvent) {
+    case 'MESSAGES_UPSERT':
+    case 'MESSAGES_SET':
+      return toArray(data)
+        .filter(msg => msg?.key?.id && msg.message)
+        .map(msg => ({ type: 'message', message: normalizeMessage(msg) }));
+
+    case 'MESSAGES_UPDATE':
+      return toArray(data)
+        .filter(item => item?.key?.id && item.update?.status !== undefined)
+        .map(item => ({
+          type: 'message.ack',
+          messageId: item.key.id,
+          ack: mapAckStatus(item.update.status)
+        }));
+
+    case 'MESSAGES_DELETE':
+      // "Delete for everyone" - same as a revoke protocol message
+      return toArray(data)
+        .map(item => item?.key || item)
+        .filter(key => key?.id && key.remoteJid)
+        .map(key => ({
+          type: 'message',
+          message: normalizeBaileysMessage({
+            key: { ...key, id: `revoke_${key.id}` },
+            message: { protocolMessage: { type: 0, key } }
+          })
+        }));
+
+    case 'CONNECTION_UPDATE':
+      return [{
+        type: 'session.status',
+        status: mapConnectionState(data?.state),
+        state: data?.state || null,
+        reason: data?.statusReason || null
+      }];
+
+    case 'QRCODE_UPDATED': {
+      const qrcode = data?.qrcode;
+      return [{
+        type: 'session.qr',
+        qrcode: qrcode?.base64 || qrcode?.code || qrcode,
+        pairingCode: qrcode?.pairingCode || null
+      }];
+    }
+
+    case 'CONTACTS_UPSERT':
+    case 'CONTACTS_SET':
+    case 'CONTACTS_UPDATE':
+      return [{
+        type: 'contacts',
+        contacts: toArray(data).filter(contact => contact?.id).map(contact => ({
+          chatId: contact.id,
+          phoneNumber: contact.id.split('@')[0],
+          // CRITICAL: Don't use contact.notify - it changes based on last message sender!
+          // Only use reliable, stable contact information
+          name: contact.name || contact.verifiedName || null,
+          isGroup: contact.id.endsWith('@g.us')
+        }))
+      }];
+
+    case 'CHATS_UPSERT':
+    case 'CHATS_SET':
+    case 'CHATS_UPDATE':
+      return [{
+        type: 'chats',
+        chats: toArray(data).filter(chat => chat?.id).map(normalizeChat)
+      }];
+
+    case 'GROUPS_UPSERT':
+    case 'GROUP_UPDATE':
+      // Updates carry only the changed fields
+      return toArray(data)
+        .filter(group => group?.id)
+        .map(group => ({ type: 'group', group: normalizeGroup(group) }));
+
+    case 'GROUP_PARTICIPANTS_UPDATE':
+      return data?.id && PARTICIPANT_ACTIONS.includes(data.action)
+        ? [{
+            type: 'group.participants',
+            chatId: data.id,
+            phoneNumber: data.id.split('@')[0],
+            action: data.action,
+            participants: toArray(data.participants).map(toParticipant).filter(Boolean)
+          }]
+        : [];
+
+    case 'SEND_MESSAGE':
+      // Outgoing message confirmation - the message is stored when sent
+      return [];
+
+    default:
+      console.log(`[Evolution API] Unhandled event type: ${event} (normalized: ${normalizedEvent})`);
+      return [];
+  }
+}
+
+// ===== Normalization helpers =====
+
+/**
+ * Normalize a Baileys message (webhook or findMessages record)
+ */
+function normalizeMessage(raw) {
+  return normalizeBaileysMessage(raw, { ack: mapAckStatus(raw.status) });
+}
+
+/**
+ * Normalize a findChats record or chat webhook item
+ */
+function normalizeChat(chat) {
+  return {
+    chatId: chat.id,
+    phoneNumber: chat.id.split('@')[0],
+    // Don't use pushName - it changes based on last message sender!
+    name: chat.name || chat.verifiedName || chat.notify || null,
+    isGroup: chat.id.endsWith('@g.us'),
+    unreadCount: chat.unreadCount || 0,
+    conversationTimestamp: chat.conversationTimestamp,
+    archived: chat.archived || false,
+    pinned: chat.pinned || false
+  };
+}
+
+/**
+ * Normalize Baileys group metadata (fetchAllGroups record or group webhook item)
+ * Fields missing from partial updates are undefined
+ */
+function normalizeGroup(group) {
+  return {
+    chatId: group.id,
+    phoneNumber: group.id.split('@')[0],
+    subject: group.subject,
+    description: group.desc ?? group.description,
+    owner: group.owner ? group.owner.split('@')[0] : undefined,
+    participants: Array.isArray(group.participants)
+      ? group.participants.map(toParticipant).filter(Boolean)
+      : null
+  };
+}
+
+/**
+ * Group participant: a JID, or { id, admin } in group metadata
+ */
+function toParticipant(participant) {
+  const id = typeof participant === 'string' ? participant : participant?.id;
+  if (!id) {
+    return null;
+  }
+
+  return {
+    chatId: id,
+    phoneNumber: id.split('@')[0],
+    role: participant.admin === 'superadmin' || participant.admin === 'admin' ? participant.admin : 'member'
+  };
+}
+
+/**
+ * findMessages has returned several response shapes across Evolution API versions
+ */
+function extractMessages(response) {
+  if (Array.isArray(response)) {
+    return response;
+  }
+
+  if (Array.isArray(response?.messages)) {
+    return response.messages;
+  }
+
+  if (Array.isArray(response?.messages?.records)) {
+    return response.messages.records;
+  }
+
+  if (Array.isArray(response?.data)) {
+    return response.data;
+  }
+
+  if (Array.isArray(response?.data?.messages)) {
+    return response.data.messages;
+  }
+
+  if (response) {
+    // Try to find any array property in the response
+    console.warn('[Evolution API] Unknown findMessages response format, searching for array...');
+    const arrayValue = Object.values(response).find(Array.isArray);
+    if (arrayValue) {
+      return arrayValue;
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Baileys key of a stored message
+ * @param {Object} target - { id, fromMe, participant }
+ */
+function toMessageKey(chatId, target) {
+  return {
+    remoteJid: chatId,
+    fromMe: target.fromMe,
+    id: target.id,
+    ...(target.participant && { participant: target.participant })
+  };
+}
+
+/**
+ * Quoted message option: Baileys needs the key and the content it quotes
+ */
+function toQuoted(chatId, quoted) {
+  if (!quoted) {
+    return null;
+  }
+
+  return {
+    key: toMessageKey(chatId, quoted),
+    message: { conversation: quoted.body || '' }
+  };
+}
+
+function toSendResult(response) {
+  return {
+    id: response?.key?.id || response?.message?.key?.id || null,
+    timestamp: Number(response?.messageTimestamp) || Math.floor(Date.now() / 1000),
+    raw: response
+  };
+}
+
+function toArray(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Map Evolution API connection state to our session status
+ */
+function mapConnectionState(state) {
+  switch (state) {
+    case 'open':
+      return 'CONNECTED';
+    case 'connecting':
+      return 'CONNECTING';
+    default:
+      return 'DISCONNECTED';
+  }
+}
+
+/**
+ * Map Evolution API status to our ACK enum
+ */
+function mapAckStatus(status) {
+  const statusMap = {
+    0: 'PENDING',
+    1: 'SERVER',
+    2: 'DEVICE',
+    3: 'READ',
+    4: 'PLAYED',
+    // Newer Evolution API versions send status names
+    ERROR: 'PENDING',
+    PENDING: 'PENDING',
+    SERVER_ACK: 'SERVER',
+    DELIVERY_ACK: 'DEVICE',
+    READ: 'READ',
+    PLAYED: 'PLAYED'
+  };
+
+  return statusMap[status] || 'PENDING';
+}
+
+module.exports = {
+  name: 'evolution',
+
+  // Instance management
+  createInstance,
+  deleteInstance,
+  setWebhook,
+  getStatus,
+
+  // Authentication
+  getQRCode,
+  requestPairingCode,
+
+  // Messaging
+  toChatId,
+  sendText,
+  sendMedia,
+  sendReaction,
+  editMessage,
+  deleteMessage,
+  markRead,
+
+  // History
+  fetchChats,
+  fetchMessagePage,
+  fetchGroups,
+  downloadMedia,
+
+  // Webhooks
+  getInstanceName,
+  getEventName,
+  normalizeWebhook
+};
@@ -0,0 +1,107 @@
+/**
+ * WhatsApp Provider Registry
+ * Resolves the provider adapter (Evolution API or WAHA) used by a session
+ *
+ * Every adapter implements the same interface so controllers and services
+ * never talk to a provider API directly:
+ *
+ *   name                                          - 'evolution' | 'waha'
+ *   createInstance(sessionName, webhook)          - Create (and start) an instance with its webhook
+ *   deleteInstance(sessionName)
+ *   setWebhook(sessionName, webhook)              - webhook: { url, secret }
+ *   getStatus(sessionName)                        -> { status, state }
+ *   getQRCode(sessionName)                        -> { qrcode, pairingCode }
+ *   requestPairingCode(sessionName, phoneNumber)  -> { code }
+ *   toChatId(phoneNumber)                         - Provider chat id for a phone number
+ *   sendText(sessionName, chatId, text, { quoted })
+ *                                                 -> { id, timestamp, raw }
+ *   sendMedia(sessionName, chatId, media)         -> { id, timestamp, raw }
+ *                                                    media: { url, caption, mimetype, filename, mediaType, quoted }
+ *   sendReaction(sessionName, chatId, target, emoji)
+ *                                                 -> { id, timestamp, raw } ('' removes our reaction)
+ *   editMessage(sessionName, chatId, target, text)   -> { id, timestamp, raw }
+ *   deleteMessage(sessionName, chatId, target)    -> { id, timestamp, raw } - delete for everyone
+ *                                                    target / quoted: stored message
+ *                                                    { id, fromMe, participant } (+ body when quoted)
+ *   markRead(sessionName, chatId)
+ *   fetchChats(sessionName)                       -> [normalized chat]
+ *   fetchMessagePage(sessionName, chatId, { page, pageSize })
+ *                                                 -> { messages: [normalized message], hasMore }
+ *                                                    page 1 holds the newest messages, newest first
+ *   fetchGroups(sessionName)                      -> [normalized group]
+ *   downloadMedia(sessionName, message)           -> Buffer
+ *   getInstanceName(payload)                      - Instance a webhook payload belongs to
+ *   getEventName(payload)
+ *   normalizeWebhook(payload)                     -> [normalized event]
+ *
+ * Normalized message (Baileys records go through providers/baileys.js):
+ *   { id, kind, chatId, phoneNumber, isGroup, fromMe, participant, pushName,
+ *     timestamp (unix seconds), type, body, hasMedia, media: { mimetype, filename, url } | null,
+ *     quotedMessageId, metadata, ack, raw }
+ *   kind: 'message'  - a message to store
+ *         'reaction' - + { targetId, emoji } ('' removes the sender's reaction)
+ *         'edit'     - + { targetId } with the new body
+ *         'revoke'   - + { targetId } deleted for everyone
+ *         'ignored'  - protocol messages, poll votes...
+ *
+ * Normalized chat:
+ *   { chatId, phoneNumber, name, isGroup, unreadCount, conversationTimestamp, archived, pinned }
+ *
+ * Normalized group:
+ *   { chatId, phoneNumber, subject, description, owner (phone number),
+ *     participants: [{ chatId, phoneNumber, role: 'member' | 'admin' | 'superadmin' }] | null }
+ *   Group updates leave the fields they do not change undefined, and participants null
+ *
+ * Normalized webhook events:
+ *   { type: 'message', message }
+ *   { type: 'message.ack', messageId, ack }
+ *   { type: 'session.status', status, state, reason }
+ *   { type: 'session.qr', qrcode, pairingCode }
+ *   { type: 'contacts', contacts: [{ chatId, phoneNumber, name, isGroup }] }
+ *   { type: 'chats', chats: [normalized chat] }
+ *   { type: 'group', group: normalized group }
+ *   { type: 'group.participants', chatId, phoneNumber, action, participants: [{ chatId, phoneNumber, role }] }
+ *                                                    action: 'add' | 'remove' | 'promote' | 'demote'
+ */
+
+// Adapters are loaded lazily: each provider client refuses to load
+// without its own configuration, and most deployments only configure one
+const PROVIDERS = {
+  evolution: () => require('./evolution'),
+  waha: () => require('./waha')
+};
+
+const DEFAULT_PROVIDER = process.env.WHATSAPP_PROVIDER || 'evolution';
+
+/**
+ * Check if a provider name is supported
+ */
+function isSupportedProvider(name) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+}
+
+/**
+ * Get a provider adapter by name
+ */
+function getProvider(name = DEFAULT_PROVIDER) {
+  if (!isSupportedProvider(name)) {
+    throw new Error(`Unknown WhatsApp provider: ${name}`);
+  }
+
+  return PROVIDERS[name]();
+}
+
+/**
+ * Get the provider adapter for a session row
+ */
+function getSessionProvider(session) {
+  return getProvider(session.provider || DEFAULT_PROVIDER);
+}
+
+module.exports = {
+  SUPPORTED_PROVIDERS: Object.keys(PROVIDERS),
+  DEFAULT_PROVIDER,
+  isSupportedProvider,
+  getProvider,
+  getSessionProvider
+};
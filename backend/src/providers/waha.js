@@ -0,0 +1,640 @@
+/**
+ * WAHA Provider Adapter
+ * Maps WAHA (WhatsApp HTTP API) requests and payloads to the provider interface
+ */
+
+const wahaClient = require('../config/waha');
+const { normalizeBaileysMessage } = require('./baileys');
+
+// Events forwarded by WAHA to our webhook
+// message.any also covers messages sent from the phone itself
+const WEBHOOK_EVENTS = [
+  'message.any',
+  'message.ack',
+  'message.reaction',
+  'message.edited',
+  'message.revoked',
+  'group.v2.join',
+  'group.v2.update',
+  'group.v2.participants',
+  'session.status'
+];
+
+// group.v2.participants types -> normalized participant actions
+const PARTICIPANT_ACTIONS = {
+  join: 'add',
+  leave: 'remove',
+  promote: 'promote',
+  demote: 'demote'
+};
+
+// ===== Instance management =====
+
+async function createInstance(sessionName, webhook) {
+  const response = await wahaClient.post('/api/sessions', {
+    name: sessionName,
+    start: true,
+    config: buildSessionConfig(webhook)
+  });
+  return response.data;
+}
+
+async function deleteInstance(sessionName) {
+  const response = await wahaClient.delete(`/api/sessions/${sessionName}`);
+  return response.data;
+}
+
+async function setWebhook(sessionName, webhook) {
+  const response = await wahaClient.put(`/api/sessions/${sessionName}`, {
+    config: buildSessionConfig(webhook)
+  });
+  return response.data;
+}
+
+async function getStatus(sessionName) {
+  const response = await wahaClient.get(`/api/sessions/${sessionName}`);
+  const state = response.data?.status || null;
+
+  return {
+    status: mapSessionState(state),
+    state
+  };
+}
+
+// ===== Authentication =====
+
+async function getQRCode(sessionName) {
+  await ensureStarted(sessionName);
+
+  const response = await wahaClient.get(`/api/${sessionName}/auth/qr`, {
+    params: { format: 'image' },
+    responseType: 'arraybuffer'
+  });
+
+  const mimetype = response.headers['content-type'] || 'image/png';
+
+  return {
+    qrcode: `data:${mimetype};base64,${Buffer.from(response.data).toString('base64')}`,
+    pairingCode: null
+  };
+}
+
+async function requestPairingCode(sessionName, phoneNumber) {
+  await ensureStarted(sessionName);
+
+  const response = await wahaClient.post(`/api/${sessionName}/auth/request-code`, {
+    phoneNumber
+  });
+
+  return {
+    code: response.data.code
+  };
+}
+
+// ===== Messaging =====
+
+function toChatId(phoneNumber) {
+  if (phoneNumber.includes('@')) {
+    return phoneNumber.replace('@s.whatsapp.net', '@c.us');
+  }
+  return `${phoneNumber}@c.us`;
+}
+
+async function sendText(sessionName, chatId, text, { quoted = null } = {}) {
+  const response = await wahaClient.post('/api/sendText', {
+    session: sessionName,
+    chatId: toChatId(chatId),
+    text,
+    ...(quoted && { reply_to: quoted.id })
+  });
+  return toSendResult(response.data);
+}
+
+async function sendMedia(sessionName, chatId, { url, caption = '', mimetype = null, filename = null, mediaType = 'document', quoted = null }) {
+  const response = await wahaClient.post(getSendMediaEndpoint(mediaType), {
+    session: sessionName,
+    chatId: toChatId(chatId),
+    file: {
+      url,
+      ...(mimetype && { mimetype }),
+      ...(filename && { filename })
+    },
+    caption,
+    ...(quoted && { reply_to: quoted.id })
+  });
+  return toSendResult(response.data);
+}
+
+async function sendReaction(sessionName, chatId, target, emoji) {
+  const response = await wahaClient.put('/api/reaction', {
+    session: sessionName,
+    messageId: target.id,
+    reaction: emoji
+  });
+  return toSendResult(response.data);
+}
+
+async function editMessage(sessionName, chatId, target, text) {
+  const response = await wahaClient.put(getMessagePath(sessionName, chatId, target), { text });
+  return toSendResult(response.data);
+}
+
+async function deleteMessage(sessionName, chatId, target) {
+  const response = await wahaClient.delete(getMessagePath(sessionName, chatId, target));
+  return toSendResult(response.data);
+}
+
+async function markRead(sessionName, chatId) {
+  const response = await wahaClient.post('/api/sendSeen', {
+    session: sessionName,
+    chatId: toChatId(chatId)
+  });
+  return response.data;
+}
+
+// ===== History =====
+
+async function fetchChats(sessionName) {
+  const allChats = [];
+  let offset = 0;
+  const limit = 100;
+
+  while (true) {
+    const response = await wahaClient.get(`/api/${sessionName}/chats`, {
+      params: { limit, offset }
+    });
+
+    const chats = response.data || [];
+    allChats.push(...chats);
+
+    if (chats.length < limit) {
+      break; // Last page
+    }
+
+    offset += limit;
+  }
+
+  console.log(`[WAHA] Fetched total ${allChats.length} chats from all pages`);
+
+  return allChats.map(chat => {
+    const chatId = serializeId(chat.id);
+
+    return {
+      chatId,
+      phoneNumber: chatId.split('@')[0],
+      name: chat.name || null,
+      isGroup: chatId.endsWith('@g.us'),
+      unreadCount: chat.unreadCount || 0,
+      conversationTimestamp: chat.timestamp || chat.conversationTimestamp,
+      archived: chat.archived || false,
+      pinned: chat.pinned || false
+    };
+  });
+}
+
+async function fetchMessagePage(sessionName, chatId, { page = 1, pageSize = 50 } = {}) {
+  const response = await wahaClient.get(`/api/${sessionName}/chats/${encodeURIComponent(chatId)}/messages`, {
+    params: {
+      limit: pageSize,
+      offset: (page - 1) * pageSize,
+      sortBy: 'timestamp',
+      sortOrder: 'desc',
+      downloadMedia: false
+    }
+  });
+
+  const records = response.data || [];
+
+  return {
+    messages: records
+      .filter(msg => msg?.id)
+      .map(normalizeMessage)
+      .sort((a, b) => b.timestamp - a.timestamp),
+    hasMore: records.length >= pageSize
+  };
+}
+
+async function fetchGroups(sessionName) {
+  const response = await wahaClient.get(`/api/${sessionName}/groups`);
+
+  // NOWEB returns an object keyed by group id, WEBJS a list
+  const groups = Array.isArray(response.data) ? response.data : Object.values(response.data || {});
+
+  return groups.filter(group => group?.id).map(normalizeGroup);
+}
+
+async function downloadMedia(sessionName, message) {
+  const url = message.media?.url;
+
+  if (!url) {
+    throw new Error(`No media URL for message: ${message.id}`);
+  }
+
+  // WAHA serves decrypted media from its own files endpoint
+  const response = await wahaClient.get(url, { responseType: 'arraybuffer' });
+  return Buffer.from(response.data);
+}
+
+// ===== Webhooks =====
+
+function getInstanceName(payload) {
+  return payload?.session || null;
+}
+
+function getEventName(payload) {
+  return payload?.event || 'unknown';
+}
+
+/**
+ * Normalize a WAHA webhook payload into provider-neutral events
+ */
+function normalizeWebhook(payload) {
+  const { event, payload: data } = payload;
+
+  switch (event) {
+    case 'message':
+    case 'message.any':
+      return data?.id ? [{ type: 'message', message: normalizeMessage(data) }] : [];
+
+    case 'message.ack':
+      return data?.id
+        ? [{ type: 'message.ack', messageId: serializeId(data.id), ack: mapAckStatus(data.ack) }]
+        : [];
+
+    case 'message.reaction':
+    case 'message.edited':
+    case 'message.revoked': {
+      const message = normalizeMessageUpdate(event, data);
+      return message ? [{ type: 'message', message }] : [];
+    }
+
+    case 'group.v2.join':
+    case 'group.v2.update':
+      return data?.group?.id ? [{ type: 'group', group: normalizeGroup(data.group) }] : [];
+
+    case 'group.v2.participants': {
+      const chatId = serializeId(data?.group?.id);
+      const action = PARTICIPANT_ACTIONS[data?.type];
+
+      return chatId && action
+        ? [{
+            type: 'group.participants',
+            chatId,
+            phoneNumber: chatId.split('@')[0],
+            action,
+            participants: (data.participants || []).map(toParticipant).filter(Boolean)
+          }]
+        : [];
+    }
+
+    case 'session.status':
+      return [{
+        type: 'session.status',
+        status: mapSessionState(data?.status),
+        state: data?.status || null,
+        reason: null
+      }];
+
+    default:
+      console.log(`[WAHA] Unhandled event type: ${event}`);
+      return [];
+  }
+}
+
+// ===== Normalization helpers =====
+
+/**
+ * Normalize a WAHA message (webhook payload or chat history record)
+ */
+function normalizeMessage(raw) {
+  // NOWEB engine: _data is the Baileys record - parse its content with the
+  // shared normalizer, but keep WAHA's message id (acks and replies use it)
+  // and WAHA's media URL
+  if (raw._data?.key && raw._data?.message) {
+    const message = normalizeBaileysMessage(raw._data, { ack: mapAckStatus(raw.ack) });
+
+    // Reactions, edits and revokes point at bare WhatsApp ids: they are
+    // stored from their own events, which carry WAHA ids
+    if (message.kind !== 'message') {
+      return { ...message, id: serializeId(raw.id), kind: 'ignored', raw };
+    }
+
+    return {
+      ...message,
+      id: serializeId(raw.id),
+      media: message.media && { ...message.media, url: raw.media?.url || null },
+      raw
+    };
+  }
+
+  const chatId = serializeId(raw.fromMe ? raw.to : raw.from);
+  const mimetype = raw.media?.mimetype || raw._data?.mimetype || null;
+
+  let type = 'text';
+  let body = raw.body || '';
+
+  if (raw.location) {
+    type = 'location';
+    body = JSON.stringify({
+      latitude: raw.location.latitude,
+      longitude: raw.location.longitude
+    });
+  } else if (raw.hasMedia) {
+    type = getMediaType(mimetype, raw._data?.type);
+  } else if (raw.vCards?.length) {
+    type = 'contact';
+  }
+
+  return {
+    id: serializeId(raw.id),
+    kind: 'message',
+    chatId,
+    phoneNumber: chatId.split('@')[0],
+    isGroup: chatId.endsWith('@g.us'),
+    fromMe: !!raw.fromMe,
+    participant: raw.participant || null,
+    pushName: raw._data?.notifyName || null,
+    timestamp: Number(raw.timestamp) || Math.floor(Date.now() / 1000),
+    type,
+    body,
+    quotedMessageId: raw.replyTo?.id || null,
+    metadata: null,
+    hasMedia: !!raw.hasMedia,
+    media: raw.hasMedia
+      ? {
+          mimetype: mimetype || 'application/octet-stream',
+          filename: raw.media?.filename || null,
+          url: raw.media?.url || null
+        }
+      : null,
+    ack: mapAckStatus(raw.ack),
+    raw
+  };
+}
+
+/**
+ * Normalize a message.reaction, message.edited or message.revoked payload
+ * into an update of the stored message it targets
+ * @returns {Object|null} - null when the target is unknown
+ */
+function normalizeMessageUpdate(event, data) {
+  // Revokes carry the revoking message in `after` and the revoked one in `before`
+  const raw = event === 'message.revoked' ? data?.after : data;
+  if (!raw?.id) {
+    return null;
+  }
+
+  const fromMe = !!raw.fromMe;
+  const chatId = serializeId(fromMe ? raw.to : raw.from);
+  const participant = raw.participant || null;
+
+  let targetId = null;
+  let update;
+
+  switch (event) {
+    case 'message.reaction':
+      targetId = serializeId(raw.reaction?.messageId);
+      // An empty reaction removes the sender's previous one
+      update = { kind: 'reaction', emoji: raw.reaction?.text || '' };
+      break;
+
+    case 'message.edited':
+      // Only the sender can edit: the target shares the edit's direction
+      targetId = toTargetId(raw.editedMessageId, { fromMe, chatId, participant });
+      update = { kind: 'edit', body: raw.body || '' };
+      break;
+
+    default:
+      targetId = serializeId(data.before?.id) ||
+        toTargetId(data.revokedMessageId, { fromMe, chatId, participant });
+      update = { kind: 'revoke' };
+  }
+
+  if (!targetId) {
+    return null;
+  }
+
+  return {
+    id: serializeId(raw.id),
+    chatId,
+    phoneNumber: chatId.split('@')[0],
+    isGroup: chatId.endsWith('@g.us'),
+    fromMe,
+    participant,
+    pushName: raw._data?.notifyName || null,
+    timestamp: Number(raw.timestamp) || Math.floor(Date.now() / 1000),
+    type: 'text',
+    body: '',
+    quotedMessageId: null,
+    metadata: null,
+    hasMedia: false,
+    media: null,
+    ack: mapAckStatus(raw.ack),
+    targetId,
+    emoji: null,
+    ...update,
+    raw: data
+  };
+}
+
+/**
+ * WAHA id of an edited or revoked message, which some engines send bare
+ */
+function toTargetId(id, { fromMe, chatId, participant }) {
+  const targetId = serializeId(id);
+  if (!targetId || targetId.includes('_')) {
+    return targetId || null;
+  }
+
+  return toSerializedId({ fromMe, chatId, id: targetId, participant });
+}
+
+/**
+ * Normalize group metadata: Baileys-style on NOWEB and in group.v2 events
+ * ({ id, subject, desc / description, owner, participants }), a chat with
+ * groupMetadata on WEBJS. Fields missing from updates are undefined
+ */
+function normalizeGroup(raw) {
+  const metadata = raw.groupMetadata || raw;
+  const chatId = serializeId(raw.id);
+  const owner = serializeId(metadata.owner);
+
+  return {
+    chatId,
+    phoneNumber: chatId.split('@')[0],
+    subject: metadata.subject ?? raw.name,
+    description: metadata.desc ?? metadata.description,
+    owner: owner ? owner.split('@')[0] : undefined,
+    participants: Array.isArray(metadata.participants)
+      ? metadata.participants.map(toParticipant).filter(Boolean)
+      : null
+  };
+}
+
+/**
+ * Group participant: { id, admin } (NOWEB), { id, isAdmin, isSuperAdmin }
+ * (WEBJS) or { id, role } (group.v2 events)
+ */
+function toParticipant(participant) {
+  const id = serializeId(participant?.id);
+  if (!id) {
+    return null;
+  }
+
+  let role = 'member';
+  if (participant.admin === 'superadmin' || participant.isSuperAdmin || participant.role === 'superadmin') {
+    role = 'superadmin';
+  } else if (participant.admin === 'admin' || participant.isAdmin || participant.role === 'admin') {
+    role = 'admin';
+  }
+
+  return {
+    chatId: id,
+    // Groups with hidden numbers list participants by LID, with the number aside
+    phoneNumber: (serializeId(participant.pn) || id).split('@')[0],
+    role
+  };
+}
+
+/**
+ * Start a stopped session (QR and pairing need a running session)
+ */
+async function ensureStarted(sessionName) {
+  const { state } = await getStatus(sessionName);
+
+  if (state === 'STOPPED' || state === 'FAILED') {
+    await wahaClient.post(`/api/sessions/${sessionName}/start`);
+  }
+}
+
+function buildSessionConfig({ url, secret }) {
+  return {
+    webhooks: [
+      {
+        url,
+        events: WEBHOOK_EVENTS,
+        ...(secret && {
+          customHeaders: [{ name: 'x-webhook-token', value: secret }]
+        })
+      }
+    ]
+  };
+}
+
+function getSendMediaEndpoint(mediaType) {
+  switch (mediaType) {
+    case 'image':
+      return '/api/sendImage';
+    case 'video':
+      return '/api/sendVideo';
+    case 'voice':
+      return '/api/sendVoice';
+    default:
+      // Plain audio files and documents are sent as files
+      return '/api/sendFile';
+  }
+}
+
+function getMediaType(mimetype, wahaType) {
+  if (wahaType === 'sticker') return 'sticker';
+  if (mimetype?.startsWith('image/')) return 'image';
+  if (mimetype?.startsWith('video/')) return 'video';
+  if (mimetype?.startsWith('audio/')) return 'audio';
+  return 'document';
+}
+
+/**
+ * WAHA ids are strings on some engines and { _serialized } objects on others
+ */
+function serializeId(id) {
+  if (!id) return '';
+  return typeof id === 'string' ? id : id._serialized || '';
+}
+
+/**
+ * WAHA id of a message sent by fromMe in a chat, from the bare WhatsApp id
+ * ("true_5511999990001@c.us_3EB0..."; group messages of others end with
+ * the participant)
+ */
+function toSerializedId({ fromMe, chatId, id, participant = null }) {
+  const base = `${!!fromMe}_${toChatId(chatId)}_${id}`;
+  return participant && !fromMe && chatId.endsWith('@g.us') ? `${base}_${toChatId(participant)}` : base;
+}
+
+function getMessagePath(sessionName, chatId, target) {
+  return `/api/${sessionName}/chats/${encodeURIComponent(toChatId(chatId))}/messages/${encodeURIComponent(target.id)}`;
+}
+
+function toSendResult(response) {
+  return {
+    id: serializeId(response?.id || response?.key?.id) || null,
+    timestamp: Number(response?.timestamp) || Math.floor(Date.now() / 1000),
+    raw: response
+  };
+}
+
+/**
+ * Map WAHA session status to our session status
+ */
+function mapSessionState(state) {
+  switch (state) {
+    case 'WORKING':
+      return 'CONNECTED';
+    case 'STARTING':
+    case 'SCAN_QR_CODE':
+      return 'CONNECTING';
+    case 'FAILED':
+      return 'FAILED';
+    default:
+      return 'DISCONNECTED';
+  }
+}
+
+/**
+ * Map WAHA ack (-1 error, 0 pending ... 4 played) to our ACK enum
+ */
+function mapAckStatus(ack) {
+  const ackMap = {
+    0: 'PENDING',
+    1: 'SERVER',
+    2: 'DEVICE',
+    3: 'READ',
+    4: 'PLAYED'
+  };
+
+  return ackMap[ack] || 'PENDING';
+}
+
+module.exports = {
+  name: 'waha',
+
+  // Instance management
+  createInstance,
+  deleteInstance,
+  setWebhook,
+  getStatus,
+
+  // Authentication
+  getQRCode,
+  requestPairingCode,
+
+  // Messaging
+  toChatId,
+  sendText,
+  sendMedia,
+  sendReaction,
+  editMessage,
+  deleteMessage,
+  markRead,
+
+  // History
+  fetchChats,
+  fetchMessagePage,
+  fetchGroups,
+  downloadMedia,
+
+  // Webhooks
+  getInstanceName,
+  getEventName,
+  normalizeWebhook
+};
@@ -8,22 +8,56 @@ const router = express.Router();
 // Controllers
 const authController = require('../controllers/authController');
 const userController = require('../controllers/userController');
-const sessionController = require('../controllers/sessionController.evolution');
-const messageController = require('../controllers/messageController.evolution');
-const webhookController = require('../controllers/webhookController.evolution');
+const teamController = require('../controllers/teamController');
+const sessionController = require('../controllers/sessionController');
+const messageController = require('../controllers/messageController');
+const webhookController = require('../controllers/webhookController');
 const syncController = require('../controllers/syncController');
+const chatAssignmentController = require('../controllers/chatAssignmentController');
+const contactController = require('../controllers/contactController');
+const templateController = require('../controllers/templateController');
+const scheduledMessageController = require('../controllers/scheduledMessageController');
 
 // Middlewares
-const { authenticate, isAdmin, isSuperAdmin } = require('../middlewares/auth');
+const {
+  authenticate,
+  isAdmin,
+  isSuperAdmin,
+  requireSessionAccess,
+  requireChatPermission
+} = require('../middlewares/auth');
+const { verifyProviderWebhook } = require('../middlewares/webhookAuth');
+const { handleMediaUpload } = require('../middlewares/upload');
 const {
   validateLogin,
   validateCreateUser,
   validateResetPassword,
+  validateCreateTeam,
+  validateUpdateTeam,
+  validateAddTeamMember,
   validateCreateSession,
   validateRequestPairingCode,
   validateAssignSession,
+  validateAssignChat,
+  validateUpdateContactMetadata,
+  validateGetChats,
+  validateOpenChat,
   validateSendMessage,
-  validateGetMessages
+  validateGetMessages,
+  validateMessageParams,
+  validateReactToMessage,
+  validateEditMessage,
+  validateGetMessageMedia,
+  validateSearchMessages,
+  validateGetSyncJob,
+  validateCreateTemplate,
+  validateUpdateTemplate,
+  validateGetTemplates,
+  validateRenderTemplate,
+  validateCreateScheduledMessage,
+  validateUpdateScheduledMessage,
+  validateScheduledMessageParams,
+  validateGetScheduledMessages
 } = require('../middlewares/validator');
 
 // ===== Public Routes =====
@@ -33,8 +67,8 @@ router.post('/auth/login', validateLogin, authController.login);
 router.post('/auth/refresh', authController.refreshToken);
 
 // Webhooks (no auth - validated by webhook secret)
-router.post('/webhooks/evolution', webhookController.handleEvolutionWebhook);
 router.get('/webhooks/health', webhookController.webhookHealth);
+router.post('/webhooks/:provider', verifyProviderWebhook, webhookController.handleProviderWebhook); // evolution | waha
 
 // ===== Protected Routes (require authentication) =====
 
@@ -53,8 +87,23 @@ router.post('/users/:userId/reset-password', isAdmin, validateResetPassword, use
 router.delete('/users/:userId', isAdmin, userController.deactivateUser);
 router.post('/users/:userId/reactivate', isAdmin, userController.reactivateUser);
 
+// ===== Team Management (Admin only) =====
+
+router.post('/teams', isAdmin, validateCreateTeam, teamController.createTeam);
+router.get('/teams', isAdmin, teamController.getTeams);
+router.get('/teams/:teamId', isAdmin, teamController.loadManagedTeam, teamController.getTeamById);
+router.put('/teams/:teamId', isAdmin, validateUpdateTeam, teamController.loadManagedTeam, teamController.updateTeam);
+router.delete('/teams/:teamId', isAdmin, teamController.loadManagedTeam, teamController.deleteTeam);
+router.post('/teams/:teamId/members', isAdmin, validateAddTeamMember, teamController.loadManagedTeam, teamController.addTeamMember);
+router.delete('/teams/:teamId/members/:userId', isAdmin, teamController.loadManagedTeam, teamController.removeTeamMember);
+router.get('/teams/:teamId/sessions', isAdmin, teamController.loadManagedTeam, teamController.getTeamSessions);
+router.get('/teams/:teamId/chats', isAdmin, teamController.loadManagedTeam, teamController.getTeamChats);
+
 // ===== Session Management =====
 
+// Every /sessions/:sessionId/* route requires access to that session
+router.use('/sessions/:sessionId', requireSessionAccess);
+
 router.post('/sessions', isAdmin, validateCreateSession, sessionController.createSession);
 router.get('/sessions', sessionController.getSessions);
 router.get('/sessions/:sessionId', sessionController.getSessionDetails);
@@ -62,21 +111,70 @@ router.get('/sessions/:sessionId/qr', sessionController.getSessionQRCode);
 router.post('/sessions/:sessionId/pairing-code', validateRequestPairingCode, sessionController.requestSessionPairingCode);
 router.post('/sessions/:sessionId/reconnect', sessionController.reconnectSession); // NEW: Reconnect disconnected session
 router.post('/sessions/:sessionId/assign', isAdmin, validateAssignSession, sessionController.assignSession);
+router.post('/sessions/:sessionId/webhook-secret/rotate', isAdmin, sessionController.rotateWebhookSecret);
 router.delete('/sessions/:sessionId', isAdmin, sessionController.deleteSession);
 
+// ===== Webhook Queue (Admin only) =====
+
+router.get('/webhooks/events', isAdmin, webhookController.listWebhookEvents);
+router.post('/webhooks/events/:eventId/replay', isAdmin, webhookController.replayWebhookEvent);
+
 // ===== Message Synchronization =====
 
 router.post('/sessions/:sessionId/sync/initial', isAdmin, syncController.triggerInitialSync);
 router.post('/sessions/:sessionId/sync/gap-fill', isAdmin, syncController.triggerGapFill);
+router.post('/sessions/:sessionId/sync/cancel', isAdmin, syncController.cancelSync);
 router.get('/sessions/:sessionId/sync/status', syncController.getSyncStatus);
+router.get('/sessions/:sessionId/sync/jobs/:jobId', isAdmin, validateGetSyncJob, syncController.getSyncJob);
+router.get('/ingest/metrics', isSuperAdmin, syncController.getIngestMetrics);
 
 // ===== Messaging =====
 
-router.get('/sessions/:sessionId/chats', messageController.getChats);
-router.get('/sessions/:sessionId/contacts/:contactId/messages', validateGetMessages, messageController.getMessages);
-router.post('/sessions/:sessionId/messages', validateSendMessage, messageController.sendMessage);
-router.post('/sessions/:sessionId/contacts/:contactId/read', messageController.markAsRead);
-router.get('/sessions/:sessionId/search', messageController.searchMessages);
+router.get('/sessions/:sessionId/chats', validateGetChats, messageController.getChats);
+router.post('/sessions/:sessionId/chats', validateOpenChat, requireChatPermission('can_view'), messageController.openChat);
+router.get('/sessions/:sessionId/contacts/:contactId/messages', validateGetMessages, requireChatPermission('can_view'), messageController.getMessages);
+router.post('/sessions/:sessionId/messages', handleMediaUpload, validateSendMessage, requireChatPermission('can_send'), messageController.sendMessage);
+router.post('/sessions/:sessionId/contacts/:contactId/read', requireChatPermission('can_view'), messageController.markAsRead);
+router.post('/sessions/:sessionId/contacts/:contactId/messages/:messageId/media/download', validateMessageParams, requireChatPermission('can_view'), messageController.downloadMessageMedia);
+router.post('/sessions/:sessionId/contacts/:contactId/messages/:messageId/reactions', validateReactToMessage, requireChatPermission('can_send'), messageController.reactToMessage);
+router.patch('/sessions/:sessionId/contacts/:contactId/messages/:messageId', validateEditMessage, requireChatPermission('can_send'), messageController.editMessage);
+router.delete('/sessions/:sessionId/contacts/:contactId/messages/:messageId', validateMessageParams, requireChatPermission('can_send'), messageController.deleteMessage);
+router.post('/sessions/:sessionId/contacts/:contactId/messages/:messageId/retry', validateMessageParams, requireChatPermission('can_send'), messageController.retryMessage);
+router.get('/messages/:messageId/media', validateGetMessageMedia, messageController.getMessageMedia);
+router.get('/sessions/:sessionId/search', validateSearchMessages, messageController.searchMessages);
+router.get('/search', validateSearchMessages, messageController.searchMessages); // across all accessible sessions
+
+// ===== Chat Assignments =====
+
+router.get('/sessions/:sessionId/contacts/:contactId/assignments', requireChatPermission('can_view'), chatAssignmentController.getChatAssignments);
+router.post('/sessions/:sessionId/contacts/:contactId/assignments', validateAssignChat, requireChatPermission('can_manage'), chatAssignmentController.assignChat);
+router.put('/sessions/:sessionId/contacts/:contactId/assignments', validateAssignChat, requireChatPermission('can_manage'), chatAssignmentController.reassignChat);
+router.delete('/sessions/:sessionId/contacts/:contactId/assignments/:assignmentId', requireChatPermission('can_manage'), chatAssignmentController.unassignChat);
+
+// ===== Contacts (CRM profile) =====
+
+router.get('/sessions/:sessionId/tags', contactController.getSessionTags);
+router.get('/sessions/:sessionId/contacts/:contactId/metadata', requireChatPermission('can_view'), contactController.getContactMetadata);
+router.put('/sessions/:sessionId/contacts/:contactId/metadata', validateUpdateContactMetadata, requireChatPermission('can_send'), contactController.updateContactMetadata);
+router.get('/sessions/:sessionId/contacts/:contactId/participants', requireChatPermission('can_view'), contactController.getGroupParticipants);
+
+// ===== Message Templates =====
+
+router.get('/templates', isAdmin, validateGetTemplates, templateController.getTemplates);
+router.post('/templates', isAdmin, handleMediaUpload, validateCreateTemplate, templateController.createTemplate);
+router.put('/templates/:templateId', isAdmin, handleMediaUpload, validateUpdateTemplate, templateController.loadManagedTemplate, templateController.updateTemplate);
+router.delete('/templates/:templateId', isAdmin, templateController.loadManagedTemplate, templateController.deleteTemplate);
+router.get('/sessions/:sessionId/templates', templateController.getSessionTemplates);
+router.get('/sessions/:sessionId/contacts/:contactId/templates/:templateId/render', validateRenderTemplate, requireChatPermission('can_send'), templateController.renderTemplate);
+
+// ===== Scheduled Messages =====
+
+router.get('/sessions/:sessionId/scheduled-messages', validateGetScheduledMessages, scheduledMessageController.getScheduledMessages);
+router.get('/sessions/:sessionId/contacts/:contactId/scheduled-messages', validateGetScheduledMessages, requireChatPermission('can_view'), scheduledMessageController.getScheduledMessages);
+router.post('/sessions/:sessionId/contacts/:contactId/scheduled-messages', handleMediaUpload, validateCreateScheduledMessage, requireChatPermission('can_send'), scheduledMessageController.createScheduledMessage);
+router.put('/sessions/:sessionId/contacts/:contactId/scheduled-messages/:scheduledMessageId', handleMediaUpload, validateUpdateScheduledMessage, requireChatPermission('can_send'), scheduledMessageController.loadScheduledMessage, scheduledMessageController.updateScheduledMessage);
+router.post('/sessions/:sessionId/contacts/:contactId/scheduled-messages/:scheduledMessageId/send', validateScheduledMessageParams, requireChatPermission('can_send'), scheduledMessageController.loadScheduledMessage, scheduledMessageController.sendScheduledMessageNow);
+router.delete('/sessions/:sessionId/contacts/:contactId/scheduled-messages/:scheduledMessageId', validateScheduledMessageParams, requireChatPermission('can_send'), scheduledMessageController.loadScheduledMessage, scheduledMessageController.cancelScheduledMessage);
 
 // ===== Health Check =====
 
@@ -12,6 +12,14 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 
 const routes = require('./routes');
+const { startWebhookWorker, stopWebhookWorker } = require('./services/webhookQueue');
+const { attachRealtimeServer, closeRealtimeServer } = require('./services/realtimeService');
+const { startAssignmentExpiryWorker, stopAssignmentExpiryWorker } = require('./services/chatAssignmentService');
+const { startSyncWorker, stopSyncWorker } = require('./services/syncService');
+const { startMediaWorker, stopMediaWorker } = require('./services/mediaQueue');
+const { startOutboundWorker, stopOutboundWorker } = require('./services/outboundQueue');
+const { startScheduledMessageWorker, stopScheduledMessageWorker } = require('./services/scheduledMessageService');
+const { startWebhookSecretWorker, stopWebhookSecretWorker } = require('./services/webhookSecretService');
 
 // Initialize Express
 const app = express();
@@ -61,7 +69,13 @@ app.use('/api/', limiter);
 
 // ===== Body Parsing =====
 
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body around for webhook HMAC verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // ===== Compression =====
@@ -132,7 +146,7 @@ app.use((err, req, res, next) => {
 
 // ===== Start Server =====
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log('');
   console.log('╔════════════════════════════════════════════════════════════╗');
   console.log('║                                                            ║');
@@ -149,19 +163,58 @@ app.listen(PORT, () => {
   console.log('║    POST   /api/users                                      ║');
   console.log('║    POST   /api/sessions                                   ║');
   console.log('║    GET    /api/sessions/:id/chats                         ║');
-  console.log('║    POST   /api/webhooks/waha                              ║');
+  console.log('║    POST   /api/webhooks/:provider                         ║');
+  console.log('║    WS     /api/ws                                         ║');
   console.log('╚════════════════════════════════════════════════════════════╝');
   console.log('');
+
+  // Background processing of queued webhook events
+  startWebhookWorker();
+
+  // Sessions created before webhook secrets existed
+  startWebhookSecretWorker();
+
+  // Deactivate chat assignments past their expiry
+  startAssignmentExpiryWorker();
+
+  // Queued message sync jobs (resumes jobs interrupted by a restart)
+  startSyncWorker();
+  startMediaWorker();
+
+  // Messages sent from the CRM, paced per session
+  startOutboundWorker();
+
+  // Scheduled messages, queued when they are due
+  startScheduledMessageWorker();
 });
 
+// Realtime WebSocket channel (shares the HTTP server)
+attachRealtimeServer(server);
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  stopWebhookWorker();
+  stopWebhookSecretWorker();
+  stopAssignmentExpiryWorker();
+  stopSyncWorker();
+  stopMediaWorker();
+  stopOutboundWorker();
+  stopScheduledMessageWorker();
+  closeRealtimeServer();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('\nSIGINT received, shutting down gracefully...');
+  stopWebhookWorker();
+  stopWebhookSecretWorker();
+  stopAssignmentExpiryWorker();
+  stopSyncWorker();
+  stopMediaWorker();
+  stopOutboundWorker();
+  stopScheduledMessageWorker();
+  closeRealtimeServer();
   process.exit(0);
 });
 
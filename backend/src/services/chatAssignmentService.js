@@ -0,0 +1,207 @@
+/**
+ * Chat Assignment Service
+ * Assigns individual conversations to users or teams (chat_assignments)
+ * and deactivates assignments once they reach expires_at
+ */
+
+const { supabaseAdmin } = require('../config/database');
+const { invalidateSessionAccess } = require('./realtimeService');
+
+const EXPIRY_INTERVAL_MS = parseInt(process.env.CHAT_ASSIGNMENT_EXPIRY_MS) || 60 * 1000;
+
+const DEFAULT_PERMISSIONS = {
+  can_view: true,
+  can_send: true,
+  can_manage: false
+};
+
+const ASSIGNMENT_SELECT = `
+  id,
+  contact_id,
+  session_id,
+  assigned_to_user_id,
+  assigned_to_team_id,
+  assigned_by_admin_id,
+  permissions,
+  assigned_at,
+  expires_at,
+  is_active,
+  assigned_user:profiles!assigned_to_user_id(id, username, full_name),
+  assigned_team:teams(id, name)
+`;
+
+let expiryTimer = null;
+
+/**
+ * Fill in missing permission flags with the defaults
+ */
+function normalizePermissions(permissions = {}) {
+  return {
+    can_view: permissions.can_view ?? DEFAULT_PERMISSIONS.can_view,
+    can_send: permissions.can_send ?? DEFAULT_PERMISSIONS.can_send,
+    can_manage: permissions.can_manage ?? DEFAULT_PERMISSIONS.can_manage
+  };
+}
+
+/**
+ * Active assignments of a chat
+ */
+async function listChatAssignments(sessionId, contactId) {
+  const { data: assignments, error } = await supabaseAdmin
+    .from('chat_assignments')
+    .select(ASSIGNMENT_SELECT)
+    .eq('session_id', sessionId)
+    .eq('contact_id', contactId)
+    .eq('is_active', true)
+    .order('assigned_at', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return assignments || [];
+}
+
+/**
+ * Assign a chat to a user or a team
+ * Re-assigning the same agent updates (and reactivates) their existing row
+ */
+async function assignChat({ sessionId, contactId, userId = null, teamId = null, permissions, expiresAt = null, assignedBy }) {
+  const assigneeColumn = userId ? 'assigned_to_user_id' : 'assigned_to_team_id';
+
+  const { data: existing } = await supabaseAdmin
+    .from('chat_assignments')
+    .select('id')
+    .eq('contact_id', contactId)
+    .eq(assigneeColumn, userId || teamId)
+    .maybeSingle();
+
+  const fields = {
+    session_id: sessionId,
+    permissions: normalizePermissions(permissions),
+    expires_at: expiresAt,
+    assigned_by_admin_id: assignedBy,
+    assigned_at: new Date().toISOString(),
+    is_active: true
+  };
+
+  const query = existing
+    ? supabaseAdmin.from('chat_assignments').update(fields).eq('id', existing.id)
+    : supabaseAdmin.from('chat_assignments').insert({
+        ...fields,
+        contact_id: contactId,
+        assigned_to_user_id: userId,
+        assigned_to_team_id: teamId
+      });
+
+  const { data: assignment, error } = await query.select(ASSIGNMENT_SELECT).single();
+
+  if (error) {
+    throw error;
+  }
+
+  invalidateSessionAccess(sessionId);
+
+  return assignment;
+}
+
+/**
+ * Hand a chat over to a single user or team, ending every other assignment
+ */
+async function reassignChat(options) {
+  const assignment = await assignChat(options);
+
+  const { error } = await supabaseAdmin
+    .from('chat_assignments')
+    .update({ is_active: false })
+    .eq('session_id', options.sessionId)
+    .eq('contact_id', options.contactId)
+    .eq('is_active', true)
+    .neq('id', assignment.id);
+
+  if (error) {
+    throw error;
+  }
+
+  invalidateSessionAccess(options.sessionId);
+
+  return assignment;
+}
+
+/**
+ * End one assignment of a chat
+ * @returns {Object|null} - The deactivated assignment, or null if not found
+ */
+async function unassignChat(sessionId, contactId, assignmentId) {
+  const { data: assignment, error } = await supabaseAdmin
+    .from('chat_assignments')
+    .update({ is_active: false })
+    .eq('id', assignmentId)
+    .eq('session_id', sessionId)
+    .eq('contact_id', contactId)
+    .eq('is_active', true)
+    .select('id, contact_id, assigned_to_user_id, assigned_to_team_id')
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (assignment) {
+    invalidateSessionAccess(sessionId);
+  }
+
+  return assignment;
+}
+
+/**
+ * Deactivate assignments past their expires_at
+ * Access checks already ignore expired rows - this keeps is_active accurate
+ */
+async function expireChatAssignments() {
+  try {
+    const { data: count, error } = await supabaseAdmin.rpc('expire_chat_assignments');
+
+    if (error) {
+      throw error;
+    }
+
+    if (count > 0) {
+      console.log(`[ChatAssignment] Expired ${count} assignment(s)`);
+    }
+  } catch (error) {
+    console.error('[ChatAssignment] Expiry error:', error.message);
+  }
+}
+
+/**
+ * Start the periodic expiry check
+ */
+function startAssignmentExpiryWorker() {
+  if (expiryTimer) {
+    return;
+  }
+
+  expiryTimer = setInterval(expireChatAssignments, EXPIRY_INTERVAL_MS);
+}
+
+/**
+ * Stop the periodic expiry check
+ */
+function stopAssignmentExpiryWorker() {
+  if (expiryTimer) {
+    clearInterval(expiryTimer);
+    expiryTimer = null;
+  }
+}
+
+module.exports = {
+  DEFAULT_PERMISSIONS,
+  listChatAssignments,
+  assignChat,
+  reassignChat,
+  unassignChat,
+  expireChatAssignments,
+  startAssignmentExpiryWorker,
+  stopAssignmentExpiryWorker
+};
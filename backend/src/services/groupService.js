@@ -0,0 +1,129 @@
+/**
+ * Group Service
+ * Group metadata (subject, description, owner) and participants, from the
+ * provider's group list during syncs and from group webhook events
+ */
+
+const { supabaseAdmin } = require('../config/database');
+const { publishToSession } = require('./realtimeService');
+
+/**
+ * Row for upsert_group / apply_group_participants participants
+ */
+function toParticipantRow(participant) {
+  return {
+    phone_number: participant.phoneNumber,
+    role: participant.role || 'member'
+  };
+}
+
+/**
+ * Save a group's metadata (and its member list, when given)
+ * @param {Object} group - Normalized group (see providers/index.js)
+ * @returns {string} - The group's contact id
+ */
+async function upsertGroup(sessionId, group) {
+  const { data: contactId, error } = await supabaseAdmin.rpc('upsert_group', {
+    p_session_id: sessionId,
+    p_group: {
+      phone_number: group.phoneNumber,
+      subject: group.subject ?? null,
+      description: group.description ?? null,
+      owner: group.owner ?? null,
+      participants: group.participants ? group.participants.map(toParticipantRow) : null
+    }
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return contactId;
+}
+
+/**
+ * Apply a participants event (join, leave, promote, demote)
+ * @returns {string} - The group's contact id
+ */
+async function applyParticipantsUpdate(sessionId, { phoneNumber, action, participants }) {
+  // Events can arrive for groups we have no metadata for yet
+  const contactId = await upsertGroup(sessionId, { phoneNumber, participants: null });
+
+  const { error } = await supabaseAdmin.rpc('apply_group_participants', {
+    p_session_id: sessionId,
+    p_group_contact_id: contactId,
+    p_action: action,
+    p_participants: participants.map(toParticipantRow)
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return contactId;
+}
+
+/**
+ * Refresh the metadata and members of every group of a session
+ * Best effort: a failure is logged and the sync goes on without it
+ * @returns {number} - Groups saved
+ */
+async function syncGroups(session, provider) {
+  try {
+    const groups = await provider.fetchGroups(session.session_name);
+    let saved = 0;
+
+    for (const group of groups) {
+      try {
+        await upsertGroup(session.id, group);
+        saved++;
+      } catch (error) {
+        console.error(`[Groups] Failed to save group ${group.chatId}:`, error.message);
+      }
+    }
+
+    console.log(`[Groups] Synced ${saved}/${groups.length} groups for ${session.session_name}`);
+    return saved;
+  } catch (error) {
+    console.error(`[Groups] Failed to fetch groups of ${session.session_name}:`, error.response?.data || error.message);
+    return 0;
+  }
+}
+
+/**
+ * Current members of a group, admins first
+ */
+async function getGroupParticipants(sessionId, contactId) {
+  const { data, error } = await supabaseAdmin.rpc('get_group_participants', {
+    p_session_id: sessionId,
+    p_group_contact_id: contactId
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Tell viewers of the session a group's subject or description changed
+ */
+function publishGroupUpdated(sessionId, contactId, group) {
+  const changes = {
+    ...(group.subject !== undefined && { name: group.subject }),
+    ...(group.description !== undefined && { group_description: group.description })
+  };
+
+  if (Object.keys(changes).length > 0) {
+    publishToSession(sessionId, 'contact.updated', { contact_id: contactId, ...changes });
+  }
+}
+
+module.exports = {
+  upsertGroup,
+  applyParticipantsUpdate,
+  syncGroups,
+  getGroupParticipants,
+  publishGroupUpdated
+};
@@ -0,0 +1,277 @@
+/**
+ * Message Ingest Service
+ * Batched save path for normalized messages, shared by the webhook service
+ * and the sync jobs: one round trip per batch (ingest_messages) upserts the
+ * senders' contacts and inserts the messages, skipping ones already stored.
+ * Reactions, edits and revokes go to the message_updates log in a second
+ * round trip (apply_message_updates). Media of new messages is queued for
+ * the media worker
+ */
+
+const { supabaseAdmin } = require('../config/database');
+const { enqueueMediaDownloads } = require('./mediaQueue');
+
+// Normalized kinds that update an earlier message
+const UPDATE_KINDS = ['reaction', 'edit', 'revoke'];
+
+// Throughput counters per source since the process started
+const metrics = {};
+const metricsStartedAt = new Date().toISOString();
+
+/**
+ * Row for ingest_messages
+ * @param {Object} message - Normalized message (see providers/index.js)
+ * @param {Object} options - { ack } overrides the message's ack
+ */
+function toIngestRow(message, { ack } = {}) {
+  return {
+    waha_message_id: message.id,
+    phone_number: message.phoneNumber,
+    // Only incoming messages name a contact: our own pushName is the line's name
+    // and in groups it is the participant's, not the group's
+    contact_name: message.fromMe || message.isGroup ? null : message.pushName || null,
+    is_group: message.isGroup,
+    // Sender of received group messages
+    ...getParticipant(message),
+    message_type: message.type,
+    body: message.body,
+    from_me: message.fromMe,
+    ack: ack || message.ack,
+    has_media: message.hasMedia,
+    quoted_waha_message_id: message.quotedMessageId || null,
+    metadata: message.metadata || null,
+    timestamp: new Date(message.timestamp * 1000).toISOString(),
+    raw_payload: message.raw
+  };
+}
+
+/**
+ * Sender fields of an ingest_messages row: the participant's phone number
+ * and push name in groups, nothing in 1:1 chats and for our own messages
+ */
+function getParticipant(message) {
+  if (!message.isGroup || message.fromMe || !message.participant) {
+    return { participant: null, participant_name: null };
+  }
+
+  return {
+    participant: message.participant.split('@')[0],
+    participant_name: message.pushName || null
+  };
+}
+
+/**
+ * Row for apply_message_updates
+ */
+function toUpdateRow(message) {
+  const sender = message.fromMe ? 'me' : (message.participant || message.chatId).split('@')[0];
+
+  return {
+    waha_message_id: message.id,
+    target_waha_message_id: message.targetId,
+    kind: message.kind,
+    actor: sender,
+    from_me: message.fromMe,
+    emoji: message.kind === 'reaction' ? message.emoji : null,
+    body: message.kind === 'edit' ? message.body : null,
+    timestamp: new Date(message.timestamp * 1000).toISOString()
+  };
+}
+
+/**
+ * Save a batch of normalized messages
+ * Regular messages are inserted, updates of other messages are logged and
+ * applied, 'ignored' ones are dropped. If a batch is rejected, its items are
+ * retried one by one so a single bad message only fails itself; callers
+ * decide what to do with the failed ones (failedIds)
+ * @param {string} source - Metrics bucket, e.g. 'webhook' or 'sync'
+ * @param {Object} options - { ack }
+ * @returns {Object} - {
+ *   inserted: [{ id, contact_id, waha_message_id, quoted_message_id }],
+ *   updated: [{ id, contact_id, waha_message_id, body, edited_at, deleted_at, reactions }],
+ *   duplicates, failed, failedIds
+ * }
+ */
+async function ingestMessages(sessionId, messages, source, options = {}) {
+  const startedAt = Date.now();
+  const result = { inserted: [], updated: [], duplicates: 0, failed: 0, failedIds: [] };
+
+  if (messages.length === 0) {
+    return result;
+  }
+
+  const regular = messages.filter(message => message.kind === 'message');
+  const updates = messages.filter(message => UPDATE_KINDS.includes(message.kind) && message.targetId);
+
+  if (regular.length > 0) {
+    const { saved, failedIds } = await saveWithFallback(regular, batch =>
+      callRpc('ingest_messages', {
+        p_session_id: sessionId,
+        p_messages: batch.map(msg => toIngestRow(msg, options))
+      })
+    );
+    result.inserted = saved;
+    result.failedIds.push(...failedIds);
+    result.duplicates = regular.length - saved.length - failedIds.length;
+
+    await queueMedia(sessionId, regular, saved);
+  }
+
+  if (updates.length > 0) {
+    const { saved, failedIds } = await saveWithFallback(updates, batch =>
+      callRpc('apply_message_updates', {
+        p_session_id: sessionId,
+        p_updates: batch.map(toUpdateRow)
+      })
+    );
+    result.updated = saved;
+    result.failedIds.push(...failedIds);
+  }
+
+  result.failed = result.failedIds.length;
+
+  recordMetrics(source, messages.length, updates.length, result, Date.now() - startedAt);
+
+  return result;
+}
+
+/**
+ * Queue media downloads of the new messages
+ * A failure is logged only: the messages are saved, and the download can
+ * still be requested for each of them
+ */
+async function queueMedia(sessionId, messages, insertedRows) {
+  const messagesById = new Map(messages.map(message => [message.id, message]));
+
+  try {
+    await enqueueMediaDownloads(sessionId, insertedRows.map(row => ({
+      row,
+      message: messagesById.get(row.waha_message_id)
+    })));
+  } catch (error) {
+    console.error('[Ingest] Failed to queue media downloads:', error);
+  }
+}
+
+/**
+ * Save a batch, or its items one by one if the batch is rejected
+ * @returns {Object} - { saved, failedIds } - ids of the items that were rejected
+ */
+async function saveWithFallback(items, save) {
+  try {
+    return { saved: await save(items), failedIds: [] };
+  } catch (error) {
+    if (items.length === 1) {
+      console.error(`[Ingest] Message ${items[0].id} rejected:`, error);
+      return { saved: [], failedIds: [items[0].id] };
+    }
+
+    console.error(`[Ingest] Batch of ${items.length} rejected, retrying one by one:`, error.message);
+
+    const saved = [];
+    const failedIds = [];
+
+    for (const item of items) {
+      try {
+        saved.push(...await save([item]));
+      } catch (itemError) {
+        console.error(`[Ingest] Message ${item.id} rejected:`, itemError);
+        failedIds.push(item.id);
+      }
+    }
+
+    return { saved, failedIds };
+  }
+}
+
+async function callRpc(functionName, params) {
+  const { data, error } = await supabaseAdmin.rpc(functionName, params);
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Bulk create/update contacts (names only change when given)
+ * @param {Array} contacts - [{ phoneNumber, name, isGroup }]
+ * @returns {Map} - phone number -> contact id
+ */
+async function upsertContacts(sessionId, contacts) {
+  if (contacts.length === 0) {
+    return new Map();
+  }
+
+  const { data, error } = await supabaseAdmin.rpc('upsert_contacts', {
+    p_session_id: sessionId,
+    p_contacts: contacts.map(contact => ({
+      phone_number: contact.phoneNumber,
+      name: contact.name || null,
+      is_group: contact.isGroup
+    }))
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return new Map((data || []).map(row => [row.phone_number, row.id]));
+}
+
+function recordMetrics(source, received, updates, result, durationMs) {
+  const bucket = metrics[source] || (metrics[source] = {
+    batches: 0,
+    received: 0,
+    inserted: 0,
+    updates: 0,
+    duplicates: 0,
+    failed: 0,
+    duration_ms: 0
+  });
+
+  bucket.batches++;
+  bucket.received += received;
+  bucket.inserted += result.inserted.length;
+  bucket.updates += updates;
+  bucket.duplicates += result.duplicates;
+  bucket.failed += result.failed;
+  bucket.duration_ms += durationMs;
+
+  if (received > 1) {
+    console.log(`[Ingest] ${source}: ${received} messages (${result.inserted.length} new, ${updates} updates, ${result.duplicates} duplicates, ${result.failed} failed) in ${durationMs}ms`);
+  }
+}
+
+/**
+ * Throughput since the process started, per source
+ * messages_per_second counts every message handled (new or duplicate)
+ * against the time spent saving them
+ */
+function getIngestMetrics() {
+  const sources = {};
+
+  for (const [source, bucket] of Object.entries(metrics)) {
+    sources[source] = {
+      ...bucket,
+      avg_batch_size: Math.round(bucket.received / bucket.batches),
+      avg_batch_ms: Math.round(bucket.duration_ms / bucket.batches),
+      messages_per_second: bucket.duration_ms > 0
+        ? Math.round((bucket.received / bucket.duration_ms) * 1000)
+        : null
+    };
+  }
+
+  return {
+    since: metricsStartedAt,
+    sources
+  };
+}
+
+module.exports = {
+  ingestMessages,
+  getParticipant,
+  upsertContacts,
+  getIngestMetrics
+};
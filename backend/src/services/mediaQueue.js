@@ -0,0 +1,320 @@
+/**
+ * Media Download Queue
+ * Downloads the media of stored messages in the background: message_media
+ * rows are the jobs, created for every new message with media (webhooks and
+ * history syncs), retried with exponential backoff on transient failures
+ */
+
+const { supabaseAdmin } = require('../config/database');
+const { getSessionProvider } = require('../providers');
+const {
+  downloadAndUploadMedia,
+  isTransientMediaError,
+  signMessageMedia,
+  toMediaPreviewFields
+} = require('./mediaService');
+const { publishToSession } = require('./realtimeService');
+
+// Queue configuration
+const MEDIA_QUEUE_CONFIG = {
+  POLL_INTERVAL_MS: parseInt(process.env.MEDIA_QUEUE_POLL_MS) || 5000,
+  BATCH_SIZE: 5,
+  MAX_ATTEMPTS: parseInt(process.env.MEDIA_QUEUE_MAX_ATTEMPTS) || 6,
+  BASE_RETRY_DELAY_MS: 30000, // 30s, 1m, 2m, 4m...
+  MAX_RETRY_DELAY_MS: 6 * 60 * 60 * 1000, // Cap at 6 hours
+  LOCK_TIMEOUT_SECONDS: 300 // Reclaim downloads from crashed workers after 5 minutes
+};
+
+let pollTimer = null;
+let isDraining = false;
+let drainRequested = false;
+
+/**
+ * Queue the media of newly stored messages
+ * @param {Array} items - [{ row, message }]: ingest_messages row and its normalized message
+ */
+async function enqueueMediaDownloads(sessionId, items) {
+  const jobs = items
+    .filter(({ message }) => message.hasMedia)
+    .map(({ row, message }) => ({
+      message_id: row.id,
+      session_id: sessionId,
+      media_type: message.type,
+      mime_type: message.media?.mimetype || null,
+      file_name: message.media?.filename || null,
+      source_media: message.media,
+      download_status: 'pending'
+    }));
+
+  if (jobs.length === 0) {
+    return;
+  }
+
+  const { error } = await supabaseAdmin
+    .from('message_media')
+    .upsert(jobs, { onConflict: 'message_id', ignoreDuplicates: true });
+
+  if (error) {
+    throw error;
+  }
+
+  scheduleDrain();
+}
+
+/**
+ * Exponential backoff with jitter
+ */
+function getRetryDelay(attempts) {
+  const delay = MEDIA_QUEUE_CONFIG.BASE_RETRY_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0));
+  const jitter = Math.floor(Math.random() * 5000);
+  return Math.min(delay, MEDIA_QUEUE_CONFIG.MAX_RETRY_DELAY_MS) + jitter;
+}
+
+/**
+ * Download one claimed job and attach the file to its message
+ * @returns {Object} - The job as updated
+ */
+async function processMediaJob(job) {
+  try {
+    const { data: message, error } = await supabaseAdmin
+      .from('messages')
+      .select('id, contact_id, waha_message_id, message_type, sessions(session_name, provider)')
+      .eq('id', job.message_id)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    const provider = getSessionProvider(message.sessions);
+
+    const mediaInfo = await downloadAndUploadMedia(provider, message.sessions.session_name, {
+      id: message.waha_message_id,
+      type: message.message_type,
+      media: job.source_media || { mimetype: job.mime_type, filename: job.file_name, url: null }
+    });
+
+    const mediaFields = {
+      media_path: mediaInfo.storage_path,
+      media_mimetype: mediaInfo.mimetype,
+      media_size: mediaInfo.size_bytes,
+      media_filename: mediaInfo.filename
+    };
+
+    const { error: messageError } = await supabaseAdmin
+      .from('messages')
+      .update(mediaFields)
+      .eq('id', message.id);
+
+    if (messageError) {
+      throw messageError;
+    }
+
+    const { data: completed, error: jobError } = await supabaseAdmin
+      .from('message_media')
+      .update({
+        download_status: 'completed',
+        attempts: job.attempts,
+        file_name: mediaInfo.filename,
+        file_size: mediaInfo.size_bytes,
+        mime_type: mediaInfo.mimetype,
+        storage_path: mediaInfo.storage_path,
+        thumbnail_path: mediaInfo.thumbnail_path,
+        width: mediaInfo.width,
+        height: mediaInfo.height,
+        duration: mediaInfo.duration,
+        error_message: null,
+        next_attempt_at: null,
+        locked_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', job.id)
+      .select()
+      .single();
+
+    if (jobError) {
+      throw jobError;
+    }
+
+    await publishMediaCompleted(job.session_id, message, {
+      ...mediaFields,
+      ...toMediaPreviewFields(mediaInfo)
+    });
+
+    console.log(`[MediaQueue] ✅ Media of message ${message.id} downloaded (attempt ${job.attempts})`);
+
+    return completed;
+  } catch (error) {
+    const willRetry = isTransientMediaError(error) && job.attempts < MEDIA_QUEUE_CONFIG.MAX_ATTEMPTS;
+    const nextAttemptAt = willRetry
+      ? new Date(Date.now() + getRetryDelay(job.attempts)).toISOString()
+      : null;
+
+    if (willRetry) {
+      console.warn(`[MediaQueue] Media of message ${job.message_id} failed (attempt ${job.attempts}/${MEDIA_QUEUE_CONFIG.MAX_ATTEMPTS}), retrying at ${nextAttemptAt}`);
+    } else {
+      console.error(`[MediaQueue] ❌ Media of message ${job.message_id} failed after ${job.attempts} attempt(s):`, error.message);
+    }
+
+    const { data: failed } = await supabaseAdmin
+      .from('message_media')
+      .update({
+        download_status: 'failed',
+        attempts: job.attempts,
+        error_message: error.message || String(error),
+        next_attempt_at: nextAttemptAt,
+        locked_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', job.id)
+      .select()
+      .single();
+
+    if (!willRetry && job.session_id) {
+      publishToSession(job.session_id, 'message.updated', {
+        message_id: job.message_id,
+        media_status: 'failed'
+      });
+    }
+
+    return failed || { ...job, download_status: 'failed' };
+  }
+}
+
+/**
+ * Tell viewers of the chat the media is ready, with a signed URL
+ * The job is done either way: clients can still ask for a URL
+ */
+async function publishMediaCompleted(sessionId, message, mediaFields) {
+  try {
+    const [signed] = await signMessageMedia([mediaFields]);
+
+    publishToSession(sessionId, 'message.updated', {
+      message_id: message.id,
+      contact_id: message.contact_id,
+      media_status: 'completed',
+      ...signed
+    });
+  } catch (error) {
+    console.error(`[MediaQueue] Failed to publish media of message ${message.id}:`, error.message);
+  }
+}
+
+/**
+ * Claim and process due jobs until the queue is empty
+ */
+async function drainQueue() {
+  if (isDraining) {
+    drainRequested = true;
+    return;
+  }
+
+  isDraining = true;
+
+  try {
+    do {
+      drainRequested = false;
+
+      while (true) {
+        const { data: jobs, error } = await supabaseAdmin.rpc('claim_media_jobs', {
+          p_limit: MEDIA_QUEUE_CONFIG.BATCH_SIZE,
+          p_lock_timeout_seconds: MEDIA_QUEUE_CONFIG.LOCK_TIMEOUT_SECONDS
+        });
+
+        if (error) {
+          throw error;
+        }
+
+        if (!jobs || jobs.length === 0) {
+          break;
+        }
+
+        // One at a time: the provider decrypts every file
+        for (const job of jobs) {
+          await processMediaJob(job);
+        }
+      }
+    } while (drainRequested);
+  } finally {
+    isDraining = false;
+  }
+}
+
+/**
+ * Run a drain in the background
+ */
+function scheduleDrain() {
+  setImmediate(() => {
+    drainQueue().catch(err => {
+      console.error('[MediaQueue] Drain error:', err);
+    });
+  });
+}
+
+/**
+ * Start the background worker
+ */
+function startMediaWorker() {
+  if (pollTimer) {
+    return;
+  }
+
+  console.log(`[MediaQueue] Worker started (poll every ${MEDIA_QUEUE_CONFIG.POLL_INTERVAL_MS}ms)`);
+
+  pollTimer = setInterval(scheduleDrain, MEDIA_QUEUE_CONFIG.POLL_INTERVAL_MS);
+}
+
+/**
+ * Stop the background worker
+ */
+function stopMediaWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+/**
+ * Download a message's media right away, whatever its job's state
+ * (pending, waiting for a retry or given up)
+ * @returns {Object|null} - The job as updated, the current job if it is
+ *                          already downloaded or being downloaded, or null
+ *                          if the message has no media job
+ */
+async function downloadMediaNow(messageId) {
+  const { data: claimed, error } = await supabaseAdmin
+    .from('message_media')
+    .update({
+      download_status: 'downloading',
+      locked_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('message_id', messageId)
+    .in('download_status', ['pending', 'failed'])
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!claimed) {
+    const { data: job } = await supabaseAdmin
+      .from('message_media')
+      .select()
+      .eq('message_id', messageId)
+      .maybeSingle();
+
+    return job;
+  }
+
+  // The attempt is recorded with the job's result
+  return processMediaJob({ ...claimed, attempts: claimed.attempts + 1 });
+}
+
+module.exports = {
+  enqueueMediaDownloads,
+  downloadMediaNow,
+  startMediaWorker,
+  stopMediaWorker
+};
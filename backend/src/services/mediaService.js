@@ -1,106 +1,289 @@
 /**
- * Professional Media Service for Evolution API
+ * Professional Media Service
  * Handles ALL media types: images, videos, audio, documents (PDF, Word, Excel, etc.)
- * Downloads from Evolution API → Uploads to Supabase Storage
+ * Downloads through the session's WhatsApp provider → Uploads to Supabase Storage
+ *
+ * The whatsapp-media bucket is private: files are handed out as short-lived
+ * signed URLs, only after the caller's access to the message was checked
  */
 
-const axios = require('axios');
-const { supabaseAdmin } = require('../config/database');
-const evolutionClient = require('../config/evolution');
+const crypto = require('crypto');
 const path = require('path');
+const { supabaseAdmin } = require('../config/database');
+const { createMediaPreview } = require('./previewService');
+
+const MEDIA_BUCKET = 'whatsapp-media';
+
+// Lifetime of signed media URLs given to clients
+const SIGNED_URL_TTL_SECONDS = parseInt(process.env.MEDIA_SIGNED_URL_TTL_SECONDS) || 900;
 
 /**
- * Download media from Evolution API and upload to Supabase Storage
+ * Download media through the provider and upload to Supabase Storage
  * Supports: Images, Videos, Audio, Documents (PDF, Word, Excel, PPT, etc.)
+ *
+ * Throws on failure; isTransientMediaError tells whether a retry can help
+ *
+ * @param {Object} provider - Provider adapter (see providers/index.js)
+ * @param {string} instanceName - Provider instance / session name
+ * @param {Object} message - Normalized message with media
  */
-async function downloadAndUploadMedia(instanceName, messageKey, mediaData, messageType) {
+async function downloadAndUploadMedia(provider, instanceName, message) {
   try {
-    console.log(`[Media] Processing ${messageType} for message: ${messageKey.id}`);
+    const messageType = message.type;
+    console.log(`[Media] Processing ${messageType} for message: ${message.id}`);
 
-    let mediaBuffer;
-    let mimetype = mediaData.mimetype || 'application/octet-stream';
-    let originalFilename = mediaData.fileName || null;
+    const mimetype = message.media?.mimetype || 'application/octet-stream';
+    const originalFilename = message.media?.filename || null;
 
-    // WhatsApp media URLs are ENCRYPTED - must download through Evolution API
-    // Evolution API will decrypt and provide the actual media file
-    console.log(`[Media] Downloading encrypted media via Evolution API...`);
+    // WhatsApp media URLs are ENCRYPTED - must download through the provider,
+    // which decrypts and serves the actual media file
+    console.log(`[Media] Downloading media via ${provider.name}...`);
 
-    const { downloadMedia } = require('../config/evolution');
-    const decryptedMediaBuffer = await downloadMedia(instanceName, messageKey.id, false);
+    const mediaBuffer = await provider.downloadMedia(instanceName, message);
 
-    if (!decryptedMediaBuffer || decryptedMediaBuffer.length === 0) {
-      console.error(`[Media] Failed to download media from Evolution API`);
-      return null;
+    if (!mediaBuffer || mediaBuffer.length === 0) {
+      throw new Error(`Empty media received from ${provider.name}`);
     }
 
-    mediaBuffer = Buffer.from(decryptedMediaBuffer);
-
-    const filename = originalFilename || generateFilename(messageKey.id, mimetype, messageType);
+    const filename = originalFilename || generateFilename(message.id, mimetype, messageType);
 
     // Generate storage path with date organization
     const date = new Date();
     const year = date.getFullYear();
     const month = String(date.getMonth() + 1).padStart(2, '0');
-    const storagePath = `messages/${year}/${month}/${messageKey.id}/${filename}`;
+    const storagePath = `messages/${year}/${month}/${toStorageKey(message.id)}/${filename}`;
 
-    // Upload to Supabase Storage
-    const { data: uploadData, error: uploadError } = await supabaseAdmin
+    // Upload to Supabase Storage (a retried download overwrites its earlier upload)
+    const { error: uploadError } = await supabaseAdmin
       .storage
-      .from('whatsapp-media')
+      .from(MEDIA_BUCKET)
       .upload(storagePath, mediaBuffer, {
         contentType: mimetype,
         cacheControl: '3600',
-        upsert: false
+        upsert: true
       });
 
     if (uploadError) {
       throw uploadError;
     }
 
-    // Get public URL
-    const { data: urlData } = supabaseAdmin
-      .storage
-      .from('whatsapp-media')
-      .getPublicUrl(storagePath);
-
     console.log(`[Media] ✅ Successfully uploaded: ${storagePath} (${formatBytes(mediaBuffer.length)})`);
 
+    const preview = await storeMediaPreview(storagePath, mediaBuffer, messageType, mimetype);
+
     // Return media info to be saved with message
     return {
       storage_path: storagePath,
-      public_url: urlData.publicUrl,
       filename: filename,
       mimetype: mimetype,
       size_bytes: mediaBuffer.length,
-      media_type: messageType
+      media_type: messageType,
+      ...preview
     };
   } catch (error) {
-    console.error('[Media] ❌ Upload error:', error.message);
+    console.error('[Media] ❌ Download error:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Whether a failed media download is worth retrying
+ * Network errors, timeouts, rate limits and server errors are; other 4xx
+ * responses (e.g. media expired from WhatsApp's servers) are not
+ */
+function isTransientMediaError(error) {
+  const status = error.response?.status ?? error.statusCode ?? error.status;
+
+  if (!status) {
+    return true;
+  }
+
+  return Number(status) >= 500 || [408, 429].includes(Number(status));
+}
+
+/**
+ * Upload a file sent by an agent to Supabase Storage
+ * @param {string} sessionId - Session the media is sent from
+ * @param {Object} file - Multer file (memory storage)
+ * @param {string} mediaType - Message type (image, video, audio, voice, document)
+ */
+async function uploadOutgoingMedia(sessionId, file, mediaType) {
+  return storeUploadedMedia(createOutgoingFolder(sessionId), file, mediaType);
+}
+
+/**
+ * New folder for a file sent from a session
+ */
+function createOutgoingFolder(sessionId) {
+  const date = new Date();
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  return `outgoing/${sessionId}/${year}/${month}/${crypto.randomUUID()}`;
+}
+
+/**
+ * Upload the attachment of a message template
+ * @returns {Object} - Same as uploadOutgoingMedia
+ */
+async function uploadTemplateMedia(file, mediaType) {
+  return storeUploadedMedia(`templates/${crypto.randomUUID()}`, file, mediaType);
+}
+
+/**
+ * Store an uploaded file (and its preview) in a folder of the bucket
+ */
+async function storeUploadedMedia(folder, file, mediaType) {
+  const mimetype = file.mimetype || 'application/octet-stream';
+  const filename = sanitizeFilename(file.originalname) || generateFilename(null, mimetype, mediaType);
+  const storagePath = `${folder}/${filename}`;
+
+  const { error: uploadError } = await supabaseAdmin
+    .storage
+    .from(MEDIA_BUCKET)
+    .upload(storagePath, file.buffer, {
+      contentType: mimetype,
+      cacheControl: '3600',
+      upsert: false
+    });
+
+  if (uploadError) {
+    throw uploadError;
+  }
+
+  console.log(`[Media] ✅ Uploaded ${mediaType}: ${storagePath} (${formatBytes(file.size)})`);
+
+  const preview = await storeMediaPreview(storagePath, file.buffer, mediaType, mimetype);
+
+  return {
+    storage_path: storagePath,
+    filename,
+    mimetype,
+    size_bytes: file.size,
+    media_type: mediaType,
+    ...preview
+  };
+}
+
+/**
+ * Copy a template's or scheduled message's attachment for a message, so
+ * the message keeps its file when the original is changed or deleted
+ * @param {Object} source - message_templates or scheduled_messages row with media
+ * @returns {Object} - Same as uploadOutgoingMedia
+ */
+async function copyStoredMedia(sessionId, source) {
+  const storagePath = `${createOutgoingFolder(sessionId)}/${path.basename(source.media_path)}`;
+
+  const { error } = await supabaseAdmin
+    .storage
+    .from(MEDIA_BUCKET)
+    .copy(source.media_path, storagePath);
+
+  if (error) {
+    throw error;
+  }
+
+  let thumbnailPath = null;
+
+  if (source.media_thumbnail_path) {
+    const { error: previewError } = await supabaseAdmin
+      .storage
+      .from(MEDIA_BUCKET)
+      .copy(source.media_thumbnail_path, `${storagePath}.preview.jpg`);
+
+    if (previewError) {
+      console.warn(`[Media] Failed to copy preview of ${source.media_path}:`, previewError.message);
+    } else {
+      thumbnailPath = `${storagePath}.preview.jpg`;
+    }
+  }
+
+  return {
+    storage_path: storagePath,
+    filename: source.media_filename,
+    mimetype: source.media_mimetype,
+    size_bytes: source.media_size,
+    media_type: source.media_type,
+    thumbnail_path: thumbnailPath,
+    width: source.media_width,
+    height: source.media_height,
+    duration: source.media_duration
+  };
+}
+
+/**
+ * Delete stored files (and their previews)
+ * Best effort: a failure is logged, the files are left behind
+ */
+async function deleteStoredMedia(storagePaths) {
+  const paths = storagePaths.filter(Boolean);
 
-    // Don't throw - just log and return null
-    // This prevents the entire message from failing if media fails
-    return null;
+  if (paths.length === 0) {
+    return;
+  }
+
+  const { error } = await supabaseAdmin
+    .storage
+    .from(MEDIA_BUCKET)
+    .remove(paths);
+
+  if (error) {
+    console.warn(`[Media] Failed to delete ${paths.join(', ')}:`, error.message);
   }
 }
 
 /**
- * Extract media URL from Evolution API message data
+ * Generate a stored file's preview and upload its thumbnail next to it
+ * A preview that fails to upload is skipped: the media itself is stored
+ * @returns {Object} - { thumbnail_path, width, height, duration }
  */
-function extractMediaUrl(mediaData, messageType) {
-  switch (messageType) {
-    case 'image':
-      return mediaData.url || null;
-    case 'video':
-      return mediaData.url || null;
-    case 'audio':
-      return mediaData.url || null;
-    case 'document':
-      return mediaData.url || null;
-    case 'sticker':
-      return mediaData.url || null;
-    default:
-      return null;
+async function storeMediaPreview(storagePath, buffer, mediaType, mimetype) {
+  const { thumbnail, width, height, duration } = await createMediaPreview(buffer, { mediaType, mimetype });
+  let thumbnailPath = null;
+
+  if (thumbnail) {
+    const { error } = await supabaseAdmin
+      .storage
+      .from(MEDIA_BUCKET)
+      .upload(`${storagePath}.preview.jpg`, thumbnail, {
+        contentType: 'image/jpeg',
+        cacheControl: '3600',
+        upsert: true
+      });
+
+    if (error) {
+      console.warn(`[Media] Failed to upload preview of ${storagePath}:`, error.message);
+    } else {
+      thumbnailPath = `${storagePath}.preview.jpg`;
+    }
   }
+
+  return { thumbnail_path: thumbnailPath, width, height, duration };
+}
+
+/**
+ * Map a MIME type to our message_type enum
+ * Audio is sent as a voice note when asVoice is set
+ */
+function getMediaTypeFromMimetype(mimetype, asVoice = false) {
+  if (mimetype?.startsWith('image/')) return 'image';
+  if (mimetype?.startsWith('video/')) return 'video';
+  if (mimetype?.startsWith('audio/')) return asVoice ? 'voice' : 'audio';
+  return 'document';
+}
+
+/**
+ * Keep uploaded file names storage-safe
+ */
+function sanitizeFilename(filename) {
+  if (!filename) return null;
+  return path.basename(filename).replace(/[^a-zA-Z0-9._-]/g, '_').slice(-100);
+}
+
+/**
+ * Make a provider message id safe to use as a storage folder name
+ */
+function toStorageKey(messageId) {
+  return String(messageId).replace(/[^a-zA-Z0-9_-]/g, '_');
 }
 
 /**
@@ -191,11 +374,11 @@ function getExtensionFromMimetype(mimetype) {
 /**
  * Get signed URL for media file (for client access)
  */
-async function getMediaSignedUrl(storagePath, expiresIn = 3600) {
+async function getMediaSignedUrl(storagePath, expiresIn = SIGNED_URL_TTL_SECONDS) {
   try {
     const { data, error } = await supabaseAdmin
       .storage
-      .from('whatsapp-media')
+      .from(MEDIA_BUCKET)
       .createSignedUrl(storagePath, expiresIn);
 
     if (error) {
@@ -210,17 +393,120 @@ async function getMediaSignedUrl(storagePath, expiresIn = 3600) {
 }
 
 /**
- * Create thumbnail for images (optional - for future implementation)
+ * Replace the storage paths of message rows with signed URLs, in one call
+ * Rows without a stored file keep their media_url (media sent by URL)
+ * @param {Array} messages - Rows with media_path, media_url and optionally media_thumbnail_path
+ */
+async function signMessageMedia(messages) {
+  const paths = [...new Set(
+    messages.flatMap(message => [message.media_path, message.media_thumbnail_path]).filter(Boolean)
+  )];
+  const signedUrls = new Map();
+
+  if (paths.length > 0) {
+    const { data, error } = await supabaseAdmin
+      .storage
+      .from(MEDIA_BUCKET)
+      .createSignedUrls(paths, SIGNED_URL_TTL_SECONDS);
+
+    if (error) {
+      throw error;
+    }
+
+    for (const item of data || []) {
+      if (item.signedUrl) {
+        signedUrls.set(item.path, item.signedUrl);
+      }
+    }
+  }
+
+  const expiresAt = new Date(Date.now() + SIGNED_URL_TTL_SECONDS * 1000).toISOString();
+
+  return messages.map(({ media_path: mediaPath, media_thumbnail_path: thumbnailPath, ...message }) => ({
+    ...message,
+    ...(mediaPath && { media_url: signedUrls.get(mediaPath) || null, media_url_expires_at: expiresAt }),
+    ...(thumbnailPath !== undefined && { media_thumbnail_url: (thumbnailPath && signedUrls.get(thumbnailPath)) || null })
+  }));
+}
+
+/**
+ * Message fields of a media preview (message_media row or stored media info)
+ */
+function toMediaPreviewFields(preview) {
+  return {
+    media_thumbnail_path: preview?.thumbnail_path ?? null,
+    media_width: preview?.width ?? null,
+    media_height: preview?.height ?? null,
+    media_duration: preview?.duration ?? null
+  };
+}
+
+/**
+ * Attachment columns of templates and scheduled messages for a stored file
+ * (null clears them)
  */
-async function createThumbnail(mediaBuffer, mimetype) {
-  // TODO: Implement image thumbnail generation using sharp
-  // For now, return null
-  return null;
+function toStoredMediaFields(mediaInfo) {
+  return {
+    media_type: mediaInfo?.media_type ?? null,
+    media_path: mediaInfo?.storage_path ?? null,
+    media_mimetype: mediaInfo?.mimetype ?? null,
+    media_filename: mediaInfo?.filename ?? null,
+    media_size: mediaInfo?.size_bytes ?? null,
+    ...toMediaPreviewFields(mediaInfo)
+  };
+}
+
+/**
+ * Stored file of a row with attachment columns, in the shape of
+ * uploadOutgoingMedia
+ */
+function fromStoredMediaFields(row) {
+  return {
+    url: null,
+    storage_path: row.media_path,
+    filename: row.media_filename,
+    mimetype: row.media_mimetype,
+    size_bytes: row.media_size,
+    media_type: row.media_type,
+    thumbnail_path: row.media_thumbnail_path,
+    width: row.media_width,
+    height: row.media_height,
+    duration: row.media_duration
+  };
+}
+
+/**
+ * Read a stored file
+ * @returns {Buffer}
+ */
+async function downloadStoredMedia(storagePath) {
+  const { data, error } = await supabaseAdmin
+    .storage
+    .from(MEDIA_BUCKET)
+    .download(storagePath);
+
+  if (error) {
+    throw error;
+  }
+
+  return Buffer.from(await data.arrayBuffer());
 }
 
 module.exports = {
   downloadAndUploadMedia,
+  isTransientMediaError,
+  uploadOutgoingMedia,
+  uploadTemplateMedia,
+  copyStoredMedia,
+  deleteStoredMedia,
+  getMediaTypeFromMimetype,
   getMediaSignedUrl,
+  signMessageMedia,
+  toMediaPreviewFields,
+  toStoredMediaFields,
+  fromStoredMediaFields,
+  downloadStoredMedia,
+  SIGNED_URL_TTL_SECONDS,
   getExtensionFromMimetype,
   formatBytes
 };
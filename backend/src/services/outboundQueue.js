@@ -0,0 +1,532 @@
+/**
+ * Outbound Message Queue
+ * Sends the messages agents write in the background: each one is stored
+ * as QUEUED with a job in outbound_messages, sent one at a time per session
+ * with a minimum interval, random jitter and a per-minute cap, and retried
+ * with exponential backoff on transient provider failures
+ */
+
+const { supabaseAdmin } = require('../config/database');
+const { getSessionProvider } = require('../providers');
+const { getMediaSignedUrl } = require('./mediaService');
+const { publishToSession } = require('./realtimeService');
+
+// Queue configuration
+const OUTBOUND_QUEUE_CONFIG = {
+  POLL_INTERVAL_MS: parseInt(process.env.OUTBOUND_QUEUE_POLL_MS) || 1000,
+  BATCH_SIZE: 10, // Sessions served per claim, one message each
+  MAX_ATTEMPTS: parseInt(process.env.OUTBOUND_QUEUE_MAX_ATTEMPTS) || 5,
+  BASE_RETRY_DELAY_MS: 5000, // 5s, 10s, 20s, 40s...
+  MAX_RETRY_DELAY_MS: 10 * 60 * 1000, // Cap at 10 minutes
+  LOCK_TIMEOUT_SECONDS: 120, // Give up sends of crashed workers after 2 minutes
+  COMPLETE_ATTEMPTS: 3, // Tries to record a message the provider accepted
+  COMPLETE_RETRY_DELAY_MS: 1000,
+  // Anti-ban pacing, per session
+  MIN_INTERVAL_MS: parseInt(process.env.OUTBOUND_MIN_INTERVAL_MS) || 1500,
+  MAX_JITTER_MS: parseInt(process.env.OUTBOUND_MAX_JITTER_MS) || 2000,
+  MAX_PER_MINUTE: parseInt(process.env.OUTBOUND_MAX_PER_MINUTE) || 20
+};
+
+// Providers fetch outgoing media right away
+const PROVIDER_MEDIA_URL_TTL_SECONDS = 600;
+
+let pollTimer = null;
+let isDraining = false;
+let drainRequested = false;
+
+/**
+ * Store a message as QUEUED and queue it for sending
+ * A message already queued with the same idempotency key is returned
+ * instead of queueing it twice
+ *
+ * @param {Object} message - messages row to insert (without ack)
+ * @param {Object} job - { chatId, payload, idempotencyKey, createdBy }
+ * @returns {Object} - { message, duplicate }
+ */
+async function enqueueOutboundMessage(message, { chatId, payload, idempotencyKey, createdBy }) {
+  const { data: saved, error } = await supabaseAdmin
+    .from('messages')
+    .insert({ ...message, waha_message_id: null, ack: 'QUEUED' })
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  const { error: jobError } = await supabaseAdmin
+    .from('outbound_messages')
+    .insert({
+      session_id: message.session_id,
+      message_id: saved.id,
+      contact_id: saved.contact_id,
+      chat_id: chatId,
+      payload,
+      idempotency_key: idempotencyKey || null,
+      created_by: createdBy || null
+    });
+
+  if (jobError) {
+    await supabaseAdmin.from('messages').delete().eq('id', saved.id);
+
+    // Same key sent twice at once: the other request queued it
+    if (jobError.code === '23505' && idempotencyKey) {
+      const existing = await findQueuedMessage(message.session_id, idempotencyKey);
+      if (existing) {
+        return { message: existing, duplicate: true };
+      }
+    }
+
+    throw jobError;
+  }
+
+  scheduleDrain();
+
+  return { message: saved, duplicate: false };
+}
+
+/**
+ * Queue a text or media message to a chat: its message, its job and, with
+ * media, its message_media row
+ * Used by the send endpoint and by scheduled messages
+ *
+ * @param {Object} options - { sessionId, contactId, chatId, body, mediaInfo, quoted, quotedMessageId, idempotencyKey, createdBy }
+ *   mediaInfo as returned by uploadOutgoingMedia, or { url, media_type, ... } for a public URL
+ * @returns {Object} - { message, duplicate }
+ */
+async function queueOutgoingMessage({
+  sessionId,
+  contactId,
+  chatId,
+  body = '',
+  mediaInfo = null,
+  quoted = null,
+  quotedMessageId = null,
+  idempotencyKey,
+  createdBy
+}) {
+  const { message, duplicate } = await enqueueOutboundMessage({
+    session_id: sessionId,
+    contact_id: contactId,
+    message_type: mediaInfo ? mediaInfo.media_type : 'text',
+    body,
+    from_me: true,
+    has_media: !!mediaInfo,
+    ...(mediaInfo && {
+      // Stored uploads are signed on read; external URLs are kept as given
+      media_url: mediaInfo.storage_path ? null : mediaInfo.url,
+      media_path: mediaInfo.storage_path,
+      media_mimetype: mediaInfo.mimetype,
+      media_size: mediaInfo.size_bytes,
+      media_filename: mediaInfo.filename
+    }),
+    timestamp: new Date().toISOString(),
+    quoted_message_id: quotedMessageId || null,
+    quoted_waha_message_id: quoted?.id || null
+  }, {
+    chatId,
+    payload: mediaInfo
+      ? {
+          media: {
+            url: mediaInfo.storage_path ? null : mediaInfo.url,
+            storage_path: mediaInfo.storage_path,
+            mimetype: mediaInfo.mimetype,
+            filename: mediaInfo.filename,
+            media_type: mediaInfo.media_type
+          },
+          caption: body,
+          quoted
+        }
+      : { text: body, quoted },
+    idempotencyKey,
+    createdBy
+  });
+
+  if (mediaInfo && !duplicate) {
+    const { error: mediaError } = await supabaseAdmin
+      .from('message_media')
+      .insert({
+        message_id: message.id,
+        session_id: sessionId,
+        media_type: mediaInfo.media_type,
+        file_url: mediaInfo.storage_path ? null : mediaInfo.url,
+        file_name: mediaInfo.filename,
+        file_size: mediaInfo.size_bytes,
+        mime_type: mediaInfo.mimetype,
+        storage_path: mediaInfo.storage_path,
+        thumbnail_path: mediaInfo.thumbnail_path || null,
+        width: mediaInfo.width || null,
+        height: mediaInfo.height || null,
+        duration: mediaInfo.duration || null
+      });
+
+    if (mediaError) {
+      console.error('[OutboundQueue] Failed to save message media:', mediaError);
+    }
+  }
+
+  return { message, duplicate };
+}
+
+/**
+ * Message queued with a client's idempotency key, if any
+ */
+async function findQueuedMessage(sessionId, idempotencyKey) {
+  const { data: job } = await supabaseAdmin
+    .from('outbound_messages')
+    .select('message:messages(*)')
+    .eq('session_id', sessionId)
+    .eq('idempotency_key', idempotencyKey)
+    .maybeSingle();
+
+  return job?.message || null;
+}
+
+/**
+ * Failures worth retrying: network errors, timeouts, rate limits and
+ * provider errors (instance restarting)
+ */
+function isTransientSendError(error) {
+  const status = error.response?.status ?? error.statusCode ?? error.status;
+
+  if (!status) {
+    return true;
+  }
+
+  return Number(status) >= 500 || [408, 429].includes(Number(status));
+}
+
+/**
+ * Exponential backoff with jitter
+ */
+function getRetryDelay(attempts) {
+  const delay = OUTBOUND_QUEUE_CONFIG.BASE_RETRY_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0));
+  const jitter = Math.floor(Math.random() * 1000);
+  return Math.min(delay, OUTBOUND_QUEUE_CONFIG.MAX_RETRY_DELAY_MS) + jitter;
+}
+
+/**
+ * Send a job's message through the session's provider
+ * @returns {Object} - The provider's send result ({ id, timestamp, raw })
+ */
+async function sendPayload(session, chatId, payload) {
+  const provider = getSessionProvider(session);
+  const quoted = payload.quoted || null;
+
+  if (!payload.media) {
+    return provider.sendText(session.session_name, chatId, payload.text, { quoted });
+  }
+
+  const { media } = payload;
+
+  return provider.sendMedia(session.session_name, chatId, {
+    // Stored uploads are fetched by the provider with a short-lived signed URL
+    url: media.storage_path
+      ? await getMediaSignedUrl(media.storage_path, PROVIDER_MEDIA_URL_TTL_SECONDS)
+      : media.url,
+    caption: payload.caption || '',
+    mimetype: media.mimetype,
+    filename: media.filename,
+    mediaType: media.media_type,
+    quoted
+  });
+}
+
+/**
+ * Send one claimed job and record the result on its message
+ */
+async function processOutboundJob(job) {
+  try {
+    const { data: session, error } = await supabaseAdmin
+      .from('sessions')
+      .select('session_name, provider')
+      .eq('id', job.session_id)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    publishAck(job, { ack: 'SENDING' });
+
+    const sent = await sendPayload(session, job.chat_id, job.payload);
+
+    const { data: messages, error: completeError } = await completeOutboundJob(job, sent);
+
+    if (completeError) {
+      // Sent: a retry would deliver it twice
+      console.error(`[OutboundQueue] Message ${job.message_id} sent as ${sent.id} but not recorded:`, completeError.message);
+      await markUnconfirmed(job, `Sent as ${sent.id} but not recorded: ${completeError.message}`);
+      return;
+    }
+
+    const message = messages?.[0];
+
+    publishAck(job, {
+      ack: message?.ack || 'PENDING',
+      waha_message_id: sent.id,
+      timestamp: message?.timestamp
+    });
+
+    console.log(`[OutboundQueue] ✅ Message ${job.message_id} sent (attempt ${job.attempts})`);
+
+    publishScheduledJob(job);
+  } catch (error) {
+    const willRetry = isTransientSendError(error) && job.attempts < OUTBOUND_QUEUE_CONFIG.MAX_ATTEMPTS;
+    const nextAttemptAt = willRetry
+      ? new Date(Date.now() + getRetryDelay(job.attempts)).toISOString()
+      : null;
+    const errorMessage = error.response?.data?.message || error.message || String(error);
+
+    if (willRetry) {
+      console.warn(`[OutboundQueue] Message ${job.message_id} failed (attempt ${job.attempts}/${OUTBOUND_QUEUE_CONFIG.MAX_ATTEMPTS}), retrying at ${nextAttemptAt}`);
+    } else {
+      console.error(`[OutboundQueue] ❌ Message ${job.message_id} failed after ${job.attempts} attempt(s):`, errorMessage);
+    }
+
+    await supabaseAdmin
+      .from('outbound_messages')
+      .update({
+        status: 'failed',
+        error_message: errorMessage,
+        next_attempt_at: nextAttemptAt,
+        locked_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', job.id);
+
+    // Waiting for a retry reads as queued
+    const ack = willRetry ? 'QUEUED' : 'FAILED';
+
+    await supabaseAdmin
+      .from('messages')
+      .update({ ack })
+      .eq('id', job.message_id);
+
+    publishAck(job, { ack, ...(!willRetry && { error: errorMessage }) });
+
+    if (!willRetry) {
+      publishScheduledJob(job);
+    }
+  }
+}
+
+/**
+ * Record a message the provider accepted, retrying briefly on errors
+ * @returns {Object} - The last complete_outbound_message result ({ data, error })
+ */
+async function completeOutboundJob(job, sent) {
+  let result;
+
+  for (let attempt = 1; attempt <= OUTBOUND_QUEUE_CONFIG.COMPLETE_ATTEMPTS; attempt++) {
+    result = await supabaseAdmin.rpc('complete_outbound_message', {
+      p_job_id: job.id,
+      p_waha_message_id: sent.id,
+      p_timestamp: sent.timestamp ? new Date(sent.timestamp * 1000).toISOString() : null,
+      p_raw_payload: sent.raw || null
+    });
+
+    if (!result.error) {
+      break;
+    }
+
+    if (attempt < OUTBOUND_QUEUE_CONFIG.COMPLETE_ATTEMPTS) {
+      await new Promise(resolve => setTimeout(resolve, OUTBOUND_QUEUE_CONFIG.COMPLETE_RETRY_DELAY_MS * attempt));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Give up a job that may have reached WhatsApp without retrying it
+ * If this fails too, the claim gives the job up the same way once its lock
+ * times out
+ */
+async function markUnconfirmed(job, errorMessage) {
+  const { error } = await supabaseAdmin
+    .from('outbound_messages')
+    .update({
+      status: 'unconfirmed',
+      error_message: errorMessage,
+      next_attempt_at: null,
+      locked_at: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', job.id);
+
+  if (error) {
+    console.error(`[OutboundQueue] Failed to mark message ${job.message_id} unconfirmed:`, error.message);
+    return;
+  }
+
+  await supabaseAdmin
+    .from('messages')
+    .update({ ack: 'UNCONFIRMED' })
+    .eq('id', job.message_id);
+
+  publishAck(job, { ack: 'UNCONFIRMED', error: errorMessage });
+  publishScheduledJob(job);
+}
+
+/**
+ * Tell viewers of the session a queued message changed state
+ */
+function publishAck(job, data) {
+  publishToSession(job.session_id, 'message.ack', {
+    message_id: job.message_id,
+    contact_id: job.contact_id,
+    ...data
+  });
+}
+
+/**
+ * Tell viewers the scheduled message a job belongs to followed its result
+ * (sync_scheduled_message_status)
+ */
+function publishScheduledJob(job) {
+  if (!job.idempotency_key?.startsWith('scheduled:')) {
+    return;
+  }
+
+  // Required here: the scheduled message service queues through this one
+  const { publishScheduledMessageById } = require('./scheduledMessageService');
+
+  publishScheduledMessageById(job.idempotency_key.slice('scheduled:'.length)).catch(err => {
+    console.error(`[OutboundQueue] Failed to publish scheduled message of ${job.message_id}:`, err.message);
+  });
+}
+
+/**
+ * Claim and send due messages until no session may send
+ * Sessions that just sent wait for their pacing; the next poll picks them up
+ */
+async function drainQueue() {
+  if (isDraining) {
+    drainRequested = true;
+    return;
+  }
+
+  isDraining = true;
+
+  try {
+    do {
+      drainRequested = false;
+
+      while (true) {
+        const { data: jobs, error } = await supabaseAdmin.rpc('claim_outbound_messages', {
+          p_limit: OUTBOUND_QUEUE_CONFIG.BATCH_SIZE,
+          p_min_interval_ms: OUTBOUND_QUEUE_CONFIG.MIN_INTERVAL_MS,
+          p_max_jitter_ms: OUTBOUND_QUEUE_CONFIG.MAX_JITTER_MS,
+          p_max_per_minute: OUTBOUND_QUEUE_CONFIG.MAX_PER_MINUTE,
+          p_lock_timeout_seconds: OUTBOUND_QUEUE_CONFIG.LOCK_TIMEOUT_SECONDS
+        });
+
+        if (error) {
+          throw error;
+        }
+
+        if (!jobs || jobs.length === 0) {
+          break;
+        }
+
+        // One message per session: sessions send side by side
+        await Promise.all(jobs.map(processOutboundJob));
+      }
+    } while (drainRequested);
+  } finally {
+    isDraining = false;
+  }
+}
+
+/**
+ * Run a drain in the background
+ */
+function scheduleDrain() {
+  setImmediate(() => {
+    drainQueue().catch(err => {
+      console.error('[OutboundQueue] Drain error:', err);
+    });
+  });
+}
+
+/**
+ * Start the background worker
+ */
+function startOutboundWorker() {
+  if (pollTimer) {
+    return;
+  }
+
+  console.log(`[OutboundQueue] Worker started (poll every ${OUTBOUND_QUEUE_CONFIG.POLL_INTERVAL_MS}ms, ${OUTBOUND_QUEUE_CONFIG.MAX_PER_MINUTE} messages/min per session)`);
+
+  pollTimer = setInterval(scheduleDrain, OUTBOUND_QUEUE_CONFIG.POLL_INTERVAL_MS);
+}
+
+/**
+ * Stop the background worker
+ */
+function stopOutboundWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+/**
+ * Put a message that failed to send back in the queue, right away and with
+ * a fresh set of attempts
+ * Only jobs the queue gave up on: a job waiting for an automatic retry
+ * (next_attempt_at set) would otherwise be sent by both, and an unconfirmed
+ * one may already have been delivered
+ * @returns {Object|null} - The job as updated, or null if the message has no given-up job
+ */
+async function retryOutboundMessage(messageId) {
+  const { data: job, error } = await supabaseAdmin
+    .from('outbound_messages')
+    .update({
+      status: 'queued',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      error_message: null,
+      locked_at: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('message_id', messageId)
+    .eq('status', 'failed')
+    .is('next_attempt_at', null)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!job) {
+    return null;
+  }
+
+  const { error: messageError } = await supabaseAdmin
+    .from('messages')
+    .update({ ack: 'QUEUED' })
+    .eq('id', messageId);
+
+  if (messageError) {
+    throw messageError;
+  }
+
+  publishAck(job, { ack: 'QUEUED' });
+  publishScheduledJob(job);
+  scheduleDrain();
+
+  return job;
+}
+
+module.exports = {
+  enqueueOutboundMessage,
+  queueOutgoingMessage,
+  findQueuedMessage,
+  retryOutboundMessage,
+  startOutboundWorker,
+  stopOutboundWorker
+};
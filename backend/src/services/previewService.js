@@ -0,0 +1,232 @@
+/**
+ * Media Preview Service
+ * Thumbnails and dimensions of stored media: image thumbnails (sharp),
+ * video poster frames and audio/video durations (ffmpeg / ffprobe) and
+ * first-page previews of PDFs (pdftoppm, from poppler-utils)
+ *
+ * Previews are best effort: a file that cannot be previewed, or a missing
+ * ffmpeg / pdftoppm binary, only leaves the preview fields empty
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const sharp = require('sharp');
+
+const PREVIEW_CONFIG = {
+  MAX_SIZE: 480, // Thumbnails fit in 480x480
+  JPEG_QUALITY: 70,
+  POSTER_OFFSET_SECONDS: 1, // Skip black first frames
+  COMMAND_TIMEOUT_MS: parseInt(process.env.MEDIA_PREVIEW_TIMEOUT_MS) || 30000,
+  FFMPEG_PATH: process.env.FFMPEG_PATH || 'ffmpeg',
+  FFPROBE_PATH: process.env.FFPROBE_PATH || 'ffprobe',
+  PDFTOPPM_PATH: process.env.PDFTOPPM_PATH || 'pdftoppm'
+};
+
+// Binaries reported missing, to warn only once
+const missingCommands = new Set();
+
+/**
+ * Create the preview of a media file
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - { mediaType, mimetype }
+ * @returns {Object} - { thumbnail (JPEG Buffer or null), width, height, duration (seconds) }
+ */
+async function createMediaPreview(buffer, { mediaType, mimetype }) {
+  const empty = { thumbnail: null, width: null, height: null, duration: null };
+
+  try {
+    switch (mediaType) {
+      case 'image':
+        return { ...empty, ...(await previewImage(buffer)) };
+
+      case 'sticker':
+        // Shown as is; only the size is needed
+        return { ...empty, ...(await getImageSize(buffer)) };
+
+      case 'video':
+        return { ...empty, ...(await withTempFile(buffer, previewVideo)) };
+
+      case 'audio':
+      case 'voice':
+        return { ...empty, duration: (await withTempFile(buffer, probeMedia)).duration };
+
+      case 'document':
+        if (getBaseMimetype(mimetype) === 'application/pdf') {
+          return { ...empty, ...(await withTempFile(buffer, previewPdf)) };
+        }
+        return empty;
+
+      default:
+        return empty;
+    }
+  } catch (error) {
+    console.warn(`[Preview] Failed to preview ${mediaType} (${mimetype}):`, error.message);
+    return empty;
+  }
+}
+
+/**
+ * Thumbnail and size of an image, in display orientation
+ */
+async function previewImage(buffer) {
+  const { width, height } = await getImageSize(buffer);
+  const thumbnail = await toThumbnail(buffer);
+
+  return { thumbnail, width, height };
+}
+
+async function getImageSize(buffer) {
+  const { width, height, orientation } = await sharp(buffer).metadata();
+
+  // EXIF orientations 5-8 are rotated by 90 degrees
+  return orientation >= 5
+    ? { width: height, height: width }
+    : { width, height };
+}
+
+/**
+ * Scale an image down to a JPEG thumbnail
+ */
+function toThumbnail(buffer) {
+  return sharp(buffer)
+    .rotate()
+    .resize(PREVIEW_CONFIG.MAX_SIZE, PREVIEW_CONFIG.MAX_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: PREVIEW_CONFIG.JPEG_QUALITY })
+    .toBuffer();
+}
+
+/**
+ * Poster frame, size and duration of a video
+ */
+async function previewVideo(filePath) {
+  const probe = await probeMedia(filePath);
+
+  // Short clips have no frame at the offset
+  const offset = probe.duration && probe.duration > PREVIEW_CONFIG.POSTER_OFFSET_SECONDS * 2
+    ? PREVIEW_CONFIG.POSTER_OFFSET_SECONDS
+    : 0;
+
+  const frame = await runCommand(PREVIEW_CONFIG.FFMPEG_PATH, [
+    '-v', 'error',
+    '-ss', String(offset),
+    '-i', filePath,
+    '-frames:v', '1',
+    '-f', 'image2pipe',
+    '-vcodec', 'png',
+    'pipe:1'
+  ]);
+
+  return {
+    ...probe,
+    thumbnail: frame && frame.length > 0 ? await toThumbnail(frame) : null
+  };
+}
+
+/**
+ * Duration and video size of an audio or video file
+ */
+async function probeMedia(filePath) {
+  const output = await runCommand(PREVIEW_CONFIG.FFPROBE_PATH, [
+    '-v', 'error',
+    '-print_format', 'json',
+    '-show_entries', 'format=duration:stream=codec_type,width,height:stream_tags=rotate:stream_side_data=rotation',
+    filePath
+  ]);
+
+  if (!output) {
+    return { width: null, height: null, duration: null };
+  }
+
+  const { format, streams = [] } = JSON.parse(output.toString());
+  const video = streams.find(stream => stream.codec_type === 'video');
+  const duration = parseFloat(format?.duration);
+
+  // Phone videos are often stored landscape with a rotation flag
+  const sideDataRotation = video?.side_data_list?.find(data => data.rotation !== undefined)?.rotation;
+  const rotation = Math.abs(parseInt(sideDataRotation ?? video?.tags?.rotate) || 0);
+  const rotated = rotation === 90 || rotation === 270;
+
+  return {
+    width: (rotated ? video?.height : video?.width) || null,
+    height: (rotated ? video?.width : video?.height) || null,
+    duration: Number.isFinite(duration) ? Math.round(duration) : null
+  };
+}
+
+/**
+ * Image of a PDF's first page
+ */
+async function previewPdf(filePath) {
+  const image = await runCommand(PREVIEW_CONFIG.PDFTOPPM_PATH, [
+    '-f', '1',
+    '-l', '1',
+    '-singlefile',
+    '-scale-to', String(PREVIEW_CONFIG.MAX_SIZE),
+    '-png',
+    filePath
+  ]);
+
+  return { thumbnail: image && image.length > 0 ? await toThumbnail(image) : null };
+}
+
+/**
+ * ffmpeg and pdftoppm need seekable input: write the buffer to a
+ * temporary file for the duration of the callback
+ */
+async function withTempFile(buffer, callback) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'wa-preview-'));
+  const filePath = path.join(dir, crypto.randomUUID());
+
+  try {
+    await fs.writeFile(filePath, buffer);
+    return await callback(filePath);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Run a command and return its stdout
+ * @returns {Buffer|null} - null when the command is not installed
+ */
+function runCommand(command, args) {
+  if (missingCommands.has(command)) {
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve, reject) => {
+    execFile(command, args, {
+      encoding: 'buffer',
+      timeout: PREVIEW_CONFIG.COMMAND_TIMEOUT_MS,
+      maxBuffer: 20 * 1024 * 1024
+    }, (error, stdout, stderr) => {
+      if (error?.code === 'ENOENT') {
+        missingCommands.add(command);
+        console.warn(`[Preview] ${command} is not installed - previews that need it are skipped`);
+        return resolve(null);
+      }
+
+      if (error) {
+        const message = stderr?.toString().trim() || error.message;
+        return reject(new Error(`${path.basename(command)} failed: ${message}`));
+      }
+
+      resolve(stdout);
+    });
+  });
+}
+
+/**
+ * MIME type without parameters ("audio/ogg; codecs=opus" -> "audio/ogg")
+ */
+function getBaseMimetype(mimetype) {
+  return (mimetype || '').split(';')[0].trim().toLowerCase();
+}
+
+module.exports = {
+  createMediaPreview
+};
@@ -0,0 +1,217 @@
+/**
+ * Realtime Service
+ * Authenticated WebSocket channel that pushes webhook events
+ * (new messages, ACK changes, connection and QR updates) and alerts to
+ * web clients
+ *
+ * Connect: ws(s)://<api>/api/ws?token=<access_token>
+ * Server -> client: { type, session_id, data }
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+const { resolveAccessToken, checkSessionAccess, getViewableContactIds } = require('../middlewares/auth');
+
+const WS_PATH = '/api/ws';
+const HEARTBEAT_INTERVAL_MS = 30000;
+const ACCESS_CACHE_TTL_MS = 5 * 60 * 1000; // Re-check assignments every 5 minutes
+
+let wss = null;
+let heartbeatTimer = null;
+
+/**
+ * Attach the WebSocket server to the HTTP server
+ */
+function attachRealtimeServer(server) {
+  wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname !== WS_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    try {
+      const token = url.searchParams.get('token');
+      const { profile, error } = token
+        ? await resolveAccessToken(token)
+        : { error: { status: 401, message: 'Missing token' } };
+
+      if (error) {
+        console.warn(`[Realtime] Rejected connection: ${error.message}`);
+        socket.write(`HTTP/1.1 ${error.status} ${error.status === 401 ? 'Unauthorized' : 'Forbidden'}\r\n\r\n`);
+        socket.destroy();
+        return;
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        ws.profile = profile;
+        ws.sessionAccess = new Map(); // sessionId -> { allowed: Promise<boolean>, contactIds: Promise<string[]|null>, checkedAt }
+        ws.isAlive = true;
+        wss.emit('connection', ws);
+      });
+    } catch (err) {
+      console.error('[Realtime] Upgrade error:', err);
+      socket.destroy();
+    }
+  });
+
+  wss.on('connection', (ws) => {
+    console.log(`[Realtime] Client connected: ${ws.profile.username} (${wss.clients.size} total)`);
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('close', () => {
+      console.log(`[Realtime] Client disconnected: ${ws.profile.username}`);
+    });
+
+    ws.on('error', (err) => {
+      console.error('[Realtime] Socket error:', err.message);
+    });
+
+    ws.send(JSON.stringify({ type: 'connected', data: { user_id: ws.profile.id } }));
+  });
+
+  // Drop clients that stopped answering pings
+  heartbeatTimer = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  console.log(`[Realtime] WebSocket server listening on ${WS_PATH}`);
+}
+
+/**
+ * Check (and cache per connection) whether a client can access a session
+ */
+function clientCanAccessSession(ws, sessionId) {
+  const cached = ws.sessionAccess.get(sessionId);
+
+  if (cached && Date.now() - cached.checkedAt < ACCESS_CACHE_TTL_MS) {
+    return cached.allowed;
+  }
+
+  const allowed = checkSessionAccess(sessionId, ws.profile).catch(() => false);
+  const contactIds = getViewableContactIds(sessionId, ws.profile).catch(() => []);
+  ws.sessionAccess.set(sessionId, { allowed, contactIds, checkedAt: Date.now() });
+
+  return allowed;
+}
+
+/**
+ * Check whether a client can see an event about one chat
+ * Team members only receive events for chats assigned to them
+ */
+async function clientCanViewChat(ws, sessionId, contactId) {
+  if (!(await clientCanAccessSession(ws, sessionId))) {
+    return false;
+  }
+
+  if (!contactId) {
+    return true;
+  }
+
+  const contactIds = await ws.sessionAccess.get(sessionId).contactIds;
+  return !contactIds || contactIds.includes(contactId);
+}
+
+/**
+ * Push an event to every client that can access the session
+ * Never throws - realtime delivery is best effort
+ */
+async function publishToSession(sessionId, type, data) {
+  if (!wss || !sessionId) {
+    return;
+  }
+
+  const payload = JSON.stringify({ type, session_id: sessionId, data });
+  const contactId = data?.contact_id || data?.contact?.contact_id || null;
+
+  await Promise.all(
+    [...wss.clients].map(async (ws) => {
+      try {
+        if (ws.readyState !== WebSocket.OPEN) {
+          return;
+        }
+
+        if (await clientCanViewChat(ws, sessionId, contactId)) {
+          ws.send(payload);
+        }
+      } catch (err) {
+        console.error('[Realtime] Publish error:', err.message);
+      }
+    })
+  );
+}
+
+/**
+ * Push an event to the given users' clients, whatever they are viewing
+ * (alerts meant for one person rather than a session's viewers)
+ * Never throws - realtime delivery is best effort
+ */
+function publishToUsers(userIds, type, data, sessionId = null) {
+  if (!wss) {
+    return;
+  }
+
+  const recipients = new Set(userIds.filter(Boolean));
+  const payload = JSON.stringify({ type, session_id: sessionId, data });
+
+  for (const ws of wss.clients) {
+    try {
+      if (ws.readyState === WebSocket.OPEN && recipients.has(ws.profile.id)) {
+        ws.send(payload);
+      }
+    } catch (err) {
+      console.error('[Realtime] Publish error:', err.message);
+    }
+  }
+}
+
+/**
+ * Drop cached access checks for a session (e.g. after its chats are reassigned)
+ */
+function invalidateSessionAccess(sessionId) {
+  if (!wss) {
+    return;
+  }
+
+  for (const ws of wss.clients) {
+    ws.sessionAccess?.delete(sessionId);
+  }
+}
+
+/**
+ * Close all connections
+ */
+function closeRealtimeServer() {
+  if (heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+
+  if (wss) {
+    for (const ws of wss.clients) {
+      ws.close(1001, 'Server shutting down');
+    }
+    wss.close();
+    wss = null;
+  }
+}
+
+module.exports = {
+  attachRealtimeServer,
+  publishToSession,
+  publishToUsers,
+  invalidateSessionAccess,
+  closeRealtimeServer
+};
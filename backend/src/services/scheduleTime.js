@@ -0,0 +1,110 @@
+/**
+ * Schedule Time
+ * Wall-clock times in an IANA time zone ("2026-03-10T09:00" in
+ * "America/Sao_Paulo") to and from UTC instants, with the zone's rules
+ * (daylight saving included) from Intl
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+/**
+ * Whether a time zone name is known (e.g. "Europe/Lisbon", "UTC")
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock fields of an instant in a time zone
+ */
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  return Object.fromEntries(
+    parts.filter(part => part.type !== 'literal').map(part => [part.type, Number(part.value)])
+  );
+}
+
+/**
+ * How far a time zone's wall clock is ahead of UTC at an instant
+ */
+function getTimeZoneOffsetMs(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const wallClockAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Instant a wall-clock time in a time zone happens at
+ * Times skipped by a daylight saving change move forward by the change;
+ * repeated ones resolve to the first occurrence
+ *
+ * @param {string} localDateTime - "YYYY-MM-DDTHH:mm" or "YYYY-MM-DDTHH:mm:ss"
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date|null} - null for a malformed or impossible date
+ */
+function zonedTimeToUtc(localDateTime, timeZone) {
+  const match = LOCAL_DATE_TIME_PATTERN.exec(localDateTime || '');
+
+  if (!match || !isValidTimeZone(timeZone)) {
+    return null;
+  }
+
+  const [year, month, day, hour, minute, second = 0] = match.slice(1).map(value => Number(value || 0));
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const check = new Date(wallClockAsUtc);
+
+  // Date.UTC rolls over (Feb 30 -> Mar 2): reject instead
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+
+  // Try the zone's offsets from a day before and after: around a daylight
+  // saving change a wall-clock time has two instants, or none
+  const offsets = [...new Set([-DAY_MS, DAY_MS].map(shift => getTimeZoneOffsetMs(new Date(wallClockAsUtc + shift), timeZone)))];
+  const instants = offsets
+    .map(offset => wallClockAsUtc - offset)
+    .filter(instant => getTimeZoneOffsetMs(new Date(instant), timeZone) === wallClockAsUtc - instant);
+
+  if (instants.length > 0) {
+    return new Date(Math.min(...instants));
+  }
+
+  // Skipped: read it with the offset from before the change
+  return new Date(wallClockAsUtc - Math.min(...offsets));
+}
+
+/**
+ * Wall-clock time of an instant in a time zone, as "YYYY-MM-DDTHH:mm"
+ */
+function utcToZonedTime(date, timeZone) {
+  const parts = getZonedParts(new Date(date), timeZone);
+  const pad = value => String(value).padStart(2, '0');
+
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}`;
+}
+
+module.exports = {
+  isValidTimeZone,
+  zonedTimeToUtc,
+  utcToZonedTime
+};
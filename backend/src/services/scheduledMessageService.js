@@ -0,0 +1,364 @@
+/**
+ * Scheduled Message Service
+ * Messages written now and sent at a later time: the scheduler worker hands
+ * the due ones to the outbound queue, like the send endpoint does, and holds
+ * those whose session is not connected, alerting the session's admin and
+ * the agent who scheduled them. A queued message is sent or failed by its
+ * outbound job (sync_scheduled_message_status)
+ */
+
+const { supabaseAdmin } = require('../config/database');
+const { getSessionProvider } = require('../providers');
+const { queueOutgoingMessage, retryOutboundMessage } = require('./outboundQueue');
+const { signMessageMedia, copyStoredMedia, deleteStoredMedia } = require('./mediaService');
+const { publishToSession, publishToUsers } = require('./realtimeService');
+const { utcToZonedTime } = require('./scheduleTime');
+
+// Scheduler configuration
+const SCHEDULER_CONFIG = {
+  POLL_INTERVAL_MS: parseInt(process.env.SCHEDULED_MESSAGES_POLL_MS) || 15000,
+  BATCH_SIZE: 20,
+  LOCK_TIMEOUT_SECONDS: 120 // Claim again the messages of crashed schedulers
+};
+
+// Acks of a queued message the outbound queue has not sent yet
+const UNSENT_ACKS = ['QUEUED', 'SENDING', 'FAILED'];
+
+// States in which a scheduled message can still be edited, sent or cancelled
+const PENDING_STATUSES = ['scheduled', 'held', 'failed'];
+
+const SCHEDULED_MESSAGE_COLUMNS = `
+  id, session_id, contact_id, body,
+  media_type, media_path, media_mimetype, media_filename, media_size,
+  media_thumbnail_path, media_width, media_height, media_duration,
+  scheduled_at, timezone, status, message_id, error_message,
+  held_at, sent_at, cancelled_at, created_by, created_at, updated_at,
+  creator:profiles!scheduled_messages_created_by_fkey(id, username, full_name)
+`;
+
+let pollTimer = null;
+let isRunning = false;
+let runRequested = false;
+
+/**
+ * Update a scheduled message and return it as stored
+ */
+async function updateScheduledMessageRow(id, fields) {
+  const { data, error } = await supabaseAdmin
+    .from('scheduled_messages')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select(SCHEDULED_MESSAGE_COLUMNS)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Queue one claimed message, or hold it if its session cannot send
+ */
+async function processScheduledMessage(scheduled) {
+  try {
+    const [{ data: session }, { data: contact }] = await Promise.all([
+      supabaseAdmin
+        .from('sessions')
+        .select('session_name, provider, status, created_by_admin_id')
+        .eq('id', scheduled.session_id)
+        .single(),
+      supabaseAdmin
+        .from('contacts')
+        .select('phone_number, name, is_group')
+        .eq('id', scheduled.contact_id)
+        .single()
+    ]);
+
+    if (!session || !contact) {
+      throw new Error('Chat not found');
+    }
+
+    if (session.status !== 'CONNECTED') {
+      await holdScheduledMessage(scheduled, session, contact);
+      return;
+    }
+
+    const provider = getSessionProvider(session);
+    // The message gets its own copy: the scheduled message's file is deleted
+    // if it is cancelled or edited after a failed send
+    const mediaInfo = scheduled.media_path ? await copyStoredMedia(scheduled.session_id, scheduled) : null;
+    const mediaCopy = [mediaInfo?.storage_path, mediaInfo?.thumbnail_path];
+
+    let queuedMessage;
+
+    try {
+      // The idempotency key finds the message if a crashed run, or an earlier
+      // send of this scheduled message, already queued it
+      queuedMessage = await queueOutgoingMessage({
+        sessionId: scheduled.session_id,
+        contactId: scheduled.contact_id,
+        chatId: provider.toChatId(contact.is_group ? `${contact.phone_number}@g.us` : contact.phone_number),
+        body: scheduled.body,
+        mediaInfo,
+        idempotencyKey: `scheduled:${scheduled.id}`,
+        createdBy: scheduled.created_by
+      });
+    } catch (error) {
+      await deleteStoredMedia(mediaCopy);
+      throw error;
+    }
+
+    const { message, duplicate } = queuedMessage;
+
+    // The message found keeps the copy it was queued with
+    if (duplicate) {
+      await deleteStoredMedia(mediaCopy);
+    }
+
+    if (duplicate && message.ack === 'UNCONFIRMED') {
+      throw new Error('The message may already have been sent; check the chat before sending it again');
+    }
+
+    if (duplicate && message.ack === 'FAILED') {
+      await retryOutboundMessage(message.id);
+    }
+
+    const alreadySent = duplicate && !UNSENT_ACKS.includes(message.ack);
+
+    const { data: queued, error: queuedError } = await supabaseAdmin
+      .from('scheduled_messages')
+      .update({
+        status: alreadySent ? 'sent' : 'queued',
+        message_id: message.id,
+        sent_at: alreadySent ? message.timestamp : null,
+        locked_at: null,
+        error_message: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', scheduled.id)
+      // Its outbound job may have reported back already
+      .eq('status', 'sending')
+      .select(SCHEDULED_MESSAGE_COLUMNS)
+      .maybeSingle();
+
+    if (queuedError) {
+      throw queuedError;
+    }
+
+    console.log(`[Scheduler] ✅ Scheduled message ${scheduled.id} queued as message ${message.id}`);
+
+    if (!duplicate) {
+      const [clientMessage] = await signMessageMedia([{
+        id: message.id,
+        contact_id: message.contact_id,
+        waha_message_id: null,
+        message_type: message.message_type,
+        body: message.body,
+        from_me: true,
+        ack: message.ack,
+        has_media: message.has_media,
+        media_url: message.media_url,
+        media_path: message.media_path,
+        media_mimetype: message.media_mimetype,
+        media_filename: message.media_filename,
+        media_size: message.media_size,
+        media_thumbnail_path: mediaInfo?.thumbnail_path ?? null,
+        media_width: mediaInfo?.width ?? null,
+        media_height: mediaInfo?.height ?? null,
+        media_duration: mediaInfo?.duration ?? null,
+        timestamp: message.timestamp,
+        quoted_message_id: null,
+        reactions: []
+      }]);
+
+      publishToSession(scheduled.session_id, 'message.new', {
+        message: clientMessage,
+        contact: { contact_id: scheduled.contact_id }
+      });
+    }
+
+    if (queued) {
+      await publishScheduledMessage(queued);
+    } else {
+      await publishScheduledMessageById(scheduled.id);
+    }
+  } catch (error) {
+    const errorMessage = error.message || String(error);
+
+    console.error(`[Scheduler] ❌ Scheduled message ${scheduled.id} failed:`, errorMessage);
+
+    try {
+      const failed = await updateScheduledMessageRow(scheduled.id, {
+        status: 'failed',
+        locked_at: null,
+        error_message: errorMessage
+      });
+
+      await publishScheduledMessage(failed);
+    } catch (updateError) {
+      console.error(`[Scheduler] Failed to record failure of ${scheduled.id}:`, updateError.message);
+    }
+  }
+}
+
+/**
+ * Keep a due message from going out while its session is not connected,
+ * and alert the session's admin and the agent who scheduled it
+ */
+async function holdScheduledMessage(scheduled, session, contact) {
+  const held = await updateScheduledMessageRow(scheduled.id, {
+    status: 'held',
+    held_at: new Date().toISOString(),
+    locked_at: null,
+    error_message: `Session was ${session.status} at the scheduled time`
+  });
+
+  console.warn(`[Scheduler] ⏸ Scheduled message ${scheduled.id} held: session ${session.session_name} is ${session.status}`);
+
+  const [clientScheduled] = await toClientScheduledMessages([held]);
+
+  publishToUsers(
+    [session.created_by_admin_id, scheduled.created_by],
+    'scheduled_message.held',
+    {
+      scheduled_message: clientScheduled,
+      session_name: session.session_name,
+      contact: { contact_id: scheduled.contact_id, phone_number: contact.phone_number, name: contact.name }
+    },
+    scheduled.session_id
+  );
+
+  await publishScheduledMessage(held, clientScheduled);
+}
+
+/**
+ * Tell viewers of the chat a scheduled message changed
+ */
+async function publishScheduledMessage(scheduled, clientScheduled = null) {
+  const [data] = clientScheduled ? [clientScheduled] : await toClientScheduledMessages([scheduled]);
+
+  await publishToSession(scheduled.session_id, 'scheduled_message.updated', {
+    contact_id: scheduled.contact_id,
+    scheduled_message: data
+  });
+}
+
+/**
+ * Tell viewers of the chat a scheduled message changed, reading it first
+ * Used when its outbound job reports back
+ */
+async function publishScheduledMessageById(id) {
+  const { data: scheduled, error } = await supabaseAdmin
+    .from('scheduled_messages')
+    .select(SCHEDULED_MESSAGE_COLUMNS)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (scheduled) {
+    await publishScheduledMessage(scheduled);
+  }
+}
+
+/**
+ * Scheduled messages as sent to clients: signed media URLs and the
+ * scheduled time as picked (local_time in timezone)
+ */
+async function toClientScheduledMessages(rows) {
+  const signed = await signMessageMedia(rows);
+
+  return signed.map(scheduled => ({
+    ...scheduled,
+    local_time: utcToZonedTime(scheduled.scheduled_at, scheduled.timezone)
+  }));
+}
+
+/**
+ * Claim and process due messages until none is left
+ */
+async function runScheduler() {
+  if (isRunning) {
+    runRequested = true;
+    return;
+  }
+
+  isRunning = true;
+
+  try {
+    do {
+      runRequested = false;
+
+      while (true) {
+        const { data: due, error } = await supabaseAdmin.rpc('claim_scheduled_messages', {
+          p_limit: SCHEDULER_CONFIG.BATCH_SIZE,
+          p_lock_timeout_seconds: SCHEDULER_CONFIG.LOCK_TIMEOUT_SECONDS
+        });
+
+        if (error) {
+          throw error;
+        }
+
+        if (!due || due.length === 0) {
+          break;
+        }
+
+        // The outbound queue paces the actual sends
+        for (const scheduled of due) {
+          await processScheduledMessage(scheduled);
+        }
+      }
+    } while (runRequested);
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Run the scheduler in the background (e.g. after a message is sent now)
+ */
+function scheduleRun() {
+  setImmediate(() => {
+    runScheduler().catch(err => {
+      console.error('[Scheduler] Run error:', err);
+    });
+  });
+}
+
+/**
+ * Start the background worker
+ */
+function startScheduledMessageWorker() {
+  if (pollTimer) {
+    return;
+  }
+
+  console.log(`[Scheduler] Worker started (poll every ${SCHEDULER_CONFIG.POLL_INTERVAL_MS}ms)`);
+
+  pollTimer = setInterval(scheduleRun, SCHEDULER_CONFIG.POLL_INTERVAL_MS);
+}
+
+/**
+ * Stop the background worker
+ */
+function stopScheduledMessageWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+module.exports = {
+  SCHEDULED_MESSAGE_COLUMNS,
+  PENDING_STATUSES,
+  toClientScheduledMessages,
+  publishScheduledMessage,
+  publishScheduledMessageById,
+  scheduleRun,
+  startScheduledMessageWorker,
+  stopScheduledMessageWorker
+};
@@ -1,248 +1,750 @@
 /**
- * Smart Sync Service
- * Handles automatic gap-filling and message synchronization
+ * Professional Message Synchronization Service
+ * Handles initial sync, gap-fill sync with rate limiting and spam prevention
+ * History is fetched through the session's WhatsApp provider
+ *
+ * Syncs run as persisted jobs (sync_logs) picked up by a background worker.
+ * The chat list is captured once per job (sync_log_chats) and every chat is
+ * checkpointed, so a job interrupted by a crash or restart resumes with the
+ * chats it had not finished yet.
  */
 
 const { supabaseAdmin } = require('../config/database');
-const wahaClient = require('../config/waha');
-const { downloadAndUploadMedia } = require('./mediaService');
+const { getSessionProvider } = require('../providers');
+const { publishToSession } = require('./realtimeService');
+const { ingestMessages } = require('./ingestService');
+const { syncGroups } = require('./groupService');
+
+// Rate limiting configuration (prevent WhatsApp spam detection)
+const RATE_LIMIT = {
+  MESSAGES_PER_PAGE: 50,
+  PAGE_DELAY_MS: 2000, // 2 seconds between history pages
+  CHATS_PER_BATCH: 10,
+  CHAT_DELAY_MS: 1000, // 1 second between chat batches
+  MAX_PAGES_PER_CHAT: parseInt(process.env.SYNC_MAX_PAGES_PER_CHAT) || 200 // Safety limit (10000 messages)
+};
+
+// Job worker configuration
+const SYNC_JOB_CONFIG = {
+  POLL_INTERVAL_MS: parseInt(process.env.SYNC_JOB_POLL_MS) || 5000,
+  LOCK_TIMEOUT_SECONDS: 300, // Reclaim jobs of crashed workers after 5 minutes without a heartbeat
+  CHAT_INSERT_CHUNK: 500
+};
+
+const ACTIVE_JOB_STATUSES = ['pending', 'running'];
+
+let pollTimer = null;
+let isPolling = false;
+let stopRequested = false;
 
 /**
- * Trigger gap-fill sync for a session
- * Automatically syncs messages since last_message_timestamp
+ * Sleep utility for rate limiting
  */
-async function triggerGapFillSync(sessionId) {
-  try {
-    console.log(`[Sync] Starting gap-fill sync for session: ${sessionId}`);
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
 
-    // Get session details
-    const { data: session, error: sessionError } = await supabaseAdmin
-      .from('sessions')
-      .select('id, session_name, last_message_timestamp, status')
-      .eq('id', sessionId)
-      .single();
+// ===== Jobs =====
 
-    if (sessionError || !session) {
-      throw new Error('Session not found');
-    }
+/**
+ * Queue a sync job for a session
+ * Only one job can be active per session
+ * @param {string} syncType - 'initial' or 'gap_fill'
+ * @returns {Object} - { job, created } - the existing active job when created is false
+ */
+async function enqueueSyncJob(sessionId, syncType, requestedBy = null) {
+  const { data: job, error } = await supabaseAdmin
+    .from('sync_logs')
+    .insert({
+      session_id: sessionId,
+      sync_type: syncType,
+      status: 'pending',
+      requested_by: requestedBy
+    })
+    .select()
+    .single();
 
-    if (session.status !== 'CONNECTED') {
-      console.log(`[Sync] Session not connected, skipping sync`);
-      return;
+  if (error) {
+    // idx_sync_logs_active_session
+    if (error.code === '23505') {
+      return { job: await getActiveSyncJob(sessionId), created: false };
     }
+    throw error;
+  }
+
+  await supabaseAdmin
+    .from('sync_state')
+    .upsert({
+      session_id: sessionId,
+      current_sync_log_id: job.id,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'session_id' });
+
+  console.log(`[Sync] Queued ${syncType} sync job ${job.id} for session: ${sessionId}`);
+
+  publishSyncProgress(job);
+  scheduleSyncPoll();
+
+  return { job, created: true };
+}
+
+/**
+ * Pending or running job of a session
+ */
+async function getActiveSyncJob(sessionId) {
+  const { data: job } = await supabaseAdmin
+    .from('sync_logs')
+    .select('*')
+    .eq('session_id', sessionId)
+    .in('status', ACTIVE_JOB_STATUSES)
+    .maybeSingle();
+
+  return job;
+}
+
+/**
+ * Most recent job of a session (active or finished)
+ */
+async function getLatestSyncJob(sessionId) {
+  const { data: job, error } = await supabaseAdmin
+    .from('sync_logs')
+    .select('*')
+    .eq('session_id', sessionId)
+    .order('started_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return job;
+}
 
-    // Create sync log entry
-    const { data: syncLog, error: logError } = await supabaseAdmin
+/**
+ * Cancel the active job of a session
+ * Pending jobs stop right away, running jobs after the current chat
+ * @returns {Object|null} - The job, or null if nothing is running
+ */
+async function cancelSyncJob(sessionId) {
+  const job = await getActiveSyncJob(sessionId);
+
+  if (!job) {
+    return null;
+  }
+
+  if (job.status === 'pending') {
+    const { data: cancelled } = await supabaseAdmin
       .from('sync_logs')
-      .insert({
-        session_id: sessionId,
-        sync_type: 'gap_fill',
-        status: 'started',
-        from_timestamp: session.last_message_timestamp,
-        to_timestamp: new Date().toISOString()
+      .update({
+        status: 'cancelled',
+        cancel_requested: true,
+        completed_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
       })
+      .eq('id', job.id)
+      .eq('status', 'pending')
       .select()
-      .single();
+      .maybeSingle();
 
-    if (logError) {
-      throw logError;
+    if (cancelled) {
+      await updateSyncStateForJob(cancelled);
+      publishSyncProgress(cancelled);
+      return cancelled;
     }
+    // Claimed by the worker meanwhile - ask it to stop
+  }
 
-    try {
-      // Fetch messages from WAHA
-      const messages = await fetchMessagesFromWaha(
-        session.session_name,
-        session.last_message_timestamp
-      );
-
-      console.log(`[Sync] Fetched ${messages.length} messages from WAHA`);
-
-      let syncedCount = 0;
-
-      // Process each message
-      for (const msg of messages) {
-        try {
-          await processAndSaveMessage(sessionId, msg);
-          syncedCount++;
-        } catch (msgError) {
-          console.error(`[Sync] Error processing message ${msg.id}:`, msgError);
-          // Continue with next message
-        }
-      }
+  const { data: updated, error } = await supabaseAdmin
+    .from('sync_logs')
+    .update({ cancel_requested: true, updated_at: new Date().toISOString() })
+    .eq('id', job.id)
+    .select()
+    .single();
 
-      // Update sync log as completed
-      await supabaseAdmin
-        .from('sync_logs')
-        .update({
-          status: 'completed',
-          messages_synced: syncedCount,
-          completed_at: new Date().toISOString()
-        })
-        .eq('id', syncLog.id);
-
-      console.log(`[Sync] Gap-fill completed: ${syncedCount} messages synced`);
-    } catch (syncError) {
-      // Update sync log as failed
-      await supabaseAdmin
-        .from('sync_logs')
-        .update({
-          status: 'failed',
-          error_message: syncError.message,
-          completed_at: new Date().toISOString()
-        })
-        .eq('id', syncLog.id);
-
-      throw syncError;
-    }
-  } catch (error) {
-    console.error('[Sync] Gap-fill sync error:', error);
+  if (error) {
     throw error;
   }
+
+  publishSyncProgress(updated);
+  return updated;
 }
 
 /**
- * Fetch messages from WAHA API
+ * Public view of a job (progress API and realtime events)
  */
-async function fetchMessagesFromWaha(sessionName, fromTimestamp = null) {
-  try {
-    const params = {
-      limit: 1000 // Max messages per request
-    };
-
-    // If we have a last timestamp, only fetch newer messages
-    if (fromTimestamp) {
-      const timestamp = Math.floor(new Date(fromTimestamp).getTime() / 1000);
-      params.timestamp = timestamp;
+function serializeSyncJob(job) {
+  if (!job) {
+    return null;
+  }
+
+  return {
+    id: job.id,
+    sync_type: job.sync_type,
+    status: job.status,
+    total_chats: job.total_chats,
+    chats_processed: job.chats_processed,
+    messages_synced: job.messages_synced,
+    errors_count: job.errors_count,
+    cancel_requested: job.cancel_requested,
+    error_message: job.error_message,
+    started_at: job.started_at,
+    completed_at: job.completed_at
+  };
+}
+
+function publishSyncProgress(job) {
+  publishToSession(job.session_id, 'sync.progress', serializeSyncJob(job));
+}
+
+/**
+ * Mirror a job's state into sync_state (session-level summary)
+ */
+async function updateSyncStateForJob(job, extra = {}) {
+  const stateByStatus = {
+    pending: 'syncing',
+    running: 'syncing',
+    completed: 'completed',
+    failed: 'failed',
+    cancelled: 'idle'
+  };
+  const isFinished = !ACTIVE_JOB_STATUSES.includes(job.status);
+
+  await supabaseAdmin
+    .from('sync_state')
+    .upsert({
+      session_id: job.session_id,
+      sync_status: stateByStatus[job.status],
+      sync_type: job.sync_type,
+      current_sync_log_id: job.id,
+      total_chats_synced: job.chats_processed,
+      error_message: job.status === 'failed' ? job.error_message : null,
+      started_at: job.started_at,
+      completed_at: isFinished ? job.completed_at : null,
+      ...(job.status === 'completed' ? { last_synced_at: job.completed_at } : {}),
+      ...extra,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'session_id' });
+}
+
+/**
+ * Mark a job finished
+ * @param {string} status - 'completed', 'failed' or 'cancelled'
+ */
+async function finishSyncJob(job, status, errorMessage = null) {
+  const { data: finished, error } = await supabaseAdmin
+    .from('sync_logs')
+    .update({
+      status,
+      error_message: errorMessage,
+      completed_at: new Date().toISOString(),
+      heartbeat_at: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', job.id)
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  const extra = {};
+
+  if (status === 'completed') {
+    // Running total over every sync of the session
+    const { data: state } = await supabaseAdmin
+      .from('sync_state')
+      .select('total_messages_synced')
+      .eq('session_id', job.session_id)
+      .maybeSingle();
+
+    extra.total_messages_synced = (state?.total_messages_synced || 0) + finished.messages_synced;
+
+    const { data: lastMessage } = await supabaseAdmin
+      .from('messages')
+      .select('timestamp')
+      .eq('session_id', job.session_id)
+      .order('timestamp', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (lastMessage) {
+      extra.last_message_timestamp = Math.floor(new Date(lastMessage.timestamp).getTime() / 1000);
     }
+  }
 
-    const response = await wahaClient.get(`/api/messages/${sessionName}`, {
-      params
-    });
+  await updateSyncStateForJob(finished, extra);
+  publishSyncProgress(finished);
 
-    return response.data || [];
-  } catch (error) {
-    console.error('[Sync] WAHA fetch error:', error);
+  console.log(`[Sync] Job ${job.id} ${status}: ${finished.messages_synced} messages from ${finished.chats_processed}/${finished.total_chats ?? 0} chats, ${finished.errors_count} errors`);
+
+  return finished;
+}
+
+/**
+ * Keep a running job from being reclaimed as crashed
+ */
+async function touchSyncJob(jobId) {
+  await supabaseAdmin
+    .from('sync_logs')
+    .update({ heartbeat_at: new Date().toISOString() })
+    .eq('id', jobId);
+}
+
+/**
+ * Capture the provider's chat list as the job's checkpoints
+ */
+async function captureSyncChats(job, session, provider) {
+  console.log(`[Sync] Fetching all chats from ${provider.name}...`);
+  const allChats = await provider.fetchChats(session.session_name);
+
+  const chatsById = new Map();
+
+  for (const chat of allChats) {
+    // Skip invalid/system chats ONLY
+    if (!chat.chatId || chat.chatId === '0@s.whatsapp.net' || chat.chatId.startsWith('status@')) {
+      continue;
+    }
+
+    const { phoneNumber, isGroup } = chat;
+    const isLid = chat.chatId.endsWith('@lid'); // Business/Newsletter accounts (INCLUDE these!)
 
-    // If endpoint not supported, try alternative approach
-    if (error.response?.status === 404) {
-      console.log('[Sync] Messages endpoint not available, using chats approach');
-      return await fetchMessagesFromChats(sessionName, fromTimestamp);
+    // Validate phone number format (but allow @lid contacts even if they look weird)
+    if (!isLid && !isGroup && !/^\d{7,15}$/.test(phoneNumber)) {
+      console.log(`[Sync] Skipping invalid phone number: ${phoneNumber} from ${chat.chatId}`);
+      continue;
     }
 
+    if (!chatsById.has(chat.chatId)) {
+      chatsById.set(chat.chatId, chat);
+    }
+  }
+
+  const rows = [...chatsById.values()].map((chat, position) => ({
+    sync_log_id: job.id,
+    session_id: job.session_id,
+    chat_id: chat.chatId,
+    phone_number: chat.phoneNumber,
+    // The provider only returns reliable names (saved / verified name)
+    name: chat.name || null,
+    is_group: chat.isGroup,
+    chat_metadata: {
+      unreadCount: chat.unreadCount,
+      conversationTimestamp: chat.conversationTimestamp,
+      archived: chat.archived,
+      pinned: chat.pinned
+    },
+    position
+  }));
+
+  for (let i = 0; i < rows.length; i += SYNC_JOB_CONFIG.CHAT_INSERT_CHUNK) {
+    const { error } = await supabaseAdmin
+      .from('sync_log_chats')
+      .upsert(rows.slice(i, i + SYNC_JOB_CONFIG.CHAT_INSERT_CHUNK), {
+        onConflict: 'sync_log_id,chat_id',
+        ignoreDuplicates: true
+      });
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  const { data: updated, error } = await supabaseAdmin
+    .from('sync_logs')
+    .update({ total_chats: rows.length, heartbeat_at: new Date().toISOString() })
+    .eq('id', job.id)
+    .select()
+    .single();
+
+  if (error) {
     throw error;
   }
+
+  console.log(`[Sync] Found ${rows.length} chats to sync`);
+
+  return updated;
 }
 
 /**
- * Alternative: Fetch messages from chats
+ * Run a claimed job until every chat is checkpointed,
+ * it is cancelled, or the worker stops
  */
-async function fetchMessagesFromChats(sessionName, fromTimestamp = null) {
+async function runSyncJob(claimedJob) {
+  let job = claimedJob;
+  const resumed = job.total_chats !== null;
+
+  console.log(`[Sync] ${resumed ? 'Resuming' : 'Starting'} ${job.sync_type} sync job ${job.id} for session: ${job.session_id} (attempt ${job.attempts})`);
+
   try {
-    // Get all chats
-    const chatsResponse = await wahaClient.get(`/api/chats/${sessionName}`);
-    const chats = chatsResponse.data || [];
-
-    const allMessages = [];
-
-    // Fetch messages for each chat
-    for (const chat of chats) {
-      try {
-        const messagesResponse = await wahaClient.get(
-          `/api/chats/${sessionName}/${chat.id}/messages`,
-          {
-            params: { limit: 1000 }
-          }
-        );
-
-        const messages = messagesResponse.data || [];
-
-        // Filter by timestamp if provided
-        if (fromTimestamp) {
-          const timestampSeconds = Math.floor(new Date(fromTimestamp).getTime() / 1000);
-          allMessages.push(...messages.filter(m => m.timestamp > timestampSeconds));
-        } else {
-          allMessages.push(...messages);
+    const { data: session } = await supabaseAdmin
+      .from('sessions')
+      .select('id, session_name, provider, status')
+      .eq('id', job.session_id)
+      .single();
+
+    if (!session || session.status !== 'CONNECTED') {
+      return finishSyncJob(job, 'failed', 'Session must be CONNECTED to sync');
+    }
+
+    const provider = getSessionProvider(session);
+
+    if (!resumed) {
+      job = await captureSyncChats(job, session, provider);
+      // Subjects, descriptions and members, before the groups' messages
+      await syncGroups(session, provider);
+    }
+
+    await updateSyncStateForJob(job);
+    publishSyncProgress(job);
+
+    while (true) {
+      const { data: chats, error } = await supabaseAdmin
+        .from('sync_log_chats')
+        .select('*')
+        .eq('sync_log_id', job.id)
+        .eq('status', 'pending')
+        .order('position')
+        .limit(RATE_LIMIT.CHATS_PER_BATCH);
+
+      if (error) {
+        throw error;
+      }
+
+      if (!chats || chats.length === 0) {
+        break;
+      }
+
+      for (const chat of chats) {
+        if (stopRequested) {
+          // Hand the job back so it resumes on the next start
+          await supabaseAdmin
+            .from('sync_logs')
+            .update({ status: 'pending', heartbeat_at: null })
+            .eq('id', job.id);
+          console.log(`[Sync] Worker stopping - job ${job.id} paused`);
+          return job;
         }
-      } catch (chatError) {
-        console.error(`[Sync] Error fetching messages for chat ${chat.id}:`, chatError);
+
+        const { data: current } = await supabaseAdmin
+          .from('sync_logs')
+          .select('cancel_requested')
+          .eq('id', job.id)
+          .single();
+
+        if (current?.cancel_requested) {
+          return finishSyncJob(job, 'cancelled');
+        }
+
+        const result = await syncJobChat(job, session, provider, chat);
+
+        const { data: updated } = await supabaseAdmin.rpc('complete_sync_log_chat', {
+          p_sync_log_chat_id: chat.id,
+          p_status: result.status,
+          p_messages_synced: result.messagesSynced,
+          p_errors: result.errors,
+          p_error_message: result.errorMessage || null,
+          p_watermark: result.watermark || null,
+          p_filled_from: result.filledFrom || null,
+          p_filled_to: result.filledTo || null,
+          p_pages_fetched: result.pagesFetched || 0,
+          p_complete: result.complete || false
+        });
+
+        if (updated) {
+          job = updated;
+          publishSyncProgress(job);
+        }
+
+        // Rate limiting between chats
+        await sleep(500);
       }
+
+      // Batch delay
+      console.log(`[Sync] Batch completed. Waiting ${RATE_LIMIT.CHAT_DELAY_MS}ms...`);
+      await sleep(RATE_LIMIT.CHAT_DELAY_MS);
     }
 
-    return allMessages;
+    return finishSyncJob(job, 'completed');
   } catch (error) {
-    console.error('[Sync] fetchMessagesFromChats error:', error);
-    return [];
+    console.error(`[Sync] Job ${job.id} error:`, error);
+    return finishSyncJob(job, 'failed', error.message);
   }
 }
 
 /**
- * Process and save a single message
+ * Sync one checkpointed chat
+ * @returns {Object} - { status, messagesSynced, errors, errorMessage }
  */
-async function processAndSaveMessage(sessionId, messageData) {
-  const {
-    id: wahaMessageId,
-    from,
-    to,
-    body,
-    type,
-    timestamp,
-    fromMe,
-    hasMedia,
-    mediaUrl,
-    ack
-  } = messageData;
-
-  // Check if already exists
-  const { data: existing } = await supabaseAdmin
-    .from('messages')
-    .select('id')
-    .eq('session_id', sessionId)
-    .eq('waha_message_id', wahaMessageId)
-    .single();
-
-  if (existing) {
-    return; // Skip duplicates
+async function syncJobChat(job, session, provider, chat) {
+  try {
+    if (job.sync_type === 'initial') {
+      return await syncChatHistory(job, session, provider, chat);
+    }
+    return await syncChatGap(job, session, provider, chat);
+  } catch (error) {
+    console.error(`[Sync] Error processing chat ${chat.chat_id}:`, error);
+    return { status: 'failed', messagesSynced: 0, errors: 1, errorMessage: error.message };
   }
+}
+
+/**
+ * Initial sync of one chat: contact details and full message history
+ */
+async function syncChatHistory(job, session, provider, chat) {
+  const phoneNumber = chat.phone_number;
 
   // Get or create contact
-  const contactPhone = fromMe ? to : from;
   const { data: contactId } = await supabaseAdmin.rpc('ensure_contact_exists', {
-    p_session_id: sessionId,
-    p_phone_number: contactPhone,
-    p_name: messageData.notifyName || null,
-    p_is_group: messageData.isGroup || false
+    p_session_id: session.id,
+    p_phone_number: phoneNumber,
+    p_name: chat.name,
+    p_is_group: chat.is_group
   });
 
-  // Insert message
-  const { data: insertedMessage, error } = await supabaseAdmin
-    .from('messages')
-    .insert({
-      session_id: sessionId,
-      contact_id: contactId,
-      waha_message_id: wahaMessageId,
-      message_type: type || 'text',
-      body: body || '',
-      from_me: fromMe,
-      ack: ack || 'PENDING',
-      has_media: hasMedia || false,
-      timestamp: new Date(timestamp * 1000).toISOString(),
-      raw_payload: messageData
-    })
-    .select()
+  // Update contact metadata
+  await supabaseAdmin
+    .from('contacts')
+    .update({ whatsapp_metadata: chat.chat_metadata })
+    .eq('id', contactId);
+
+  console.log(`[Sync] Fetching messages for: ${phoneNumber}`);
+
+  const result = await backfillChat(job, session, provider, chat, contactId);
+
+  // If contact has no name, use the sender name of an incoming message
+  // IMPORTANT: Don't use the chat's pushName - it changes based on last message sender!
+  if (!chat.name && result.pushName && result.pushName !== phoneNumber) {
+    console.log(`[Sync] Extracted name from message: ${result.pushName}`);
+
+    await supabaseAdmin
+      .from('contacts')
+      .update({ name: result.pushName })
+      .eq('id', contactId);
+  }
+
+  return result;
+}
+
+/**
+ * Gap-fill of one chat: messages newer than the chat's watermark
+ */
+async function syncChatGap(job, session, provider, chat) {
+  const { data: contactId } = await supabaseAdmin.rpc('ensure_contact_exists', {
+    p_session_id: session.id,
+    p_phone_number: chat.phone_number,
+    p_name: null,
+    p_is_group: chat.is_group
+  });
+
+  return backfillChat(job, session, provider, chat, contactId);
+}
+
+/**
+ * Page backwards through a chat's history, newest first, until reaching the
+ * chat's watermark (contacts.history_synced_until) or the start of the history
+ *
+ * The watermark only moves when every message above it was fetched and saved,
+ * so an interrupted backfill or one with errors is retried by the next sync.
+ * A backfill that cannot reach it (page limit, provider not paging further
+ * back) still moves it, and records where the reachable history stops
+ * (contacts.history_truncated_before): paging through the same messages
+ * again would stop at the same place.
+ * Offset paging can repeat messages when new ones arrive meanwhile, but never
+ * skips any; repeats are ignored as duplicates.
+ *
+ * @returns {Object} - { status, messagesSynced, errors, watermark, filledFrom,
+ *                       filledTo, pagesFetched, complete, pushName }
+ */
+async function backfillChat(job, session, provider, chat, contactId) {
+  const { data: contact } = await supabaseAdmin
+    .from('contacts')
+    .select('history_synced_until, history_truncated_before')
+    .eq('id', contactId)
     .single();
 
-  if (error) {
-    throw error;
+  const watermark = contact?.history_synced_until || null;
+  const watermarkSeconds = watermark ? Math.floor(new Date(watermark).getTime() / 1000) : null;
+
+  const seenIds = new Set();
+  let messagesSynced = 0;
+  let errors = 0;
+  let oldest = null;
+  let newest = null;
+  let pushName = null;
+  let pagesFetched = 0;
+  let complete = false;
+
+  for (let page = 1; page <= RATE_LIMIT.MAX_PAGES_PER_CHAT; page++) {
+    const { messages, hasMore } = await provider.fetchMessagePage(session.session_name, chat.chat_id, {
+      page,
+      pageSize: RATE_LIMIT.MESSAGES_PER_PAGE
+    });
+    pagesFetched++;
+
+    const unseen = messages.filter(msg => !seenIds.has(msg.id));
+
+    if (unseen.length === 0) {
+      // An empty first page is an empty chat; a repeated page means the
+      // provider ignores paging, so older history cannot be reached
+      complete = page === 1;
+      if (!complete) {
+        console.warn(`[Sync] Provider returned a repeated page for ${chat.chat_id} - older history not reachable`);
+      }
+      break;
+    }
+
+    let reachedWatermark = false;
+    const pageMessages = [];
+
+    for (const msg of unseen) {
+      seenIds.add(msg.id);
+
+      // Messages sharing the watermark's second are re-checked, not skipped
+      if (watermarkSeconds !== null && msg.timestamp < watermarkSeconds) {
+        reachedWatermark = true;
+        continue;
+      }
+
+      oldest = oldest === null ? msg.timestamp : Math.min(oldest, msg.timestamp);
+      newest = newest === null ? msg.timestamp : Math.max(newest, msg.timestamp);
+
+      if (!pushName && !msg.fromMe && msg.pushName) {
+        pushName = msg.pushName;
+      }
+
+      pageMessages.push(msg);
+    }
+
+    // Historical messages are already read
+    const { inserted, failed } = await ingestMessages(session.id, pageMessages, 'sync', { ack: 'READ' });
+    messagesSynced += inserted.length;
+    errors += failed;
+
+    if (reachedWatermark || !hasMore) {
+      complete = true;
+      break;
+    }
+
+    // Page delay
+    await touchSyncJob(job.id);
+    await sleep(RATE_LIMIT.PAGE_DELAY_MS);
+  }
+
+  const filledFrom = oldest !== null ? new Date(oldest * 1000).toISOString() : null;
+  const filledTo = newest !== null ? new Date(newest * 1000).toISOString() : null;
+
+  if (!complete) {
+    console.warn(`[Sync] Chat ${chat.phone_number}: stopped after ${pagesFetched} pages before reaching ${watermark || 'the start of the history'} - older messages not synced`);
+  }
+
+  // Advance the watermark only over a fully saved range
+  if (errors === 0 && filledTo && (!watermark || new Date(filledTo) > new Date(watermark))) {
+    const update = { history_synced_until: filledTo };
+
+    if (!complete) {
+      // Messages older than this may be missing (the newest such point of all truncated backfills)
+      const truncatedBefore = contact?.history_truncated_before;
+      update.history_truncated_before = truncatedBefore && new Date(truncatedBefore) > new Date(filledFrom)
+        ? truncatedBefore
+        : filledFrom;
+    } else if (!watermark) {
+      // Reached the start of the history: nothing is missing
+      update.history_truncated_before = null;
+    }
+
+    await supabaseAdmin
+      .from('contacts')
+      .update(update)
+      .eq('id', contactId);
+  }
+
+  console.log(`[Sync] Chat ${chat.phone_number}: ${messagesSynced} new messages (${filledFrom || '-'} .. ${filledTo || '-'}, ${pagesFetched} pages)`);
+
+  return {
+    status: 'completed',
+    messagesSynced,
+    errors,
+    watermark,
+    filledFrom,
+    filledTo,
+    pagesFetched,
+    complete,
+    pushName
+  };
+}
+
+// ===== Worker =====
+
+/**
+ * Claim and run due jobs one at a time until none are left
+ */
+async function pollSyncJobs() {
+  if (isPolling || stopRequested) {
+    return;
   }
 
-  // Handle media
-  if (hasMedia && mediaUrl) {
-    try {
-      await downloadAndUploadMedia(insertedMessage.id, mediaUrl, messageData);
-    } catch (mediaError) {
-      console.error('[Sync] Media error:', mediaError);
-      // Continue even if media fails
+  isPolling = true;
+
+  try {
+    while (!stopRequested) {
+      const { data: jobs, error } = await supabaseAdmin.rpc('claim_sync_job', {
+        p_lock_timeout_seconds: SYNC_JOB_CONFIG.LOCK_TIMEOUT_SECONDS
+      });
+
+      if (error) {
+        throw error;
+      }
+
+      if (!jobs || jobs.length === 0) {
+        break;
+      }
+
+      await runSyncJob(jobs[0]);
     }
+  } finally {
+    isPolling = false;
+  }
+}
+
+/**
+ * Run a poll in the background
+ */
+function scheduleSyncPoll() {
+  setImmediate(() => {
+    pollSyncJobs().catch(err => {
+      console.error('[Sync] Job worker error:', err);
+    });
+  });
+}
+
+/**
+ * Start the background worker (also resumes jobs interrupted by a restart)
+ */
+function startSyncWorker() {
+  if (pollTimer) {
+    return;
+  }
+
+  stopRequested = false;
+  console.log(`[Sync] Job worker started (poll every ${SYNC_JOB_CONFIG.POLL_INTERVAL_MS}ms)`);
+
+  pollTimer = setInterval(scheduleSyncPoll, SYNC_JOB_CONFIG.POLL_INTERVAL_MS);
+  scheduleSyncPoll();
+}
+
+/**
+ * Stop the background worker
+ * A running job is handed back after its current chat; if the process
+ * exits first, the job is reclaimed once its heartbeat times out
+ */
+function stopSyncWorker() {
+  stopRequested = true;
+
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
   }
 }
 
@@ -251,11 +753,16 @@ async function processAndSaveMessage(sessionId, messageData) {
  */
 async function triggerManualSync(sessionId, userId) {
   console.log(`[Sync] Manual sync triggered by user: ${userId}`);
-  return triggerGapFillSync(sessionId);
+  return enqueueSyncJob(sessionId, 'gap_fill', userId);
 }
 
 module.exports = {
-  triggerGapFillSync,
+  enqueueSyncJob,
+  cancelSyncJob,
+  getActiveSyncJob,
+  getLatestSyncJob,
+  serializeSyncJob,
   triggerManualSync,
-  processAndSaveMessage
+  startSyncWorker,
+  stopSyncWorker
 };
@@ -0,0 +1,189 @@
+/**
+ * Template Service
+ * Which message templates a user can use in a session or manage, and
+ * filling them in for a chat
+ */
+
+const { supabaseAdmin } = require('../config/database');
+const { getUserTeamIds } = require('../middlewares/auth');
+const { signMessageMedia } = require('./mediaService');
+const { buildTemplateValues, renderTemplate } = require('./templateVariables');
+
+const TEMPLATE_COLUMNS = `
+  id, scope, owner_admin_id, team_id, session_id, shortcut, title, body,
+  media_type, media_path, media_mimetype, media_filename, media_size,
+  media_thumbnail_path, media_width, media_height, media_duration,
+  created_by, created_at, updated_at
+`;
+
+/**
+ * PostgREST filter of the templates a user can use in a session: the
+ * session's own, their teams' and the library of the session's admin
+ * (and, for admins, their own library)
+ */
+async function getUsableTemplatesFilter(sessionId, profile) {
+  const { data: session } = await supabaseAdmin
+    .from('sessions')
+    .select('created_by_admin_id')
+    .eq('id', sessionId)
+    .single();
+
+  const libraryOwners = [...new Set([
+    session?.created_by_admin_id,
+    ['admin', 'super_admin'].includes(profile.role) ? profile.id : null
+  ].filter(Boolean))];
+  const teamIds = await getUserTeamIds(profile.id);
+
+  const filters = [`and(scope.eq.session,session_id.eq.${sessionId})`];
+
+  if (libraryOwners.length > 0) {
+    filters.push(`and(scope.eq.admin,owner_admin_id.in.(${libraryOwners.join(',')}))`);
+  }
+
+  if (teamIds.length > 0) {
+    filters.push(`and(scope.eq.team,team_id.in.(${teamIds.join(',')}))`);
+  }
+
+  return filters.join(',');
+}
+
+/**
+ * Templates a user can use in a session, by shortcut
+ */
+async function getSessionTemplates(sessionId, profile) {
+  const { data, error } = await supabaseAdmin
+    .from('message_templates')
+    .select(TEMPLATE_COLUMNS)
+    .or(await getUsableTemplatesFilter(sessionId, profile))
+    .order('shortcut', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * One template a user can use in a session
+ * @returns {Object|null} - message_templates row
+ */
+async function getSessionTemplate(sessionId, templateId, profile) {
+  const { data, error } = await supabaseAdmin
+    .from('message_templates')
+    .select(TEMPLATE_COLUMNS)
+    .eq('id', templateId)
+    .or(await getUsableTemplatesFilter(sessionId, profile))
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Admin who manages a new template of a scope: the creator for their own
+ * library, else the owner of the team or session, which the creator must be
+ * (super admins manage every team and session)
+ * @returns {Object} - { ownerAdminId } or { error: { status, error, message } }
+ */
+async function resolveTemplateOwner(profile, { scope, team_id: teamId, session_id: sessionId }) {
+  if (scope === 'admin') {
+    return { ownerAdminId: profile.id };
+  }
+
+  const { data: target } = await supabaseAdmin
+    .from(scope === 'team' ? 'teams' : 'sessions')
+    .select('created_by_admin_id')
+    .eq('id', scope === 'team' ? teamId : sessionId)
+    .maybeSingle();
+
+  if (!target) {
+    return {
+      error: { status: 404, error: 'Not Found', message: scope === 'team' ? 'Team not found' : 'Session not found' }
+    };
+  }
+
+  if (profile.role !== 'super_admin' && target.created_by_admin_id !== profile.id) {
+    return {
+      error: {
+        status: 403,
+        error: 'Forbidden',
+        message: scope === 'team' ? 'You can only manage your own teams' : 'You can only manage your own sessions'
+      }
+    };
+  }
+
+  return { ownerAdminId: target.created_by_admin_id };
+}
+
+/**
+ * Fill a template in for one chat and the agent using it
+ * @returns {Object} - { template_id, body, missing_variables, media }
+ */
+async function renderTemplateForChat(sessionId, contactId, template, profile) {
+  const [{ data: contact }, { data: metadata }] = await Promise.all([
+    supabaseAdmin
+      .from('contacts')
+      .select('id, phone_number, name')
+      .eq('id', contactId)
+      .eq('session_id', sessionId)
+      .single(),
+    supabaseAdmin
+      .from('contact_metadata')
+      .select('custom_name')
+      .eq('contact_id', contactId)
+      .eq('session_id', sessionId)
+      .maybeSingle()
+  ]);
+
+  const { body, missing } = renderTemplate(
+    template.body,
+    buildTemplateValues({ contact, metadata, agent: profile })
+  );
+
+  const [signed] = await toClientTemplates([template]);
+
+  return {
+    template_id: template.id,
+    body,
+    missing_variables: missing,
+    media: template.media_path ? toTemplateMedia(signed) : null
+  };
+}
+
+/**
+ * Attachment of a template as sent to clients
+ */
+function toTemplateMedia(template) {
+  return {
+    media_type: template.media_type,
+    url: template.media_url,
+    url_expires_at: template.media_url_expires_at,
+    thumbnail_url: template.media_thumbnail_url,
+    mimetype: template.media_mimetype,
+    filename: template.media_filename,
+    size: template.media_size,
+    width: template.media_width,
+    height: template.media_height,
+    duration: template.media_duration
+  };
+}
+
+/**
+ * Templates with signed URLs instead of storage paths
+ */
+async function toClientTemplates(templates) {
+  return signMessageMedia(templates);
+}
+
+module.exports = {
+  TEMPLATE_COLUMNS,
+  getSessionTemplates,
+  getSessionTemplate,
+  resolveTemplateOwner,
+  renderTemplateForChat,
+  toClientTemplates
+};
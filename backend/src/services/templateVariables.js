@@ -0,0 +1,88 @@
+/**
+ * Template Variables
+ * Placeholders of message templates ({{contact.name}}) and how they are
+ * filled in for the chat and agent a template is used by
+ */
+
+// Variables templates may use, with what they are filled with
+const TEMPLATE_VARIABLES = {
+  'contact.name': 'CRM custom name of the contact, else their WhatsApp name',
+  'contact.first_name': 'First word of contact.name',
+  'contact.phone': 'Phone number of the contact, with +',
+  'agent.name': 'Full name of the agent using the template, else their username',
+  'agent.first_name': 'First word of agent.name'
+};
+
+const VARIABLE_PATTERN = /\{\{\s*([a-z_]+\.[a-z_]+)\s*\}\}/gi;
+
+/**
+ * Variables a template text uses, once each
+ */
+function getTemplateVariables(body) {
+  return [...new Set([...String(body || '').matchAll(VARIABLE_PATTERN)].map(match => match[1].toLowerCase()))];
+}
+
+/**
+ * Variables a template text uses that do not exist
+ */
+function findUnknownVariables(body) {
+  return getTemplateVariables(body).filter(name => !TEMPLATE_VARIABLES[name]);
+}
+
+function getFirstName(name) {
+  return name ? name.trim().split(/\s+/)[0] : null;
+}
+
+/**
+ * Values of the variables for one chat and agent
+ * @param {Object} context - { contact, metadata, agent }: contacts row,
+ *   contact_metadata row (or null) and profiles row
+ * @returns {Object} - Variable name -> value (null when unknown)
+ */
+function buildTemplateValues({ contact, metadata, agent }) {
+  const contactName = metadata?.custom_name || contact?.name || null;
+  const agentName = agent?.full_name || agent?.username || null;
+
+  return {
+    'contact.name': contactName,
+    'contact.first_name': getFirstName(contactName),
+    'contact.phone': contact?.phone_number ? `+${contact.phone_number}` : null,
+    'agent.name': agentName,
+    'agent.first_name': getFirstName(agentName)
+  };
+}
+
+/**
+ * Fill in a template text
+ * Variables without a value are left empty and reported, so the agent
+ * can complete the text before sending it
+ * @returns {Object} - { body, missing }
+ */
+function renderTemplate(body, values) {
+  const missing = new Set();
+
+  const rendered = String(body || '').replace(VARIABLE_PATTERN, (placeholder, name) => {
+    const key = name.toLowerCase();
+
+    if (!TEMPLATE_VARIABLES[key]) {
+      return placeholder;
+    }
+
+    if (!values[key]) {
+      missing.add(key);
+      return '';
+    }
+
+    return values[key];
+  });
+
+  return { body: rendered, missing: [...missing] };
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  getTemplateVariables,
+  findUnknownVariables,
+  buildTemplateValues,
+  renderTemplate
+};
@@ -0,0 +1,216 @@
+/**
+ * Webhook Queue Service
+ * Persists incoming webhooks to webhook_logs before processing them,
+ * retries failures with exponential backoff and dead-letters events
+ * that keep failing
+ */
+
+const { supabaseAdmin } = require('../config/database');
+const { getProvider } = require('../providers');
+const { processWebhookEvent } = require('./webhookService');
+
+// Queue configuration
+const QUEUE_CONFIG = {
+  POLL_INTERVAL_MS: parseInt(process.env.WEBHOOK_QUEUE_POLL_MS) || 2000,
+  BATCH_SIZE: 20,
+  MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_QUEUE_MAX_ATTEMPTS) || 8,
+  BASE_RETRY_DELAY_MS: 5000, // 5s, 10s, 20s, 40s...
+  MAX_RETRY_DELAY_MS: 60 * 60 * 1000, // Cap at 1 hour
+  LOCK_TIMEOUT_SECONDS: 300 // Reclaim events from crashed workers after 5 minutes
+};
+
+let pollTimer = null;
+let isDraining = false;
+let drainRequested = false;
+
+/**
+ * Persist a webhook payload and schedule processing
+ * Throws if the payload could not be stored, so the caller can
+ * tell the provider to redeliver
+ */
+async function enqueueWebhookEvent(providerName, payload) {
+  const provider = getProvider(providerName);
+
+  const { data: log, error } = await supabaseAdmin
+    .from('webhook_logs')
+    .insert({
+      provider: provider.name,
+      event_type: provider.getEventName(payload),
+      instance_name: provider.getInstanceName(payload) || 'unknown',
+      payload,
+      status: 'pending'
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  // Process right away instead of waiting for the next poll
+  scheduleDrain();
+
+  return log;
+}
+
+/**
+ * Exponential backoff with jitter
+ */
+function getRetryDelay(attempts) {
+  const delay = QUEUE_CONFIG.BASE_RETRY_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0));
+  const jitter = Math.floor(Math.random() * 1000);
+  return Math.min(delay, QUEUE_CONFIG.MAX_RETRY_DELAY_MS) + jitter;
+}
+
+/**
+ * Process a single claimed webhook log
+ */
+async function processWebhookLog(log) {
+  try {
+    await processWebhookEvent(log.provider, log.payload);
+
+    await supabaseAdmin
+      .from('webhook_logs')
+      .update({
+        status: 'completed',
+        processed: true,
+        processed_at: new Date().toISOString(),
+        error_message: null,
+        locked_at: null
+      })
+      .eq('id', log.id);
+  } catch (error) {
+    const isDead = log.attempts >= QUEUE_CONFIG.MAX_ATTEMPTS;
+    const nextAttemptAt = new Date(Date.now() + getRetryDelay(log.attempts)).toISOString();
+
+    if (isDead) {
+      console.error(`[WebhookQueue] ☠️ Event ${log.id} (${log.event_type}) dead-lettered after ${log.attempts} attempts:`, error.message);
+    } else {
+      console.warn(`[WebhookQueue] Event ${log.id} (${log.event_type}) failed (attempt ${log.attempts}/${QUEUE_CONFIG.MAX_ATTEMPTS}), retrying at ${nextAttemptAt}`);
+    }
+
+    await supabaseAdmin
+      .from('webhook_logs')
+      .update({
+        status: isDead ? 'dead' : 'failed',
+        error_message: error.message || String(error),
+        next_attempt_at: isDead ? null : nextAttemptAt,
+        locked_at: null
+      })
+      .eq('id', log.id);
+  }
+}
+
+/**
+ * Claim and process due events until the queue is empty
+ */
+async function drainQueue() {
+  if (isDraining) {
+    drainRequested = true;
+    return;
+  }
+
+  isDraining = true;
+
+  try {
+    do {
+      drainRequested = false;
+
+      while (true) {
+        const { data: logs, error } = await supabaseAdmin.rpc('claim_webhook_logs', {
+          p_limit: QUEUE_CONFIG.BATCH_SIZE,
+          p_lock_timeout_seconds: QUEUE_CONFIG.LOCK_TIMEOUT_SECONDS
+        });
+
+        if (error) {
+          throw error;
+        }
+
+        if (!logs || logs.length === 0) {
+          break;
+        }
+
+        // Preserve arrival order (e.g. message upsert before its ACK update)
+        logs.sort((a, b) => new Date(a.received_at) - new Date(b.received_at));
+
+        for (const log of logs) {
+          await processWebhookLog(log);
+        }
+      }
+    } while (drainRequested);
+  } finally {
+    isDraining = false;
+  }
+}
+
+/**
+ * Run a drain in the background
+ */
+function scheduleDrain() {
+  setImmediate(() => {
+    drainQueue().catch(err => {
+      console.error('[WebhookQueue] Drain error:', err);
+    });
+  });
+}
+
+/**
+ * Start the background worker
+ */
+function startWebhookWorker() {
+  if (pollTimer) {
+    return;
+  }
+
+  console.log(`[WebhookQueue] Worker started (poll every ${QUEUE_CONFIG.POLL_INTERVAL_MS}ms)`);
+
+  pollTimer = setInterval(scheduleDrain, QUEUE_CONFIG.POLL_INTERVAL_MS);
+}
+
+/**
+ * Stop the background worker
+ */
+function stopWebhookWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+/**
+ * Put a failed or dead-lettered event back in the queue
+ * @returns {Object|null} - The updated log, or null if it can't be replayed
+ */
+async function replayWebhookEvent(logId) {
+  const { data: log, error } = await supabaseAdmin
+    .from('webhook_logs')
+    .update({
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      error_message: null,
+      locked_at: null
+    })
+    .eq('id', logId)
+    .in('status', ['failed', 'dead'])
+    .select('id, event_type, instance_name, status')
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (log) {
+    scheduleDrain();
+  }
+
+  return log;
+}
+
+module.exports = {
+  enqueueWebhookEvent,
+  processWebhookLog,
+  replayWebhookEvent,
+  startWebhookWorker,
+  stopWebhookWorker
+};
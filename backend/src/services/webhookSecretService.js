@@ -0,0 +1,126 @@
+/**
+ * Webhook Secret Service
+ * Registers the webhook of each session with its provider, and gives a
+ * secret to the sessions created before webhook secrets existed
+ */
+
+const { supabaseAdmin } = require('../config/database');
+const { getSessionProvider } = require('../providers');
+const { generateWebhookSecret } = require('../middlewares/webhookAuth');
+
+// Sessions whose registration failed (e.g. provider down) are retried this often
+const PROVISION_INTERVAL_MS = parseInt(process.env.WEBHOOK_SECRET_PROVISION_MS) || 5 * 60 * 1000; // 5 minutes
+
+let provisionTimer = null;
+let isProvisioning = false;
+
+/**
+ * Webhook endpoint and secret to register with a provider
+ * Use WEBHOOK_BASE_URL for internal Docker->Backend communication
+ * or API_BASE_URL for external access
+ */
+function getWebhookConfig(provider, webhookSecret) {
+  const baseUrl = process.env.WEBHOOK_BASE_URL || process.env.API_BASE_URL;
+  const url = `${baseUrl}/api/webhooks/${provider.name}`;
+
+  console.log('[Session] Setting webhook URL:', url);
+
+  return { url, secret: webhookSecret };
+}
+
+/**
+ * Give every session without a webhook secret one, and register it
+ * Until then their webhooks are rejected, or accepted unsigned during the
+ * WEBHOOK_UNSIGNED_UNTIL window (see verifyProviderWebhook). The provider is
+ * switched over first and the secret stored after, so a failed store leaves
+ * the session without a secret and the next run registers a new one
+ */
+async function provisionWebhookSecrets() {
+  const { data: sessions, error } = await supabaseAdmin
+    .from('sessions')
+    .select('id, session_name, provider')
+    .is('webhook_secret', null);
+
+  if (error) {
+    throw error;
+  }
+
+  if (!sessions || sessions.length === 0) {
+    return;
+  }
+
+  console.log(`[Webhook] Registering webhook secrets for ${sessions.length} session(s)`);
+
+  for (const session of sessions) {
+    try {
+      const webhookSecret = generateWebhookSecret();
+      const provider = getSessionProvider(session);
+
+      await provider.setWebhook(session.session_name, getWebhookConfig(provider, webhookSecret));
+
+      // Keep a secret stored meanwhile by a rotation or reconnect
+      const { error: updateError } = await supabaseAdmin
+        .from('sessions')
+        .update({ webhook_secret: webhookSecret })
+        .eq('id', session.id)
+        .is('webhook_secret', null);
+
+      if (updateError) {
+        throw updateError;
+      }
+
+      console.log(`[Webhook] Webhook secret registered for: ${session.session_name}`);
+    } catch (error) {
+      // Retried on the next run; rotating the secret registers one too
+      console.error(`[Webhook] Failed to register webhook secret for ${session.session_name}:`, error.response?.data || error.message);
+    }
+  }
+}
+
+/**
+ * Run a provisioning pass in the background, unless one is running
+ */
+function scheduleProvisioning() {
+  if (isProvisioning) {
+    return;
+  }
+
+  isProvisioning = true;
+
+  provisionWebhookSecrets()
+    .catch(err => {
+      console.error('[Webhook] Webhook secret provisioning error:', err);
+    })
+    .finally(() => {
+      isProvisioning = false;
+    });
+}
+
+/**
+ * Start the background worker: provision now, then retry periodically
+ */
+function startWebhookSecretWorker() {
+  if (provisionTimer) {
+    return;
+  }
+
+  scheduleProvisioning();
+  provisionTimer = setInterval(scheduleProvisioning, PROVISION_INTERVAL_MS);
+}
+
+/**
+ * Stop the background worker
+ */
+function stopWebhookSecretWorker() {
+  if (provisionTimer) {
+    clearInterval(provisionTimer);
+    provisionTimer = null;
+  }
+}
+
+module.exports = {
+  getWebhookConfig,
+  provisionWebhookSecrets,
+  startWebhookSecretWorker,
+  stopWebhookSecretWorker
+};
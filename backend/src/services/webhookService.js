@@ -1,119 +1,110 @@
 /**
  * Webhook Service
- * Business logic for processing WAHA webhooks
+ * Processes provider webhooks (Evolution API, WAHA) after the provider
+ * adapter has normalized them into provider-neutral events
  */
 
 const { supabaseAdmin } = require('../config/database');
-const { downloadAndUploadMedia } = require('./mediaService');
-const { triggerGapFillSync } = require('./syncService');
+const { getProvider } = require('../providers');
+const { publishToSession } = require('./realtimeService');
+const { ingestMessages, upsertContacts, getParticipant } = require('./ingestService');
+const { upsertGroup, applyParticipantsUpdate, publishGroupUpdated } = require('./groupService');
 
 /**
- * Handle incoming message webhook
+ * Handle incoming messages (one webhook payload can carry several)
+ * Saved in one batch; replays of already stored messages are skipped.
+ * Reactions, edits and revokes update the messages they target; media is
+ * downloaded by the media queue. Throws if any message could not be saved,
+ * after publishing the saved ones, so the queue retries the event: its
+ * saved messages are then skipped as duplicates
  */
-async function handleIncomingMessage(sessionId, messageData) {
+async function handleIncomingMessages(session, messages) {
   try {
-    const {
-      id: wahaMessageId,
-      from,
-      to,
-      body,
-      type,
-      timestamp,
-      fromMe,
-      hasMedia,
-      mediaUrl,
-      ack
-    } = messageData;
-
-    // Determine contact phone number
-    const contactPhone = fromMe ? to : from;
-
-    // Ensure contact exists in database
-    const { data: contact } = await supabaseAdmin.rpc('ensure_contact_exists', {
-      p_session_id: sessionId,
-      p_phone_number: contactPhone,
-      p_name: messageData.notifyName || null,
-      p_is_group: false
-    });
-
-    const contactId = contact;
+    const { inserted, updated, duplicates, failedIds } = await ingestMessages(session.id, messages, 'webhook');
+    const messagesById = new Map(messages.map(message => [message.id, message]));
 
-    // Check if message already exists (idempotency)
-    const { data: existing } = await supabaseAdmin
-      .from('messages')
-      .select('id')
-      .eq('session_id', sessionId)
-      .eq('waha_message_id', wahaMessageId)
-      .single();
-
-    if (existing) {
-      console.log(`[Webhook] Message already exists: ${wahaMessageId}`);
-      return;
+    if (duplicates > 0) {
+      console.log(`[Webhook] ${duplicates} message(s) already exist`);
     }
 
-    // Prepare message data
-    const messageRecord = {
-      session_id: sessionId,
-      contact_id: contactId,
-      waha_message_id: wahaMessageId,
-      message_type: type || 'text',
-      body: body || '',
-      from_me: fromMe,
-      ack: ack || 'PENDING',
-      has_media: hasMedia || false,
-      timestamp: new Date(timestamp * 1000).toISOString(),
-      raw_payload: messageData
-    };
+    for (const row of inserted) {
+      const message = messagesById.get(row.waha_message_id);
 
-    // Insert message
-    const { data: insertedMessage, error: insertError } = await supabaseAdmin
-      .from('messages')
-      .insert(messageRecord)
-      .select()
-      .single();
+      console.log(`[Webhook] Message saved: ${message.id} (type: ${message.type})`);
 
-    if (insertError) {
-      console.error('[Webhook] Message insert error:', insertError);
-      throw insertError;
+      publishToSession(session.id, 'message.new', {
+        message: toClientMessage({
+          id: row.id,
+          contact_id: row.contact_id,
+          waha_message_id: message.id,
+          message_type: message.type,
+          body: message.body,
+          from_me: message.fromMe,
+          ack: message.ack || 'PENDING',
+          has_media: message.hasMedia,
+          timestamp: new Date(message.timestamp * 1000).toISOString(),
+          quoted_message_id: row.quoted_message_id,
+          metadata: message.metadata,
+          reactions: [],
+          ...getSender(message)
+        }),
+        contact: {
+          contact_id: row.contact_id,
+          phone_number: message.phoneNumber,
+          name: message.fromMe ? null : message.pushName,
+          is_group: message.isGroup
+        }
+      });
     }
 
-    console.log(`[Webhook] Message saved: ${wahaMessageId}`);
+    for (const row of updated) {
+      publishToSession(session.id, 'message.updated', {
+        message_id: row.id,
+        contact_id: row.contact_id,
+        body: row.body,
+        edited_at: row.edited_at,
+        deleted_at: row.deleted_at,
+        reactions: row.reactions
+      });
+    }
 
-    // Handle media if present
-    if (hasMedia && mediaUrl) {
-      try {
-        await downloadAndUploadMedia(insertedMessage.id, mediaUrl, messageData);
-      } catch (mediaError) {
-        console.error('[Webhook] Media processing error:', mediaError);
-        // Don't throw - message is saved even if media fails
-      }
+    if (failedIds.length > 0) {
+      throw new Error(`${failedIds.length} message(s) could not be saved: ${failedIds.join(', ')}`);
     }
   } catch (error) {
-    console.error('[Webhook] handleIncomingMessage error:', error);
+    console.error('[Webhook] handleIncomingMessages error:', error);
     throw error;
   }
 }
 
 /**
- * Handle message acknowledgment webhook
+ * Handle message acknowledgment update
  */
-async function handleMessageAck(sessionId, ackData) {
+async function handleMessageAck(session, { messageId, ack }) {
   try {
-    const { id: wahaMessageId, ack } = ackData;
-
     // Update message ack status
-    const { error } = await supabaseAdmin
+    const { data: updatedMessages, error } = await supabaseAdmin
       .from('messages')
       .update({ ack })
-      .eq('session_id', sessionId)
-      .eq('waha_message_id', wahaMessageId);
+      .eq('session_id', session.id)
+      .eq('waha_message_id', messageId)
+      .select('id, contact_id');
 
     if (error) {
       console.error('[Webhook] ACK update error:', error);
       throw error;
     }
 
-    console.log(`[Webhook] Message ACK updated: ${wahaMessageId} -> ${ack}`);
+    for (const updated of updatedMessages || []) {
+      publishToSession(session.id, 'message.ack', {
+        message_id: updated.id,
+        contact_id: updated.contact_id,
+        waha_message_id: messageId,
+        ack
+      });
+    }
+
+    console.log(`[Webhook] Message ACK updated: ${messageId} -> ${ack}`);
   } catch (error) {
     console.error('[Webhook] handleMessageAck error:', error);
     throw error;
@@ -121,18 +112,20 @@ async function handleMessageAck(sessionId, ackData) {
 }
 
 /**
- * Handle session status change webhook
+ * Handle connection status update
  */
-async function handleSessionStatus(sessionId, statusData) {
+async function handleConnectionUpdate(session, { status, state, reason }) {
   try {
-    const { status } = statusData;
-
-    console.log(`[Webhook] Session status changed: ${status}`);
+    console.log(`[Webhook] Connection update: ${session.session_name} -> ${state} (${status})`);
 
     // Update session status in database
     const updateData = {
-      status: status.toUpperCase(),
-      waha_metadata: statusData
+      status,
+      waha_metadata: {
+        provider_state: state,
+        status_reason: reason,
+        last_update: new Date().toISOString()
+      }
     };
 
     if (status === 'CONNECTED') {
@@ -142,28 +135,251 @@ async function handleSessionStatus(sessionId, statusData) {
     const { error } = await supabaseAdmin
       .from('sessions')
       .update(updateData)
-      .eq('id', sessionId);
+      .eq('id', session.id);
 
     if (error) {
       throw error;
     }
 
-    // If session just connected, trigger gap-fill sync
+    publishToSession(session.id, 'session.status', {
+      status,
+      provider_state: state,
+      last_connected_at: updateData.last_connected_at || null
+    });
+
+    // If just connected, trigger gap-fill sync
     if (status === 'CONNECTED') {
-      console.log(`[Webhook] Session connected - triggering gap-fill sync`);
-      // Run sync in background (don't await)
-      triggerGapFillSync(sessionId).catch(err => {
+      console.log(`[Webhook] Session connected - queueing gap-fill sync`);
+      // Import and queue sync (an already active job of the session is kept)
+      const { enqueueSyncJob } = require('./syncService');
+      enqueueSyncJob(session.id, 'gap_fill').catch(err => {
         console.error('[Webhook] Gap-fill sync error:', err);
       });
     }
   } catch (error) {
-    console.error('[Webhook] handleSessionStatus error:', error);
+    console.error('[Webhook] handleConnectionUpdate error:', error);
     throw error;
   }
 }
 
+/**
+ * Handle QR code update
+ */
+async function handleQRCodeUpdate(session, { qrcode, pairingCode }) {
+  try {
+    console.log(`[Webhook] QR Code updated for instance: ${session.session_name}`);
+
+    // Store QR code in session metadata (optional)
+    const { error } = await supabaseAdmin
+      .from('sessions')
+      .update({
+        waha_metadata: {
+          qr_code_updated_at: new Date().toISOString(),
+          has_qr: true
+        }
+      })
+      .eq('id', session.id);
+
+    if (error) {
+      console.error('[Webhook] QR code update error:', error);
+    }
+
+    publishToSession(session.id, 'session.qr', {
+      qrcode,
+      pairingCode
+    });
+  } catch (error) {
+    console.error('[Webhook] handleQRCodeUpdate error:', error);
+  }
+}
+
+/**
+ * Handle contacts update
+ */
+async function handleContactsUpdate(session, { contacts }) {
+  try {
+    // Update contacts in database
+    await upsertContacts(session.id, contacts);
+
+    console.log(`[Webhook] Updated ${contacts.length} contacts for ${session.session_name}`);
+  } catch (error) {
+    console.error('[Webhook] handleContactsUpdate error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Handle chats update
+ */
+async function handleChatsUpdate(session, { chats }) {
+  try {
+    // Update chats metadata
+    for (const chat of chats) {
+      await supabaseAdmin
+        .from('contacts')
+        .update({
+          whatsapp_metadata: {
+            unreadCount: chat.unreadCount,
+            conversationTimestamp: chat.conversationTimestamp,
+            archived: chat.archived,
+            pinned: chat.pinned
+          }
+        })
+        .eq('session_id', session.id)
+        .eq('phone_number', chat.phoneNumber);
+    }
+
+    console.log(`[Webhook] Updated ${chats.length} chats for ${session.session_name}`);
+  } catch (error) {
+    console.error('[Webhook] handleChatsUpdate error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Handle group metadata (joined a group, subject or description changed)
+ */
+async function handleGroupUpdate(session, { group }) {
+  try {
+    const contactId = await upsertGroup(session.id, group);
+    publishGroupUpdated(session.id, contactId, group);
+
+    console.log(`[Webhook] Group updated: ${group.chatId}`);
+  } catch (error) {
+    console.error('[Webhook] handleGroupUpdate error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Handle group members joining, leaving, or becoming / stopping being admins
+ */
+async function handleGroupParticipants(session, event) {
+  try {
+    await applyParticipantsUpdate(session.id, event);
+
+    console.log(`[Webhook] Group ${event.chatId}: ${event.action} ${event.participants.length} participant(s)`);
+  } catch (error) {
+    console.error('[Webhook] handleGroupParticipants error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Normalize a provider webhook payload and route each event to its handler
+ * Throws if a handler fails so the queue can retry the event
+ */
+async function processWebhookEvent(providerName, payload) {
+  const provider = getProvider(providerName);
+  const instance = provider.getInstanceName(payload);
+  const events = provider.normalizeWebhook(payload);
+
+  if (events.length === 0) {
+    return;
+  }
+
+  // Get session from database
+  const { data: session } = await supabaseAdmin
+    .from('sessions')
+    .select('id, session_name')
+    .eq('session_name', instance)
+    .single();
+
+  if (!session) {
+    console.error(`[Webhook] Session not found: ${instance}`);
+    return;
+  }
+
+  // Messages of the payload are saved as one batch
+  const messages = events.filter(event => event.type === 'message').map(event => event.message);
+
+  if (messages.length > 0) {
+    await handleIncomingMessages(session, messages);
+  }
+
+  for (const event of events) {
+    switch (event.type) {
+      case 'message':
+        break;
+
+      case 'message.ack':
+        await handleMessageAck(session, event);
+        break;
+
+      case 'session.status':
+        await handleConnectionUpdate(session, event);
+        break;
+
+      case 'session.qr':
+        await handleQRCodeUpdate(session, event);
+        break;
+
+      case 'contacts':
+        await handleContactsUpdate(session, event);
+        break;
+
+      case 'chats':
+        await handleChatsUpdate(session, event);
+        break;
+
+      case 'group':
+        await handleGroupUpdate(session, event);
+        break;
+
+      case 'group.participants':
+        await handleGroupParticipants(session, event);
+        break;
+
+      default:
+        console.log(`[Webhook] Unhandled normalized event: ${event.type}`);
+    }
+  }
+}
+
+/**
+ * Sender of a received group message, as message pages return it
+ * (the push name stands in for the sender's contact name)
+ */
+function getSender(message) {
+  const { participant, participant_name: senderName } = getParticipant(message);
+  return { participant, sender_name: senderName };
+}
+
+/**
+ * Shape a message row like get_chat_messages returns it
+ */
+function toClientMessage(message) {
+  return {
+    id: message.id,
+    contact_id: message.contact_id,
+    waha_message_id: message.waha_message_id,
+    message_type: message.message_type,
+    body: message.body,
+    from_me: message.from_me,
+    ack: message.ack,
+    has_media: message.has_media,
+    media_url: message.media_url,
+    media_mimetype: message.media_mimetype,
+    media_filename: message.media_filename,
+    timestamp: message.timestamp,
+    quoted_message_id: message.quoted_message_id,
+    metadata: message.metadata,
+    edited_at: message.edited_at,
+    deleted_at: message.deleted_at,
+    reactions: message.reactions,
+    participant: message.participant,
+    sender_name: message.sender_name
+  };
+}
+
 module.exports = {
-  handleIncomingMessage,
+  processWebhookEvent,
+  handleIncomingMessages,
   handleMessageAck,
-  handleSessionStatus
+  handleConnectionUpdate,
+  handleQRCodeUpdate,
+  handleContactsUpdate,
+  handleChatsUpdate,
+  handleGroupUpdate,
+  handleGroupParticipants
 };
@@ -0,0 +1,152 @@
+// In-memory tables behind a minimal Supabase query builder
+const mockTables = {};
+
+function getValue(row, column) {
+  return column.split('.').reduce((value, key) => value?.[key], row);
+}
+
+// PostgREST .or() filters as used by the middleware: col.eq.value, col.in.(a,b)
+function matchesOr(row, filters) {
+  return filters.split(/,(?![^(]*\))/).some(filter => {
+    const [column, operator, ...rest] = filter.split('.');
+    const value = rest.join('.');
+
+    if (operator === 'in') {
+      return value.slice(1, -1).split(',').includes(getValue(row, column));
+    }
+
+    return getValue(row, column) === value;
+  });
+}
+
+function mockFrom(table) {
+  const filters = [];
+  let limit = null;
+
+  const run = () => {
+    const rows = (mockTables[table] || []).filter(row => filters.every(filter => filter(row)));
+    return limit === null ? rows : rows.slice(0, limit);
+  };
+
+  const query = {
+    select: () => query,
+    eq: (column, value) => { filters.push(row => getValue(row, column) === value); return query; },
+    in: (column, values) => { filters.push(row => values.includes(getValue(row, column))); return query; },
+    or: (expression) => { filters.push(row => matchesOr(row, expression)); return query; },
+    limit: (count) => { limit = count; return query; },
+    single: async () => ({ data: run()[0] || null, error: null }),
+    maybeSingle: async () => ({ data: run()[0] || null, error: null }),
+    then: (resolve, reject) => Promise.resolve({ data: run(), error: null }).then(resolve, reject)
+  };
+
+  return query;
+}
+
+jest.mock('../../src/config/database', () => ({
+  supabaseAdmin: { from: (table) => mockFrom(table) }
+}));
+
+const {
+  checkSessionAccess,
+  getChatPermissions,
+  getViewableContactIds,
+  getAccessibleChatScope
+} = require('../../src/middlewares/auth');
+
+const owner = { id: 'admin-owner', role: 'admin' };
+const otherAdmin = { id: 'admin-other', role: 'admin' };
+const teamMember = { id: 'member-1', role: 'team_member' };
+
+beforeEach(() => {
+  Object.assign(mockTables, {
+    sessions: [
+      { id: 'session-a', created_by_admin_id: owner.id },
+      { id: 'session-b', created_by_admin_id: otherAdmin.id }
+    ],
+    session_assignments: [],
+    team_members: [],
+    contacts: [
+      { id: 'contact-a1', session_id: 'session-a' },
+      { id: 'contact-a2', session_id: 'session-a' },
+      { id: 'contact-b1', session_id: 'session-b' }
+    ],
+    chat_assignments: [
+      {
+        session_id: 'session-a',
+        contact_id: 'contact-a1',
+        assigned_to_user_id: otherAdmin.id,
+        permissions: { can_view: true, can_send: false, can_manage: false },
+        is_active: true,
+        expires_at: null
+      }
+    ]
+  });
+});
+
+describe('auth middleware', () => {
+  describe('admin of the session', () => {
+    it('has full access to every chat', async () => {
+      await expect(checkSessionAccess('session-a', owner)).resolves.toBe(true);
+      await expect(getChatPermissions('session-a', 'contact-a2', owner))
+        .resolves.toEqual({ can_view: true, can_send: true, can_manage: true });
+      await expect(getViewableContactIds('session-a', owner)).resolves.toBeNull();
+    });
+
+    it('counts a session assignment like ownership', async () => {
+      mockTables.session_assignments.push({ id: 'sa-1', session_id: 'session-a', assigned_to_user_id: otherAdmin.id });
+
+      await expect(getViewableContactIds('session-a', otherAdmin)).resolves.toBeNull();
+      await expect(getChatPermissions('session-a', 'contact-a2', otherAdmin))
+        .resolves.toEqual({ can_view: true, can_send: true, can_manage: true });
+    });
+  });
+
+  describe('admin with only a chat assignment', () => {
+    it('reaches the session', async () => {
+      await expect(checkSessionAccess('session-a', otherAdmin)).resolves.toBe(true);
+    });
+
+    it('gets the assignment permissions on the assigned chat', async () => {
+      await expect(getChatPermissions('session-a', 'contact-a1', otherAdmin))
+        .resolves.toEqual({ can_view: true, can_send: false, can_manage: false });
+    });
+
+    it('gets no access to the other chats of the session', async () => {
+      await expect(getChatPermissions('session-a', 'contact-a2', otherAdmin))
+        .resolves.toEqual({ can_view: false, can_send: false, can_manage: false });
+      await expect(getViewableContactIds('session-a', otherAdmin)).resolves.toEqual(['contact-a1']);
+    });
+
+    it('searches only the assigned chat there, and every chat of its own session', async () => {
+      const { sessionIds, contactIds } = await getAccessibleChatScope(otherAdmin);
+
+      expect(sessionIds.sort()).toEqual(['session-a', 'session-b']);
+      expect(contactIds.sort()).toEqual(['contact-a1', 'contact-b1']);
+    });
+  });
+
+  describe('team member', () => {
+    it('has no access without an assignment', async () => {
+      await expect(checkSessionAccess('session-a', teamMember)).resolves.toBe(false);
+      await expect(getAccessibleChatScope(teamMember)).resolves.toEqual({ sessionIds: [], contactIds: null });
+    });
+
+    it('gets access through an active team only', async () => {
+      mockTables.team_members.push({ team_id: 'team-1', user_id: teamMember.id, teams: { is_active: false } });
+      mockTables.session_assignments.push({ id: 'sa-3', session_id: 'session-a', assigned_to_team_id: 'team-1' });
+
+      await expect(checkSessionAccess('session-a', teamMember)).resolves.toBe(false);
+
+      mockTables.team_members[0].teams.is_active = true;
+
+      await expect(checkSessionAccess('session-a', teamMember)).resolves.toBe(true);
+    });
+
+    it('needs a chat assignment even with a session assignment', async () => {
+      mockTables.session_assignments.push({ id: 'sa-2', session_id: 'session-a', assigned_to_user_id: teamMember.id });
+
+      await expect(checkSessionAccess('session-a', teamMember)).resolves.toBe(true);
+      await expect(getViewableContactIds('session-a', teamMember)).resolves.toEqual([]);
+    });
+  });
+});
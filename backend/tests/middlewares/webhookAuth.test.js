@@ -0,0 +1,103 @@
+let mockSession = null;
+
+jest.mock('../../src/config/database', () => ({
+  supabaseAdmin: {
+    from: () => {
+      const query = {
+        select: () => query,
+        eq: () => query,
+        single: async () => ({ data: mockSession, error: null })
+      };
+      return query;
+    }
+  }
+}));
+
+jest.mock('../../src/providers', () => ({
+  DEFAULT_PROVIDER: 'evolution',
+  isSupportedProvider: (name) => name === 'evolution',
+  getProvider: () => ({ getInstanceName: (payload) => payload?.instance || null })
+}));
+
+const { verifyProviderWebhook } = require('../../src/middlewares/webhookAuth');
+
+function webhookRequest(headers = {}) {
+  return {
+    params: { provider: 'evolution' },
+    body: { instance: 'crm-1', event: 'messages.upsert' },
+    ip: '127.0.0.1',
+    get: (name) => headers[name]
+  };
+}
+
+function response() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+async function verify(req) {
+  const res = response();
+  const next = jest.fn();
+  await verifyProviderWebhook(req, res, next);
+  return { res, next };
+}
+
+beforeEach(() => {
+  delete process.env.WEBHOOK_UNSIGNED_UNTIL;
+  mockSession = {
+    id: 'session-1',
+    session_name: 'crm-1',
+    provider: 'evolution',
+    webhook_secret: 'current-secret',
+    webhook_secret_previous: null,
+    webhook_secret_rotated_at: null
+  };
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('verifyProviderWebhook', () => {
+  it('accepts the session secret', async () => {
+    const req = webhookRequest({ 'x-webhook-token': 'current-secret' });
+    const { next } = await verify(req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.webhookSession).toEqual({ id: 'session-1', session_name: 'crm-1' });
+  });
+
+  it('rejects a wrong secret', async () => {
+    const { res, next } = await verify(webhookRequest({ 'x-webhook-token': 'guessed' }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  describe('session without a secret', () => {
+    beforeEach(() => {
+      mockSession.webhook_secret = null;
+    });
+
+    it('rejects unsigned requests', async () => {
+      const { res, next } = await verify(webhookRequest());
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('accepts unsigned requests during the migration window only', async () => {
+      process.env.WEBHOOK_UNSIGNED_UNTIL = new Date(Date.now() + 60 * 1000).toISOString();
+      expect((await verify(webhookRequest())).next).toHaveBeenCalled();
+
+      process.env.WEBHOOK_UNSIGNED_UNTIL = new Date(Date.now() - 60 * 1000).toISOString();
+      const { res, next } = await verify(webhookRequest());
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+});
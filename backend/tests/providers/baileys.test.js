@@ -0,0 +1,304 @@
+const path = require('path');
+const { normalizeBaileysMessage, parseVCard } = require('../../src/providers/baileys');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'baileys');
+
+function normalizeFixture(name, options) {
+  return normalizeBaileysMessage(require(path.join(FIXTURES_DIR, `${name}.json`)), options);
+}
+
+describe('normalizeBaileysMessage', () => {
+  describe('text', () => {
+    it('maps a plain conversation message', () => {
+      const message = normalizeFixture('text', { ack: 'DEVICE' });
+
+      expect(message).toMatchObject({
+        id: '3EB0A1B2C3D4E5F60001',
+        kind: 'message',
+        chatId: '5511999990001@s.whatsapp.net',
+        phoneNumber: '5511999990001',
+        isGroup: false,
+        fromMe: false,
+        participant: null,
+        pushName: 'Maria Silva',
+        timestamp: 1718000000,
+        type: 'text',
+        body: 'Hello, is the order ready?',
+        hasMedia: false,
+        media: null,
+        quotedMessageId: null,
+        metadata: null,
+        ack: 'DEVICE'
+      });
+    });
+
+    it('links the quoted message and keeps link previews', () => {
+      const message = normalizeFixture('extended-text-reply');
+
+      expect(message.fromMe).toBe(true);
+      expect(message.body).toBe('Yes, see https://example.com/order/42');
+      expect(message.quotedMessageId).toBe('3EB0A1B2C3D4E5F60001');
+      expect(message.metadata).toEqual({
+        link: { url: 'https://example.com/order/42', title: 'Order #42' }
+      });
+    });
+
+    it('keeps the group participant', () => {
+      const message = normalizeFixture('group-text');
+
+      expect(message.isGroup).toBe(true);
+      expect(message.phoneNumber).toBe('120363041234567890');
+      expect(message.participant).toBe('5511977776666@s.whatsapp.net');
+    });
+
+    it('defaults the ack to PENDING', () => {
+      expect(normalizeFixture('text').ack).toBe('PENDING');
+    });
+  });
+
+  describe('media', () => {
+    it('maps images with caption and dimensions', () => {
+      const message = normalizeFixture('image');
+
+      expect(message).toMatchObject({
+        type: 'image',
+        body: 'Invoice photo',
+        hasMedia: true,
+        media: { mimetype: 'image/jpeg', filename: null, url: null },
+        metadata: { width: 1280, height: 960 }
+      });
+    });
+
+    it('maps push-to-talk audio to voice', () => {
+      const message = normalizeFixture('voice');
+
+      expect(message.type).toBe('voice');
+      expect(message.body).toBe('');
+      expect(message.media.mimetype).toBe('audio/ogg; codecs=opus');
+      expect(message.metadata).toEqual({ duration: 12 });
+    });
+
+    it('unwraps documents sent with a caption', () => {
+      const message = normalizeFixture('document');
+
+      expect(message).toMatchObject({
+        type: 'document',
+        body: 'Signed contract',
+        hasMedia: true,
+        media: { mimetype: 'application/pdf', filename: 'contract.pdf' }
+      });
+    });
+
+    it('maps stickers', () => {
+      const message = normalizeFixture('sticker');
+
+      expect(message.type).toBe('sticker');
+      expect(message.hasMedia).toBe(true);
+      expect(message.media.mimetype).toBe('image/webp');
+    });
+
+    it('flags view-once media', () => {
+      const message = normalizeFixture('view-once');
+
+      expect(message.type).toBe('image');
+      expect(message.body).toBe('Only once');
+      expect(message.metadata).toEqual({ view_once: true });
+    });
+  });
+
+  describe('location', () => {
+    it('extracts coordinates, name and address', () => {
+      const message = normalizeFixture('location');
+
+      expect(message.type).toBe('location');
+      expect(message.body).toBe('Av. Paulista Store\nAv. Paulista, 1000 - Sao Paulo');
+      expect(message.metadata.location).toEqual({
+        latitude: -23.5613,
+        longitude: -46.6565,
+        name: 'Av. Paulista Store',
+        address: 'Av. Paulista, 1000 - Sao Paulo',
+        url: null,
+        live: false
+      });
+    });
+
+    it('falls back to the coordinates as body', () => {
+      expect(normalizeFixture('location-pin').body).toBe('-22.9068, -43.1729');
+    });
+  });
+
+  describe('contacts', () => {
+    it('extracts the vCard of a shared contact', () => {
+      const message = normalizeFixture('contact');
+
+      expect(message.type).toBe('contact');
+      expect(message.body).toBe('Joao Souza');
+      expect(message.metadata.contacts).toEqual([
+        {
+          name: 'Joao Souza',
+          phone_numbers: ['5511988887777'],
+          vcard: expect.stringContaining('BEGIN:VCARD')
+        }
+      ]);
+    });
+
+    it('extracts every card of a contacts array', () => {
+      const message = normalizeFixture('contacts-array');
+
+      expect(message.body).toBe('2 contacts');
+      expect(message.metadata.contacts.map(({ name, phone_numbers }) => ({ name, phone_numbers }))).toEqual([
+        { name: 'Joao Souza', phone_numbers: ['5511988887777'] },
+        { name: 'Ana Lima', phone_numbers: ['+5521977776666'] }
+      ]);
+    });
+  });
+
+  describe('interactive', () => {
+    it('maps polls', () => {
+      const message = normalizeFixture('poll');
+
+      expect(message.type).toBe('poll');
+      expect(message.body).toBe('Best delivery day?');
+      expect(message.metadata.poll).toEqual({
+        name: 'Best delivery day?',
+        options: ['Monday', 'Friday'],
+        selectable_count: 1
+      });
+    });
+
+    it('maps button replies to text with the selected button', () => {
+      const message = normalizeFixture('buttons-reply');
+
+      expect(message.type).toBe('text');
+      expect(message.body).toBe('Yes, confirm');
+      expect(message.quotedMessageId).toBe('BAE5F0F0F0F00001');
+      expect(message.metadata.reply).toEqual({ kind: 'button', id: 'confirm_yes', title: 'Yes, confirm' });
+    });
+
+    it('maps list replies to text with the selected row', () => {
+      const message = normalizeFixture('list-reply');
+
+      expect(message.body).toBe('Express shipping');
+      expect(message.metadata.reply).toEqual({
+        kind: 'list',
+        id: 'ship_express',
+        title: 'Express shipping',
+        description: '1-2 business days'
+      });
+    });
+  });
+
+  describe('wrappers', () => {
+    it('unwraps ephemeral messages and flags forwards', () => {
+      const message = normalizeFixture('ephemeral');
+
+      expect(message.kind).toBe('message');
+      expect(message.body).toBe('This disappears');
+      expect(message.metadata).toEqual({ ephemeral: true, forwarded: true });
+    });
+  });
+
+  describe('updates of other messages', () => {
+    it('maps edits to the edited message and its new body', () => {
+      const message = normalizeFixture('edit');
+
+      expect(message).toMatchObject({
+        kind: 'edit',
+        targetId: '3EB0A1B2C3D4E5F60001',
+        body: 'Hello, is order #42 ready?',
+        timestamp: 1718000300
+      });
+    });
+
+    it('maps edits wrapped in editedMessage with named protocol types', () => {
+      const message = normalizeFixture('edit-named');
+
+      expect(message.kind).toBe('edit');
+      expect(message.targetId).toBe('3EB0A1B2C3D4E5F60002');
+      expect(message.body).toBe('Yes, it ships today');
+    });
+
+    it('maps revokes to the deleted message', () => {
+      const message = normalizeFixture('revoke');
+
+      expect(message.kind).toBe('revoke');
+      expect(message.targetId).toBe('3EB0A1B2C3D4E5F60003');
+    });
+
+    it('maps reactions with the Long sender timestamp', () => {
+      const message = normalizeFixture('reaction');
+
+      expect(message).toMatchObject({
+        kind: 'reaction',
+        targetId: '3EB0A1B2C3D4E5F60002',
+        emoji: '\u{1F44D}',
+        participant: '5511977776666@s.whatsapp.net',
+        timestamp: 1716565130
+      });
+    });
+
+    it('maps removed reactions to an empty emoji', () => {
+      const message = normalizeFixture('reaction-removed');
+
+      expect(message.kind).toBe('reaction');
+      expect(message.emoji).toBe('');
+      expect(message.timestamp).toBe(1718000600);
+    });
+  });
+
+  describe('ignored records', () => {
+    it('ignores encrypted poll votes', () => {
+      expect(normalizeFixture('poll-update').kind).toBe('ignored');
+    });
+
+    it('ignores other protocol messages', () => {
+      expect(normalizeFixture('protocol-ephemeral-setting').kind).toBe('ignored');
+    });
+
+    it('ignores records without content', () => {
+      const message = normalizeBaileysMessage({
+        key: { remoteJid: '5511999990001@s.whatsapp.net', fromMe: false, id: 'EMPTY' },
+        message: { messageContextInfo: {} },
+        messageTimestamp: 1718000000
+      });
+
+      expect(message.kind).toBe('ignored');
+    });
+  });
+
+  describe('timestamps', () => {
+    it('reads protobuf Long timestamps', () => {
+      expect(normalizeFixture('long-timestamp').timestamp).toBe(1718000000);
+    });
+
+    it('reads numeric string timestamps', () => {
+      const message = normalizeBaileysMessage({
+        key: { remoteJid: '5511999990001@s.whatsapp.net', fromMe: false, id: 'STRING_TS' },
+        message: { conversation: 'hi' },
+        messageTimestamp: '1718000000'
+      });
+
+      expect(message.timestamp).toBe(1718000000);
+    });
+  });
+});
+
+describe('parseVCard', () => {
+  it('prefers the waid number', () => {
+    expect(parseVCard('BEGIN:VCARD\nFN:Joao\nitem1.TEL;waid=5511988887777:+55 11 98888-7777\nEND:VCARD')).toEqual({
+      name: 'Joao',
+      phoneNumbers: ['5511988887777']
+    });
+  });
+
+  it('handles CRLF line endings and several numbers', () => {
+    expect(parseVCard('BEGIN:VCARD\r\nFN:Ana\r\nTEL;type=CELL:+1 555 0100\r\nTEL:+1 555 0199\r\nEND:VCARD')).toEqual({
+      name: 'Ana',
+      phoneNumbers: ['+15550100', '+15550199']
+    });
+  });
+
+  it('returns empty details without a vCard', () => {
+    expect(parseVCard(null)).toEqual({ name: null, phoneNumbers: [] });
+  });
+});
@@ -0,0 +1,204 @@
+process.env.WAHA_BASE_URL = process.env.WAHA_BASE_URL || 'http://waha.test';
+process.env.WAHA_API_KEY = process.env.WAHA_API_KEY || 'test-key';
+
+const { normalizeWebhook } = require('../../src/providers/waha');
+
+function normalizeEvent(event, payload) {
+  return normalizeWebhook({ event, session: 'default', payload });
+}
+
+describe('WAHA normalizeWebhook', () => {
+  describe('message.reaction', () => {
+    it('maps a reaction to an update of the reacted message', () => {
+      const [event] = normalizeEvent('message.reaction', {
+        id: 'false_5511999990001@c.us_3EB0REACTION01',
+        from: '5511999990001@c.us',
+        to: '5511888880000@c.us',
+        fromMe: false,
+        participant: null,
+        timestamp: 1718000100,
+        reaction: {
+          text: '👍',
+          messageId: 'true_5511999990001@c.us_3EB0TARGET0001'
+        }
+      });
+
+      expect(event.type).toBe('message');
+      expect(event.message).toMatchObject({
+        id: 'false_5511999990001@c.us_3EB0REACTION01',
+        kind: 'reaction',
+        chatId: '5511999990001@c.us',
+        fromMe: false,
+        targetId: 'true_5511999990001@c.us_3EB0TARGET0001',
+        emoji: '👍',
+        timestamp: 1718000100
+      });
+    });
+
+    it('maps a removed reaction to an empty emoji', () => {
+      const [event] = normalizeEvent('message.reaction', {
+        id: 'true_5511999990001@c.us_3EB0REACTION02',
+        from: '5511888880000@c.us',
+        to: '5511999990001@c.us',
+        fromMe: true,
+        timestamp: 1718000200,
+        reaction: {
+          text: '',
+          messageId: 'false_5511999990001@c.us_3EB0TARGET0002'
+        }
+      });
+
+      expect(event.message).toMatchObject({
+        kind: 'reaction',
+        chatId: '5511999990001@c.us',
+        fromMe: true,
+        emoji: ''
+      });
+    });
+  });
+
+  describe('message.edited', () => {
+    it('serializes a bare edited message id with the edit direction', () => {
+      const [event] = normalizeEvent('message.edited', {
+        id: 'false_5511999990001@c.us_3EB0EDIT000001',
+        from: '5511999990001@c.us',
+        to: '5511888880000@c.us',
+        fromMe: false,
+        timestamp: 1718000300,
+        body: 'Corrected text',
+        editedMessageId: '3EB0TARGET0003'
+      });
+
+      expect(event.message).toMatchObject({
+        kind: 'edit',
+        targetId: 'false_5511999990001@c.us_3EB0TARGET0003',
+        body: 'Corrected text'
+      });
+    });
+
+    it('keeps an already serialized edited message id', () => {
+      const [event] = normalizeEvent('message.edited', {
+        id: 'true_5511999990001@c.us_3EB0EDIT000002',
+        from: '5511888880000@c.us',
+        to: '5511999990001@c.us',
+        fromMe: true,
+        body: 'New text',
+        editedMessageId: 'true_5511999990001@c.us_3EB0TARGET0004'
+      });
+
+      expect(event.message.targetId).toBe('true_5511999990001@c.us_3EB0TARGET0004');
+    });
+  });
+
+  describe('message.revoked', () => {
+    it('targets the revoked message from `before`', () => {
+      const [event] = normalizeEvent('message.revoked', {
+        before: { id: 'false_120363000000000001@g.us_3EB0TARGET0005_5511999990001@c.us' },
+        after: {
+          id: 'false_120363000000000001@g.us_3EB0REVOKE0001_5511999990001@c.us',
+          from: '120363000000000001@g.us',
+          fromMe: false,
+          participant: '5511999990001@c.us',
+          timestamp: 1718000400
+        },
+        revokedMessageId: '3EB0TARGET0005'
+      });
+
+      expect(event.message).toMatchObject({
+        kind: 'revoke',
+        chatId: '120363000000000001@g.us',
+        isGroup: true,
+        participant: '5511999990001@c.us',
+        targetId: 'false_120363000000000001@g.us_3EB0TARGET0005_5511999990001@c.us'
+      });
+    });
+
+    it('builds the target id when `before` is missing', () => {
+      const [event] = normalizeEvent('message.revoked', {
+        before: null,
+        after: {
+          id: 'false_120363000000000001@g.us_3EB0REVOKE0002_5511999990001@c.us',
+          from: '120363000000000001@g.us',
+          fromMe: false,
+          participant: '5511999990001@c.us'
+        },
+        revokedMessageId: '3EB0TARGET0006'
+      });
+
+      expect(event.message.targetId).toBe('false_120363000000000001@g.us_3EB0TARGET0006_5511999990001@c.us');
+    });
+
+    it('skips a revoke without a target', () => {
+      expect(normalizeEvent('message.revoked', { before: null, after: { id: 'x', from: '1@c.us' } })).toEqual([]);
+    });
+  });
+
+  describe('group.v2.update', () => {
+    it('maps group metadata with its members and roles', () => {
+      const [event] = normalizeEvent('group.v2.join', {
+        group: {
+          id: '120363000000000001@g.us',
+          subject: 'Support team',
+          description: 'Daily handover',
+          owner: '5511999990001@c.us',
+          participants: [
+            { id: '5511999990001@c.us', role: 'superadmin' },
+            { id: '5511999990002@c.us', role: 'admin' },
+            { id: '123456789012345@lid', pn: '5511999990003@c.us', role: 'participant' }
+          ]
+        }
+      });
+
+      expect(event).toEqual({
+        type: 'group',
+        group: {
+          chatId: '120363000000000001@g.us',
+          phoneNumber: '120363000000000001',
+          subject: 'Support team',
+          description: 'Daily handover',
+          owner: '5511999990001',
+          participants: [
+            { chatId: '5511999990001@c.us', phoneNumber: '5511999990001', role: 'superadmin' },
+            { chatId: '5511999990002@c.us', phoneNumber: '5511999990002', role: 'admin' },
+            { chatId: '123456789012345@lid', phoneNumber: '5511999990003', role: 'member' }
+          ]
+        }
+      });
+    });
+
+    it('leaves fields missing from an update undefined', () => {
+      const [event] = normalizeEvent('group.v2.update', {
+        group: { id: '120363000000000001@g.us', subject: 'Renamed' }
+      });
+
+      expect(event.group).toMatchObject({ subject: 'Renamed', participants: null });
+      expect(event.group.description).toBeUndefined();
+    });
+  });
+
+  describe('group.v2.participants', () => {
+    it('maps a leave to a remove of the participants', () => {
+      const [event] = normalizeEvent('group.v2.participants', {
+        group: { id: '120363000000000001@g.us' },
+        type: 'leave',
+        participants: [{ id: '5511999990002@c.us', role: 'participant' }]
+      });
+
+      expect(event).toEqual({
+        type: 'group.participants',
+        chatId: '120363000000000001@g.us',
+        phoneNumber: '120363000000000001',
+        action: 'remove',
+        participants: [{ chatId: '5511999990002@c.us', phoneNumber: '5511999990002', role: 'member' }]
+      });
+    });
+
+    it('skips unknown participant event types', () => {
+      expect(normalizeEvent('group.v2.participants', {
+        group: { id: '120363000000000001@g.us' },
+        type: 'unknown',
+        participants: []
+      })).toEqual([]);
+    });
+  });
+});
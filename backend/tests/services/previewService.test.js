@@ -0,0 +1,77 @@
+const sharp = require('sharp');
+const { createMediaPreview } = require('../../src/services/previewService');
+
+function createImage(width, height, format = 'png') {
+  return sharp({
+    create: { width, height, channels: 3, background: { r: 37, g: 211, b: 102 } }
+  })[format]().toBuffer();
+}
+
+describe('createMediaPreview', () => {
+  describe('images', () => {
+    it('scales large images down to a JPEG thumbnail', async () => {
+      const preview = await createMediaPreview(await createImage(1600, 1200), {
+        mediaType: 'image',
+        mimetype: 'image/png'
+      });
+
+      expect(preview).toMatchObject({ width: 1600, height: 1200, duration: null });
+
+      const thumbnail = await sharp(preview.thumbnail).metadata();
+      expect(thumbnail).toMatchObject({ format: 'jpeg', width: 480, height: 360 });
+    });
+
+    it('does not enlarge small images', async () => {
+      const preview = await createMediaPreview(await createImage(200, 100, 'jpeg'), {
+        mediaType: 'image',
+        mimetype: 'image/jpeg'
+      });
+
+      const thumbnail = await sharp(preview.thumbnail).metadata();
+      expect(thumbnail).toMatchObject({ width: 200, height: 100 });
+    });
+
+    it('reports the size of rotated photos in display orientation', async () => {
+      const rotated = await sharp(await createImage(400, 300, 'jpeg'))
+        .withMetadata({ orientation: 6 })
+        .jpeg()
+        .toBuffer();
+
+      const preview = await createMediaPreview(rotated, { mediaType: 'image', mimetype: 'image/jpeg' });
+
+      expect(preview).toMatchObject({ width: 300, height: 400 });
+      expect(await sharp(preview.thumbnail).metadata()).toMatchObject({ width: 300, height: 400 });
+    });
+
+    it('keeps only the size of stickers', async () => {
+      const preview = await createMediaPreview(await createImage(512, 512, 'webp'), {
+        mediaType: 'sticker',
+        mimetype: 'image/webp'
+      });
+
+      expect(preview).toEqual({ thumbnail: null, width: 512, height: 512, duration: null });
+    });
+  });
+
+  it('leaves the preview empty for files it cannot read', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const preview = await createMediaPreview(Buffer.from('not an image'), {
+      mediaType: 'image',
+      mimetype: 'image/jpeg'
+    });
+
+    expect(preview).toEqual({ thumbnail: null, width: null, height: null, duration: null });
+    expect(console.warn).toHaveBeenCalled();
+    console.warn.mockRestore();
+  });
+
+  it('has no preview for documents other than PDFs', async () => {
+    const preview = await createMediaPreview(Buffer.from('name,total\nOrder 42,10'), {
+      mediaType: 'document',
+      mimetype: 'text/csv'
+    });
+
+    expect(preview).toEqual({ thumbnail: null, width: null, height: null, duration: null });
+  });
+});
@@ -0,0 +1,66 @@
+const {
+  isValidTimeZone,
+  zonedTimeToUtc,
+  utcToZonedTime
+} = require('../../src/services/scheduleTime');
+
+describe('schedule time', () => {
+  describe('isValidTimeZone', () => {
+    it('accepts IANA names and UTC', () => {
+      expect(isValidTimeZone('America/Sao_Paulo')).toBe(true);
+      expect(isValidTimeZone('UTC')).toBe(true);
+    });
+
+    it('rejects unknown names', () => {
+      expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+      expect(isValidTimeZone('')).toBe(false);
+      expect(isValidTimeZone(null)).toBe(false);
+    });
+  });
+
+  describe('zonedTimeToUtc', () => {
+    it('applies the zone offset', () => {
+      expect(zonedTimeToUtc('2026-03-10T09:00', 'America/Sao_Paulo').toISOString())
+        .toBe('2026-03-10T12:00:00.000Z');
+      expect(zonedTimeToUtc('2026-03-10T09:00:30', 'Asia/Kolkata').toISOString())
+        .toBe('2026-03-10T03:30:30.000Z');
+    });
+
+    it('follows daylight saving time', () => {
+      expect(zonedTimeToUtc('2026-01-15T09:00', 'Europe/Lisbon').toISOString())
+        .toBe('2026-01-15T09:00:00.000Z');
+      expect(zonedTimeToUtc('2026-07-15T09:00', 'Europe/Lisbon').toISOString())
+        .toBe('2026-07-15T08:00:00.000Z');
+    });
+
+    it('moves times skipped by a change forward', () => {
+      // Clocks go from 02:00 to 03:00
+      expect(zonedTimeToUtc('2026-03-08T02:30', 'America/New_York').toISOString())
+        .toBe('2026-03-08T07:30:00.000Z');
+      expect(zonedTimeToUtc('2026-03-29T02:30', 'Europe/Berlin').toISOString())
+        .toBe('2026-03-29T01:30:00.000Z');
+    });
+
+    it('picks the first of two repeated times', () => {
+      // Clocks go from 02:00 (or 03:00) back one hour
+      expect(zonedTimeToUtc('2026-11-01T01:30', 'America/New_York').toISOString())
+        .toBe('2026-11-01T05:30:00.000Z');
+      expect(zonedTimeToUtc('2026-10-25T02:30', 'Europe/Berlin').toISOString())
+        .toBe('2026-10-25T00:30:00.000Z');
+    });
+
+    it('rejects malformed dates and zones', () => {
+      expect(zonedTimeToUtc('2026-02-30T09:00', 'UTC')).toBeNull();
+      expect(zonedTimeToUtc('2026-03-10T24:00', 'UTC')).toBeNull();
+      expect(zonedTimeToUtc('2026-03-10 09:00', 'UTC')).toBeNull();
+      expect(zonedTimeToUtc('2026-03-10T09:00', 'Nowhere/City')).toBeNull();
+    });
+  });
+
+  describe('utcToZonedTime', () => {
+    it('gives the wall-clock time in the zone', () => {
+      expect(utcToZonedTime('2026-03-10T12:00:00.000Z', 'America/Sao_Paulo')).toBe('2026-03-10T09:00');
+      expect(utcToZonedTime(new Date('2026-12-31T23:30:00.000Z'), 'Asia/Tokyo')).toBe('2027-01-01T08:30');
+    });
+  });
+});
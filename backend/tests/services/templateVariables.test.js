@@ -0,0 +1,79 @@
+const {
+  getTemplateVariables,
+  findUnknownVariables,
+  buildTemplateValues,
+  renderTemplate
+} = require('../../src/services/templateVariables');
+
+describe('template variables', () => {
+  describe('getTemplateVariables', () => {
+    it('lists each variable once, ignoring spacing and case', () => {
+      expect(getTemplateVariables('Hi {{contact.name}}, {{ Contact.Name }}! I am {{agent.first_name}}'))
+        .toEqual(['contact.name', 'agent.first_name']);
+    });
+
+    it('ignores text without variables', () => {
+      expect(getTemplateVariables('Our prices start at $10 {not a variable}')).toEqual([]);
+      expect(getTemplateVariables(null)).toEqual([]);
+    });
+  });
+
+  describe('findUnknownVariables', () => {
+    it('reports variables that do not exist', () => {
+      expect(findUnknownVariables('Hi {{contact.name}}, your order {{order.id}}')).toEqual(['order.id']);
+    });
+  });
+
+  describe('buildTemplateValues', () => {
+    it('prefers the CRM custom name and the agent full name', () => {
+      const values = buildTemplateValues({
+        contact: { phone_number: '5511999990001', name: 'Maria S.' },
+        metadata: { custom_name: 'Maria Silva' },
+        agent: { username: 'jdoe', full_name: 'John Doe' }
+      });
+
+      expect(values).toEqual({
+        'contact.name': 'Maria Silva',
+        'contact.first_name': 'Maria',
+        'contact.phone': '+5511999990001',
+        'agent.name': 'John Doe',
+        'agent.first_name': 'John'
+      });
+    });
+
+    it('falls back to the WhatsApp name and the username', () => {
+      const values = buildTemplateValues({
+        contact: { phone_number: '5511999990001', name: 'Maria' },
+        metadata: null,
+        agent: { username: 'jdoe', full_name: null }
+      });
+
+      expect(values['contact.name']).toBe('Maria');
+      expect(values['agent.name']).toBe('jdoe');
+    });
+  });
+
+  describe('renderTemplate', () => {
+    const values = {
+      'contact.name': 'Maria Silva',
+      'contact.first_name': 'Maria',
+      'contact.phone': '+5511999990001',
+      'agent.name': 'John Doe',
+      'agent.first_name': null
+    };
+
+    it('fills in every occurrence', () => {
+      expect(renderTemplate('Hi {{contact.first_name}}! {{ contact.first_name }}, this is {{agent.name}}.', values))
+        .toEqual({ body: 'Hi Maria! Maria, this is John Doe.', missing: [] });
+    });
+
+    it('leaves variables without a value empty and reports them', () => {
+      expect(renderTemplate('Regards, {{agent.first_name}}', values))
+        .toEqual({ body: 'Regards, ', missing: ['agent.first_name'] });
+    });
+
+    it('keeps unknown placeholders as written', () => {
+      expect(renderTemplate('Order {{order.id}}', values).body).toBe('Order {{order.id}}');
+    });
+  });
+});
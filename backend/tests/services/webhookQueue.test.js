@@ -0,0 +1,123 @@
+// Database calls recorded by the fake client: ingest_messages rejects
+// batches holding the message with id 'bad'
+const mockUpdates = [];
+
+jest.mock('../../src/config/database', () => ({
+  supabaseAdmin: {
+    rpc: async (name, params) => {
+      if (name !== 'ingest_messages') {
+        return { data: [], error: null };
+      }
+
+      if (params.p_messages.some(row => row.waha_message_id === 'bad')) {
+        return { data: null, error: new Error('value too long for type character varying') };
+      }
+
+      return {
+        data: params.p_messages.map(row => ({
+          id: `row-${row.waha_message_id}`,
+          contact_id: 'contact-1',
+          waha_message_id: row.waha_message_id,
+          quoted_message_id: null
+        })),
+        error: null
+      };
+    },
+    from: (table) => {
+      const query = {
+        select: () => query,
+        eq: () => query,
+        single: async () => ({ data: { id: 'session-1', session_name: 'crm-1' }, error: null }),
+        update: (fields) => {
+          mockUpdates.push({ table, fields });
+          return query;
+        },
+        then: (resolve) => resolve({ data: null, error: null })
+      };
+      return query;
+    }
+  }
+}));
+
+jest.mock('../../src/providers', () => ({
+  getProvider: () => ({
+    getInstanceName: (payload) => payload.instance,
+    normalizeWebhook: (payload) => payload.messages.map(message => ({ type: 'message', message }))
+  })
+}));
+
+jest.mock('../../src/services/realtimeService', () => ({ publishToSession: jest.fn() }));
+jest.mock('../../src/services/mediaQueue', () => ({ enqueueMediaDownloads: async () => {} }));
+jest.mock('../../src/services/groupService', () => ({}));
+
+const { publishToSession } = require('../../src/services/realtimeService');
+const { processWebhookLog } = require('../../src/services/webhookQueue');
+
+function incomingMessage(id) {
+  return {
+    kind: 'message',
+    id,
+    chatId: '905551234567@s.whatsapp.net',
+    phoneNumber: '905551234567',
+    isGroup: false,
+    fromMe: false,
+    pushName: 'John',
+    type: 'text',
+    body: `Message ${id}`,
+    ack: 'DELIVERED',
+    hasMedia: false,
+    timestamp: 1735725600,
+    raw: {}
+  };
+}
+
+function webhookLog(messages, attempts = 1) {
+  return {
+    id: 'log-1',
+    provider: 'evolution',
+    event_type: 'messages.upsert',
+    attempts,
+    payload: { instance: 'crm-1', messages }
+  };
+}
+
+beforeEach(() => {
+  mockUpdates.length = 0;
+  publishToSession.mockClear();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('webhook queue', () => {
+  it('completes an event whose messages were all saved', async () => {
+    await processWebhookLog(webhookLog([incomingMessage('ok-1'), incomingMessage('ok-2')]));
+
+    expect(mockUpdates).toEqual([
+      { table: 'webhook_logs', fields: expect.objectContaining({ status: 'completed' }) }
+    ]);
+  });
+
+  it('fails the event for a retry when one message of the batch is rejected', async () => {
+    await processWebhookLog(webhookLog([incomingMessage('ok-1'), incomingMessage('bad')]));
+
+    const [{ fields }] = mockUpdates;
+
+    expect(fields.status).toBe('failed');
+    expect(fields.error_message).toContain('bad');
+    expect(fields.next_attempt_at).not.toBeNull();
+
+    // The saved message is still delivered to clients
+    expect(publishToSession).toHaveBeenCalledTimes(1);
+  });
+
+  it('dead-letters the event once its attempts are used up', async () => {
+    await processWebhookLog(webhookLog([incomingMessage('bad')], 8));
+
+    expect(mockUpdates[0].fields).toEqual(expect.objectContaining({ status: 'dead', next_attempt_at: null }));
+  });
+});
@@ -0,0 +1,404 @@
+/**
+ * Teams Panel (Admin Page tab)
+ * Create teams, manage members and assign sessions to teams
+ */
+
+import { useState, useEffect } from 'react';
+import { teamAPI, userAPI, sessionAPI } from '../../services/api';
+import toast from 'react-hot-toast';
+import { PlusIcon, TrashIcon, XMarkIcon, UserGroupIcon } from '@heroicons/react/24/outline';
+
+export default function TeamsPanel() {
+  const [teams, setTeams] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [selectedTeamId, setSelectedTeamId] = useState(null);
+  const [newTeamName, setNewTeamName] = useState('');
+  const [newTeamDescription, setNewTeamDescription] = useState('');
+  const [isCreating, setIsCreating] = useState(false);
+
+  useEffect(() => {
+    fetchTeams();
+  }, []);
+
+  const fetchTeams = async () => {
+    try {
+      const response = await teamAPI.getTeams();
+      setTeams(response.data);
+    } catch (error) {
+      toast.error('Failed to fetch teams');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleCreateTeam = async (e) => {
+    e.preventDefault();
+    setIsCreating(true);
+
+    try {
+      const response = await teamAPI.createTeam({
+        name: newTeamName,
+        description: newTeamDescription || undefined,
+      });
+      toast.success('Team created');
+      setNewTeamName('');
+      setNewTeamDescription('');
+      setSelectedTeamId(response.data.id);
+      fetchTeams();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create team');
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-3 gap-6">
+      {/* Team List */}
+      <div className="bg-wa-panel rounded-lg border border-wa-border overflow-hidden">
+        <form onSubmit={handleCreateTeam} className="p-4 border-b border-wa-border space-y-2">
+          <input
+            type="text"
+            value={newTeamName}
+            onChange={(e) => setNewTeamName(e.target.value)}
+            placeholder="New team name"
+            className="w-full px-4 py-2 bg-wa-bg border border-wa-border rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-primary-500"
+            required
+            minLength={2}
+            maxLength={100}
+          />
+          <input
+            type="text"
+            value={newTeamDescription}
+            onChange={(e) => setNewTeamDescription(e.target.value)}
+            placeholder="Description (optional)"
+            className="w-full px-4 py-2 bg-wa-bg border border-wa-border rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-primary-500"
+            maxLength={500}
+          />
+          <button
+            type="submit"
+            disabled={isCreating}
+            className="w-full flex items-center justify-center space-x-2 bg-primary-500 hover:bg-primary-600 px-4 py-2 rounded-lg text-white transition disabled:opacity-50"
+          >
+            <PlusIcon className="w-5 h-5" />
+            <span>{isCreating ? 'Creating...' : 'Create Team'}</span>
+          </button>
+        </form>
+
+        {isLoading ? (
+          <p className="p-6 text-center text-gray-400">Loading...</p>
+        ) : teams.length === 0 ? (
+          <p className="p-6 text-center text-gray-400">No teams yet</p>
+        ) : (
+          <ul className="divide-y divide-wa-border">
+            {teams.map((team) => (
+              <li
+                key={team.id}
+                onClick={() => setSelectedTeamId(team.id)}
+                className={`p-4 cursor-pointer hover:bg-wa-hover transition ${
+                  selectedTeamId === team.id ? 'bg-wa-hover' : ''
+                }`}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="text-sm font-medium text-white">{team.name}</span>
+                  {!team.is_active && (
+                    <span className="px-2 py-1 text-xs font-semibold rounded-full bg-red-500/20 text-red-500">
+                      Inactive
+                    </span>
+                  )}
+                </div>
+                <p className="text-xs text-gray-400 mt-1">
+                  {team.member_count} member{team.member_count === 1 ? '' : 's'}
+                </p>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Team Details */}
+      <div className="col-span-2">
+        {selectedTeamId ? (
+          <TeamDetails
+            key={selectedTeamId}
+            teamId={selectedTeamId}
+            onChange={fetchTeams}
+            onDeleted={() => {
+              setSelectedTeamId(null);
+              fetchTeams();
+            }}
+          />
+        ) : (
+          <div className="bg-wa-panel rounded-lg border border-wa-border p-12 text-center text-gray-400">
+            <UserGroupIcon className="w-12 h-12 mx-auto mb-3" />
+            <p>Select a team to manage its members and sessions</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function TeamDetails({ teamId, onChange, onDeleted }) {
+  const [team, setTeam] = useState(null);
+  const [teamSessions, setTeamSessions] = useState([]);
+  const [teamChats, setTeamChats] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [memberToAdd, setMemberToAdd] = useState('');
+  const [sessionToAssign, setSessionToAssign] = useState('');
+
+  useEffect(() => {
+    fetchTeam();
+    fetchAssignments();
+    userAPI.getUsers().then((response) => setUsers(response.data)).catch(() => {});
+    sessionAPI.getSessions().then((response) => setSessions(response.data)).catch(() => {});
+  }, [teamId]);
+
+  const fetchTeam = async () => {
+    try {
+      const response = await teamAPI.getTeamById(teamId);
+      setTeam(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to fetch team');
+    }
+  };
+
+  const fetchAssignments = async () => {
+    try {
+      const [sessionsResponse, chatsResponse] = await Promise.all([
+        teamAPI.getTeamSessions(teamId),
+        teamAPI.getTeamChats(teamId),
+      ]);
+      setTeamSessions(sessionsResponse.data);
+      setTeamChats(chatsResponse.data);
+    } catch (error) {
+      toast.error('Failed to fetch team assignments');
+    }
+  };
+
+  const handleAddMember = async () => {
+    if (!memberToAdd) return;
+
+    try {
+      await teamAPI.addMember(teamId, memberToAdd);
+      toast.success('Member added');
+      setMemberToAdd('');
+      fetchTeam();
+      onChange();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add member');
+    }
+  };
+
+  const handleRemoveMember = async (userId) => {
+    try {
+      await teamAPI.removeMember(teamId, userId);
+      toast.success('Member removed');
+      fetchTeam();
+      onChange();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove member');
+    }
+  };
+
+  const handleAssignSession = async () => {
+    if (!sessionToAssign) return;
+
+    try {
+      await sessionAPI.assignSession(sessionToAssign, { assigned_to_team_id: teamId });
+      toast.success('Session assigned to team');
+      setSessionToAssign('');
+      fetchAssignments();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to assign session');
+    }
+  };
+
+  const handleToggleActive = async () => {
+    try {
+      await teamAPI.updateTeam(teamId, { is_active: !team.is_active });
+      toast.success(team.is_active ? 'Team deactivated' : 'Team activated');
+      fetchTeam();
+      onChange();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update team');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!confirm(`Are you sure you want to delete team "${team.name}"? Its session and chat assignments will be removed.`)) {
+      return;
+    }
+
+    try {
+      await teamAPI.deleteTeam(teamId);
+      toast.success('Team deleted');
+      onDeleted();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete team');
+    }
+  };
+
+  if (!team) {
+    return (
+      <div className="bg-wa-panel rounded-lg border border-wa-border p-12 text-center text-gray-400">
+        Loading...
+      </div>
+    );
+  }
+
+  const memberIds = new Set(team.members.map((member) => member.user?.id));
+  const availableUsers = users.filter((u) => u.is_active && !memberIds.has(u.id));
+  const assignedSessionIds = new Set(teamSessions.map((assignment) => assignment.session?.id));
+  const availableSessions = sessions.filter((s) => !assignedSessionIds.has(s.id));
+
+  return (
+    <div className="bg-wa-panel rounded-lg border border-wa-border">
+      {/* Header */}
+      <div className="p-6 border-b border-wa-border flex items-start justify-between">
+        <div>
+          <h2 className="text-xl font-bold text-white">{team.name}</h2>
+          {team.description && <p className="text-gray-400 mt-1">{team.description}</p>}
+        </div>
+        <div className="flex space-x-2">
+          <button
+            onClick={handleToggleActive}
+            className="px-3 py-2 bg-wa-bg border border-wa-border hover:bg-wa-hover rounded-lg text-sm text-gray-300 transition"
+          >
+            {team.is_active ? 'Deactivate' : 'Activate'}
+          </button>
+          <button
+            onClick={handleDelete}
+            className="p-2 text-red-500 hover:text-red-400"
+            title="Delete Team"
+          >
+            <TrashIcon className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      <div className="p-6 space-y-6">
+        {/* Members */}
+        <section>
+          <h3 className="text-sm font-medium text-gray-300 mb-2">Members</h3>
+          {team.members.length === 0 ? (
+            <p className="text-sm text-gray-500">No members yet</p>
+          ) : (
+            <ul className="space-y-2">
+              {team.members.map((member) => (
+                <li
+                  key={member.id}
+                  className="flex items-center px-3 py-2 bg-wa-bg border border-wa-border rounded-lg"
+                >
+                  <div className="w-8 h-8 bg-primary-500 rounded-full flex items-center justify-center text-white text-sm font-semibold">
+                    {member.user?.username?.charAt(0).toUpperCase()}
+                  </div>
+                  <div className="ml-3 flex-1 min-w-0">
+                    <p className="text-sm text-white truncate">{member.user?.username}</p>
+                    <p className="text-xs text-gray-400 truncate">{member.user?.full_name}</p>
+                  </div>
+                  <button
+                    onClick={() => handleRemoveMember(member.user.id)}
+                    className="p-1 text-gray-400 hover:text-red-400 transition"
+                    title="Remove member"
+                  >
+                    <XMarkIcon className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="flex space-x-2 mt-3">
+            <select
+              value={memberToAdd}
+              onChange={(e) => setMemberToAdd(e.target.value)}
+              className="flex-1 px-4 py-2 bg-wa-bg border border-wa-border rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+            >
+              <option value="">Add a member...</option>
+              {availableUsers.map((u) => (
+                <option key={u.id} value={u.id}>
+                  {u.full_name || u.username}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={handleAddMember}
+              disabled={!memberToAdd}
+              className="px-4 py-2 bg-primary-500 hover:bg-primary-600 rounded-lg text-white transition disabled:opacity-50"
+            >
+              Add
+            </button>
+          </div>
+        </section>
+
+        {/* Sessions */}
+        <section>
+          <h3 className="text-sm font-medium text-gray-300 mb-2">Sessions</h3>
+          {teamSessions.length === 0 ? (
+            <p className="text-sm text-gray-500">No sessions assigned</p>
+          ) : (
+            <ul className="space-y-2">
+              {teamSessions.map((assignment) => (
+                <li
+                  key={assignment.id}
+                  className="flex items-center justify-between px-3 py-2 bg-wa-bg border border-wa-border rounded-lg"
+                >
+                  <span className="text-sm text-white">
+                    {assignment.session?.phone_number || assignment.session?.session_name}
+                  </span>
+                  <span className="text-xs text-gray-400">{assignment.session?.status}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="flex space-x-2 mt-3">
+            <select
+              value={sessionToAssign}
+              onChange={(e) => setSessionToAssign(e.target.value)}
+              className="flex-1 px-4 py-2 bg-wa-bg border border-wa-border rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+            >
+              <option value="">Assign a session...</option>
+              {availableSessions.map((s) => (
+                <option key={s.id} value={s.id}>
+                  {s.phone_number || s.session_name}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={handleAssignSession}
+              disabled={!sessionToAssign}
+              className="px-4 py-2 bg-primary-500 hover:bg-primary-600 rounded-lg text-white transition disabled:opacity-50"
+            >
+              Assign
+            </button>
+          </div>
+        </section>
+
+        {/* Chats */}
+        <section>
+          <h3 className="text-sm font-medium text-gray-300 mb-2">Assigned Chats</h3>
+          {teamChats.length === 0 ? (
+            <p className="text-sm text-gray-500">No chats assigned</p>
+          ) : (
+            <ul className="space-y-2">
+              {teamChats.map((assignment) => (
+                <li
+                  key={assignment.id}
+                  className="flex items-center justify-between px-3 py-2 bg-wa-bg border border-wa-border rounded-lg"
+                >
+                  <span className="text-sm text-white truncate">
+                    {assignment.contact?.name || assignment.contact?.phone_number}
+                  </span>
+                  <span className="text-xs text-gray-400 ml-2 flex-shrink-0">
+                    {assignment.session?.session_name}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+}
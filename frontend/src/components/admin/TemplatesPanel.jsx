@@ -0,0 +1,357 @@
+/**
+ * Templates Panel (Admin Page tab)
+ * Canned responses for the admin's own library, teams and sessions,
+ * inserted by agents with /shortcut in the composer
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { templateAPI, teamAPI, sessionAPI } from '../../services/api';
+import toast from 'react-hot-toast';
+import { PencilIcon, TrashIcon, PaperClipIcon, ChatBubbleBottomCenterTextIcon } from '@heroicons/react/24/outline';
+
+const SCOPE_OPTIONS = [
+  { value: 'admin', label: 'My library' },
+  { value: 'team', label: 'Team' },
+  { value: 'session', label: 'Session' },
+];
+
+const EMPTY_FORM = {
+  scope: 'admin',
+  team_id: '',
+  session_id: '',
+  shortcut: '',
+  title: '',
+  body: '',
+};
+
+const inputClassName = 'w-full px-4 py-2 bg-wa-bg border border-wa-border rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+export default function TemplatesPanel() {
+  const [templates, setTemplates] = useState([]);
+  const [variables, setVariables] = useState({});
+  const [teams, setTeams] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [editingTemplate, setEditingTemplate] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [file, setFile] = useState(null);
+  const [removeMedia, setRemoveMedia] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const fileInputRef = useRef(null);
+  const bodyInputRef = useRef(null);
+
+  useEffect(() => {
+    fetchTemplates();
+    teamAPI.getTeams().then((response) => setTeams(response.data)).catch(() => {});
+    sessionAPI.getSessions().then((response) => setSessions(response.data)).catch(() => {});
+  }, []);
+
+  const fetchTemplates = async () => {
+    try {
+      const response = await templateAPI.getTemplates();
+      setTemplates(response.data);
+      setVariables(response.variables || {});
+    } catch (error) {
+      toast.error('Failed to fetch templates');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const resetForm = () => {
+    setEditingTemplate(null);
+    setForm(EMPTY_FORM);
+    setFile(null);
+    setRemoveMedia(false);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  const handleEdit = (template) => {
+    resetForm();
+    setEditingTemplate(template);
+    setForm({
+      scope: template.scope,
+      team_id: template.team_id || '',
+      session_id: template.session_id || '',
+      shortcut: template.shortcut,
+      title: template.title,
+      body: template.body,
+    });
+  };
+
+  // Put a variable at the cursor of the body
+  const handleInsertVariable = (name) => {
+    const input = bodyInputRef.current;
+    const placeholder = `{{${name}}}`;
+    const start = input?.selectionStart ?? form.body.length;
+    const end = input?.selectionEnd ?? form.body.length;
+
+    setForm({ ...form, body: form.body.slice(0, start) + placeholder + form.body.slice(end) });
+    input?.focus();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+
+    try {
+      if (editingTemplate) {
+        await templateAPI.updateTemplate(editingTemplate.id, {
+          shortcut: form.shortcut,
+          title: form.title,
+          body: form.body,
+          file,
+          remove_media: removeMedia && !file ? 'true' : undefined,
+        });
+        toast.success('Template updated');
+      } else {
+        await templateAPI.createTemplate({
+          scope: form.scope,
+          team_id: form.scope === 'team' ? form.team_id : undefined,
+          session_id: form.scope === 'session' ? form.session_id : undefined,
+          shortcut: form.shortcut,
+          title: form.title,
+          body: form.body,
+          file,
+        });
+        toast.success('Template created');
+      }
+      resetForm();
+      fetchTemplates();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save template');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!confirm(`Delete the template /${template.shortcut}?`)) {
+      return;
+    }
+
+    try {
+      await templateAPI.deleteTemplate(template.id);
+      toast.success('Template deleted');
+      if (editingTemplate?.id === template.id) {
+        resetForm();
+      }
+      fetchTemplates();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete template');
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-3 gap-6">
+      {/* Template Form */}
+      <form
+        onSubmit={handleSubmit}
+        className="bg-wa-panel rounded-lg border border-wa-border p-4 space-y-3 self-start"
+      >
+        <h2 className="text-sm font-medium text-gray-300">
+          {editingTemplate ? `Edit /${editingTemplate.shortcut}` : 'New template'}
+        </h2>
+
+        <select
+          value={form.scope}
+          onChange={(e) => setForm({ ...form, scope: e.target.value })}
+          disabled={!!editingTemplate}
+          className={`${inputClassName} disabled:opacity-50`}
+        >
+          {SCOPE_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+
+        {form.scope === 'team' && (
+          <select
+            value={form.team_id}
+            onChange={(e) => setForm({ ...form, team_id: e.target.value })}
+            disabled={!!editingTemplate}
+            className={`${inputClassName} disabled:opacity-50`}
+            required
+          >
+            <option value="">Select a team...</option>
+            {teams.map((team) => (
+              <option key={team.id} value={team.id}>{team.name}</option>
+            ))}
+          </select>
+        )}
+
+        {form.scope === 'session' && (
+          <select
+            value={form.session_id}
+            onChange={(e) => setForm({ ...form, session_id: e.target.value })}
+            disabled={!!editingTemplate}
+            className={`${inputClassName} disabled:opacity-50`}
+            required
+          >
+            <option value="">Select a session...</option>
+            {sessions.map((s) => (
+              <option key={s.id} value={s.id}>{s.phone_number || s.session_name}</option>
+            ))}
+          </select>
+        )}
+
+        <div className="flex items-center">
+          <span className="px-3 py-2 bg-wa-bg border border-r-0 border-wa-border rounded-l-lg text-gray-400">/</span>
+          <input
+            type="text"
+            value={form.shortcut}
+            onChange={(e) => setForm({ ...form, shortcut: e.target.value.toLowerCase() })}
+            placeholder="price"
+            className={`${inputClassName} rounded-l-none`}
+            required
+            pattern="[a-z0-9_\-]{1,32}"
+            title="1-32 letters, digits, - or _"
+          />
+        </div>
+
+        <input
+          type="text"
+          value={form.title}
+          onChange={(e) => setForm({ ...form, title: e.target.value })}
+          placeholder="Title"
+          className={inputClassName}
+          required
+          maxLength={100}
+        />
+
+        <textarea
+          ref={bodyInputRef}
+          value={form.body}
+          onChange={(e) => setForm({ ...form, body: e.target.value })}
+          placeholder="Hi {{contact.first_name}}, ..."
+          rows={5}
+          className={`${inputClassName} resize-y`}
+          maxLength={10000}
+        />
+
+        <div className="flex flex-wrap gap-1">
+          {Object.entries(variables).map(([name, description]) => (
+            <button
+              key={name}
+              type="button"
+              onClick={() => handleInsertVariable(name)}
+              title={description}
+              className="px-2 py-0.5 text-xs bg-wa-bg border border-wa-border rounded-full text-primary-300 hover:bg-wa-hover transition"
+            >
+              {`{{${name}}}`}
+            </button>
+          ))}
+        </div>
+
+        <div>
+          {editingTemplate?.media_filename && !file && (
+            <label className="flex items-center mb-2 text-sm text-gray-300">
+              <PaperClipIcon className="w-4 h-4 mr-1 flex-shrink-0" />
+              <span className={`truncate ${removeMedia ? 'line-through text-gray-500' : ''}`}>
+                {editingTemplate.media_filename}
+              </span>
+              <input
+                type="checkbox"
+                checked={removeMedia}
+                onChange={(e) => setRemoveMedia(e.target.checked)}
+                className="ml-auto mr-1"
+              />
+              <span className="text-xs text-gray-400">Remove</span>
+            </label>
+          )}
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/*,video/*,audio/*,.pdf,.doc,.docx,.xls,.xlsx,.ppt,.pptx,.txt,.csv,.zip"
+            onChange={(e) => setFile(e.target.files?.[0] || null)}
+            className="w-full text-sm text-gray-400 file:mr-3 file:px-3 file:py-1 file:rounded-lg file:border-0 file:bg-wa-hover file:text-white"
+          />
+        </div>
+
+        <div className="flex space-x-2">
+          {editingTemplate && (
+            <button
+              type="button"
+              onClick={resetForm}
+              className="flex-1 px-4 py-2 bg-wa-bg border border-wa-border rounded-lg text-white hover:bg-wa-hover transition"
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="flex-1 px-4 py-2 bg-primary-500 hover:bg-primary-600 rounded-lg text-white transition disabled:opacity-50"
+          >
+            {isSaving ? 'Saving...' : editingTemplate ? 'Save' : 'Create Template'}
+          </button>
+        </div>
+      </form>
+
+      {/* Template List */}
+      <div className="col-span-2 bg-wa-panel rounded-lg border border-wa-border overflow-hidden">
+        {isLoading ? (
+          <p className="p-6 text-center text-gray-400">Loading...</p>
+        ) : templates.length === 0 ? (
+          <div className="p-12 text-center text-gray-400">
+            <ChatBubbleBottomCenterTextIcon className="w-12 h-12 mx-auto mb-3" />
+            <p>No templates yet. Agents insert them with /shortcut in the chat composer.</p>
+          </div>
+        ) : (
+          <ul className="divide-y divide-wa-border">
+            {templates.map((template) => (
+              <li
+                key={template.id}
+                className={`p-4 flex items-start ${editingTemplate?.id === template.id ? 'bg-wa-hover' : ''}`}
+              >
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center space-x-2">
+                    <span className="text-sm font-semibold text-primary-300">/{template.shortcut}</span>
+                    <span className="text-sm text-white truncate">{template.title}</span>
+                    <span className="px-2 py-0.5 text-xs rounded-full bg-primary-500/20 text-primary-500 flex-shrink-0">
+                      {describeScope(template)}
+                    </span>
+                  </div>
+                  {template.body && (
+                    <p className="text-sm text-gray-400 mt-1 whitespace-pre-line line-clamp-3">{template.body}</p>
+                  )}
+                  {template.media_filename && (
+                    <p className="flex items-center text-xs text-gray-400 mt-1">
+                      <PaperClipIcon className="w-3.5 h-3.5 mr-1" />
+                      {template.media_filename}
+                    </p>
+                  )}
+                </div>
+                <button
+                  onClick={() => handleEdit(template)}
+                  className="p-2 text-gray-400 hover:text-white transition"
+                  title="Edit template"
+                >
+                  <PencilIcon className="w-5 h-5" />
+                </button>
+                <button
+                  onClick={() => handleDelete(template)}
+                  className="p-2 text-red-500 hover:text-red-400"
+                  title="Delete template"
+                >
+                  <TrashIcon className="w-5 h-5" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function describeScope(template) {
+  if (template.scope === 'team') {
+    return `Team: ${template.team?.name || 'Unknown'}`;
+  }
+  if (template.scope === 'session') {
+    return `Session: ${template.session?.phone_number || template.session?.session_name || 'Unknown'}`;
+  }
+  return 'Library';
+}
@@ -5,16 +5,33 @@
 import { useState, useEffect } from 'react';
 import { useChatStore } from '../../stores/chatStore';
 import { useAuthStore } from '../../stores/authStore';
-import { PlusIcon, Cog6ToothIcon, ArrowRightOnRectangleIcon, TrashIcon, UserGroupIcon, ArrowPathIcon } from '@heroicons/react/24/outline';
+import { PlusIcon, Cog6ToothIcon, ArrowRightOnRectangleIcon, TrashIcon, UserGroupIcon, ArrowPathIcon, MagnifyingGlassIcon, XMarkIcon } from '@heroicons/react/24/outline';
 import { useNavigate } from 'react-router-dom';
-import { sessionAPI } from '../../services/api';
+import { sessionAPI, contactAPI } from '../../services/api';
+import AssignChatModal from '../modals/AssignChatModal';
+import SearchPanel from './SearchPanel';
+import { IMPORTANCE_LEVELS, IMPORTANCE_STYLES } from './ContactPanel';
 import toast from 'react-hot-toast';
 
 export default function ChatSidebar({ onNewSession, isAdmin }) {
   const navigate = useNavigate();
   const { logout, user } = useAuthStore();
-  const { sessions, currentSession, setCurrentSession, chats, fetchChats } = useChatStore();
+  const {
+    sessions,
+    currentSession,
+    setCurrentSession,
+    currentChat,
+    chats,
+    chatFilters,
+    setChatFilters,
+    syncJobs,
+    setSyncJob,
+  } = useChatStore();
   const [selectedSessionId, setSelectedSessionId] = useState(null);
+  const [showAssignModal, setShowAssignModal] = useState(false);
+  const [availableTags, setAvailableTags] = useState([]);
+  const [searchQuery, setSearchQuery] = useState('');
+  const isSearching = searchQuery.trim().length >= 2;
 
   useEffect(() => {
     if (sessions.length > 0 && !currentSession) {
@@ -22,6 +39,23 @@ export default function ChatSidebar({ onNewSession, isAdmin }) {
     }
   }, [sessions]);
 
+  useEffect(() => {
+    if (currentSession) {
+      loadTags();
+    }
+  }, [currentSession?.id]);
+
+  const loadTags = async () => {
+    if (!currentSession) return;
+
+    try {
+      const response = await contactAPI.getTags(currentSession.id);
+      setAvailableTags(response.data);
+    } catch (error) {
+      console.error('Failed to load tags:', error);
+    }
+  };
+
   const handleSessionSelect = async (session) => {
     setSelectedSessionId(session.id);
     await setCurrentSession(session);
@@ -49,28 +83,6 @@ export default function ChatSidebar({ onNewSession, isAdmin }) {
     }
   };
 
-  const handleAssignSession = async () => {
-    if (!currentSession) return;
-
-    const userId = prompt('Enter User ID to assign this session to (or leave empty for team assignment):');
-    const teamId = userId ? null : prompt('Enter Team ID:');
-
-    if (!userId && !teamId) {
-      toast.error('Please provide either User ID or Team ID');
-      return;
-    }
-
-    try {
-      await sessionAPI.assignSession(currentSession.id, {
-        assigned_to_user_id: userId || null,
-        assigned_to_team_id: teamId || null
-      });
-      toast.success('Session assigned successfully');
-    } catch (error) {
-      toast.error(error.response?.data?.message || 'Failed to assign session');
-    }
-  };
-
   const handleSyncMessages = async () => {
     if (!currentSession) return;
 
@@ -79,26 +91,36 @@ export default function ChatSidebar({ onNewSession, isAdmin }) {
     try {
       toast.loading('Starting message sync...', { id: 'sync' });
 
-      if (syncType) {
-        // Initial sync
-        await sessionAPI.syncInitial(currentSession.id);
-        toast.success('Initial sync started! Check PM2 logs for progress.', { id: 'sync' });
-      } else {
-        // Gap-fill sync
-        await sessionAPI.syncGapFill(currentSession.id);
-        toast.success('Gap-fill sync started!', { id: 'sync' });
+      const response = syncType
+        ? await sessionAPI.syncInitial(currentSession.id)
+        : await sessionAPI.syncGapFill(currentSession.id);
+
+      setSyncJob(currentSession.id, response.data);
+      toast.success(response.message, { id: 'sync' });
+    } catch (error) {
+      // 409: show the sync that is already running
+      if (error.response?.status === 409 && error.response.data?.data) {
+        setSyncJob(currentSession.id, error.response.data.data);
       }
+      toast.error(error.response?.data?.message || 'Failed to start sync', { id: 'sync' });
+    }
+  };
 
-      // Refresh chats after sync starts
-      setTimeout(() => {
-        fetchChats(currentSession.id);
-      }, 3000);
+  const handleCancelSync = async () => {
+    if (!currentSession) return;
 
+    try {
+      const response = await sessionAPI.cancelSync(currentSession.id);
+      setSyncJob(currentSession.id, response.data);
+      toast.success(response.message);
     } catch (error) {
-      toast.error(error.response?.data?.message || 'Failed to start sync', { id: 'sync' });
+      toast.error(error.response?.data?.message || 'Failed to cancel sync');
     }
   };
 
+  const syncJob = currentSession ? syncJobs[currentSession.id] : null;
+  const isSyncActive = ['pending', 'running'].includes(syncJob?.status);
+
   return (
     <div className="w-96 bg-wa-panel flex flex-col border-r border-wa-border">
       {/* Header */}
@@ -166,20 +188,23 @@ export default function ChatSidebar({ onNewSession, isAdmin }) {
               <div className="flex flex-col space-y-2 mt-2">
                 <button
                   onClick={handleSyncMessages}
-                  className="flex items-center justify-center space-x-2 px-3 py-2 bg-wa-bg border border-blue-500/50 hover:bg-blue-500/10 rounded-lg text-sm text-blue-400 transition"
+                  disabled={isSyncActive}
+                  className="flex items-center justify-center space-x-2 px-3 py-2 bg-wa-bg border border-blue-500/50 hover:bg-blue-500/10 rounded-lg text-sm text-blue-400 transition disabled:opacity-50 disabled:cursor-not-allowed"
                   title="Sync Messages"
                 >
-                  <ArrowPathIcon className="w-4 h-4" />
+                  <ArrowPathIcon className={`w-4 h-4 ${isSyncActive ? 'animate-spin' : ''}`} />
                   <span>Sync Messages</span>
                 </button>
+                {isSyncActive && <SyncProgress job={syncJob} onCancel={handleCancelSync} />}
                 <div className="flex space-x-2">
                   <button
-                    onClick={handleAssignSession}
-                    className="flex-1 flex items-center justify-center space-x-2 px-3 py-2 bg-wa-bg border border-wa-border hover:bg-wa-hover rounded-lg text-sm text-gray-300 transition"
-                    title="Assign Session"
+                    onClick={() => setShowAssignModal(true)}
+                    disabled={!currentChat}
+                    className="flex-1 flex items-center justify-center space-x-2 px-3 py-2 bg-wa-bg border border-wa-border hover:bg-wa-hover rounded-lg text-sm text-gray-300 transition disabled:opacity-50 disabled:cursor-not-allowed"
+                    title={currentChat ? 'Assign this chat to an agent' : 'Select a chat to assign it'}
                   >
                     <UserGroupIcon className="w-4 h-4" />
-                    <span>Assign</span>
+                    <span>Assign Chat</span>
                   </button>
                   <button
                     onClick={handleDeleteSession}
@@ -196,21 +221,91 @@ export default function ChatSidebar({ onNewSession, isAdmin }) {
         )}
       </div>
 
-      {/* Chat List */}
-      <div className="flex-1 overflow-y-auto scrollbar-thin">
-        {chats.length === 0 ? (
-          <div className="p-8 text-center text-gray-500">
-            <p>No chats yet</p>
-            {currentSession?.status !== 'CONNECTED' && (
-              <p className="text-sm mt-2">Session not connected</p>
+      {/* Message Search */}
+      {sessions.length > 0 && (
+        <div className="px-4 pt-3 pb-2">
+          <div className="relative">
+            <MagnifyingGlassIcon className="w-5 h-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder="Search messages"
+              className="w-full pl-10 pr-9 py-2 bg-wa-bg border border-wa-border rounded-lg text-sm text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+            {searchQuery && (
+              <button
+                onClick={() => setSearchQuery('')}
+                className="absolute right-2 top-1/2 -translate-y-1/2 p-1 text-gray-400 hover:text-white"
+                title="Clear search"
+              >
+                <XMarkIcon className="w-4 h-4" />
+              </button>
             )}
           </div>
-        ) : (
-          chats.map((chat) => (
-            <ChatListItem key={chat.contact_id} chat={chat} />
-          ))
-        )}
-      </div>
+        </div>
+      )}
+
+      {isSearching ? (
+        <SearchPanel query={searchQuery.trim()} />
+      ) : (
+        <>
+          {/* Chat Filters */}
+          {currentSession && (
+            <div className="flex space-x-2 px-4 py-2 border-b border-wa-border">
+              <select
+                value={chatFilters.tag}
+                onChange={(e) => setChatFilters({ tag: e.target.value })}
+                onFocus={loadTags}
+                className="flex-1 min-w-0 px-2 py-1 bg-wa-bg border border-wa-border rounded-lg text-sm text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+              >
+                <option value="">All tags</option>
+                {availableTags.map((tag) => (
+                  <option key={tag} value={tag}>
+                    {tag}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={chatFilters.importance}
+                onChange={(e) => setChatFilters({ importance: e.target.value })}
+                className="flex-1 min-w-0 px-2 py-1 bg-wa-bg border border-wa-border rounded-lg text-sm text-white capitalize focus:outline-none focus:ring-2 focus:ring-primary-500"
+              >
+                <option value="">Any importance</option>
+                {IMPORTANCE_LEVELS.map((level) => (
+                  <option key={level} value={level}>
+                    {level}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {/* Chat List */}
+          <div className="flex-1 overflow-y-auto scrollbar-thin">
+            {chats.length === 0 ? (
+              <div className="p-8 text-center text-gray-500">
+                <p>{chatFilters.tag || chatFilters.importance ? 'No chats match these filters' : 'No chats yet'}</p>
+                {currentSession?.status !== 'CONNECTED' && (
+                  <p className="text-sm mt-2">Session not connected</p>
+                )}
+              </div>
+            ) : (
+              chats.map((chat) => (
+                <ChatListItem key={chat.contact_id} chat={chat} />
+              ))
+            )}
+          </div>
+        </>
+      )}
+
+      {showAssignModal && currentSession && currentChat && (
+        <AssignChatModal
+          session={currentSession}
+          chat={currentChat}
+          onClose={() => setShowAssignModal(false)}
+        />
+      )}
     </div>
   );
 }
@@ -218,6 +313,7 @@ export default function ChatSidebar({ onNewSession, isAdmin }) {
 function ChatListItem({ chat }) {
   const { currentChat, setCurrentChat } = useChatStore();
   const isActive = currentChat?.contact_id === chat.contact_id;
+  const displayName = chat.custom_name || chat.name;
 
   return (
     <div
@@ -228,14 +324,14 @@ function ChatListItem({ chat }) {
     >
       {/* Avatar */}
       <div className="w-12 h-12 bg-gray-600 rounded-full flex-shrink-0 flex items-center justify-center text-white font-semibold">
-        {chat.name?.charAt(0).toUpperCase() || chat.phone_number?.charAt(0)}
+        {displayName?.charAt(0).toUpperCase() || chat.phone_number?.charAt(0)}
       </div>
 
       {/* Chat Info */}
       <div className="ml-4 flex-1 min-w-0">
         <div className="flex items-center justify-between">
           <h3 className="font-semibold text-white truncate">
-            {chat.name || formatPhoneNumber(chat.phone_number)}
+            {displayName || formatPhoneNumber(chat.phone_number)}
           </h3>
           {chat.last_message_timestamp && (
             <span className="text-xs text-gray-400 ml-2">
@@ -255,6 +351,21 @@ function ChatListItem({ chat }) {
             </span>
           )}
         </div>
+
+        {(chat.tags?.length > 0 || (chat.importance && chat.importance !== 'normal')) && (
+          <div className="flex flex-wrap gap-1 mt-1">
+            {chat.importance && chat.importance !== 'normal' && (
+              <span className={`px-2 py-0.5 rounded-full text-xs capitalize ${IMPORTANCE_STYLES[chat.importance]}`}>
+                {chat.importance}
+              </span>
+            )}
+            {chat.tags?.map((tag) => (
+              <span key={tag} className="px-2 py-0.5 bg-primary-500/20 text-primary-300 text-xs rounded-full">
+                {tag}
+              </span>
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -311,3 +422,39 @@ function formatTime(timestamp) {
     });
   }
 }
+
+/**
+ * Progress of the running sync job
+ */
+function SyncProgress({ job, onCancel }) {
+  const total = job.total_chats || 0;
+  const percent = total > 0 ? Math.round((job.chats_processed / total) * 100) : 0;
+
+  return (
+    <div className="px-3 py-2 bg-wa-bg border border-wa-border rounded-lg">
+      <div className="flex items-center justify-between text-xs text-gray-300">
+        <span>
+          {job.status === 'pending'
+            ? 'Waiting to start...'
+            : job.total_chats === null
+              ? 'Fetching chats...'
+              : `${job.chats_processed}/${total} chats`}
+        </span>
+        {job.cancel_requested ? (
+          <span className="text-gray-500">Stopping...</span>
+        ) : (
+          <button onClick={onCancel} className="text-red-400 hover:text-red-300">
+            Cancel
+          </button>
+        )}
+      </div>
+      <div className="mt-2 h-1.5 bg-wa-border rounded-full overflow-hidden">
+        <div className="h-full bg-blue-500 transition-all" style={{ width: `${percent}%` }} />
+      </div>
+      <p className="mt-1 text-xs text-gray-500">
+        {job.messages_synced} messages saved
+        {job.errors_count > 0 && `, ${job.errors_count} errors`}
+      </p>
+    </div>
+  );
+}
@@ -2,9 +2,35 @@
  * Chat Window Component
  */
 
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useLayoutEffect, useRef } from 'react';
 import { useChatStore } from '../../stores/chatStore';
-import { PaperAirplaneIcon, CheckIcon, CheckCircleIcon } from '@heroicons/react/24/solid';
+import { PaperAirplaneIcon, PaperClipIcon, CheckIcon, CheckCircleIcon } from '@heroicons/react/24/solid';
+import {
+  XMarkIcon,
+  DocumentIcon,
+  InformationCircleIcon,
+  ArrowUturnLeftIcon,
+  PencilIcon,
+  NoSymbolIcon,
+  ClockIcon,
+  ExclamationCircleIcon,
+  ArrowPathIcon,
+} from '@heroicons/react/24/outline';
+import ContactPanel, { IMPORTANCE_STYLES } from './ContactPanel';
+import MessageMedia, { formatFileSize } from './MessageMedia';
+import MediaLightbox from './MediaLightbox';
+import { LocationCard, ContactCard, parseLocation, parseContacts } from './MessageCards';
+import { MessageActions, QuotedMessage, MessageReactions, describeMessage, getSenderName, isMessageSent } from './MessageActions';
+import TemplatePicker, { getTemplateQuery, filterTemplates, useSessionTemplates } from './TemplatePicker';
+import ScheduledMessages, { ScheduleForm, getDefaultTimeZone, getNextHour } from './ScheduledMessages';
+import { templateAPI, scheduledMessageAPI } from '../../services/api';
+import toast from 'react-hot-toast';
+
+// Distance (px) from the top/bottom edge that loads the next page
+const SCROLL_LOAD_THRESHOLD = 150;
+
+// File types WhatsApp accepts as media or documents
+const ATTACHMENT_ACCEPT = 'image/*,video/*,audio/*,.pdf,.doc,.docx,.xls,.xlsx,.ppt,.pptx,.txt,.csv,.zip';
 
 export default function ChatWindow() {
   const {
@@ -12,33 +38,375 @@ export default function ChatWindow() {
     currentChat,
     messages,
     isLoadingMessages,
+    messagesPaging,
+    isLoadingOlderMessages,
+    isLoadingNewerMessages,
+    fetchOlderMessages,
+    fetchNewerMessages,
+    highlightedMessageId,
+    clearHighlightedMessage,
     sendMessage,
-    isSendingMessage,
+    sendMediaMessage,
+    retryMessage,
+    downloadMessageMedia,
+    refreshMediaUrl,
+    openChatByPhone,
+    replyingTo,
+    editingMessage,
+    setReplyingTo,
+    setEditingMessage,
+    reactToMessage,
+    editMessage,
+    deleteMessage,
+    scheduledMessages,
+    upsertScheduledMessage,
   } = useChatStore();
 
   const [messageText, setMessageText] = useState('');
+  const [attachment, setAttachment] = useState(null);
+  // Attachment of the template inserted last ({ template_id, media })
+  const [templateMedia, setTemplateMedia] = useState(null);
+  const [templateIndex, setTemplateIndex] = useState(0);
+  // Slash command the picker was closed for with Escape
+  const [dismissedTemplateQuery, setDismissedTemplateQuery] = useState(null);
+  const templates = useSessionTemplates(currentSession?.id);
+  // Schedule form: { scheduled: null } schedules the composer's message,
+  // { scheduled } edits a scheduled message
+  const [scheduleForm, setScheduleForm] = useState(null);
+  const [isSavingSchedule, setIsSavingSchedule] = useState(false);
+  const [showContactPanel, setShowContactPanel] = useState(false);
+  const [lightboxMessageId, setLightboxMessageId] = useState(null);
   const messagesEndRef = useRef(null);
+  const messagesContainerRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const messageInputRef = useRef(null);
+  // Scroll anchor ({ distanceFromBottom, firstMessageId }) kept while older messages load
+  const restoreScrollRef = useRef(null);
+  const isNearBottomRef = useRef(true);
+
+  useEffect(() => {
+    isNearBottomRef.current = true;
+    restoreScrollRef.current = null;
+    setScheduleForm(null);
+  }, [currentChat?.contact_id]);
+
+  useLayoutEffect(() => {
+    const container = messagesContainerRef.current;
+    if (!container) return;
+
+    const restore = restoreScrollRef.current;
+    if (restore && messages[0]?.id !== restore.firstMessageId) {
+      // Keep the same messages in view after prepending older ones
+      restoreScrollRef.current = null;
+      container.scrollTop = container.scrollHeight - restore.distanceFromBottom;
+      return;
+    }
+
+    if (highlightedMessageId) {
+      const element = container.querySelector(`[data-message-id="${highlightedMessageId}"]`);
+      if (element) {
+        element.scrollIntoView({ block: 'center' });
+        return;
+      }
+    }
+
+    if (isNearBottomRef.current && !messagesPaging.after) {
+      scrollToBottom();
+    }
+  }, [messages, isLoadingMessages]);
 
+  // Fade the jump highlight out after a moment
   useEffect(() => {
-    scrollToBottom();
-  }, [messages]);
+    if (!highlightedMessageId) return;
+    const timer = setTimeout(() => clearHighlightedMessage(), 3000);
+    return () => clearTimeout(timer);
+  }, [highlightedMessageId]);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
 
+  const handleMessagesScroll = () => {
+    const container = messagesContainerRef.current;
+    if (!container || isLoadingMessages) return;
+
+    const distanceFromBottom = container.scrollHeight - container.scrollTop - container.clientHeight;
+    isNearBottomRef.current = distanceFromBottom < SCROLL_LOAD_THRESHOLD;
+
+    if (container.scrollTop < SCROLL_LOAD_THRESHOLD && messagesPaging.before && !isLoadingOlderMessages) {
+      restoreScrollRef.current = {
+        distanceFromBottom: container.scrollHeight - container.scrollTop,
+        firstMessageId: messages[0]?.id,
+      };
+      fetchOlderMessages();
+    }
+
+    if (isNearBottomRef.current && messagesPaging.after && !isLoadingNewerMessages) {
+      fetchNewerMessages();
+    }
+  };
+
   const handleSendMessage = async (e) => {
     e.preventDefault();
-    if (!messageText.trim() || isSendingMessage) return;
+    if (!messageText.trim() && !attachment && !templateMedia) return;
 
-    const success = await sendMessage(
-      currentSession.id,
-      currentChat.phone_number,
-      messageText
-    );
+    if (editingMessage) {
+      const success = await editMessage(editingMessage.id, messageText.trim());
+      if (success) {
+        setMessageText('');
+      } else {
+        toast.error('Failed to edit message');
+      }
+      return;
+    }
+
+    const options = { quotedMessageId: replyingTo?.id };
+    const text = messageText;
+    const file = attachment;
+    const sentTemplateMedia = templateMedia;
 
-    if (success) {
+    // The message shows in the list right away; the composer is free for the next one
+    setMessageText('');
+    clearAttachment();
+    setReplyingTo(null);
+
+    if (file) {
+      // The typed text becomes the caption
+      await sendMediaMessage(currentSession.id, currentChat.phone_number, file, text.trim(), options);
+      return;
+    }
+
+    await sendMessage(currentSession.id, currentChat.phone_number, text, {
+      ...options,
+      templateMedia: sentTemplateMedia,
+    });
+  };
+
+  // Insert a template, filled in for this chat, in place of the slash command
+  const handleSelectTemplate = async (template) => {
+    try {
+      const { data } = await templateAPI.renderTemplate(currentSession.id, currentChat.contact_id, template.id);
+
+      clearAttachment();
+      setMessageText(data.body);
+      setTemplateMedia(data.media ? { template_id: data.template_id, media: data.media } : null);
+
+      if (data.missing_variables.length > 0) {
+        toast(`No value for ${data.missing_variables.map((name) => `{{${name}}}`).join(', ')} - complete the text before sending`);
+      }
+      messageInputRef.current?.focus();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to insert template');
+    }
+  };
+
+  const handleComposerKeyDown = (e) => {
+    if (showTemplatePicker && templateMatches.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setTemplateIndex((index) => (index + step + templateMatches.length) % templateMatches.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        handleSelectTemplate(templateMatches[Math.min(templateIndex, templateMatches.length - 1)]);
+        return;
+      }
+    }
+
+    if (e.key === 'Escape') {
+      if (showTemplatePicker) {
+        setDismissedTemplateQuery(templateQuery);
+      } else if (replyingTo || editingMessage) {
+        handleCancelComposerMode();
+      }
+    }
+  };
+
+  // Schedule the composer's text and attachment instead of sending it now
+  const handleScheduleMessage = async ({ sendAt, timezone }) => {
+    setIsSavingSchedule(true);
+    try {
+      const { data } = await scheduledMessageAPI.createScheduledMessage(currentSession.id, currentChat.contact_id, {
+        message: messageText.trim(),
+        sendAt,
+        timezone,
+        templateId: templateMedia?.template_id,
+        file: attachment,
+      });
+      upsertScheduledMessage(data);
       setMessageText('');
+      clearAttachment();
+      setScheduleForm(null);
+      toast.success('Message scheduled');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to schedule message');
+    } finally {
+      setIsSavingSchedule(false);
+    }
+  };
+
+  // A time left as it was keeps a held or failed message waiting
+  const handleUpdateScheduled = async (scheduled, { body, sendAt, timezone }) => {
+    setIsSavingSchedule(true);
+    try {
+      const reschedules = sendAt !== scheduled.local_time || timezone !== scheduled.timezone;
+      const { data } = await scheduledMessageAPI.updateScheduledMessage(currentSession.id, currentChat.contact_id, scheduled.id, {
+        message: body.trim(),
+        ...(reschedules && { send_at: sendAt, timezone }),
+      });
+      upsertScheduledMessage(data);
+      setScheduleForm(null);
+      toast.success('Scheduled message updated');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update scheduled message');
+    } finally {
+      setIsSavingSchedule(false);
+    }
+  };
+
+  const handleSendScheduledNow = async (scheduled) => {
+    try {
+      const { data } = await scheduledMessageAPI.sendScheduledMessageNow(currentSession.id, currentChat.contact_id, scheduled.id);
+      upsertScheduledMessage(data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send scheduled message');
+    }
+  };
+
+  const handleCancelScheduled = async (scheduled) => {
+    if (!window.confirm('Cancel this scheduled message?')) return;
+
+    try {
+      const { data } = await scheduledMessageAPI.cancelScheduledMessage(currentSession.id, currentChat.contact_id, scheduled.id);
+      upsertScheduledMessage(data);
+      if (scheduleForm?.scheduled?.id === scheduled.id) {
+        setScheduleForm(null);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to cancel scheduled message');
+    }
+  };
+
+  const handleRetry = async (message) => {
+    const success = await retryMessage(message);
+    if (!success) {
+      toast.error('Failed to retry message');
+    }
+  };
+
+  const handleReply = (message) => {
+    if (editingMessage) {
+      setMessageText('');
+    }
+    setReplyingTo(message);
+    messageInputRef.current?.focus();
+  };
+
+  const handleStartEdit = (message) => {
+    clearAttachment();
+    setEditingMessage(message);
+    setMessageText(message.body || '');
+    messageInputRef.current?.focus();
+  };
+
+  const handleCancelComposerMode = () => {
+    if (editingMessage) {
+      setEditingMessage(null);
+      setMessageText('');
+    } else {
+      setReplyingTo(null);
+    }
+  };
+
+  const handleReact = async (message, emoji) => {
+    const success = await reactToMessage(message.id, emoji);
+    if (!success) {
+      toast.error('Failed to react to message');
+    }
+  };
+
+  const handleDeleteMessage = async (message) => {
+    if (!window.confirm('Delete this message for everyone?')) return;
+
+    const success = await deleteMessage(message.id);
+    if (!success) {
+      toast.error('Failed to delete message');
+    }
+  };
+
+  // Scroll to a loaded message (the one a reply quotes)
+  const handleJumpToMessage = (messageId) => {
+    messagesContainerRef.current
+      ?.querySelector(`[data-message-id="${messageId}"]`)
+      ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+
+  const handleDownloadMedia = async (messageId) => {
+    const success = await downloadMessageMedia(currentSession.id, currentChat.contact_id, messageId);
+    if (!success) {
+      toast.error('Failed to download media');
+    }
+  };
+
+  const handleOpenMedia = async (e, message) => {
+    // Still valid - let the link open it
+    if (!isMediaUrlExpiring(message)) {
+      return;
+    }
+
+    e.preventDefault();
+    // Open the tab while still handling the click, or the browser blocks it
+    const tab = window.open('', '_blank');
+    const url = await refreshMediaUrl(message.id);
+    if (!url) {
+      tab?.close();
+      toast.error('Failed to open media');
+      return;
+    }
+    if (tab) {
+      tab.opener = null;
+      tab.location.href = url;
+    }
+  };
+
+  const handleViewImage = async (message) => {
+    if (isMediaUrlExpiring(message) && !(await refreshMediaUrl(message.id))) {
+      toast.error('Failed to open image');
+      return;
+    }
+    setLightboxMessageId(message.id);
+  };
+
+  // "Open chat" on a shared contact
+  const handleOpenContactChat = async (phoneNumber, name) => {
+    const success = await openChatByPhone(phoneNumber, name);
+    if (!success) {
+      toast.error('Failed to open chat');
+    }
+  };
+
+  // Inline media failed to load: its signed URL may have expired
+  const handleMediaExpired = (message) => {
+    if (isMediaUrlExpiring(message)) {
+      refreshMediaUrl(message.id);
+    }
+  };
+
+  const handleFileSelect = (e) => {
+    const file = e.target.files?.[0];
+    if (file) {
+      setTemplateMedia(null);
+      setAttachment(file);
+    }
+  };
+
+  const clearAttachment = () => {
+    setAttachment(null);
+    setTemplateMedia(null);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
     }
   };
 
@@ -50,101 +418,451 @@ export default function ChatWindow() {
     );
   }
 
-  return (
-    <div className="flex-1 flex flex-col bg-wa-bg">
-      {/* Chat Header */}
-      <div className="bg-wa-panel p-4 border-b border-wa-border flex items-center">
-        <div className="w-10 h-10 bg-gray-600 rounded-full flex items-center justify-center text-white font-semibold">
-          {currentChat.name?.charAt(0).toUpperCase() || 'U'}
-        </div>
-        <div className="ml-4">
-          <h2 className="font-semibold text-white">
-            {currentChat.name || currentChat.phone_number}
-          </h2>
-          <p className="text-xs text-gray-400">{currentChat.phone_number}</p>
-        </div>
-      </div>
+  const displayName = currentChat.custom_name || currentChat.name;
+  const lightboxMessage = lightboxMessageId && messages.find((m) => m.id === lightboxMessageId);
+  const messagesById = new Map(messages.map((m) => [m.id, m]));
+  const isConnected = currentSession?.status === 'CONNECTED';
+  const templateQuery = editingMessage ? null : getTemplateQuery(messageText);
+  const showTemplatePicker = templateQuery !== null && templateQuery !== dismissedTemplateQuery;
+  const templateMatches = showTemplatePicker ? filterTemplates(templates, templateQuery) : [];
+  const composerAttachment = attachment
+    ? { name: attachment.name, size: attachment.size }
+    : templateMedia && { name: templateMedia.media.filename || 'Template attachment', size: templateMedia.media.size };
+  const hasComposerContent = !!messageText.trim() || !!composerAttachment;
+  const defaultTimeZone = getDefaultTimeZone(scheduledMessages);
 
-      {/* Messages Area */}
-      <div
-        className="flex-1 overflow-y-auto p-6 space-y-3 scrollbar-thin"
-        style={{
-          backgroundImage: 'url(/chat-bg.png)',
-          backgroundSize: 'cover',
-        }}
-      >
-        {isLoadingMessages ? (
-          <div className="flex items-center justify-center h-full">
-            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-500" />
+  return (
+    <div className="flex-1 flex min-w-0">
+      <div className="flex-1 flex flex-col bg-wa-bg min-w-0">
+        {/* Chat Header */}
+        <div className="bg-wa-panel p-4 border-b border-wa-border flex items-center">
+          <div className="w-10 h-10 bg-gray-600 rounded-full flex items-center justify-center text-white font-semibold">
+            {displayName?.charAt(0).toUpperCase() || 'U'}
           </div>
-        ) : messages.length === 0 ? (
-          <div className="text-center text-gray-500 mt-10">
-            <p>No messages yet. Start the conversation!</p>
+          <div className="ml-4 flex-1 min-w-0">
+            <div className="flex items-center space-x-2">
+              <h2 className="font-semibold text-white truncate">
+                {displayName || currentChat.phone_number}
+              </h2>
+              {currentChat.importance && currentChat.importance !== 'normal' && (
+                <span className={`px-2 py-0.5 rounded-full text-xs capitalize ${IMPORTANCE_STYLES[currentChat.importance]}`}>
+                  {currentChat.importance}
+                </span>
+              )}
+            </div>
+            <p className="text-xs text-gray-400">{currentChat.phone_number}</p>
           </div>
-        ) : (
-          messages.map((message) => (
-            <MessageBubble key={message.id} message={message} />
-          ))
-        )}
-        <div ref={messagesEndRef} />
-      </div>
-
-      {/* Message Input */}
-      <div className="bg-wa-panel p-4 border-t border-wa-border">
-        <form onSubmit={handleSendMessage} className="flex items-center space-x-2">
-          <input
-            type="text"
-            value={messageText}
-            onChange={(e) => setMessageText(e.target.value)}
-            placeholder="Type a message"
-            className="flex-1 px-4 py-3 bg-wa-bg border border-wa-border rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-primary-500"
-            disabled={currentSession?.status !== 'CONNECTED'}
-          />
           <button
-            type="submit"
-            disabled={!messageText.trim() || isSendingMessage || currentSession?.status !== 'CONNECTED'}
-            className="p-3 bg-primary-500 hover:bg-primary-600 rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed"
+            onClick={() => setShowContactPanel(!showContactPanel)}
+            className={`p-2 hover:bg-wa-hover rounded-full transition ${showContactPanel ? 'bg-wa-hover' : ''}`}
+            title="Contact info"
           >
-            <PaperAirplaneIcon className="w-6 h-6 text-white" />
+            <InformationCircleIcon className="w-6 h-6 text-gray-400" />
           </button>
-        </form>
-        {currentSession?.status !== 'CONNECTED' && (
-          <p className="text-xs text-red-400 mt-2 text-center">
-            Session not connected. Please reconnect to send messages.
-          </p>
-        )}
+        </div>
+
+        {/* Messages Area */}
+        <div
+          ref={messagesContainerRef}
+          onScroll={handleMessagesScroll}
+          className="flex-1 overflow-y-auto p-6 space-y-3 scrollbar-thin"
+          style={{
+            backgroundImage: 'url(/chat-bg.png)',
+            backgroundSize: 'cover',
+          }}
+        >
+          {isLoadingOlderMessages && (
+            <div className="flex justify-center">
+              <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-primary-500" />
+            </div>
+          )}
+          {isLoadingMessages ? (
+            <div className="flex items-center justify-center h-full">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-500" />
+            </div>
+          ) : messages.length === 0 ? (
+            <div className="text-center text-gray-500 mt-10">
+              <p>No messages yet. Start the conversation!</p>
+            </div>
+          ) : (
+            messages.map((message) => (
+              <MessageBubble
+                key={message.id}
+                message={message}
+                quoted={message.quoted_message_id ? messagesById.get(message.quoted_message_id) : null}
+                isHighlighted={message.id === highlightedMessageId}
+                showSender={currentChat.is_group && !message.from_me}
+                canAct={isConnected}
+                onReply={handleReply}
+                onReact={handleReact}
+                onEdit={handleStartEdit}
+                onDelete={handleDeleteMessage}
+                onRetry={handleRetry}
+                onJumpToMessage={handleJumpToMessage}
+                onDownloadMedia={handleDownloadMedia}
+                onOpenMedia={handleOpenMedia}
+                onMediaExpired={handleMediaExpired}
+                onViewImage={handleViewImage}
+                onOpenContactChat={handleOpenContactChat}
+              />
+            ))
+          )}
+          {isLoadingNewerMessages && (
+            <div className="flex justify-center">
+              <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-primary-500" />
+            </div>
+          )}
+          <div ref={messagesEndRef} />
+        </div>
+
+        {/* Message Input */}
+        <div className="bg-wa-panel p-4 border-t border-wa-border">
+          {(replyingTo || editingMessage) && (
+            <div className="flex items-center mb-3 px-3 py-2 bg-wa-bg border-l-4 border-primary-500 rounded-lg">
+              {editingMessage ? (
+                <PencilIcon className="w-5 h-5 text-gray-400 flex-shrink-0" />
+              ) : (
+                <ArrowUturnLeftIcon className="w-5 h-5 text-gray-400 flex-shrink-0" />
+              )}
+              <div className="ml-2 min-w-0">
+                <p className="text-xs font-semibold text-primary-300">
+                  {editingMessage
+                    ? 'Editing message'
+                    : `Replying to ${replyingTo.from_me
+                      ? 'yourself'
+                      : getSenderName(replyingTo) || displayName || currentChat.phone_number}`}
+                </p>
+                <p className="text-sm text-gray-300 truncate">
+                  {describeMessage(editingMessage || replyingTo)}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={handleCancelComposerMode}
+                className="ml-auto p-1 text-gray-400 hover:text-white transition"
+                title={editingMessage ? 'Cancel editing' : 'Cancel reply'}
+              >
+                <XMarkIcon className="w-4 h-4" />
+              </button>
+            </div>
+          )}
+          <ScheduledMessages
+            scheduledMessages={scheduledMessages}
+            canSend={isConnected}
+            onSendNow={handleSendScheduledNow}
+            onEdit={(scheduled) => setScheduleForm({ scheduled })}
+            onCancel={handleCancelScheduled}
+          />
+          {scheduleForm && (
+            <ScheduleForm
+              key={scheduleForm.scheduled?.id || 'new'}
+              title={scheduleForm.scheduled ? 'Edit scheduled message' : 'Schedule message'}
+              initial={scheduleForm.scheduled
+                ? { body: scheduleForm.scheduled.body, sendAt: scheduleForm.scheduled.local_time, timezone: scheduleForm.scheduled.timezone }
+                : { sendAt: getNextHour(defaultTimeZone), timezone: defaultTimeZone }}
+              showBody={!!scheduleForm.scheduled}
+              isSaving={isSavingSchedule}
+              submitLabel={scheduleForm.scheduled ? 'Save' : 'Schedule'}
+              onSubmit={(values) => (scheduleForm.scheduled
+                ? handleUpdateScheduled(scheduleForm.scheduled, values)
+                : handleScheduleMessage(values))}
+              onCancel={() => setScheduleForm(null)}
+            />
+          )}
+          {showTemplatePicker && (
+            <TemplatePicker
+              templates={templateMatches}
+              activeIndex={templateIndex}
+              onSelect={handleSelectTemplate}
+              onHover={setTemplateIndex}
+            />
+          )}
+          {composerAttachment && (
+            <div className="flex items-center mb-3 px-3 py-2 bg-wa-bg border border-wa-border rounded-lg">
+              <DocumentIcon className="w-5 h-5 text-gray-400 flex-shrink-0" />
+              <span className="ml-2 text-sm text-white truncate">{composerAttachment.name}</span>
+              {composerAttachment.size != null && (
+                <span className="ml-2 text-xs text-gray-400 flex-shrink-0">
+                  {formatFileSize(composerAttachment.size)}
+                </span>
+              )}
+              <button
+                type="button"
+                onClick={clearAttachment}
+                className="ml-auto p-1 text-gray-400 hover:text-white transition"
+                title="Remove attachment"
+              >
+                <XMarkIcon className="w-4 h-4" />
+              </button>
+            </div>
+          )}
+          <form onSubmit={handleSendMessage} className="flex items-center space-x-2">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept={ATTACHMENT_ACCEPT}
+              onChange={handleFileSelect}
+              className="hidden"
+            />
+            <button
+              type="button"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={!!editingMessage || currentSession?.status !== 'CONNECTED'}
+              className="p-3 text-gray-400 hover:text-white rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed"
+              title="Attach file"
+            >
+              <PaperClipIcon className="w-6 h-6" />
+            </button>
+            <input
+              ref={messageInputRef}
+              type="text"
+              value={messageText}
+              onChange={(e) => {
+                setMessageText(e.target.value);
+                setTemplateIndex(0);
+              }}
+              onKeyDown={handleComposerKeyDown}
+              placeholder={composerAttachment ? 'Add a caption' : editingMessage ? 'Edit message' : 'Type a message or / for templates'}
+              className="flex-1 px-4 py-3 bg-wa-bg border border-wa-border rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-primary-500"
+              disabled={currentSession?.status !== 'CONNECTED'}
+            />
+            <button
+              type="button"
+              onClick={() => setScheduleForm({ scheduled: null })}
+              disabled={!hasComposerContent || !!editingMessage || !!replyingTo || currentSession?.status !== 'CONNECTED'}
+              className="p-3 text-gray-400 hover:text-white rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed"
+              title="Schedule message"
+            >
+              <ClockIcon className="w-6 h-6" />
+            </button>
+            <button
+              type="submit"
+              disabled={!hasComposerContent || currentSession?.status !== 'CONNECTED'}
+              className="p-3 bg-primary-500 hover:bg-primary-600 rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <PaperAirplaneIcon className="w-6 h-6 text-white" />
+            </button>
+          </form>
+          {currentSession?.status !== 'CONNECTED' && (
+            <p className="text-xs text-red-400 mt-2 text-center">
+              Session not connected. Please reconnect to send messages.
+            </p>
+          )}
+        </div>
       </div>
+
+      {showContactPanel && (
+        <ContactPanel
+          session={currentSession}
+          chat={currentChat}
+          onClose={() => setShowContactPanel(false)}
+        />
+      )}
+
+      {lightboxMessage && (
+        <MediaLightbox message={lightboxMessage} onClose={() => setLightboxMessageId(null)} />
+      )}
     </div>
   );
 }
 
-function MessageBubble({ message }) {
+function MessageBubble({
+  message,
+  quoted,
+  isHighlighted,
+  showSender,
+  canAct,
+  onReply,
+  onReact,
+  onEdit,
+  onDelete,
+  onRetry,
+  onJumpToMessage,
+  onDownloadMedia,
+  onOpenMedia,
+  onMediaExpired,
+  onViewImage,
+  onOpenContactChat,
+}) {
   const isFromMe = message.from_me;
+  const isDeleted = !!message.deleted_at;
+  const location = message.message_type === 'location' ? parseLocation(message) : null;
+  const contacts = message.message_type === 'contact' ? parseContacts(message) : [];
+  // Cards show what the body describes
+  const showBody = message.body && !location && contacts.length === 0;
+  // Queued messages have nothing on WhatsApp to reply to, react to or change yet
+  const actions = canAct && !isDeleted && isMessageSent(message) && (
+    <MessageActions
+      message={message}
+      onReply={onReply}
+      onReact={onReact}
+      onEdit={onEdit}
+      onDelete={onDelete}
+    />
+  );
 
   return (
-    <div className={`flex ${isFromMe ? 'justify-end' : 'justify-start'} message-bubble`}>
+    <div
+      data-message-id={message.id}
+      className={`group flex ${isFromMe ? 'justify-end' : 'justify-start'} message-bubble`}
+    >
+      {isFromMe && actions}
       <div
-        className={`max-w-md px-4 py-2 rounded-lg shadow ${
+        className={`max-w-md px-4 py-2 rounded-lg shadow transition ${
           isFromMe
             ? 'bg-wa-bubbleOut text-white'
             : 'bg-wa-panel text-white border border-wa-border'
-        }`}
+        } ${isHighlighted ? 'ring-2 ring-yellow-400' : ''}`}
       >
-        <p className="text-sm break-words">{message.body}</p>
+        {showSender && (
+          <p className={`text-xs font-semibold mb-1 truncate ${getSenderColor(message.participant)}`}>
+            {getSenderName(message) || 'Unknown'}
+          </p>
+        )}
+
+        {isDeleted ? (
+          <p className="flex items-center text-sm italic text-gray-400">
+            <NoSymbolIcon className="w-4 h-4 mr-1 flex-shrink-0" />
+            This message was deleted
+          </p>
+        ) : (
+          <MessageContent
+            message={message}
+            quoted={quoted}
+            location={location}
+            contacts={contacts}
+            showBody={showBody}
+            onJumpToMessage={onJumpToMessage}
+            onDownloadMedia={onDownloadMedia}
+            onOpenMedia={onOpenMedia}
+            onMediaExpired={onMediaExpired}
+            onViewImage={onViewImage}
+            onOpenContactChat={onOpenContactChat}
+          />
+        )}
 
         <div className="flex items-center justify-end mt-1 space-x-1">
+          {message.edited_at && !isDeleted && (
+            <span className="text-xs text-gray-300 opacity-70">edited</span>
+          )}
           <span className="text-xs text-gray-300 opacity-70">
             {formatMessageTime(message.timestamp)}
           </span>
 
-          {isFromMe && <MessageAckIcon ack={message.ack} />}
+          {isFromMe && <MessageAckIcon ack={message.ack} error={message.send_error} />}
         </div>
+
+        {isFromMe && message.ack === 'FAILED' && (
+          <button
+            type="button"
+            onClick={() => onRetry(message)}
+            disabled={!canAct}
+            className="flex items-center justify-end w-full mt-1 text-xs text-red-300 hover:text-red-200 disabled:opacity-50 disabled:cursor-not-allowed transition"
+          >
+            <ArrowPathIcon className="w-3.5 h-3.5 mr-1" />
+            Not sent · Retry
+          </button>
+        )}
+
+        {message.reactions?.length > 0 && !isDeleted && (
+          <MessageReactions
+            reactions={message.reactions}
+            onReact={canAct ? (emoji) => onReact(message, emoji) : null}
+          />
+        )}
       </div>
+      {!isFromMe && actions}
     </div>
   );
 }
 
-function MessageAckIcon({ ack }) {
+function MessageContent({
+  message,
+  quoted,
+  location,
+  contacts,
+  showBody,
+  onJumpToMessage,
+  onDownloadMedia,
+  onOpenMedia,
+  onMediaExpired,
+  onViewImage,
+  onOpenContactChat,
+}) {
+  return (
+    <>
+      {message.quoted_message_id && <QuotedMessage quoted={quoted} onJump={onJumpToMessage} />}
+
+      {message.has_media && (
+        <MessageMedia
+          message={message}
+          onDownload={onDownloadMedia}
+          onOpen={onOpenMedia}
+          onView={onViewImage}
+          onExpired={onMediaExpired}
+        />
+      )}
+
+      {location && <LocationCard location={location} />}
+
+      {contacts.map((contact, index) => (
+        <ContactCard key={index} contact={contact} onOpenChat={onOpenContactChat} />
+      ))}
+
+      {showBody && <p className="text-sm break-words">{message.body}</p>}
+    </>
+  );
+}
+
+// Group senders keep the same color across their messages
+const SENDER_COLORS = [
+  'text-emerald-300',
+  'text-sky-300',
+  'text-amber-300',
+  'text-pink-300',
+  'text-violet-300',
+  'text-orange-300',
+  'text-teal-300',
+  'text-rose-300',
+];
+
+function getSenderColor(participant) {
+  if (!participant) {
+    return 'text-gray-300';
+  }
+  let hash = 0;
+  for (const char of participant) {
+    hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  }
+  return SENDER_COLORS[Math.abs(hash) % SENDER_COLORS.length];
+}
+
+function MessageAckIcon({ ack, error }) {
+  if (ack === 'QUEUED' || ack === 'SENDING') {
+    return (
+      <span title={ack === 'SENDING' ? 'Sending' : 'Queued'}>
+        <ClockIcon className={`w-3.5 h-3.5 text-gray-400 ${ack === 'SENDING' ? 'animate-pulse' : ''}`} />
+      </span>
+    );
+  }
+
+  if (ack === 'FAILED') {
+    return (
+      <span title={error ? `Not sent: ${error}` : 'Not sent'}>
+        <ExclamationCircleIcon className="w-4 h-4 text-red-400" />
+      </span>
+    );
+  }
+
+  // Not retried: it may have been delivered
+  if (ack === 'UNCONFIRMED') {
+    return (
+      <span title={error ? `May not have been sent: ${error}` : 'May not have been sent'}>
+        <ExclamationCircleIcon className="w-4 h-4 text-yellow-400" />
+      </span>
+    );
+  }
+
   if (ack === 'READ' || ack === 'PLAYED') {
     return <CheckCircleIcon className="w-4 h-4 text-blue-400" />;
   }
@@ -161,6 +879,16 @@ function MessageAckIcon({ ack }) {
   return <CheckIcon className="w-3 h-3 text-gray-400" />;
 }
 
+/**
+ * Whether a signed media URL has expired, with a margin for the browser to load it
+ */
+function isMediaUrlExpiring(message) {
+  if (!message.media_url_expires_at) {
+    return false;
+  }
+  return new Date(message.media_url_expires_at).getTime() - Date.now() < 30000;
+}
+
 function formatMessageTime(timestamp) {
   const date = new Date(timestamp);
   const now = new Date();
@@ -0,0 +1,292 @@
+/**
+ * Contact Panel Component
+ * CRM profile of the open chat: custom name, notes, tags and importance,
+ * and the description and members of group chats
+ */
+
+import { useState, useEffect } from 'react';
+import { contactAPI } from '../../services/api';
+import { useChatStore } from '../../stores/chatStore';
+import toast from 'react-hot-toast';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+
+export const IMPORTANCE_LEVELS = ['low', 'normal', 'high', 'urgent'];
+
+export const IMPORTANCE_STYLES = {
+  low: 'bg-gray-500/20 text-gray-300',
+  normal: 'bg-blue-500/20 text-blue-300',
+  high: 'bg-orange-500/20 text-orange-300',
+  urgent: 'bg-red-500/20 text-red-300',
+};
+
+export default function ContactPanel({ session, chat, onClose }) {
+  const updateChatMetadata = useChatStore((state) => state.updateChatMetadata);
+  const [customName, setCustomName] = useState('');
+  const [notes, setNotes] = useState('');
+  const [tags, setTags] = useState([]);
+  const [tagInput, setTagInput] = useState('');
+  const [importance, setImportance] = useState('normal');
+  const [lastNoteUpdatedAt, setLastNoteUpdatedAt] = useState(null);
+  const [savedMetadata, setSavedMetadata] = useState(null);
+  const [groupDescription, setGroupDescription] = useState(null);
+  const [participants, setParticipants] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    loadMetadata();
+  }, [session.id, chat.contact_id]);
+
+  const loadMetadata = async () => {
+    setIsLoading(true);
+    try {
+      const [response, participantsResponse] = await Promise.all([
+        contactAPI.getContactMetadata(session.id, chat.contact_id),
+        chat.is_group ? contactAPI.getGroupParticipants(session.id, chat.contact_id) : null,
+      ]);
+      applyMetadata(response.data.metadata);
+      setGroupDescription(response.data.contact.group_description);
+      setParticipants(participantsResponse?.data || []);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load contact profile');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const applyMetadata = (metadata) => {
+    setSavedMetadata(metadata);
+    setCustomName(metadata.custom_name || '');
+    setNotes(metadata.notes || '');
+    setTags(metadata.tags || []);
+    setImportance(metadata.importance || 'normal');
+    setLastNoteUpdatedAt(metadata.last_note_updated_at);
+  };
+
+  const handleAddTag = (e) => {
+    e.preventDefault();
+    const tag = tagInput.trim();
+    if (!tag) return;
+
+    if (!tags.some((t) => t.toLowerCase() === tag.toLowerCase())) {
+      setTags([...tags, tag]);
+    }
+    setTagInput('');
+  };
+
+  const handleRemoveTag = (tag) => {
+    setTags(tags.filter((t) => t !== tag));
+  };
+
+  const handleSave = async () => {
+    // Only send what changed, so the note timestamp moves only when notes do
+    const changes = {};
+    if ((customName.trim() || null) !== (savedMetadata?.custom_name || null)) {
+      changes.custom_name = customName.trim() || null;
+    }
+    if ((notes || null) !== (savedMetadata?.notes || null)) {
+      changes.notes = notes || null;
+    }
+    if (tags.join('\n') !== (savedMetadata?.tags || []).join('\n')) {
+      changes.tags = tags;
+    }
+    if (importance !== (savedMetadata?.importance || 'normal')) {
+      changes.importance = importance;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      toast('No changes to save');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const response = await contactAPI.updateContactMetadata(session.id, chat.contact_id, changes);
+      applyMetadata(response.data);
+      updateChatMetadata(chat.contact_id, {
+        custom_name: response.data.custom_name,
+        tags: response.data.tags,
+        importance: response.data.importance,
+      });
+      toast.success('Contact profile saved');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save contact profile');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="w-80 bg-wa-panel border-l border-wa-border flex flex-col">
+      {/* Header */}
+      <div className="p-4 border-b border-wa-border flex items-center justify-between">
+        <h3 className="font-semibold text-white">{chat.is_group ? 'Group info' : 'Contact info'}</h3>
+        <button
+          onClick={onClose}
+          className="p-2 hover:bg-wa-hover rounded-full transition"
+          title="Close"
+        >
+          <XMarkIcon className="w-5 h-5 text-gray-400" />
+        </button>
+      </div>
+
+      {isLoading ? (
+        <div className="flex-1 flex items-center justify-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-500" />
+        </div>
+      ) : (
+        <div className="flex-1 overflow-y-auto scrollbar-thin p-4 space-y-5">
+          <div className="text-center">
+            <div className="w-20 h-20 mx-auto bg-gray-600 rounded-full flex items-center justify-center text-white text-2xl font-semibold">
+              {(chat.custom_name || chat.name)?.charAt(0).toUpperCase() || 'U'}
+            </div>
+            <p className="mt-3 text-white font-medium">{chat.name || chat.phone_number}</p>
+            <p className="text-xs text-gray-400">
+              {chat.is_group ? `Group · ${participants.length} participants` : chat.phone_number}
+            </p>
+          </div>
+
+          {/* Group description */}
+          {chat.is_group && groupDescription && (
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">Description</label>
+              <p className="text-sm text-gray-400 whitespace-pre-wrap break-words">{groupDescription}</p>
+            </div>
+          )}
+
+          {/* Custom name */}
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Custom name</label>
+            <input
+              type="text"
+              value={customName}
+              onChange={(e) => setCustomName(e.target.value)}
+              maxLength={255}
+              placeholder={chat.name || 'Name shown in the chat list'}
+              className="w-full px-3 py-2 bg-wa-bg border border-wa-border rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+          </div>
+
+          {/* Importance */}
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Importance</label>
+            <div className="grid grid-cols-4 gap-2">
+              {IMPORTANCE_LEVELS.map((level) => (
+                <button
+                  key={level}
+                  type="button"
+                  onClick={() => setImportance(level)}
+                  className={`px-2 py-1 rounded-lg text-xs capitalize border transition ${
+                    importance === level
+                      ? `${IMPORTANCE_STYLES[level]} border-current`
+                      : 'border-wa-border text-gray-400 hover:bg-wa-hover'
+                  }`}
+                >
+                  {level}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Tags */}
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Tags</label>
+            {tags.length > 0 && (
+              <div className="flex flex-wrap gap-2 mb-2">
+                {tags.map((tag) => (
+                  <span
+                    key={tag}
+                    className="flex items-center px-2 py-1 bg-primary-500/20 text-primary-300 text-xs rounded-full"
+                  >
+                    {tag}
+                    <button
+                      type="button"
+                      onClick={() => handleRemoveTag(tag)}
+                      className="ml-1 hover:text-white"
+                      title="Remove tag"
+                    >
+                      <XMarkIcon className="w-3 h-3" />
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+            <form onSubmit={handleAddTag}>
+              <input
+                type="text"
+                value={tagInput}
+                onChange={(e) => setTagInput(e.target.value)}
+                maxLength={50}
+                disabled={tags.length >= 20}
+                placeholder={tags.length >= 20 ? 'Tag limit reached' : 'Add a tag and press Enter'}
+                className="w-full px-3 py-2 bg-wa-bg border border-wa-border rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-primary-500 disabled:opacity-50"
+              />
+            </form>
+          </div>
+
+          {/* Notes */}
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Notes</label>
+            <textarea
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              rows={6}
+              maxLength={10000}
+              placeholder="Internal notes about this contact"
+              className="w-full px-3 py-2 bg-wa-bg border border-wa-border rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-primary-500 resize-none"
+            />
+            {lastNoteUpdatedAt && (
+              <p className="text-xs text-gray-500 mt-1">
+                Last updated {new Date(lastNoteUpdatedAt).toLocaleString()}
+              </p>
+            )}
+          </div>
+
+          {/* Participants */}
+          {chat.is_group && participants.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                Participants ({participants.length})
+              </label>
+              <ul className="space-y-2">
+                {participants.map((participant) => (
+                  <ParticipantRow key={participant.contact_id} participant={participant} />
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={isSaving}
+            className="w-full px-4 py-3 bg-primary-500 hover:bg-primary-600 rounded-lg text-white transition disabled:opacity-50"
+          >
+            {isSaving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ParticipantRow({ participant }) {
+  const name = participant.custom_name || participant.name;
+
+  return (
+    <li className="flex items-center">
+      <div className="w-8 h-8 bg-gray-600 rounded-full flex items-center justify-center text-white text-sm font-semibold flex-shrink-0">
+        {name?.charAt(0).toUpperCase() || '#'}
+      </div>
+      <div className="flex-1 min-w-0 ml-2">
+        <p className="text-sm text-white truncate">{name || `+${participant.phone_number}`}</p>
+        {name && <p className="text-xs text-gray-400 truncate">+{participant.phone_number}</p>}
+      </div>
+      {participant.role !== 'member' && (
+        <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-primary-500/20 text-primary-300 flex-shrink-0">
+          {participant.role === 'superadmin' ? 'Owner' : 'Admin'}
+        </span>
+      )}
+    </li>
+  );
+}
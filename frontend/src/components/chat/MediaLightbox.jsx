@@ -0,0 +1,70 @@
+/**
+ * Media Lightbox
+ * Full-size view of an image message
+ */
+
+import { useEffect } from 'react';
+import { XMarkIcon, ArrowTopRightOnSquareIcon } from '@heroicons/react/24/outline';
+
+export default function MediaLightbox({ message, onClose }) {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex flex-col bg-black/90"
+      onClick={onClose}
+      role="dialog"
+      aria-modal="true"
+    >
+      <div className="flex items-center justify-between px-4 py-3" onClick={(e) => e.stopPropagation()}>
+        <p className="text-sm text-gray-300 truncate">{message.media_filename || 'Image'}</p>
+        <div className="flex items-center space-x-2">
+          <a
+            href={message.media_url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="p-2 text-gray-300 hover:text-white hover:bg-white/10 rounded-lg transition"
+            title="Open in new tab"
+          >
+            <ArrowTopRightOnSquareIcon className="w-5 h-5" />
+          </a>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-2 text-gray-300 hover:text-white hover:bg-white/10 rounded-lg transition"
+            title="Close"
+          >
+            <XMarkIcon className="w-6 h-6" />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 flex items-center justify-center min-h-0 px-4">
+        <img
+          src={message.media_url}
+          alt={message.media_filename || 'Image'}
+          onClick={(e) => e.stopPropagation()}
+          className="max-w-full max-h-full object-contain"
+        />
+      </div>
+
+      {message.body && (
+        <p
+          className="px-4 py-3 text-sm text-center text-white break-words"
+          onClick={(e) => e.stopPropagation()}
+        >
+          {message.body}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,207 @@
+/**
+ * Message Actions
+ * Reply, react, edit and delete controls of a message bubble, and what they
+ * leave on messages: quoted replies and reactions
+ */
+
+import { useState } from 'react';
+import {
+  ArrowUturnLeftIcon,
+  FaceSmileIcon,
+  PencilIcon,
+  TrashIcon,
+} from '@heroicons/react/24/outline';
+
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+
+// How long WhatsApp lets the sender change a message
+const EDIT_WINDOW_MS = 15 * 60 * 1000;
+const DELETE_WINDOW_MS = 60 * 60 * 60 * 1000;
+
+// Text messages and captions can be edited
+const EDITABLE_TYPES = ['text', 'image', 'video', 'document'];
+
+// Our messages the outbound queue has not handed to WhatsApp (or does not
+// know whether it did: UNCONFIRMED)
+const UNSENT_ACKS = ['QUEUED', 'SENDING', 'FAILED', 'UNCONFIRMED'];
+
+export function isMessageSent(message) {
+  return !UNSENT_ACKS.includes(message.ack);
+}
+
+export function canEditMessage(message) {
+  return message.from_me
+    && !message.deleted_at
+    && EDITABLE_TYPES.includes(message.message_type)
+    && Date.now() - new Date(message.timestamp).getTime() < EDIT_WINDOW_MS;
+}
+
+export function canDeleteMessage(message) {
+  return message.from_me
+    && !message.deleted_at
+    && Date.now() - new Date(message.timestamp).getTime() < DELETE_WINDOW_MS;
+}
+
+/**
+ * Toolbar shown while hovering a message
+ */
+export function MessageActions({ message, onReply, onReact, onEdit, onDelete }) {
+  const [showReactions, setShowReactions] = useState(false);
+  const myReaction = message.reactions?.find((reaction) => reaction.from_me)?.emoji;
+
+  const handleReact = (emoji) => {
+    setShowReactions(false);
+    // Picking our current reaction again removes it
+    onReact(message, emoji === myReaction ? '' : emoji);
+  };
+
+  return (
+    <div className="relative flex items-center self-center mx-1 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition">
+      <ActionButton title="Reply" onClick={() => onReply(message)}>
+        <ArrowUturnLeftIcon className="w-4 h-4" />
+      </ActionButton>
+      <ActionButton title="React" onClick={() => setShowReactions(!showReactions)}>
+        <FaceSmileIcon className="w-4 h-4" />
+      </ActionButton>
+      {canEditMessage(message) && (
+        <ActionButton title="Edit" onClick={() => onEdit(message)}>
+          <PencilIcon className="w-4 h-4" />
+        </ActionButton>
+      )}
+      {canDeleteMessage(message) && (
+        <ActionButton title="Delete for everyone" onClick={() => onDelete(message)}>
+          <TrashIcon className="w-4 h-4" />
+        </ActionButton>
+      )}
+
+      {showReactions && (
+        <div className="absolute bottom-full mb-1 flex space-x-1 px-2 py-1 bg-wa-panel border border-wa-border rounded-full shadow-lg z-10">
+          {QUICK_REACTIONS.map((emoji) => (
+            <button
+              key={emoji}
+              type="button"
+              onClick={() => handleReact(emoji)}
+              className={`w-8 h-8 text-lg rounded-full hover:bg-wa-hover transition ${
+                emoji === myReaction ? 'bg-wa-hover' : ''
+              }`}
+            >
+              {emoji}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ActionButton({ title, onClick, children }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      title={title}
+      className="p-1.5 text-gray-400 hover:text-white hover:bg-wa-hover rounded-full transition"
+    >
+      {children}
+    </button>
+  );
+}
+
+/**
+ * Preview of the message a reply quotes
+ * quoted is null when it is not loaded (older history)
+ */
+export function QuotedMessage({ quoted, onJump }) {
+  return (
+    <button
+      type="button"
+      onClick={quoted ? () => onJump(quoted.id) : undefined}
+      disabled={!quoted}
+      className="block w-full mb-1 px-2 py-1 text-left rounded border-l-4 border-primary-500 bg-black/20 hover:bg-black/30 disabled:hover:bg-black/20 transition"
+    >
+      {quoted ? (
+        <>
+          <p className="text-xs font-semibold text-primary-300">
+            {quoted.from_me ? 'You' : getSenderName(quoted) || 'Contact'}
+          </p>
+          <p className="text-xs text-gray-300 line-clamp-2 break-words">{describeMessage(quoted)}</p>
+        </>
+      ) : (
+        <p className="text-xs italic text-gray-400">Quoted message</p>
+      )}
+    </button>
+  );
+}
+
+/**
+ * Reaction chips, one per emoji with its count
+ * Without onReact (session disconnected) they are read-only
+ */
+export function MessageReactions({ reactions, onReact }) {
+  const groups = reactions.reduce((result, reaction) => {
+    const group = result.find((entry) => entry.emoji === reaction.emoji);
+    if (group) {
+      group.count += 1;
+      group.fromMe ||= reaction.from_me;
+    } else {
+      result.push({ emoji: reaction.emoji, count: 1, fromMe: reaction.from_me });
+    }
+    return result;
+  }, []);
+
+  return (
+    <div className="flex flex-wrap gap-1 mt-1">
+      {groups.map((group) => (
+        <button
+          key={group.emoji}
+          type="button"
+          // Clicking our own reaction removes it, any other adds the same one
+          onClick={() => onReact(group.fromMe ? '' : group.emoji)}
+          disabled={!onReact}
+          className={`flex items-center px-1.5 py-0.5 text-xs rounded-full border transition disabled:cursor-default ${
+            group.fromMe
+              ? 'border-primary-500 bg-primary-500/20'
+              : 'border-wa-border bg-black/20 hover:bg-black/30'
+          }`}
+        >
+          <span>{group.emoji}</span>
+          {group.count > 1 && <span className="ml-1 text-gray-300">{group.count}</span>}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * One-line description of a message (quotes, reply bar)
+ */
+export function describeMessage(message) {
+  if (message.deleted_at) {
+    return 'This message was deleted';
+  }
+  if (message.body && !['location', 'contact'].includes(message.message_type)) {
+    return message.body;
+  }
+  return MESSAGE_TYPE_LABELS[message.message_type] || 'Message';
+}
+
+/**
+ * Who sent a group message: their saved or push name, else their number
+ */
+export function getSenderName(message) {
+  if (message.sender_name) {
+    return message.sender_name;
+  }
+  return message.participant ? `+${message.participant}` : null;
+}
+
+const MESSAGE_TYPE_LABELS = {
+  image: '📷 Photo',
+  video: '🎥 Video',
+  audio: '🎵 Audio',
+  voice: '🎤 Voice message',
+  document: '📄 Document',
+  sticker: 'Sticker',
+  location: '📍 Location',
+  contact: '👤 Contact',
+};
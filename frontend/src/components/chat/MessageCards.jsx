@@ -0,0 +1,127 @@
+/**
+ * Message Cards
+ * Location and shared contact (vCard) messages
+ */
+
+import { MapPinIcon, ChatBubbleLeftRightIcon } from '@heroicons/react/24/outline';
+
+export function LocationCard({ location }) {
+  const coordinates = `${location.latitude},${location.longitude}`;
+  const mapUrl = location.url || `https://www.google.com/maps/search/?api=1&query=${coordinates}`;
+
+  return (
+    <a
+      href={mapUrl}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="flex items-start mb-1 w-64 max-w-full p-2 rounded-md bg-black/20 hover:bg-black/30 transition"
+    >
+      <MapPinIcon className="w-8 h-8 text-red-400 flex-shrink-0" />
+      <div className="flex-1 min-w-0 ml-2">
+        <p className="text-sm truncate">
+          {location.name || (location.live ? 'Live location' : 'Location')}
+        </p>
+        {location.address && <p className="text-xs text-gray-300 line-clamp-2">{location.address}</p>}
+        <p className="text-xs text-gray-400">
+          {Number(location.latitude).toFixed(5)}, {Number(location.longitude).toFixed(5)}
+        </p>
+        <p className="mt-1 text-xs text-blue-300">Open in Maps</p>
+      </div>
+    </a>
+  );
+}
+
+export function ContactCard({ contact, onOpenChat }) {
+  const phoneNumber = contact.phone_numbers[0];
+
+  return (
+    <div className="mb-1 w-64 max-w-full rounded-md bg-black/20">
+      <div className="flex items-center p-2">
+        <div className="w-9 h-9 rounded-full bg-primary-500 flex items-center justify-center text-white font-semibold flex-shrink-0">
+          {contact.name?.charAt(0).toUpperCase() || '?'}
+        </div>
+        <div className="flex-1 min-w-0 ml-2">
+          <p className="text-sm truncate">{contact.name || phoneNumber || 'Contact'}</p>
+          {contact.phone_numbers.map((number) => (
+            <p key={number} className="text-xs text-gray-400 truncate">{number}</p>
+          ))}
+        </div>
+      </div>
+      {phoneNumber && (
+        <button
+          type="button"
+          onClick={() => onOpenChat(phoneNumber, contact.name)}
+          className="flex items-center justify-center w-full py-2 text-sm text-blue-300 border-t border-white/10 hover:bg-white/5 transition"
+        >
+          <ChatBubbleLeftRightIcon className="w-4 h-4 mr-1" />
+          Open chat
+        </button>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Coordinates of a location message: from its metadata, or from the body of
+ * older rows, stored as JSON or as "latitude, longitude"
+ * @returns {Object|null} - { latitude, longitude, name, address, url, live }
+ */
+export function parseLocation(message) {
+  const location = message.metadata?.location;
+  if (location?.latitude != null && location?.longitude != null) {
+    return location;
+  }
+
+  try {
+    const data = JSON.parse(message.body);
+    const latitude = data.latitude ?? data.degreesLatitude ?? data.lat;
+    const longitude = data.longitude ?? data.degreesLongitude ?? data.lng;
+    if (latitude != null && longitude != null) {
+      return {
+        latitude: Number(latitude),
+        longitude: Number(longitude),
+        name: data.name || null,
+        address: data.address || null,
+        url: data.url || null,
+        live: false,
+      };
+    }
+  } catch {
+    // Not JSON
+  }
+
+  const match = message.body?.match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/);
+  if (match) {
+    return { latitude: Number(match[1]), longitude: Number(match[2]), name: null, address: null, url: null, live: false };
+  }
+
+  return null;
+}
+
+/**
+ * Contacts of a contact message: from its metadata, or from the vCard
+ * older rows keep in the body
+ * @returns {Array} - [{ name, phone_numbers }]
+ */
+export function parseContacts(message) {
+  if (message.metadata?.contacts?.length) {
+    return message.metadata.contacts;
+  }
+
+  if (!message.body?.includes('BEGIN:VCARD')) {
+    return [];
+  }
+
+  return message.body
+    .split(/END:VCARD/i)
+    .filter((card) => card.includes('BEGIN:VCARD'))
+    .map((card) => {
+      const lines = card.split(/\r?\n/);
+      const name = lines.find((line) => /^FN[:;]/i.test(line))?.replace(/^FN[^:]*:/i, '').trim() || null;
+      const phoneNumbers = lines
+        .filter((line) => /^(item\d+\.)?TEL[:;]/i.test(line))
+        .map((line) => line.match(/waid=(\d+)/i)?.[1] || line.replace(/^[^:]*:/, '').replace(/[^\d+]/g, ''))
+        .filter(Boolean);
+      return { name, phone_numbers: phoneNumbers };
+    });
+}
@@ -0,0 +1,187 @@
+/**
+ * Message Media Component
+ * Inline media of a chat message: images (opened in the lightbox), stickers,
+ * video and audio players and document cards (with the first page of PDFs)
+ */
+
+import { PaperClipIcon } from '@heroicons/react/24/solid';
+import { DocumentIcon, ArrowDownTrayIcon } from '@heroicons/react/24/outline';
+
+// Longest side of inline images and videos (px)
+const MAX_PREVIEW_SIZE = 320;
+
+export default function MessageMedia({ message, onDownload, onOpen, onView, onExpired }) {
+  if (!message.media_url) {
+    return <MediaDownloadButton message={message} onDownload={onDownload} />;
+  }
+
+  const handleError = () => onExpired(message);
+
+  switch (message.message_type) {
+    case 'image':
+      return (
+        <button type="button" onClick={() => onView(message)} className="block mb-1 cursor-zoom-in">
+          <img
+            src={message.media_thumbnail_url || message.media_url}
+            alt={message.media_filename || 'Image'}
+            loading="lazy"
+            onError={handleError}
+            style={getPreviewSize(message)}
+            className="rounded-md object-cover bg-black/20 max-w-full"
+          />
+        </button>
+      );
+
+    case 'sticker':
+      return (
+        <img
+          src={message.media_url}
+          alt="Sticker"
+          loading="lazy"
+          onError={handleError}
+          className="w-32 h-32 object-contain mb-1"
+        />
+      );
+
+    case 'video':
+      return (
+        <div className="relative mb-1">
+          <video
+            src={message.media_url}
+            poster={message.media_thumbnail_url || undefined}
+            controls
+            preload="none"
+            onError={handleError}
+            style={getPreviewSize(message)}
+            className="rounded-md bg-black max-w-full"
+          />
+          {message.media_duration > 0 && (
+            <span className="absolute top-2 right-2 px-1.5 py-0.5 text-xs rounded bg-black/60 text-white pointer-events-none">
+              {formatDuration(message.media_duration)}
+            </span>
+          )}
+        </div>
+      );
+
+    case 'audio':
+    case 'voice':
+      return (
+        <div className="flex items-center mb-1 space-x-2">
+          <audio
+            src={message.media_url}
+            controls
+            preload="none"
+            onError={handleError}
+            className="h-10 max-w-full"
+          />
+          {message.media_duration > 0 && (
+            <span className="text-xs text-gray-300 opacity-70">
+              {formatDuration(message.media_duration)}
+            </span>
+          )}
+        </div>
+      );
+
+    case 'document':
+      return <DocumentCard message={message} onOpen={onOpen} onExpired={onExpired} />;
+
+    default:
+      return (
+        <a
+          href={message.media_url}
+          target="_blank"
+          rel="noopener noreferrer"
+          onClick={(e) => onOpen(e, message)}
+          className="flex items-center mb-1 text-sm text-blue-300 hover:underline"
+        >
+          <PaperClipIcon className="w-4 h-4 mr-1 flex-shrink-0" />
+          <span className="truncate">{message.media_filename || message.message_type}</span>
+        </a>
+      );
+  }
+}
+
+function DocumentCard({ message, onOpen, onExpired }) {
+  const details = [getFileExtension(message), message.media_size && formatFileSize(message.media_size)]
+    .filter(Boolean)
+    .join(' · ');
+
+  return (
+    <a
+      href={message.media_url}
+      target="_blank"
+      rel="noopener noreferrer"
+      onClick={(e) => onOpen(e, message)}
+      className="block mb-1 w-64 max-w-full rounded-md overflow-hidden bg-black/20 hover:bg-black/30 transition"
+    >
+      {message.media_thumbnail_url && (
+        <img
+          src={message.media_thumbnail_url}
+          alt=""
+          loading="lazy"
+          onError={() => onExpired(message)}
+          className="w-full h-32 object-cover object-top bg-white"
+        />
+      )}
+      <div className="flex items-center p-2">
+        <DocumentIcon className="w-8 h-8 text-gray-300 flex-shrink-0" />
+        <div className="flex-1 min-w-0 mx-2">
+          <p className="text-sm truncate">{message.media_filename || 'Document'}</p>
+          {details && <p className="text-xs text-gray-400">{details}</p>}
+        </div>
+        <ArrowDownTrayIcon className="w-5 h-5 text-gray-300 flex-shrink-0" />
+      </div>
+    </a>
+  );
+}
+
+function MediaDownloadButton({ message, onDownload }) {
+  const isDownloading = message.media_status === 'downloading';
+
+  return (
+    <button
+      type="button"
+      onClick={() => onDownload(message.id)}
+      disabled={isDownloading}
+      className="flex items-center mb-1 text-sm text-blue-300 hover:underline disabled:opacity-60 disabled:no-underline"
+    >
+      <ArrowDownTrayIcon className={`w-4 h-4 mr-1 flex-shrink-0 ${isDownloading ? 'animate-pulse' : ''}`} />
+      <span>
+        {isDownloading
+          ? 'Downloading...'
+          : message.media_status === 'failed'
+            ? `Retry ${message.message_type} download`
+            : `Download ${message.message_type}`}
+      </span>
+    </button>
+  );
+}
+
+/**
+ * Display size keeping the media's aspect ratio, so the chat does not jump
+ * when it loads
+ */
+function getPreviewSize({ media_width: width, media_height: height }) {
+  if (!width || !height) {
+    return { maxHeight: MAX_PREVIEW_SIZE };
+  }
+
+  const scale = Math.min(MAX_PREVIEW_SIZE / width, MAX_PREVIEW_SIZE / height, 1);
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+function getFileExtension(message) {
+  const extension = message.media_filename?.split('.').pop();
+  return extension && extension !== message.media_filename ? extension.toUpperCase() : null;
+}
+
+function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
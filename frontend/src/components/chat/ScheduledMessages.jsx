@@ -0,0 +1,243 @@
+/**
+ * Scheduled Messages
+ * Form to schedule a message for a time in a chosen time zone, and the
+ * list of the chat's scheduled messages that have not gone out yet
+ */
+
+import { useState } from 'react';
+import {
+  ClockIcon,
+  PaperClipIcon,
+  PencilIcon,
+  TrashIcon,
+  PaperAirplaneIcon,
+} from '@heroicons/react/24/outline';
+
+// Scheduled messages that have not gone out yet
+const PENDING_STATUSES = ['scheduled', 'sending', 'held', 'failed'];
+
+const STATUS_STYLES = {
+  sending: 'bg-primary-500/20 text-primary-300',
+  held: 'bg-yellow-500/20 text-yellow-400',
+  failed: 'bg-red-500/20 text-red-400',
+};
+
+const inputClassName = 'px-3 py-2 bg-wa-panel border border-wa-border rounded-lg text-sm text-white focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+function getBrowserTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+// IANA zones the browser knows (older browsers: just the browser's own)
+function getTimeZones(selected) {
+  const zones = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : [getBrowserTimeZone()];
+  return [...new Set([selected, ...zones, 'UTC'])];
+}
+
+/**
+ * Time zone offered for a chat: the one its latest scheduled message used
+ * (usually the customer's), else the browser's
+ */
+export function getDefaultTimeZone(scheduledMessages) {
+  const latest = scheduledMessages.reduce(
+    (found, scheduled) => (!found || scheduled.created_at > found.created_at ? scheduled : found),
+    null
+  );
+  return latest?.timezone || getBrowserTimeZone();
+}
+
+/**
+ * Next full hour in a time zone, as a datetime-local value
+ */
+export function getNextHour(timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+    })
+      .formatToParts(new Date(Date.now() + 60 * 60 * 1000))
+      .map((part) => [part.type, part.value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:00`;
+}
+
+// "Tue, Mar 10, 09:00" for a wall-clock time ("2026-03-10T09:00")
+function formatLocalTime(localTime) {
+  const [date, time] = localTime.split('T');
+  const day = new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+  return `${day}, ${time}`;
+}
+
+/**
+ * When to send (wall-clock time and time zone), and the text when editing
+ */
+export function ScheduleForm({ title, initial, showBody = false, isSaving, submitLabel, onSubmit, onCancel }) {
+  const [body, setBody] = useState(initial.body || '');
+  const [sendAt, setSendAt] = useState(initial.sendAt);
+  const [timezone, setTimezone] = useState(initial.timezone);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({ body, sendAt, timezone });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-3 p-3 bg-wa-bg border border-wa-border rounded-lg space-y-2">
+      <p className="flex items-center text-xs font-semibold text-primary-300">
+        <ClockIcon className="w-4 h-4 mr-1" />
+        {title}
+      </p>
+
+      {showBody && (
+        <textarea
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          rows={3}
+          maxLength={10000}
+          className={`${inputClassName} w-full resize-y`}
+        />
+      )}
+
+      <div className="flex space-x-2">
+        <input
+          type="datetime-local"
+          value={sendAt}
+          onChange={(e) => setSendAt(e.target.value)}
+          required
+          className={inputClassName}
+        />
+        <select
+          value={timezone}
+          onChange={(e) => setTimezone(e.target.value)}
+          className={`${inputClassName} flex-1 min-w-0`}
+          title="Time zone the time is in"
+        >
+          {getTimeZones(timezone).map((zone) => (
+            <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+          ))}
+        </select>
+      </div>
+
+      <p className="text-xs text-gray-400">
+        Held for you to review if the session is not connected at that time.
+      </p>
+
+      <div className="flex justify-end space-x-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1.5 text-sm bg-wa-panel border border-wa-border rounded-lg text-white hover:bg-wa-hover transition"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="px-3 py-1.5 text-sm bg-primary-500 hover:bg-primary-600 rounded-lg text-white transition disabled:opacity-50"
+        >
+          {isSaving ? 'Saving...' : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default function ScheduledMessages({ scheduledMessages, canSend, onSendNow, onEdit, onCancel }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const pending = scheduledMessages.filter((scheduled) => PENDING_STATUSES.includes(scheduled.status));
+
+  if (pending.length === 0) {
+    return null;
+  }
+
+  const heldCount = pending.filter((scheduled) => scheduled.status === 'held').length;
+
+  return (
+    <div className="mb-3 bg-wa-bg border border-wa-border rounded-lg">
+      <button
+        type="button"
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="w-full flex items-center px-3 py-2 text-sm text-gray-300 hover:text-white transition"
+      >
+        <ClockIcon className="w-4 h-4 mr-2 flex-shrink-0" />
+        {pending.length} scheduled message{pending.length === 1 ? '' : 's'}
+        {heldCount > 0 && (
+          <span className={`ml-2 px-2 py-0.5 text-xs rounded-full ${STATUS_STYLES.held}`}>
+            {heldCount} held
+          </span>
+        )}
+        <span className="ml-auto text-xs text-gray-500">{isExpanded ? 'Hide' : 'Show'}</span>
+      </button>
+
+      {isExpanded && (
+        <ul className="max-h-60 overflow-y-auto divide-y divide-wa-border border-t border-wa-border">
+          {pending.map((scheduled) => (
+            <li key={scheduled.id} className="px-3 py-2 flex items-start">
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center space-x-2">
+                  <span className="text-xs text-gray-300">{formatLocalTime(scheduled.local_time)}</span>
+                  <span className="text-xs text-gray-500 truncate">{scheduled.timezone.replace(/_/g, ' ')}</span>
+                  {STATUS_STYLES[scheduled.status] && (
+                    <span className={`px-2 py-0.5 text-xs rounded-full capitalize flex-shrink-0 ${STATUS_STYLES[scheduled.status]}`}>
+                      {scheduled.status}
+                    </span>
+                  )}
+                </div>
+                {scheduled.body && <p className="text-sm text-white truncate">{scheduled.body}</p>}
+                {scheduled.media_filename && (
+                  <p className="flex items-center text-xs text-gray-400">
+                    <PaperClipIcon className="w-3.5 h-3.5 mr-1" />
+                    {scheduled.media_filename}
+                  </p>
+                )}
+                {['held', 'failed'].includes(scheduled.status) && scheduled.error_message && (
+                  <p className="text-xs text-red-400">{scheduled.error_message}</p>
+                )}
+              </div>
+              {scheduled.status !== 'sending' && (
+                <div className="flex items-center flex-shrink-0">
+                  <button
+                    type="button"
+                    onClick={() => onSendNow(scheduled)}
+                    disabled={!canSend}
+                    className="p-1.5 text-gray-400 hover:text-white transition disabled:opacity-50 disabled:cursor-not-allowed"
+                    title="Send now"
+                  >
+                    <PaperAirplaneIcon className="w-4 h-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onEdit(scheduled)}
+                    className="p-1.5 text-gray-400 hover:text-white transition"
+                    title="Edit or reschedule"
+                  >
+                    <PencilIcon className="w-4 h-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onCancel(scheduled)}
+                    className="p-1.5 text-red-500 hover:text-red-400 transition"
+                    title="Cancel scheduled message"
+                  >
+                    <TrashIcon className="w-4 h-4" />
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
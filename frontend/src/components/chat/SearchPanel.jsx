@@ -0,0 +1,267 @@
+/**
+ * Search Panel Component
+ * Full-text message search with filters, shown in the sidebar in place of the chat list
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { messageAPI } from '../../services/api';
+import { useChatStore } from '../../stores/chatStore';
+import toast from 'react-hot-toast';
+import { AdjustmentsHorizontalIcon, PaperClipIcon } from '@heroicons/react/24/outline';
+
+const MESSAGE_TYPES = ['text', 'image', 'video', 'audio', 'voice', 'document', 'sticker', 'location', 'contact', 'poll'];
+
+const DEFAULT_FILTERS = {
+  scope: 'session', // 'session' or 'all'
+  direction: '',
+  type: '',
+  has_media: '',
+  from: '',
+  to: '',
+  sort: 'relevance',
+};
+
+// Match markers around highlighted words (see search_messages)
+const HIGHLIGHT_START = '\uE000';
+const HIGHLIGHT_END = '\uE001';
+
+export default function SearchPanel({ query }) {
+  const { sessions, currentSession, setCurrentSession, setCurrentChat } = useChatStore();
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [results, setResults] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const requestIdRef = useRef(0);
+
+  // Debounce typing
+  useEffect(() => {
+    const timer = setTimeout(() => runSearch(), 300);
+    return () => clearTimeout(timer);
+  }, [query, filters, currentSession?.id]);
+
+  const buildParams = () => ({
+    session_id: filters.scope === 'session' ? currentSession?.id : null,
+    direction: filters.direction,
+    type: filters.type,
+    has_media: filters.has_media,
+    from: filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : '',
+    to: filters.to ? new Date(`${filters.to}T23:59:59`).toISOString() : '',
+    sort: filters.sort,
+  });
+
+  const runSearch = async (cursor = null) => {
+    // Ignore responses of searches that were superseded while in flight
+    const requestId = ++requestIdRef.current;
+    setIsLoading(true);
+    try {
+      const response = await messageAPI.searchMessages(query, buildParams(), cursor);
+      if (requestId !== requestIdRef.current) return;
+
+      setResults(cursor ? [...results, ...response.data] : response.data);
+      setNextCursor(response.next_cursor);
+    } catch (error) {
+      if (requestId === requestIdRef.current) {
+        toast.error(error.response?.data?.message || 'Search failed');
+      }
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setIsLoading(false);
+      }
+    }
+  };
+
+  const updateFilter = (key, value) => {
+    setFilters({ ...filters, [key]: value });
+  };
+
+  const handleResultClick = async (result) => {
+    if (currentSession?.id !== result.session_id) {
+      const session = sessions.find((s) => s.id === result.session_id);
+      if (!session) return;
+      await setCurrentSession(session);
+    }
+
+    const chat = useChatStore.getState().chats.find((c) => c.contact_id === result.contact_id) || {
+      contact_id: result.contact_id,
+      phone_number: result.phone_number,
+      name: result.contact_name,
+    };
+    await setCurrentChat(chat, { messageId: result.id });
+  };
+
+  const isFiltered = Object.keys(DEFAULT_FILTERS).some(
+    (key) => key !== 'scope' && key !== 'sort' && filters[key] !== DEFAULT_FILTERS[key]
+  );
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0">
+      {/* Filter bar */}
+      <div className="px-4 py-2 border-b border-wa-border space-y-2">
+        <div className="flex items-center space-x-2">
+          <select
+            value={filters.scope}
+            onChange={(e) => updateFilter('scope', e.target.value)}
+            className="flex-1 min-w-0 px-2 py-1 bg-wa-bg border border-wa-border rounded-lg text-sm text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+          >
+            <option value="session">This session</option>
+            <option value="all">All sessions</option>
+          </select>
+          <select
+            value={filters.sort}
+            onChange={(e) => updateFilter('sort', e.target.value)}
+            className="flex-1 min-w-0 px-2 py-1 bg-wa-bg border border-wa-border rounded-lg text-sm text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+          >
+            <option value="relevance">Best match</option>
+            <option value="recent">Newest first</option>
+          </select>
+          <button
+            onClick={() => setShowFilters(!showFilters)}
+            className={`p-1.5 rounded-lg transition hover:bg-wa-hover ${
+              showFilters || isFiltered ? 'text-primary-400' : 'text-gray-400'
+            }`}
+            title="Filters"
+          >
+            <AdjustmentsHorizontalIcon className="w-5 h-5" />
+          </button>
+        </div>
+
+        {showFilters && (
+          <div className="grid grid-cols-2 gap-2">
+            <select
+              value={filters.direction}
+              onChange={(e) => updateFilter('direction', e.target.value)}
+              className="px-2 py-1 bg-wa-bg border border-wa-border rounded-lg text-sm text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+            >
+              <option value="">Any direction</option>
+              <option value="incoming">Received</option>
+              <option value="outgoing">Sent</option>
+            </select>
+            <select
+              value={filters.type}
+              onChange={(e) => updateFilter('type', e.target.value)}
+              className="px-2 py-1 bg-wa-bg border border-wa-border rounded-lg text-sm text-white capitalize focus:outline-none focus:ring-2 focus:ring-primary-500"
+            >
+              <option value="">Any type</option>
+              {MESSAGE_TYPES.map((type) => (
+                <option key={type} value={type}>
+                  {type}
+                </option>
+              ))}
+            </select>
+            <select
+              value={filters.has_media}
+              onChange={(e) => updateFilter('has_media', e.target.value)}
+              className="px-2 py-1 bg-wa-bg border border-wa-border rounded-lg text-sm text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+            >
+              <option value="">With or without media</option>
+              <option value="true">With media</option>
+              <option value="false">Without media</option>
+            </select>
+            <button
+              onClick={() => setFilters({ ...DEFAULT_FILTERS, scope: filters.scope, sort: filters.sort })}
+              disabled={!isFiltered}
+              className="px-2 py-1 border border-wa-border rounded-lg text-sm text-gray-300 hover:bg-wa-hover transition disabled:opacity-50"
+            >
+              Clear filters
+            </button>
+            <input
+              type="date"
+              value={filters.from}
+              onChange={(e) => updateFilter('from', e.target.value)}
+              className="px-2 py-1 bg-wa-bg border border-wa-border rounded-lg text-sm text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+              title="From"
+            />
+            <input
+              type="date"
+              value={filters.to}
+              onChange={(e) => updateFilter('to', e.target.value)}
+              className="px-2 py-1 bg-wa-bg border border-wa-border rounded-lg text-sm text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+              title="To"
+            />
+          </div>
+        )}
+      </div>
+
+      {/* Results */}
+      <div className="flex-1 overflow-y-auto scrollbar-thin">
+        {results.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">
+            {isLoading ? (
+              <div className="animate-spin rounded-full h-6 w-6 mx-auto border-b-2 border-primary-500" />
+            ) : (
+              <p>No messages found</p>
+            )}
+          </div>
+        ) : (
+          <>
+            {results.map((result) => (
+              <button
+                key={result.id}
+                onClick={() => handleResultClick(result)}
+                className="w-full text-left p-4 border-b border-wa-border hover:bg-wa-hover transition"
+              >
+                <div className="flex items-center justify-between">
+                  <h3 className="text-sm font-semibold text-white truncate">
+                    {result.contact_name || result.phone_number}
+                  </h3>
+                  <span className="text-xs text-gray-400 ml-2 flex-shrink-0">
+                    {new Date(result.timestamp).toLocaleDateString()}
+                  </span>
+                </div>
+                {filters.scope === 'all' && (
+                  <p className="text-xs text-gray-500 truncate">{result.session_name}</p>
+                )}
+                <p className="text-sm text-gray-400 mt-1 break-words">
+                  {result.from_me && 'You: '}
+                  {result.has_media && !result.body ? (
+                    <span className="inline-flex items-center">
+                      <PaperClipIcon className="w-4 h-4 mr-1" />
+                      {result.media_filename || result.message_type}
+                    </span>
+                  ) : (
+                    <Highlight text={result.headline || result.body} />
+                  )}
+                </p>
+              </button>
+            ))}
+            {nextCursor && (
+              <button
+                onClick={() => runSearch(nextCursor)}
+                disabled={isLoading}
+                className="w-full p-3 text-sm text-primary-400 hover:bg-wa-hover transition disabled:opacity-50"
+              >
+                {isLoading ? 'Loading...' : 'Load more'}
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Render a search snippet, marking highlighted words
+ */
+function Highlight({ text }) {
+  if (!text) return null;
+
+  const parts = text.split(HIGHLIGHT_START);
+
+  return (
+    <>
+      {parts.map((part, index) => {
+        if (index === 0) return <span key={index}>{part}</span>;
+
+        const [match, rest] = part.split(HIGHLIGHT_END);
+        return (
+          <span key={index}>
+            <mark className="bg-primary-500/30 text-white rounded px-0.5">{match}</mark>
+            {rest}
+          </span>
+        );
+      })}
+    </>
+  );
+}
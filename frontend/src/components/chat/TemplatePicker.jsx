@@ -0,0 +1,96 @@
+/**
+ * Template Picker
+ * Slash command list of the message templates usable in the session,
+ * shown above the composer while its text is "/shortcut"
+ */
+
+import { useState, useEffect } from 'react';
+import { PaperClipIcon } from '@heroicons/react/24/outline';
+import { templateAPI } from '../../services/api';
+
+const SCOPE_LABELS = {
+  session: 'Session',
+  team: 'Team',
+  admin: 'Library',
+};
+
+/**
+ * What follows the slash ("/pri" -> "pri"), or null when the composer text
+ * is not a slash command
+ */
+export function getTemplateQuery(text) {
+  const match = /^\/([a-z0-9_-]*)$/i.exec(text);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Templates whose shortcut starts with the query, then those whose
+ * shortcut or title contains it
+ */
+export function filterTemplates(templates, query) {
+  const startsWith = templates.filter((template) => template.shortcut.startsWith(query));
+  const contains = templates.filter((template) =>
+    !template.shortcut.startsWith(query)
+    && (template.shortcut.includes(query) || template.title.toLowerCase().includes(query))
+  );
+  return [...startsWith, ...contains];
+}
+
+/**
+ * Templates the current user can use in a session
+ */
+export function useSessionTemplates(sessionId) {
+  const [templates, setTemplates] = useState([]);
+
+  useEffect(() => {
+    if (!sessionId) return;
+
+    let cancelled = false;
+    templateAPI.getSessionTemplates(sessionId)
+      .then((response) => {
+        if (!cancelled) setTemplates(response.data);
+      })
+      .catch(() => {
+        if (!cancelled) setTemplates([]);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId]);
+
+  return templates;
+}
+
+export default function TemplatePicker({ templates, activeIndex, onSelect, onHover }) {
+  return (
+    <div className="mb-3 max-h-64 overflow-y-auto bg-wa-panel border border-wa-border rounded-lg shadow-lg">
+      {templates.length === 0 ? (
+        <p className="px-4 py-3 text-sm text-gray-400">No templates match</p>
+      ) : (
+        <ul className="py-1">
+          {templates.map((template, index) => (
+            <li key={template.id}>
+              <button
+                type="button"
+                // Keep the focus in the composer
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => onSelect(template)}
+                onMouseEnter={() => onHover(index)}
+                className={`w-full px-4 py-2 text-left transition ${index === activeIndex ? 'bg-wa-hover' : ''}`}
+              >
+                <div className="flex items-center space-x-2">
+                  <span className="text-sm font-semibold text-primary-300">/{template.shortcut}</span>
+                  <span className="text-sm text-white truncate">{template.title}</span>
+                  {template.media_type && <PaperClipIcon className="w-4 h-4 text-gray-400 flex-shrink-0" />}
+                  <span className="ml-auto text-xs text-gray-500 flex-shrink-0">{SCOPE_LABELS[template.scope]}</span>
+                </div>
+                {template.body && <p className="text-xs text-gray-400 truncate">{template.body}</p>}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,262 @@
+/**
+ * Assign Chat Modal
+ * Assign a conversation to agents, reassign it or remove assignments
+ */
+
+import { useState, useEffect } from 'react';
+import { assignmentAPI, userAPI, teamAPI } from '../../services/api';
+import toast from 'react-hot-toast';
+import { XMarkIcon, UserIcon, UserGroupIcon } from '@heroicons/react/24/outline';
+
+export default function AssignChatModal({ session, chat, onClose }) {
+  const [assignments, setAssignments] = useState([]);
+  const [agents, setAgents] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [assignee, setAssignee] = useState(''); // 'user:<id>' or 'team:<id>'
+  const [canSend, setCanSend] = useState(true);
+  const [canManage, setCanManage] = useState(false);
+  const [expiresAt, setExpiresAt] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    loadAssignments();
+    loadAgents();
+    loadTeams();
+  }, [session.id, chat.contact_id]);
+
+  const loadAssignments = async () => {
+    try {
+      const response = await assignmentAPI.getChatAssignments(session.id, chat.contact_id);
+      setAssignments(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load assignments');
+    }
+  };
+
+  const loadAgents = async () => {
+    try {
+      const response = await userAPI.getUsers();
+      setAgents(response.data.filter((user) => user.is_active));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load agents');
+    }
+  };
+
+  const loadTeams = async () => {
+    try {
+      const response = await teamAPI.getTeams();
+      setTeams(response.data.filter((team) => team.is_active));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load teams');
+    }
+  };
+
+  const handleAssign = async (replace) => {
+    if (!assignee) {
+      toast.error('Please select an agent or team');
+      return;
+    }
+
+    setIsLoading(true);
+
+    const [assigneeType, assigneeId] = assignee.split(':');
+    const assignment = {
+      [assigneeType === 'team' ? 'assigned_to_team_id' : 'assigned_to_user_id']: assigneeId,
+      permissions: {
+        can_view: true,
+        can_send: canSend,
+        can_manage: canManage,
+      },
+      expires_at: expiresAt ? new Date(expiresAt).toISOString() : null,
+    };
+
+    try {
+      if (replace) {
+        await assignmentAPI.reassignChat(session.id, chat.contact_id, assignment);
+        toast.success('Chat reassigned');
+      } else {
+        await assignmentAPI.assignChat(session.id, chat.contact_id, assignment);
+        toast.success('Chat assigned');
+      }
+      setAssignee('');
+      setExpiresAt('');
+      await loadAssignments();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to assign chat');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleUnassign = async (assignmentId) => {
+    try {
+      await assignmentAPI.unassignChat(session.id, chat.contact_id, assignmentId);
+      toast.success('Assignment removed');
+      await loadAssignments();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove assignment');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50">
+      <div className="bg-wa-panel rounded-lg w-full max-w-lg border border-wa-border">
+        {/* Header */}
+        <div className="p-6 border-b border-wa-border flex items-start justify-between">
+          <div>
+            <h2 className="text-2xl font-bold text-white">Assign Chat</h2>
+            <p className="text-gray-400 mt-1">{chat.custom_name || chat.name || chat.phone_number}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-wa-hover rounded-full transition"
+            title="Close"
+          >
+            <XMarkIcon className="w-5 h-5 text-gray-400" />
+          </button>
+        </div>
+
+        {/* Body */}
+        <div className="p-6 space-y-6">
+          {/* Current assignments */}
+          <div>
+            <h3 className="text-sm font-medium text-gray-300 mb-2">Assigned to</h3>
+            {assignments.length === 0 ? (
+              <p className="text-sm text-gray-500">Not assigned - only admins can see this chat</p>
+            ) : (
+              <ul className="space-y-2">
+                {assignments.map((assignment) => (
+                  <li
+                    key={assignment.id}
+                    className="flex items-center px-3 py-2 bg-wa-bg border border-wa-border rounded-lg"
+                  >
+                    {assignment.assigned_team ? (
+                      <UserGroupIcon className="w-5 h-5 text-gray-400 flex-shrink-0" />
+                    ) : (
+                      <UserIcon className="w-5 h-5 text-gray-400 flex-shrink-0" />
+                    )}
+                    <div className="ml-3 flex-1 min-w-0">
+                      <p className="text-sm text-white truncate">{getAssigneeName(assignment)}</p>
+                      <p className="text-xs text-gray-400">
+                        {formatPermissions(assignment.permissions)}
+                        {assignment.expires_at &&
+                          ` · until ${new Date(assignment.expires_at).toLocaleString()}`}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => handleUnassign(assignment.id)}
+                      className="p-1 text-gray-400 hover:text-red-400 transition"
+                      title="Remove assignment"
+                    >
+                      <XMarkIcon className="w-4 h-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* Assign form */}
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                Agent or team
+              </label>
+              <select
+                value={assignee}
+                onChange={(e) => setAssignee(e.target.value)}
+                className="w-full px-4 py-3 bg-wa-bg border border-wa-border rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+              >
+                <option value="">Select an agent or team</option>
+                <optgroup label="Agents">
+                  {agents.map((agent) => (
+                    <option key={agent.id} value={`user:${agent.id}`}>
+                      {agent.full_name || agent.username} ({agent.role.replace('_', ' ')})
+                    </option>
+                  ))}
+                </optgroup>
+                {teams.length > 0 && (
+                  <optgroup label="Teams">
+                    {teams.map((team) => (
+                      <option key={team.id} value={`team:${team.id}`}>
+                        {team.name}
+                      </option>
+                    ))}
+                  </optgroup>
+                )}
+              </select>
+            </div>
+
+            <div className="flex space-x-6">
+              <label className="flex items-center space-x-2 text-sm text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={canSend}
+                  onChange={(e) => setCanSend(e.target.checked)}
+                  className="rounded"
+                />
+                <span>Can send</span>
+              </label>
+              <label className="flex items-center space-x-2 text-sm text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={canManage}
+                  onChange={(e) => setCanManage(e.target.checked)}
+                  className="rounded"
+                />
+                <span>Can manage</span>
+              </label>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                Expires at (optional)
+              </label>
+              <input
+                type="datetime-local"
+                value={expiresAt}
+                onChange={(e) => setExpiresAt(e.target.value)}
+                className="w-full px-4 py-3 bg-wa-bg border border-wa-border rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+              />
+            </div>
+
+            <div className="flex space-x-3">
+              <button
+                type="button"
+                onClick={() => handleAssign(true)}
+                disabled={isLoading || !assignee}
+                className="flex-1 px-4 py-3 bg-wa-bg border border-wa-border rounded-lg text-white hover:bg-wa-hover transition disabled:opacity-50"
+                title="Replace all current assignments"
+              >
+                Reassign
+              </button>
+              <button
+                type="button"
+                onClick={() => handleAssign(false)}
+                disabled={isLoading || !assignee}
+                className="flex-1 px-4 py-3 bg-primary-500 hover:bg-primary-600 rounded-lg text-white transition disabled:opacity-50"
+              >
+                {isLoading ? 'Saving...' : 'Assign'}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function getAssigneeName(assignment) {
+  if (assignment.assigned_team) {
+    return assignment.assigned_team.name;
+  }
+  return assignment.assigned_user?.full_name || assignment.assigned_user?.username || 'Unknown agent';
+}
+
+function formatPermissions(permissions = {}) {
+  const labels = [];
+  if (permissions.can_view !== false) labels.push('view');
+  if (permissions.can_send !== false) labels.push('send');
+  if (permissions.can_manage) labels.push('manage');
+  return labels.join(', ');
+}
@@ -13,12 +13,14 @@ export default function SessionModal({ onClose }) {
   const [activeTab, setActiveTab] = useState('qr'); // 'qr' or 'pairing'
   const [step, setStep] = useState('create'); // 'create' or 'connect'
   const [sessionName, setSessionName] = useState('');
+  const [provider, setProvider] = useState('evolution');
   const [sessionId, setSessionId] = useState(null);
   const [qrCodeUrl, setQrCodeUrl] = useState(null);
   const [phoneNumber, setPhoneNumber] = useState('');
   const [pairingCode, setPairingCode] = useState('');
   const [isLoading, setIsLoading] = useState(false);
-  const { fetchSessions } = useChatStore();
+  const { fetchSessions, qrCodes } = useChatStore();
+  const pushedQrCode = sessionId ? qrCodes[sessionId] : null;
 
   // Auto-refresh QR code
   useEffect(() => {
@@ -29,6 +31,13 @@ export default function SessionModal({ onClose }) {
     }
   }, [activeTab, sessionId, step]);
 
+  // Use QR codes pushed over WebSocket as soon as they arrive
+  useEffect(() => {
+    if (pushedQrCode) {
+      setQrCodeUrl(pushedQrCode);
+    }
+  }, [pushedQrCode]);
+
   const loadQRCode = async () => {
     try {
       const url = await sessionAPI.getQRCode(sessionId);
@@ -43,7 +52,7 @@ export default function SessionModal({ onClose }) {
     setIsLoading(true);
 
     try {
-      const response = await sessionAPI.createSession(sessionName);
+      const response = await sessionAPI.createSession(sessionName, provider);
       setSessionId(response.data.id);
       setStep('connect');
       toast.success('Session created! Now connect your WhatsApp.');
@@ -112,6 +121,20 @@ export default function SessionModal({ onClose }) {
                 </p>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  Provider
+                </label>
+                <select
+                  value={provider}
+                  onChange={(e) => setProvider(e.target.value)}
+                  className="w-full px-4 py-3 bg-wa-bg border border-wa-border rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+                >
+                  <option value="evolution">Evolution API</option>
+                  <option value="waha">WAHA</option>
+                </select>
+              </div>
+
               <div className="flex space-x-3">
                 <button
                   type="button"
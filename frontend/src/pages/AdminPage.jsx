@@ -7,7 +7,9 @@ import { useNavigate } from 'react-router-dom';
 import { userAPI } from '../services/api';
 import { useAuthStore } from '../stores/authStore';
 import toast from 'react-hot-toast';
-import { ArrowLeftIcon, UserPlusIcon, KeyIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { ArrowLeftIcon, UserPlusIcon, KeyIcon, TrashIcon, UserIcon, UserGroupIcon, ChatBubbleBottomCenterTextIcon } from '@heroicons/react/24/outline';
+import TeamsPanel from '../components/admin/TeamsPanel';
+import TemplatesPanel from '../components/admin/TemplatesPanel';
 
 export default function AdminPage() {
   const navigate = useNavigate();
@@ -15,6 +17,7 @@ export default function AdminPage() {
   const [users, setUsers] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [showCreateModal, setShowCreateModal] = useState(false);
+  const [activeTab, setActiveTab] = useState('users'); // 'users', 'teams' or 'templates'
 
   useEffect(() => {
     fetchUsers();
@@ -57,124 +60,163 @@ export default function AdminPage() {
             </button>
             <div>
               <h1 className="text-2xl font-bold text-white">Admin Panel</h1>
-              <p className="text-gray-400">Manage users and permissions</p>
+              <p className="text-gray-400">Manage users, teams, permissions and templates</p>
             </div>
           </div>
 
+          {activeTab === 'users' && (
+            <button
+              onClick={() => setShowCreateModal(true)}
+              className="flex items-center space-x-2 bg-primary-500 hover:bg-primary-600 px-4 py-2 rounded-lg transition"
+            >
+              <UserPlusIcon className="w-5 h-5" />
+              <span>Create User</span>
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto p-6">
+        {/* Tabs */}
+        <div className="flex space-x-2 mb-6 bg-wa-panel border border-wa-border rounded-lg p-1 w-fit">
+          <button
+            onClick={() => setActiveTab('users')}
+            className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition ${
+              activeTab === 'users' ? 'bg-primary-500 text-white' : 'text-gray-400 hover:text-white'
+            }`}
+          >
+            <UserIcon className="w-5 h-5" />
+            <span>Users</span>
+          </button>
+          <button
+            onClick={() => setActiveTab('teams')}
+            className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition ${
+              activeTab === 'teams' ? 'bg-primary-500 text-white' : 'text-gray-400 hover:text-white'
+            }`}
+          >
+            <UserGroupIcon className="w-5 h-5" />
+            <span>Teams</span>
+          </button>
           <button
-            onClick={() => setShowCreateModal(true)}
-            className="flex items-center space-x-2 bg-primary-500 hover:bg-primary-600 px-4 py-2 rounded-lg transition"
+            onClick={() => setActiveTab('templates')}
+            className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition ${
+              activeTab === 'templates' ? 'bg-primary-500 text-white' : 'text-gray-400 hover:text-white'
+            }`}
           >
-            <UserPlusIcon className="w-5 h-5" />
-            <span>Create User</span>
+            <ChatBubbleBottomCenterTextIcon className="w-5 h-5" />
+            <span>Templates</span>
           </button>
         </div>
-      </div>
 
-      {/* Users Table */}
-      <div className="max-w-7xl mx-auto p-6">
-        <div className="bg-wa-panel rounded-lg border border-wa-border overflow-hidden">
-          <table className="w-full">
-            <thead className="bg-wa-bg border-b border-wa-border">
-              <tr>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">
-                  User
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">
-                  Role
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">
-                  Status
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">
-                  Last Login
-                </th>
-                <th className="px-6 py-3 text-right text-xs font-medium text-gray-400 uppercase tracking-wider">
-                  Actions
-                </th>
-              </tr>
-            </thead>
-            <tbody className="divide-y divide-wa-border">
-              {isLoading ? (
+        {activeTab === 'teams' ? (
+          <TeamsPanel />
+        ) : activeTab === 'templates' ? (
+          <TemplatesPanel />
+        ) : (
+          /* Users Table */
+          <div className="bg-wa-panel rounded-lg border border-wa-border overflow-hidden">
+            <table className="w-full">
+              <thead className="bg-wa-bg border-b border-wa-border">
                 <tr>
-                  <td colSpan="5" className="px-6 py-8 text-center text-gray-400">
-                    Loading...
-                  </td>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">
+                    User
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">
+                    Role
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">
+                    Last Login
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-400 uppercase tracking-wider">
+                    Actions
+                  </th>
                 </tr>
-              ) : users.length === 0 ? (
-                <tr>
-                  <td colSpan="5" className="px-6 py-8 text-center text-gray-400">
-                    No users found
-                  </td>
-                </tr>
-              ) : (
-                users.map((u) => (
-                  <tr key={u.id} className="hover:bg-wa-hover transition">
-                    <td className="px-6 py-4">
-                      <div className="flex items-center">
-                        <div className="w-10 h-10 bg-primary-500 rounded-full flex items-center justify-center text-white font-semibold">
-                          {u.username?.charAt(0).toUpperCase()}
-                        </div>
-                        <div className="ml-4">
-                          <div className="text-sm font-medium text-white">{u.username}</div>
-                          <div className="text-sm text-gray-400">{u.full_name}</div>
-                        </div>
-                      </div>
-                    </td>
-                    <td className="px-6 py-4">
-                      <span className="px-2 py-1 text-xs font-semibold rounded-full bg-primary-500/20 text-primary-500">
-                        {u.role?.replace('_', ' ')}
-                      </span>
+              </thead>
+              <tbody className="divide-y divide-wa-border">
+                {isLoading ? (
+                  <tr>
+                    <td colSpan="5" className="px-6 py-8 text-center text-gray-400">
+                      Loading...
                     </td>
-                    <td className="px-6 py-4">
-                      <span
-                        className={`px-2 py-1 text-xs font-semibold rounded-full ${
-                          u.is_active
-                            ? 'bg-green-500/20 text-green-500'
-                            : 'bg-red-500/20 text-red-500'
-                        }`}
-                      >
-                        {u.is_active ? 'Active' : 'Inactive'}
-                      </span>
-                    </td>
-                    <td className="px-6 py-4 text-sm text-gray-400">
-                      {u.last_login_at
-                        ? new Date(u.last_login_at).toLocaleDateString()
-                        : 'Never'}
+                  </tr>
+                ) : users.length === 0 ? (
+                  <tr>
+                    <td colSpan="5" className="px-6 py-8 text-center text-gray-400">
+                      No users found
                     </td>
-                    <td className="px-6 py-4 text-right text-sm">
-                      <button
-                        onClick={() => {
-                          const newPassword = prompt('Enter new password (min 8 characters):');
-                          if (newPassword && newPassword.length >= 8) {
-                            userAPI
-                              .resetPassword(u.id, newPassword)
-                              .then(() => toast.success('Password reset successfully'))
-                              .catch(() => toast.error('Failed to reset password'));
-                          }
-                        }}
-                        className="text-primary-500 hover:text-primary-400 mr-4"
-                        title="Reset Password"
-                      >
-                        <KeyIcon className="w-5 h-5" />
-                      </button>
-
-                      {u.is_active && (
+                  </tr>
+                ) : (
+                  users.map((u) => (
+                    <tr key={u.id} className="hover:bg-wa-hover transition">
+                      <td className="px-6 py-4">
+                        <div className="flex items-center">
+                          <div className="w-10 h-10 bg-primary-500 rounded-full flex items-center justify-center text-white font-semibold">
+                            {u.username?.charAt(0).toUpperCase()}
+                          </div>
+                          <div className="ml-4">
+                            <div className="text-sm font-medium text-white">{u.username}</div>
+                            <div className="text-sm text-gray-400">{u.full_name}</div>
+                          </div>
+                        </div>
+                      </td>
+                      <td className="px-6 py-4">
+                        <span className="px-2 py-1 text-xs font-semibold rounded-full bg-primary-500/20 text-primary-500">
+                          {u.role?.replace('_', ' ')}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4">
+                        <span
+                          className={`px-2 py-1 text-xs font-semibold rounded-full ${
+                            u.is_active
+                              ? 'bg-green-500/20 text-green-500'
+                              : 'bg-red-500/20 text-red-500'
+                          }`}
+                        >
+                          {u.is_active ? 'Active' : 'Inactive'}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-400">
+                        {u.last_login_at
+                          ? new Date(u.last_login_at).toLocaleDateString()
+                          : 'Never'}
+                      </td>
+                      <td className="px-6 py-4 text-right text-sm">
                         <button
-                          onClick={() => handleDeactivate(u.id)}
-                          className="text-red-500 hover:text-red-400"
-                          title="Deactivate"
+                          onClick={() => {
+                            const newPassword = prompt('Enter new password (min 8 characters):');
+                            if (newPassword && newPassword.length >= 8) {
+                              userAPI
+                                .resetPassword(u.id, newPassword)
+                                .then(() => toast.success('Password reset successfully'))
+                                .catch(() => toast.error('Failed to reset password'));
+                            }
+                          }}
+                          className="text-primary-500 hover:text-primary-400 mr-4"
+                          title="Reset Password"
                         >
-                          <TrashIcon className="w-5 h-5" />
+                          <KeyIcon className="w-5 h-5" />
                         </button>
-                      )}
-                    </td>
-                  </tr>
-                ))
-              )}
-            </tbody>
-          </table>
-        </div>
+
+                        {u.is_active && (
+                          <button
+                            onClick={() => handleDeactivate(u.id)}
+                            className="text-red-500 hover:text-red-400"
+                            title="Deactivate"
+                          >
+                            <TrashIcon className="w-5 h-5" />
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        )}
       </div>
 
       {/* Create User Modal */}
@@ -8,23 +8,37 @@ import { useAuthStore } from '../stores/authStore';
 import ChatSidebar from '../components/chat/ChatSidebar';
 import ChatWindow from '../components/chat/ChatWindow';
 import SessionModal from '../components/modals/SessionModal';
+import realtime from '../services/realtime';
+import toast from 'react-hot-toast';
 
 export default function ChatPage() {
   const { user } = useAuthStore();
-  const { currentSession, fetchSessions } = useChatStore();
+  const { currentSession, fetchSessions, connectRealtime, disconnectRealtime } = useChatStore();
   const [showSessionModal, setShowSessionModal] = useState(false);
 
   useEffect(() => {
     // Initial fetch
     fetchSessions();
 
-    // Auto-refresh sessions every 10 seconds to detect connection status changes
-    const interval = setInterval(() => {
-      fetchSessions();
-    }, 10000);
+    // Connection status changes and new messages are pushed over WebSocket
+    connectRealtime();
 
-    return () => clearInterval(interval);
-  }, [fetchSessions]);
+    return () => disconnectRealtime();
+  }, [fetchSessions, connectRealtime, disconnectRealtime]);
+
+  // Scheduled messages that came due while their session was not connected
+  // (sent to the session's admin and the message's author)
+  useEffect(() => {
+    return realtime.subscribe(({ type, data }) => {
+      if (type !== 'scheduled_message.held') return;
+
+      const recipient = data.contact?.name || data.contact?.phone_number || 'a chat';
+      toast.error(
+        `Scheduled message to ${recipient} held: session ${data.session_name} was not connected. Send it, reschedule or cancel it from the chat.`,
+        { duration: 10000 }
+      );
+    });
+  }, []);
 
   const isAdmin = ['admin', 'super_admin'].includes(user?.role);
 
@@ -97,11 +97,60 @@ export const userAPI = {
   },
 };
 
+// ===== Team Management API =====
+
+export const teamAPI = {
+  createTeam: async (teamData) => {
+    const response = await api.post('/teams', teamData);
+    return response.data;
+  },
+
+  getTeams: async () => {
+    const response = await api.get('/teams');
+    return response.data;
+  },
+
+  getTeamById: async (teamId) => {
+    const response = await api.get(`/teams/${teamId}`);
+    return response.data;
+  },
+
+  updateTeam: async (teamId, teamData) => {
+    const response = await api.put(`/teams/${teamId}`, teamData);
+    return response.data;
+  },
+
+  deleteTeam: async (teamId) => {
+    const response = await api.delete(`/teams/${teamId}`);
+    return response.data;
+  },
+
+  addMember: async (teamId, userId) => {
+    const response = await api.post(`/teams/${teamId}/members`, { user_id: userId });
+    return response.data;
+  },
+
+  removeMember: async (teamId, userId) => {
+    const response = await api.delete(`/teams/${teamId}/members/${userId}`);
+    return response.data;
+  },
+
+  getTeamSessions: async (teamId) => {
+    const response = await api.get(`/teams/${teamId}/sessions`);
+    return response.data;
+  },
+
+  getTeamChats: async (teamId) => {
+    const response = await api.get(`/teams/${teamId}/chats`);
+    return response.data;
+  },
+};
+
 // ===== Session API =====
 
 export const sessionAPI = {
-  createSession: async (sessionName) => {
-    const response = await api.post('/sessions', { session_name: sessionName });
+  createSession: async (sessionName, provider) => {
+    const response = await api.post('/sessions', { session_name: sessionName, provider });
     return response.data;
   },
 
@@ -147,32 +196,124 @@ export const sessionAPI = {
     const response = await api.get(`/sessions/${sessionId}/sync/status`);
     return response.data;
   },
+
+  cancelSync: async (sessionId) => {
+    const response = await api.post(`/sessions/${sessionId}/sync/cancel`);
+    return response.data;
+  },
 };
 
 // ===== Message API =====
 
 export const messageAPI = {
-  getChats: async (sessionId) => {
-    const response = await api.get(`/sessions/${sessionId}/chats`);
+  getChats: async (sessionId, { tag, importance } = {}) => {
+    const response = await api.get(`/sessions/${sessionId}/chats`, {
+      params: { tag: tag || undefined, importance: importance || undefined },
+    });
+    return response.data;
+  },
+
+  // Chat with a phone number, created if it does not exist yet
+  openChat: async (sessionId, phoneNumber, name) => {
+    const response = await api.post(`/sessions/${sessionId}/chats`, {
+      phone_number: phoneNumber,
+      name: name || null,
+    });
     return response.data;
   },
 
-  getMessages: async (sessionId, contactId, limit = 50, offset = 0) => {
+  // Newest first; page with the before/after cursors of the previous response's paging,
+  // or load the page around one message
+  getMessages: async (sessionId, contactId, { limit = 50, before, after, around } = {}) => {
     const response = await api.get(
       `/sessions/${sessionId}/contacts/${contactId}/messages`,
-      { params: { limit, offset } }
+      { params: { limit, before, after, around } }
     );
     return response.data;
   },
 
-  sendMessage: async (sessionId, phoneNumber, message) => {
+  // Messages are queued; sending again with the same idempotencyKey returns
+  // the queued message instead of sending it twice
+  // templateId sends that template's attachment with the message
+  sendMessage: async (sessionId, phoneNumber, message, { quotedMessageId, idempotencyKey, templateId } = {}) => {
     const response = await api.post(`/sessions/${sessionId}/messages`, {
       phone_number: phoneNumber,
-      message,
+      message: message || undefined,
+      quoted_message_id: quotedMessageId || undefined,
+      idempotency_key: idempotencyKey || undefined,
+      template_id: templateId || undefined,
     });
     return response.data;
   },
 
+  sendMediaMessage: async (sessionId, phoneNumber, file, caption = '', { asVoice = false, quotedMessageId, idempotencyKey } = {}) => {
+    const formData = new FormData();
+    formData.append('phone_number', phoneNumber);
+    formData.append('file', file);
+    if (caption) {
+      formData.append('caption', caption);
+    }
+    if (asVoice) {
+      formData.append('as_voice', 'true');
+    }
+    if (quotedMessageId) {
+      formData.append('quoted_message_id', quotedMessageId);
+    }
+    if (idempotencyKey) {
+      formData.append('idempotency_key', idempotencyKey);
+    }
+
+    const response = await api.post(`/sessions/${sessionId}/messages`, formData);
+    return response.data;
+  },
+
+  // Queue a message that failed to send again
+  retryMessage: async (sessionId, contactId, messageId) => {
+    const response = await api.post(
+      `/sessions/${sessionId}/contacts/${contactId}/messages/${messageId}/retry`
+    );
+    return response.data;
+  },
+
+  // Empty emoji removes our reaction
+  reactToMessage: async (sessionId, contactId, messageId, emoji) => {
+    const response = await api.post(
+      `/sessions/${sessionId}/contacts/${contactId}/messages/${messageId}/reactions`,
+      { emoji }
+    );
+    return response.data;
+  },
+
+  editMessage: async (sessionId, contactId, messageId, body) => {
+    const response = await api.patch(
+      `/sessions/${sessionId}/contacts/${contactId}/messages/${messageId}`,
+      { body }
+    );
+    return response.data;
+  },
+
+  // Delete for everyone
+  deleteMessage: async (sessionId, contactId, messageId) => {
+    const response = await api.delete(
+      `/sessions/${sessionId}/contacts/${contactId}/messages/${messageId}`
+    );
+    return response.data;
+  },
+
+  // Download a message's media now instead of waiting for the media queue
+  downloadMedia: async (sessionId, contactId, messageId) => {
+    const response = await api.post(
+      `/sessions/${sessionId}/contacts/${contactId}/messages/${messageId}/media/download`
+    );
+    return response.data;
+  },
+
+  // Fresh signed URL for a message's media (message URLs expire)
+  getMediaUrl: async (messageId) => {
+    const response = await api.get(`/messages/${messageId}/media`);
+    return response.data;
+  },
+
   markAsRead: async (sessionId, contactId) => {
     const response = await api.post(
       `/sessions/${sessionId}/contacts/${contactId}/read`
@@ -180,10 +321,193 @@ export const messageAPI = {
     return response.data;
   },
 
-  searchMessages: async (sessionId, query) => {
-    const response = await api.get(`/sessions/${sessionId}/search`, {
-      params: { q: query },
+  // filters: session_id, contact_id, from, to, direction, type, has_media, sort
+  searchMessages: async (query, filters = {}, cursor = null) => {
+    const params = { q: query };
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== '' && value !== null && value !== undefined) {
+        params[key] = value;
+      }
     });
+    if (cursor) {
+      params.cursor = cursor;
+    }
+
+    const response = await api.get('/search', { params });
+    return response.data;
+  },
+};
+
+// ===== Chat Assignment API =====
+
+export const assignmentAPI = {
+  getChatAssignments: async (sessionId, contactId) => {
+    const response = await api.get(
+      `/sessions/${sessionId}/contacts/${contactId}/assignments`
+    );
+    return response.data;
+  },
+
+  assignChat: async (sessionId, contactId, assignment) => {
+    const response = await api.post(
+      `/sessions/${sessionId}/contacts/${contactId}/assignments`,
+      assignment
+    );
+    return response.data;
+  },
+
+  reassignChat: async (sessionId, contactId, assignment) => {
+    const response = await api.put(
+      `/sessions/${sessionId}/contacts/${contactId}/assignments`,
+      assignment
+    );
+    return response.data;
+  },
+
+  unassignChat: async (sessionId, contactId, assignmentId) => {
+    const response = await api.delete(
+      `/sessions/${sessionId}/contacts/${contactId}/assignments/${assignmentId}`
+    );
+    return response.data;
+  },
+};
+
+// ===== Contact API =====
+
+export const contactAPI = {
+  getContactMetadata: async (sessionId, contactId) => {
+    const response = await api.get(
+      `/sessions/${sessionId}/contacts/${contactId}/metadata`
+    );
+    return response.data;
+  },
+
+  updateContactMetadata: async (sessionId, contactId, metadata) => {
+    const response = await api.put(
+      `/sessions/${sessionId}/contacts/${contactId}/metadata`,
+      metadata
+    );
+    return response.data;
+  },
+
+  getTags: async (sessionId) => {
+    const response = await api.get(`/sessions/${sessionId}/tags`);
+    return response.data;
+  },
+
+  getGroupParticipants: async (sessionId, contactId) => {
+    const response = await api.get(
+      `/sessions/${sessionId}/contacts/${contactId}/participants`
+    );
+    return response.data;
+  },
+};
+
+// ===== Message Template API =====
+
+// Templates and scheduled messages are sent as multipart so they can carry
+// an attachment ("file")
+function toAttachmentFormData({ file, ...fields }) {
+  const formData = new FormData();
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      formData.append(key, value);
+    }
+  });
+  if (file) {
+    formData.append('file', file);
+  }
+  return formData;
+}
+
+export const templateAPI = {
+  // Templates the current admin manages, with the variables templates may use
+  getTemplates: async ({ scope, teamId, sessionId } = {}) => {
+    const response = await api.get('/templates', {
+      params: { scope: scope || undefined, team_id: teamId || undefined, session_id: sessionId || undefined },
+    });
+    return response.data;
+  },
+
+  createTemplate: async (template) => {
+    const response = await api.post('/templates', toAttachmentFormData(template));
+    return response.data;
+  },
+
+  // A new file replaces the attachment, remove_media drops it
+  updateTemplate: async (templateId, changes) => {
+    const response = await api.put(`/templates/${templateId}`, toAttachmentFormData(changes));
+    return response.data;
+  },
+
+  deleteTemplate: async (templateId) => {
+    const response = await api.delete(`/templates/${templateId}`);
+    return response.data;
+  },
+
+  // Templates the current user can use in a session
+  getSessionTemplates: async (sessionId) => {
+    const response = await api.get(`/sessions/${sessionId}/templates`);
+    return response.data;
+  },
+
+  // Template text with the chat's and agent's values filled in
+  renderTemplate: async (sessionId, contactId, templateId) => {
+    const response = await api.get(
+      `/sessions/${sessionId}/contacts/${contactId}/templates/${templateId}/render`
+    );
+    return response.data;
+  },
+};
+
+// ===== Scheduled Message API =====
+
+export const scheduledMessageAPI = {
+  // Scheduled messages of a chat (status: scheduled, held, sent, ...)
+  getChatScheduledMessages: async (sessionId, contactId, { status } = {}) => {
+    const response = await api.get(
+      `/sessions/${sessionId}/contacts/${contactId}/scheduled-messages`,
+      { params: { status: status || undefined } }
+    );
+    return response.data;
+  },
+
+  // send_at is a local date and time ("2026-03-10T09:00") in timezone
+  createScheduledMessage: async (sessionId, contactId, { message, sendAt, timezone, templateId, file, asVoice }) => {
+    const response = await api.post(
+      `/sessions/${sessionId}/contacts/${contactId}/scheduled-messages`,
+      toAttachmentFormData({
+        message: message || undefined,
+        send_at: sendAt,
+        timezone,
+        template_id: templateId || undefined,
+        as_voice: asVoice ? 'true' : undefined,
+        file,
+      })
+    );
+    return response.data;
+  },
+
+  // A new file replaces the attachment, remove_media drops it
+  updateScheduledMessage: async (sessionId, contactId, scheduledMessageId, changes) => {
+    const response = await api.put(
+      `/sessions/${sessionId}/contacts/${contactId}/scheduled-messages/${scheduledMessageId}`,
+      toAttachmentFormData(changes)
+    );
+    return response.data;
+  },
+
+  sendScheduledMessageNow: async (sessionId, contactId, scheduledMessageId) => {
+    const response = await api.post(
+      `/sessions/${sessionId}/contacts/${contactId}/scheduled-messages/${scheduledMessageId}/send`
+    );
+    return response.data;
+  },
+
+  cancelScheduledMessage: async (sessionId, contactId, scheduledMessageId) => {
+    const response = await api.delete(
+      `/sessions/${sessionId}/contacts/${contactId}/scheduled-messages/${scheduledMessageId}`
+    );
     return response.data;
   },
 };
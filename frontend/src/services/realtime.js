@@ -0,0 +1,93 @@
+/**
+ * Realtime Client Service
+ * WebSocket connection to the backend event stream with auto-reconnect
+ */
+
+import { useAuthStore } from '../stores/authStore';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+const WS_URL = `${API_URL.replace(/^http/, 'ws')}/api/ws`;
+
+const MAX_RECONNECT_DELAY = 30000;
+
+let socket = null;
+let reconnectAttempts = 0;
+let reconnectTimer = null;
+let shouldReconnect = false;
+const listeners = new Set();
+
+function emit(event) {
+  listeners.forEach((listener) => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Realtime listener error:', error);
+    }
+  });
+}
+
+function scheduleReconnect() {
+  if (!shouldReconnect || reconnectTimer) return;
+
+  // Exponential backoff: 1s, 2s, 4s... capped at 30s
+  const delay = Math.min(1000 * 2 ** reconnectAttempts, MAX_RECONNECT_DELAY);
+  reconnectAttempts += 1;
+
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    openSocket();
+  }, delay);
+}
+
+function openSocket() {
+  const token = useAuthStore.getState().token;
+  if (!token) return;
+
+  socket = new WebSocket(`${WS_URL}?token=${encodeURIComponent(token)}`);
+
+  socket.onopen = () => {
+    // Let listeners resync whatever they missed while disconnected
+    emit({ type: reconnectAttempts > 0 ? 'reconnected' : 'open' });
+    reconnectAttempts = 0;
+  };
+
+  socket.onmessage = (e) => {
+    try {
+      emit(JSON.parse(e.data));
+    } catch (error) {
+      console.error('Invalid realtime message:', error);
+    }
+  };
+
+  socket.onclose = () => {
+    socket = null;
+    scheduleReconnect();
+  };
+
+  socket.onerror = () => {
+    // onclose follows and handles reconnection
+  };
+}
+
+export const realtime = {
+  connect: () => {
+    shouldReconnect = true;
+    if (!socket) openSocket();
+  },
+
+  disconnect: () => {
+    shouldReconnect = false;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    reconnectAttempts = 0;
+    socket?.close();
+    socket = null;
+  },
+
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+};
+
+export default realtime;
@@ -3,7 +3,45 @@
  */
 
 import { create } from 'zustand';
-import { messageAPI, sessionAPI } from '../services/api';
+import { messageAPI, sessionAPI, scheduledMessageAPI } from '../services/api';
+import realtime from '../services/realtime';
+
+let unsubscribeRealtime = null;
+
+// Optimistic messages waiting for (or failed at) their send request:
+// client id -> function sending it, with the client id as idempotency key
+const pendingSends = new Map();
+
+// Acks of sent messages published before their send request returned
+// (message id -> changes), applied when the saved row replaces the
+// optimistic one
+const earlyAcks = new Map();
+let sendsInFlight = 0;
+
+/**
+ * Message shown while its send request is in flight, under a client id
+ */
+function createOptimisticMessage(clientId, contactId, { quotedMessageId } = {}) {
+  return {
+    id: clientId,
+    contact_id: contactId,
+    waha_message_id: null,
+    from_me: true,
+    ack: 'QUEUED',
+    timestamp: new Date().toISOString(),
+    quoted_message_id: quotedMessageId || null,
+    reactions: [],
+    has_media: false,
+  };
+}
+
+// Same mapping as the backend's getMediaTypeFromMimetype
+function getMediaMessageType(mimetype, asVoice) {
+  if (mimetype?.startsWith('image/')) return 'image';
+  if (mimetype?.startsWith('video/')) return 'video';
+  if (mimetype?.startsWith('audio/')) return asVoice ? 'voice' : 'audio';
+  return 'document';
+}
 
 export const useChatStore = create((set, get) => ({
   // Sessions
@@ -13,14 +51,31 @@ export const useChatStore = create((set, get) => ({
   // Chats
   chats: [],
   currentChat: null,
+  chatFilters: { tag: '', importance: '' },
 
-  // Messages
+  // Messages (oldest first) and cursors to the neighbouring pages
   messages: [],
   isLoadingMessages: false,
+  messagesPaging: { before: null, after: null },
+  isLoadingOlderMessages: false,
+  isLoadingNewerMessages: false,
+  highlightedMessageId: null,
+
+  // Scheduled messages of the open chat (soonest first)
+  scheduledMessages: [],
+
+  // Composer: message being replied to or edited
+  replyingTo: null,
+  editingMessage: null,
+
+  // Latest QR code pushed per session (sessionId -> qrcode)
+  qrCodes: {},
+
+  // Latest sync job per session (sessionId -> job progress)
+  syncJobs: {},
 
   // UI State
   isLoadingChats: false,
-  isSendingMessage: false,
 
   // ===== Sessions =====
 
@@ -34,17 +89,39 @@ export const useChatStore = create((set, get) => ({
   },
 
   setCurrentSession: async (session) => {
-    set({ currentSession: session, currentChat: null, messages: [] });
+    set({
+      currentSession: session,
+      currentChat: null,
+      messages: [],
+      messagesPaging: { before: null, after: null },
+      chatFilters: { tag: '', importance: '' },
+    });
+    get().fetchSyncStatus(session.id);
     // Load chats for this session
     await get().fetchChats(session.id);
   },
 
+  fetchSyncStatus: async (sessionId) => {
+    try {
+      const response = await sessionAPI.getSyncStatus(sessionId);
+      get().setSyncJob(sessionId, response.data.job);
+    } catch (error) {
+      console.error('Failed to fetch sync status:', error);
+    }
+  },
+
+  setSyncJob: (sessionId, job) => {
+    set((state) => ({
+      syncJobs: { ...state.syncJobs, [sessionId]: job },
+    }));
+  },
+
   // ===== Chats =====
 
   fetchChats: async (sessionId) => {
     set({ isLoadingChats: true });
     try {
-      const response = await messageAPI.getChats(sessionId);
+      const response = await messageAPI.getChats(sessionId, get().chatFilters);
       set({ chats: response.data, isLoadingChats: false });
     } catch (error) {
       console.error('Failed to fetch chats:', error);
@@ -52,18 +129,92 @@ export const useChatStore = create((set, get) => ({
     }
   },
 
-  setCurrentChat: async (chat) => {
-    set({ currentChat: chat, isLoadingMessages: true });
+  setChatFilters: async (filters) => {
+    set((state) => ({ chatFilters: { ...state.chatFilters, ...filters } }));
+    const { currentSession } = get();
+    if (currentSession) {
+      await get().fetchChats(currentSession.id);
+    }
+  },
+
+  // Apply CRM profile changes (custom name, tags, importance) to the chat list
+  updateChatMetadata: (contactId, metadata) => {
+    set((state) => ({
+      chats: state.chats.map((c) =>
+        c.contact_id === contactId ? { ...c, ...metadata } : c
+      ),
+      currentChat: state.currentChat?.contact_id === contactId
+        ? { ...state.currentChat, ...metadata }
+        : state.currentChat,
+    }));
+  },
+
+  // Show a chat's new last message and move it to the top of the list
+  moveChatToTop: (contactId, changes) => {
+    set((state) => {
+      const chat = state.chats.find((c) => c.contact_id === contactId);
+      if (!chat) return state;
+      return {
+        chats: [{ ...chat, ...changes }, ...state.chats.filter((c) => c.contact_id !== contactId)],
+      };
+    });
+  },
+
+  // Open the chat with a phone number (e.g. a shared contact), starting it if needed
+  openChatByPhone: async (phoneNumber, name) => {
+    const { currentSession, chats } = get();
+    const number = phoneNumber.replace(/\D/g, '');
+    let chat = chats.find((c) => c.phone_number === number);
+
+    if (!chat) {
+      try {
+        const response = await messageAPI.openChat(currentSession.id, number, name);
+        chat = response.data;
+        set((state) => ({
+          chats: state.chats.some((c) => c.contact_id === chat.contact_id)
+            ? state.chats
+            : [...state.chats, chat],
+        }));
+      } catch (error) {
+        console.error('Failed to open chat:', error);
+        return false;
+      }
+    }
+
+    await get().setCurrentChat(chat);
+    return true;
+  },
+
+  // messageId: open the chat scrolled to this message (e.g. a search result)
+  setCurrentChat: async (chat, { messageId = null } = {}) => {
+    set({
+      currentChat: chat,
+      isLoadingMessages: true,
+      highlightedMessageId: null,
+      replyingTo: null,
+      editingMessage: null,
+      scheduledMessages: [],
+    });
+    get().fetchScheduledMessages(get().currentSession.id, chat.contact_id);
     // Load messages for this chat
-    await get().fetchMessages(get().currentSession.id, chat.contact_id);
+    if (messageId) {
+      await get().jumpToMessage(get().currentSession.id, chat.contact_id, messageId);
+    } else {
+      await get().fetchMessages(get().currentSession.id, chat.contact_id);
+    }
   },
 
   // ===== Messages =====
 
-  fetchMessages: async (sessionId, contactId, limit = 50, offset = 0) => {
+  // Latest page of a chat
+  fetchMessages: async (sessionId, contactId) => {
     try {
-      const response = await messageAPI.getMessages(sessionId, contactId, limit, offset);
-      set({ messages: response.data.reverse(), isLoadingMessages: false });
+      const response = await messageAPI.getMessages(sessionId, contactId);
+      set({
+        messages: response.data.reverse(),
+        messagesPaging: response.paging,
+        isLoadingMessages: false,
+      });
 
       // Mark as read
       await messageAPI.markAsRead(sessionId, contactId);
@@ -73,27 +224,342 @@ export const useChatStore = create((set, get) => ({
     }
   },
 
-  sendMessage: async (sessionId, phoneNumber, message) => {
-    set({ isSendingMessage: true });
+  // Prepend the page before the oldest loaded message
+  fetchOlderMessages: async () => {
+    const { currentSession, currentChat, messagesPaging, isLoadingOlderMessages } = get();
+    if (!currentSession || !currentChat || !messagesPaging.before || isLoadingOlderMessages) return;
+
+    set({ isLoadingOlderMessages: true });
     try {
-      const response = await messageAPI.sendMessage(sessionId, phoneNumber, message);
+      const response = await messageAPI.getMessages(currentSession.id, currentChat.contact_id, {
+        before: messagesPaging.before,
+      });
+      // Ignore pages of a chat that was closed meanwhile
+      if (get().currentChat?.contact_id !== currentChat.contact_id) return;
 
-      // Reload messages from database to get the saved message with proper ID
-      const currentChat = get().currentChat;
-      if (currentChat) {
-        await get().fetchMessages(sessionId, currentChat.contact_id);
-      }
+      set((state) => {
+        const loadedIds = new Set(state.messages.map((m) => m.id));
+        return {
+          messages: [...response.data.reverse().filter((m) => !loadedIds.has(m.id)), ...state.messages],
+          messagesPaging: { ...state.messagesPaging, before: response.paging.before },
+        };
+      });
+    } catch (error) {
+      console.error('Failed to fetch older messages:', error);
+    } finally {
+      set({ isLoadingOlderMessages: false });
+    }
+  },
 
-      // Also refresh chat list to update last message
-      await get().fetchChats(sessionId);
+  // Append the page after the newest loaded message (after jumping back in history)
+  fetchNewerMessages: async () => {
+    const { currentSession, currentChat, messagesPaging, isLoadingNewerMessages } = get();
+    if (!currentSession || !currentChat || !messagesPaging.after || isLoadingNewerMessages) return;
 
-      set({ isSendingMessage: false });
+    set({ isLoadingNewerMessages: true });
+    try {
+      const response = await messageAPI.getMessages(currentSession.id, currentChat.contact_id, {
+        after: messagesPaging.after,
+      });
+      if (get().currentChat?.contact_id !== currentChat.contact_id) return;
+
+      set((state) => {
+        const loadedIds = new Set(state.messages.map((m) => m.id));
+        return {
+          messages: [...state.messages, ...response.data.reverse().filter((m) => !loadedIds.has(m.id))],
+          messagesPaging: { ...state.messagesPaging, after: response.paging.after },
+        };
+      });
+    } catch (error) {
+      console.error('Failed to fetch newer messages:', error);
+    } finally {
+      set({ isLoadingNewerMessages: false });
+    }
+  },
+
+  // Load the page around a message and highlight it
+  jumpToMessage: async (sessionId, contactId, messageId) => {
+    set({ isLoadingMessages: true });
+    try {
+      const response = await messageAPI.getMessages(sessionId, contactId, { around: messageId });
+      set({
+        messages: response.data.reverse(),
+        messagesPaging: response.paging,
+        highlightedMessageId: messageId,
+        isLoadingMessages: false,
+      });
+
+      await messageAPI.markAsRead(sessionId, contactId);
+    } catch (error) {
+      console.error('Failed to jump to message:', error);
+      // Fall back to the latest messages
+      await get().fetchMessages(sessionId, contactId);
+    }
+  },
+
+  clearHighlightedMessage: () => set({ highlightedMessageId: null }),
+
+  // Messages show right away under a client id and are replaced by the
+  // saved row when the request returns; failed ones can be retried
+  // options: { quotedMessageId, templateMedia }
+  // templateMedia ({ template_id, media } of a rendered template) sends the
+  // template's attachment with the text
+  sendMessage: async (sessionId, phoneNumber, text, options = {}) => {
+    const clientId = crypto.randomUUID();
+    const media = options.templateMedia?.media;
+
+    pendingSends.set(clientId, () => messageAPI.sendMessage(sessionId, phoneNumber, text, {
+      quotedMessageId: options.quotedMessageId,
+      templateId: options.templateMedia?.template_id,
+      idempotencyKey: clientId,
+    }));
+
+    get().addOptimisticMessage({
+      ...createOptimisticMessage(clientId, get().currentChat?.contact_id, options),
+      message_type: media ? media.media_type : 'text',
+      body: text,
+      ...(media && {
+        has_media: true,
+        media_url: media.url,
+        media_thumbnail_url: media.thumbnail_url,
+        media_mimetype: media.mimetype,
+        media_filename: media.filename,
+        media_size: media.size,
+        media_width: media.width,
+        media_height: media.height,
+        media_duration: media.duration,
+      }),
+    });
+
+    return get().submitPendingMessage(clientId);
+  },
+
+  // options: { quotedMessageId, asVoice }
+  sendMediaMessage: async (sessionId, phoneNumber, file, caption, options) => {
+    const clientId = crypto.randomUUID();
+
+    pendingSends.set(clientId, () => messageAPI.sendMediaMessage(sessionId, phoneNumber, file, caption, {
+      ...options,
+      idempotencyKey: clientId,
+    }));
+
+    get().addOptimisticMessage({
+      ...createOptimisticMessage(clientId, get().currentChat?.contact_id, options),
+      message_type: getMediaMessageType(file.type, options?.asVoice),
+      body: caption,
+      has_media: true,
+      // Local preview until the saved row brings the stored file
+      media_url: URL.createObjectURL(file),
+      media_mimetype: file.type,
+      media_filename: file.name,
+      media_size: file.size,
+    });
+
+    return get().submitPendingMessage(clientId);
+  },
+
+  addOptimisticMessage: (message) => {
+    get().addMessage(message);
+    get().moveChatToTop(message.contact_id, {
+      last_message_body: message.body,
+      last_message_timestamp: message.timestamp,
+      last_message_from_me: true,
+    });
+  },
+
+  // Send (or send again) an optimistic message
+  submitPendingMessage: async (clientId) => {
+    sendsInFlight += 1;
+    try {
+      const { data: saved } = await pendingSends.get(clientId)();
+      pendingSends.delete(clientId);
+      get().reconcileMessage(clientId, saved);
       return true;
     } catch (error) {
       console.error('Failed to send message:', error);
-      set({ isSendingMessage: false });
+      get().updateMessageAck(clientId, 'FAILED', {
+        send_error: error.response?.data?.message || 'Could not reach the server',
+      });
       return false;
+    } finally {
+      sendsInFlight -= 1;
+      if (sendsInFlight === 0) {
+        earlyAcks.clear();
+      }
+    }
+  },
+
+  // Replace an optimistic message with its saved row
+  reconcileMessage: (clientId, saved) => {
+    const optimistic = get().messages.find((m) => m.id === clientId);
+    if (optimistic?.media_url?.startsWith('blob:')) {
+      URL.revokeObjectURL(optimistic.media_url);
     }
+
+    const message = { ...saved, ...earlyAcks.get(saved.id) };
+    earlyAcks.delete(saved.id);
+
+    set((state) => ({
+      // A reload may have brought the saved row in already
+      messages: state.messages.some((m) => m.id === saved.id)
+        ? state.messages.filter((m) => m.id !== clientId)
+        : state.messages.map((m) => (m.id === clientId ? message : m)),
+    }));
+  },
+
+  // Failed before reaching the server: send the same request again;
+  // failed in the outbound queue: queue it again
+  retryMessage: async (message) => {
+    if (pendingSends.has(message.id)) {
+      get().updateMessageAck(message.id, 'QUEUED', { send_error: null });
+      return get().submitPendingMessage(message.id);
+    }
+
+    const { currentSession, currentChat } = get();
+    try {
+      const { data } = await messageAPI.retryMessage(currentSession.id, currentChat.contact_id, message.id);
+      get().updateMessageAck(message.id, data.ack, { send_error: null });
+      return true;
+    } catch (error) {
+      console.error('Failed to retry message:', error);
+      return false;
+    }
+  },
+
+  // Reply to a message (null cancels); replying and editing exclude each other
+  setReplyingTo: (message) => set({ replyingTo: message, editingMessage: null }),
+
+  setEditingMessage: (message) => set({ editingMessage: message, replyingTo: null }),
+
+  // Empty emoji removes our reaction
+  reactToMessage: async (messageId, emoji) => {
+    const { currentSession, currentChat } = get();
+    try {
+      const { data } = await messageAPI.reactToMessage(currentSession.id, currentChat.contact_id, messageId, emoji);
+      get().applyMessageUpdate(data);
+      return true;
+    } catch (error) {
+      console.error('Failed to react to message:', error);
+      return false;
+    }
+  },
+
+  editMessage: async (messageId, body) => {
+    const { currentSession, currentChat } = get();
+    try {
+      const { data } = await messageAPI.editMessage(currentSession.id, currentChat.contact_id, messageId, body);
+      get().applyMessageUpdate(data);
+      set({ editingMessage: null });
+      return true;
+    } catch (error) {
+      console.error('Failed to edit message:', error);
+      return false;
+    }
+  },
+
+  // Delete for everyone
+  deleteMessage: async (messageId) => {
+    const { currentSession, currentChat } = get();
+    try {
+      const { data } = await messageAPI.deleteMessage(currentSession.id, currentChat.contact_id, messageId);
+      get().applyMessageUpdate(data);
+      return true;
+    } catch (error) {
+      console.error('Failed to delete message:', error);
+      return false;
+    }
+  },
+
+  // Merge changed fields ({ message_id, ...fields }) into a loaded message
+  applyMessageUpdate: ({ message_id: messageId, ...fields }) => {
+    set((state) => ({
+      messages: state.messages.map((m) =>
+        m.id === messageId ? { ...m, ...fields } : m
+      ),
+    }));
+  },
+
+  // Download media the queue has not fetched (yet); the result also arrives as message.updated
+  downloadMessageMedia: async (sessionId, contactId, messageId) => {
+    const setMediaStatus = (fields) => set((state) => ({
+      messages: state.messages.map((m) =>
+        m.id === messageId ? { ...m, ...fields } : m
+      ),
+    }));
+
+    setMediaStatus({ media_status: 'downloading' });
+    try {
+      const { data } = await messageAPI.downloadMedia(sessionId, contactId, messageId);
+      setMediaStatus({
+        media_status: data.download_status,
+        ...(data.media_url && {
+          media_url: data.media_url,
+          media_url_expires_at: data.media_url_expires_at,
+          media_thumbnail_url: data.media_thumbnail_url,
+          media_mimetype: data.media_mimetype,
+          media_filename: data.media_filename,
+          media_size: data.media_size,
+          media_width: data.media_width,
+          media_height: data.media_height,
+          media_duration: data.media_duration,
+        }),
+      });
+      return true;
+    } catch (error) {
+      console.error('Failed to download media:', error);
+      setMediaStatus({ media_status: 'failed' });
+      return false;
+    }
+  },
+
+  // Media URLs are signed and short-lived: get a new one once expired
+  // Returns the new URL, or null when it could not be refreshed
+  refreshMediaUrl: async (messageId) => {
+    try {
+      const { data } = await messageAPI.getMediaUrl(messageId);
+      set((state) => ({
+        messages: state.messages.map((m) =>
+          m.id === messageId
+            ? {
+                ...m,
+                media_url: data.url,
+                media_url_expires_at: data.expires_at,
+                media_thumbnail_url: data.thumbnail_url ?? m.media_thumbnail_url,
+              }
+            : m
+        ),
+      }));
+      return data.url;
+    } catch (error) {
+      console.error('Failed to refresh media URL:', error);
+      return null;
+    }
+  },
+
+  // ===== Scheduled Messages =====
+
+  fetchScheduledMessages: async (sessionId, contactId) => {
+    try {
+      const response = await scheduledMessageAPI.getChatScheduledMessages(sessionId, contactId);
+      // The chat may have changed meanwhile
+      if (get().currentChat?.contact_id === contactId) {
+        set({ scheduledMessages: response.data });
+      }
+    } catch (error) {
+      console.error('Failed to fetch scheduled messages:', error);
+    }
+  },
+
+  // Add or replace a scheduled message of the open chat
+  upsertScheduledMessage: (scheduled) => {
+    set((state) => {
+      const others = state.scheduledMessages.filter((s) => s.id !== scheduled.id);
+      return {
+        scheduledMessages: [...others, scheduled].sort(
+          (a, b) => new Date(a.scheduled_at) - new Date(b.scheduled_at)
+        ),
+      };
+    });
   },
 
   // Add incoming message (from webhook or polling)
@@ -103,16 +569,157 @@ export const useChatStore = create((set, get) => ({
       if (state.messages.find((m) => m.id === message.id)) {
         return state;
       }
+      // Browsing older history - the message arrives with the newer pages
+      if (state.messagesPaging.after) {
+        return state;
+      }
       return { messages: [...state.messages, message] };
     });
   },
 
-  // Update message ACK status
-  updateMessageAck: (messageId, ack) => {
+  // Update message ACK status (and the queue state of messages we send:
+  // QUEUED, SENDING, FAILED with its error, then the provider's acks)
+  updateMessageAck: (messageId, ack, changes = {}) => {
     set((state) => ({
       messages: state.messages.map((m) =>
-        m.id === messageId ? { ...m, ack } : m
+        m.id === messageId ? { ...m, ...changes, ack } : m
       ),
     }));
   },
+
+  // ===== Realtime =====
+
+  connectRealtime: () => {
+    if (unsubscribeRealtime) return;
+
+    unsubscribeRealtime = realtime.subscribe((event) => get().handleRealtimeEvent(event));
+    realtime.connect();
+  },
+
+  disconnectRealtime: () => {
+    unsubscribeRealtime?.();
+    unsubscribeRealtime = null;
+    realtime.disconnect();
+  },
+
+  handleRealtimeEvent: (event) => {
+    const { type, session_id: sessionId, data } = event;
+    const { currentSession, currentChat } = get();
+    const isCurrentSession = currentSession?.id === sessionId;
+
+    switch (type) {
+      case 'reconnected':
+        // Catch up on anything missed while disconnected
+        get().fetchSessions();
+        if (currentSession) {
+          get().fetchChats(currentSession.id);
+          get().fetchSyncStatus(currentSession.id);
+          if (currentChat) {
+            get().fetchMessages(currentSession.id, currentChat.contact_id);
+            get().fetchScheduledMessages(currentSession.id, currentChat.contact_id);
+          }
+        }
+        break;
+
+      case 'message.new': {
+        if (!isCurrentSession) break;
+
+        const { message, contact } = data;
+        const isOpenChat = currentChat?.contact_id === message.contact_id;
+
+        if (isOpenChat) {
+          get().addMessage(message);
+          if (!message.from_me) {
+            messageAPI.markAsRead(sessionId, message.contact_id).catch(() => {});
+          }
+        }
+
+        const existing = get().chats.find((c) => c.contact_id === message.contact_id);
+        if (!existing) {
+          // New conversation - reload to get full contact details
+          get().fetchChats(sessionId);
+          break;
+        }
+
+        get().moveChatToTop(message.contact_id, {
+          name: existing.name || contact?.name || null,
+          last_message_body: message.body,
+          last_message_timestamp: message.timestamp,
+          last_message_from_me: message.from_me,
+          unread_count: isOpenChat || message.from_me
+            ? existing.unread_count
+            : Number(existing.unread_count || 0) + 1,
+        });
+        break;
+      }
+
+      case 'message.ack':
+        if (isCurrentSession) {
+          const changes = {
+            ...(data.waha_message_id && { waha_message_id: data.waha_message_id }),
+            ...(data.timestamp && { timestamp: data.timestamp }),
+            send_error: data.error || null,
+          };
+
+          // The queue can be faster than the send request's response
+          if (sendsInFlight > 0 && !get().messages.some((m) => m.id === data.message_id)) {
+            earlyAcks.set(data.message_id, { ...changes, ack: data.ack });
+          }
+
+          get().updateMessageAck(data.message_id, data.ack, changes);
+        }
+        break;
+
+      case 'message.updated':
+        if (isCurrentSession) {
+          get().applyMessageUpdate(data);
+        }
+        break;
+
+      case 'scheduled_message.updated':
+        if (isCurrentSession && currentChat?.contact_id === data.contact_id) {
+          get().upsertScheduledMessage(data.scheduled_message);
+        }
+        break;
+
+      case 'contact.updated':
+        if (isCurrentSession) {
+          const { contact_id: contactId, ...metadata } = data;
+          get().updateChatMetadata(contactId, metadata);
+        }
+        break;
+
+      case 'session.status':
+        set((state) => ({
+          sessions: state.sessions.map((s) =>
+            s.id === sessionId ? { ...s, ...data } : s
+          ),
+          currentSession: isCurrentSession
+            ? { ...state.currentSession, ...data }
+            : state.currentSession,
+        }));
+        break;
+
+      case 'sync.progress': {
+        const previous = get().syncJobs[sessionId];
+        get().setSyncJob(sessionId, data);
+
+        // Show the synced conversations once the job is done
+        const isFinished = ['completed', 'failed', 'cancelled'].includes(data.status);
+        if (isCurrentSession && isFinished && previous?.status !== data.status) {
+          get().fetchChats(sessionId);
+        }
+        break;
+      }
+
+      case 'session.qr':
+        set((state) => ({
+          qrCodes: { ...state.qrCodes, [sessionId]: data.qrcode },
+        }));
+        break;
+
+      default:
+        break;
+    }
+  },
 }));
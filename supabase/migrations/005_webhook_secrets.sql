@@ -0,0 +1,26 @@
+-- =====================================================
+-- Per-Instance Webhook Secrets
+-- Shared secrets used to authenticate Evolution API webhooks
+-- =====================================================
+
+-- Current secret registered with the Evolution API instance
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS webhook_secret TEXT;
+
+-- Previous secret, still accepted for a grace period after rotation
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS webhook_secret_previous TEXT;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS webhook_secret_rotated_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN sessions.webhook_secret IS 'Shared secret sent by Evolution API in the x-webhook-token header';
+COMMENT ON COLUMN sessions.webhook_secret_previous IS 'Secret replaced by the last rotation (accepted during grace period)';
+
+-- =====================================================
+-- Migration Complete
+-- =====================================================
+
+-- Existing sessions have no secret yet: the backend registers one for each
+-- at startup (retrying failures periodically); their unsigned webhooks are
+-- only accepted during the optional WEBHOOK_UNSIGNED_UNTIL window
+DO $$
+BEGIN
+    RAISE NOTICE 'Webhook secrets migration completed';
+END $$;
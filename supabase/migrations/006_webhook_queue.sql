@@ -0,0 +1,77 @@
+-- =====================================================
+-- Durable Webhook Ingestion Queue
+-- Turns webhook_logs into a retryable work queue
+-- =====================================================
+
+-- Queue state
+-- pending    -> waiting for the worker
+-- processing -> claimed by a worker
+-- failed     -> last attempt failed, retried at next_attempt_at
+-- completed  -> processed successfully
+-- dead       -> gave up after too many attempts (replay manually)
+ALTER TABLE webhook_logs ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'pending';
+ALTER TABLE webhook_logs ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE webhook_logs ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE webhook_logs ADD COLUMN IF NOT EXISTS locked_at TIMESTAMPTZ;
+
+ALTER TABLE webhook_logs DROP CONSTRAINT IF EXISTS webhook_logs_status_check;
+ALTER TABLE webhook_logs ADD CONSTRAINT webhook_logs_status_check
+    CHECK (status IN ('pending', 'processing', 'failed', 'completed', 'dead'));
+
+-- Existing rows
+UPDATE webhook_logs
+SET status = CASE WHEN processed THEN 'completed' ELSE 'pending' END;
+
+CREATE INDEX IF NOT EXISTS idx_webhook_logs_queue
+ON webhook_logs(next_attempt_at)
+WHERE status IN ('pending', 'failed');
+
+CREATE INDEX IF NOT EXISTS idx_webhook_logs_status ON webhook_logs(status);
+
+-- =====================================================
+-- Claim a batch of due events
+-- SKIP LOCKED lets several backend processes share the queue;
+-- events stuck in 'processing' (crashed worker) are reclaimed
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION claim_webhook_logs(
+    p_limit INTEGER DEFAULT 20,
+    p_lock_timeout_seconds INTEGER DEFAULT 300
+)
+RETURNS SETOF webhook_logs AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE webhook_logs w
+    SET status = 'processing',
+        locked_at = NOW(),
+        attempts = w.attempts + 1
+    WHERE w.id IN (
+        SELECT wl.id
+        FROM webhook_logs wl
+        WHERE (wl.status IN ('pending', 'failed') AND wl.next_attempt_at <= NOW())
+        OR (wl.status = 'processing' AND wl.locked_at < NOW() - make_interval(secs => p_lock_timeout_seconds))
+        ORDER BY wl.received_at
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING w.*;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- Cleanup: keep failed and dead-lettered events
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION cleanup_old_webhook_logs()
+RETURNS INTEGER AS $$
+DECLARE
+    v_deleted_count INTEGER;
+BEGIN
+    DELETE FROM webhook_logs
+    WHERE status = 'completed'
+    AND received_at < NOW() - INTERVAL '7 days';
+
+    GET DIAGNOSTICS v_deleted_count = ROW_COUNT;
+    RETURN v_deleted_count;
+END;
+$$ LANGUAGE plpgsql;
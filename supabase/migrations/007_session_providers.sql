@@ -0,0 +1,24 @@
+-- =====================================================
+-- Per-Session WhatsApp Provider
+-- Sessions run on either Evolution API or WAHA
+-- =====================================================
+
+-- Existing sessions were all created on Evolution API
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS provider TEXT NOT NULL DEFAULT 'evolution';
+
+ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_provider_check;
+ALTER TABLE sessions ADD CONSTRAINT sessions_provider_check
+    CHECK (provider IN ('evolution', 'waha'));
+
+COMMENT ON COLUMN sessions.provider IS 'WhatsApp provider backing this session (evolution | waha)';
+COMMENT ON COLUMN sessions.waha_metadata IS 'Provider instance metadata (Evolution API or WAHA)';
+
+-- =====================================================
+-- Webhook queue: remember which adapter parses each payload
+-- =====================================================
+
+ALTER TABLE webhook_logs ADD COLUMN IF NOT EXISTS provider TEXT NOT NULL DEFAULT 'evolution';
+
+ALTER TABLE webhook_logs DROP CONSTRAINT IF EXISTS webhook_logs_provider_check;
+ALTER TABLE webhook_logs ADD CONSTRAINT webhook_logs_provider_check
+    CHECK (provider IN ('evolution', 'waha'));
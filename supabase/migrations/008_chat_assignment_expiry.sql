@@ -0,0 +1,39 @@
+-- =====================================================
+-- Chat Assignments: team uniqueness and expiry
+-- Conversations are assigned to agents (users or teams)
+-- and stop granting access at expires_at
+-- =====================================================
+
+-- One assignment row per (contact, team), mirroring UNIQUE(contact_id, assigned_to_user_id)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_chat_assignments_contact_team
+    ON chat_assignments(contact_id, assigned_to_team_id)
+    WHERE assigned_to_team_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_chat_assignments_session_active
+    ON chat_assignments(session_id, is_active);
+
+CREATE INDEX IF NOT EXISTS idx_chat_assignments_expires_at
+    ON chat_assignments(expires_at)
+    WHERE is_active = TRUE AND expires_at IS NOT NULL;
+
+-- =====================================================
+-- Deactivate expired assignments (called periodically by the backend)
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION expire_chat_assignments()
+RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    UPDATE chat_assignments
+    SET is_active = FALSE
+    WHERE is_active = TRUE
+    AND expires_at IS NOT NULL
+    AND expires_at <= NOW();
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION expire_chat_assignments IS 'Deactivate chat assignments past their expires_at';
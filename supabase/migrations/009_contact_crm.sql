@@ -0,0 +1,77 @@
+-- =====================================================
+-- Contact CRM Profile
+-- Custom names, notes, tags and importance per contact,
+-- returned with (and filterable in) the chat list
+-- =====================================================
+
+-- Importance levels used by the UI
+-- NOT VALID: rows written before this migration are left alone
+ALTER TABLE contact_metadata DROP CONSTRAINT IF EXISTS contact_metadata_importance_check;
+ALTER TABLE contact_metadata ADD CONSTRAINT contact_metadata_importance_check
+    CHECK (importance IN ('low', 'normal', 'high', 'urgent')) NOT VALID;
+
+-- =====================================================
+-- GET CHAT LIST (with CRM metadata and filters)
+-- The return type changes, so the old function must be dropped first
+-- =====================================================
+
+DROP FUNCTION IF EXISTS get_chat_list(UUID);
+
+CREATE OR REPLACE FUNCTION get_chat_list(
+    p_session_id UUID,
+    p_tag TEXT DEFAULT NULL,
+    p_importance TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+    contact_id UUID,
+    phone_number TEXT,
+    name TEXT,
+    custom_name TEXT,
+    is_group BOOLEAN,
+    profile_pic_url TEXT,
+    tags TEXT[],
+    importance TEXT,
+    last_message_body TEXT,
+    last_message_timestamp TIMESTAMPTZ,
+    last_message_from_me BOOLEAN,
+    unread_count BIGINT
+) AS $$
+BEGIN
+    RETURN QUERY
+    WITH latest_messages AS (
+        SELECT DISTINCT ON (m.contact_id)
+            m.contact_id,
+            m.body,
+            m.timestamp,
+            m.from_me
+        FROM messages m
+        WHERE m.session_id = p_session_id
+        ORDER BY m.contact_id, m.timestamp DESC
+    )
+    SELECT
+        c.id,
+        c.phone_number,
+        c.name,
+        cm.custom_name::TEXT,
+        c.is_group,
+        c.profile_pic_url,
+        COALESCE(cm.tags, '{}'::TEXT[]),
+        COALESCE(cm.importance, 'normal')::TEXT,
+        lm.body,
+        lm.timestamp,
+        lm.from_me,
+        COUNT(m.id) FILTER (WHERE m.from_me = FALSE AND m.ack != 'READ') as unread_count
+    FROM contacts c
+    LEFT JOIN contact_metadata cm ON cm.contact_id = c.id AND cm.session_id = p_session_id
+    LEFT JOIN latest_messages lm ON lm.contact_id = c.id
+    LEFT JOIN messages m ON m.contact_id = c.id AND m.session_id = p_session_id
+    WHERE c.session_id = p_session_id
+    AND (p_tag IS NULL OR cm.tags @> ARRAY[p_tag])
+    AND (p_importance IS NULL OR COALESCE(cm.importance, 'normal') = p_importance)
+    GROUP BY c.id, c.phone_number, c.name, cm.custom_name, c.is_group, c.profile_pic_url,
+             cm.tags, cm.importance, lm.body, lm.timestamp, lm.from_me
+    ORDER BY lm.timestamp DESC NULLS LAST;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION get_chat_list IS 'Chats of a session with last message, unread count and CRM metadata, optionally filtered by tag and importance';
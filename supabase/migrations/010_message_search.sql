@@ -0,0 +1,132 @@
+-- =====================================================
+-- Full-Text Message Search
+-- tsvector + GIN index (Turkish, English and language-neutral),
+-- ranked results with highlights, filters and cursor pagination
+-- =====================================================
+
+-- Every message is indexed with three configurations:
+-- turkish and english add stemming, simple keeps exact words for any other language
+-- NOTE: adding a stored generated column rewrites the messages table
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+    GENERATED ALWAYS AS (
+        to_tsvector('turkish'::regconfig, COALESCE(body, '')) ||
+        to_tsvector('english'::regconfig, COALESCE(body, '')) ||
+        to_tsvector('simple'::regconfig, COALESCE(body, '') || ' ' || COALESCE(media_filename, ''))
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_messages_search_vector
+    ON messages USING GIN (search_vector);
+
+-- =====================================================
+-- SEARCH MESSAGES
+-- Replaces the single-session ILIKE search
+-- =====================================================
+
+DROP FUNCTION IF EXISTS search_messages(UUID, TEXT, INTEGER);
+
+-- p_session_ids / p_contact_ids: NULL means no restriction
+-- p_sort: 'relevance' (rank, then newest) or 'recent' (newest first)
+-- Cursor: rank, timestamp and id of the last row of the previous page
+CREATE OR REPLACE FUNCTION search_messages(
+    p_query TEXT,
+    p_session_ids UUID[] DEFAULT NULL,
+    p_contact_ids UUID[] DEFAULT NULL,
+    p_date_from TIMESTAMPTZ DEFAULT NULL,
+    p_date_to TIMESTAMPTZ DEFAULT NULL,
+    p_from_me BOOLEAN DEFAULT NULL,
+    p_message_type TEXT DEFAULT NULL,
+    p_has_media BOOLEAN DEFAULT NULL,
+    p_sort TEXT DEFAULT 'relevance',
+    p_cursor_rank REAL DEFAULT NULL,
+    p_cursor_timestamp TIMESTAMPTZ DEFAULT NULL,
+    p_cursor_id UUID DEFAULT NULL,
+    p_limit INTEGER DEFAULT 20
+)
+RETURNS TABLE (
+    id UUID,
+    session_id UUID,
+    session_name TEXT,
+    contact_id UUID,
+    contact_name TEXT,
+    phone_number TEXT,
+    body TEXT,
+    headline TEXT,
+    message_type TEXT,
+    has_media BOOLEAN,
+    media_filename TEXT,
+    from_me BOOLEAN,
+    timestamp TIMESTAMPTZ,
+    rank REAL
+) AS $$
+DECLARE
+    v_query TSQUERY;
+BEGIN
+    v_query := websearch_to_tsquery('turkish', p_query) ||
+               websearch_to_tsquery('english', p_query) ||
+               websearch_to_tsquery('simple', p_query);
+
+    -- Only stop words (or nothing searchable) in the query
+    IF numnode(v_query) = 0 THEN
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    WITH matches AS (
+        SELECT
+            m.id,
+            m.session_id,
+            m.contact_id,
+            m.body,
+            m.message_type,
+            m.has_media,
+            m.media_filename,
+            m.from_me,
+            m.timestamp,
+            ts_rank(m.search_vector, v_query) AS rank,
+            CASE WHEN p_sort = 'recent' THEN 0::REAL ELSE ts_rank(m.search_vector, v_query) END AS sort_rank
+        FROM messages m
+        WHERE m.search_vector @@ v_query
+        AND (p_session_ids IS NULL OR m.session_id = ANY(p_session_ids))
+        AND (p_contact_ids IS NULL OR m.contact_id = ANY(p_contact_ids))
+        AND (p_date_from IS NULL OR m.timestamp >= p_date_from)
+        AND (p_date_to IS NULL OR m.timestamp <= p_date_to)
+        AND (p_from_me IS NULL OR m.from_me = p_from_me)
+        AND (p_message_type IS NULL OR m.message_type::TEXT = p_message_type)
+        AND (p_has_media IS NULL OR COALESCE(m.has_media, FALSE) = p_has_media)
+    ),
+    page AS (
+        SELECT *
+        FROM matches mt
+        WHERE p_cursor_id IS NULL
+        OR (mt.sort_rank, mt.timestamp, mt.id) <
+           (CASE WHEN p_sort = 'recent' THEN 0::REAL ELSE p_cursor_rank END, p_cursor_timestamp, p_cursor_id)
+        ORDER BY mt.sort_rank DESC, mt.timestamp DESC, mt.id DESC
+        LIMIT p_limit
+    )
+    SELECT
+        p.id,
+        p.session_id,
+        s.session_name,
+        p.contact_id,
+        COALESCE(cm.custom_name, c.name)::TEXT,
+        c.phone_number,
+        p.body,
+        -- U+E000 / U+E001 mark matches; clients render them, so message text is never parsed as HTML
+        ts_headline('turkish', COALESCE(p.body, ''), v_query,
+            'StartSel=' || chr(57344) || ', StopSel=' || chr(57345) ||
+            ', MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" ... "'),
+        p.message_type::TEXT,
+        COALESCE(p.has_media, FALSE),
+        p.media_filename,
+        p.from_me,
+        p.timestamp,
+        p.rank
+    FROM page p
+    JOIN sessions s ON s.id = p.session_id
+    JOIN contacts c ON c.id = p.contact_id
+    LEFT JOIN contact_metadata cm ON cm.contact_id = p.contact_id AND cm.session_id = p.session_id
+    ORDER BY p.sort_rank DESC, p.timestamp DESC, p.id DESC;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION search_messages IS 'Ranked full-text search over messages with filters, highlighted snippets and cursor pagination';
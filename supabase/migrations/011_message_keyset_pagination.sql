@@ -0,0 +1,93 @@
+-- =====================================================
+-- Keyset Message Pagination
+-- Pages of a chat addressed by (timestamp, id) cursors instead of offsets,
+-- so new messages arriving do not shift older pages
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_messages_chat_keyset
+    ON messages(session_id, contact_id, timestamp DESC, id DESC);
+
+-- =====================================================
+-- GET CHAT MESSAGES PAGE
+-- before: messages older than the cursor (default: latest messages)
+-- after:  messages newer than the cursor (takes precedence over before)
+-- Rows are always returned newest first, like get_chat_messages
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION get_chat_messages_page(
+    p_session_id UUID,
+    p_contact_id UUID,
+    p_before_timestamp TIMESTAMPTZ DEFAULT NULL,
+    p_before_id UUID DEFAULT NULL,
+    p_after_timestamp TIMESTAMPTZ DEFAULT NULL,
+    p_after_id UUID DEFAULT NULL,
+    p_limit INTEGER DEFAULT 50
+)
+RETURNS TABLE (
+    id UUID,
+    waha_message_id TEXT,
+    message_type message_type,
+    body TEXT,
+    from_me BOOLEAN,
+    ack message_ack,
+    has_media BOOLEAN,
+    media_url TEXT,
+    media_mimetype TEXT,
+    media_filename TEXT,
+    timestamp TIMESTAMPTZ,
+    quoted_message_id UUID
+) AS $$
+BEGIN
+    IF p_after_timestamp IS NOT NULL THEN
+        -- Closest newer messages first, then flip to newest first
+        RETURN QUERY
+        SELECT page.*
+        FROM (
+            SELECT
+                m.id,
+                m.waha_message_id,
+                m.message_type,
+                m.body,
+                m.from_me,
+                m.ack,
+                m.has_media,
+                m.media_url,
+                m.media_mimetype,
+                m.media_filename,
+                m.timestamp,
+                m.quoted_message_id
+            FROM messages m
+            WHERE m.session_id = p_session_id
+            AND m.contact_id = p_contact_id
+            AND (m.timestamp, m.id) > (p_after_timestamp, p_after_id)
+            ORDER BY m.timestamp ASC, m.id ASC
+            LIMIT p_limit
+        ) page
+        ORDER BY page.timestamp DESC, page.id DESC;
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    SELECT
+        m.id,
+        m.waha_message_id,
+        m.message_type,
+        m.body,
+        m.from_me,
+        m.ack,
+        m.has_media,
+        m.media_url,
+        m.media_mimetype,
+        m.media_filename,
+        m.timestamp,
+        m.quoted_message_id
+    FROM messages m
+    WHERE m.session_id = p_session_id
+    AND m.contact_id = p_contact_id
+    AND (p_before_timestamp IS NULL OR (m.timestamp, m.id) < (p_before_timestamp, p_before_id))
+    ORDER BY m.timestamp DESC, m.id DESC
+    LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION get_chat_messages_page IS 'Keyset-paginated chat messages (newest first) before or after a (timestamp, id) cursor';
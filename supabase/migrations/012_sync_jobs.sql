@@ -0,0 +1,199 @@
+-- =====================================================
+-- Resumable Sync Jobs
+-- sync_logs rows become persisted jobs run by a background worker,
+-- with per-chat checkpoints so a crashed or restarted job resumes
+-- where it stopped
+-- =====================================================
+
+-- Job state
+-- pending    -> waiting for the worker
+-- running    -> claimed by a worker (heartbeat_at is refreshed while it runs)
+-- completed  -> every chat processed
+-- failed     -> aborted by an error
+-- cancelled  -> stopped on request
+ALTER TABLE sync_logs ADD COLUMN IF NOT EXISTS total_chats INTEGER;
+ALTER TABLE sync_logs ADD COLUMN IF NOT EXISTS chats_processed INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE sync_logs ADD COLUMN IF NOT EXISTS errors_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE sync_logs ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE sync_logs ADD COLUMN IF NOT EXISTS cancel_requested BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE sync_logs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMPTZ;
+ALTER TABLE sync_logs ADD COLUMN IF NOT EXISTS requested_by UUID REFERENCES profiles(id) ON DELETE SET NULL;
+ALTER TABLE sync_logs ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+-- Syncs started before this migration ran in-process and cannot be resumed
+UPDATE sync_logs
+SET status = 'failed',
+    error_message = COALESCE(error_message, 'Interrupted'),
+    completed_at = COALESCE(completed_at, NOW())
+WHERE status = 'started';
+
+ALTER TABLE sync_logs DROP CONSTRAINT IF EXISTS sync_logs_status_check;
+ALTER TABLE sync_logs ADD CONSTRAINT sync_logs_status_check
+    CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled'));
+
+-- One active job per session
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_logs_active_session
+    ON sync_logs(session_id)
+    WHERE status IN ('pending', 'running');
+
+CREATE INDEX IF NOT EXISTS idx_sync_logs_queue
+    ON sync_logs(started_at)
+    WHERE status IN ('pending', 'running');
+
+-- =====================================================
+-- SYNC STATE
+-- Session-level sync summary, mirrored from the latest job
+-- (read by the sync status endpoint; not defined by earlier migrations)
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS sync_state (
+    session_id UUID PRIMARY KEY REFERENCES sessions(id) ON DELETE CASCADE,
+    sync_status TEXT NOT NULL DEFAULT 'idle', -- 'idle', 'syncing', 'completed', 'failed'
+    sync_type TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE sync_state ADD COLUMN IF NOT EXISTS total_chats_synced INTEGER DEFAULT 0;
+ALTER TABLE sync_state ADD COLUMN IF NOT EXISTS total_messages_synced INTEGER DEFAULT 0;
+ALTER TABLE sync_state ADD COLUMN IF NOT EXISTS last_message_timestamp BIGINT; -- Unix seconds
+ALTER TABLE sync_state ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMPTZ;
+ALTER TABLE sync_state ADD COLUMN IF NOT EXISTS error_message TEXT;
+ALTER TABLE sync_state ADD COLUMN IF NOT EXISTS started_at TIMESTAMPTZ;
+ALTER TABLE sync_state ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+
+-- Latest job of a session, for progress
+ALTER TABLE sync_state ADD COLUMN IF NOT EXISTS current_sync_log_id UUID REFERENCES sync_logs(id) ON DELETE SET NULL;
+
+ALTER TABLE sync_state ENABLE ROW LEVEL SECURITY;
+
+-- =====================================================
+-- SYNC LOG CHATS
+-- Per-chat checkpoints of a sync job: the chat list is captured once,
+-- then each chat is marked done as it is synced
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS sync_log_chats (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    sync_log_id UUID NOT NULL REFERENCES sync_logs(id) ON DELETE CASCADE,
+    session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+
+    -- Chat as returned by the provider
+    chat_id TEXT NOT NULL,
+    phone_number TEXT,
+    name TEXT,
+    is_group BOOLEAN DEFAULT FALSE,
+    chat_metadata JSONB,
+    position INTEGER NOT NULL,
+
+    -- Checkpoint
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed', 'skipped')),
+    messages_synced INTEGER NOT NULL DEFAULT 0,
+    error_message TEXT,
+    processed_at TIMESTAMPTZ,
+
+    UNIQUE(sync_log_id, chat_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_log_chats_pending
+    ON sync_log_chats(sync_log_id, position)
+    WHERE status = 'pending';
+
+ALTER TABLE sync_log_chats ENABLE ROW LEVEL SECURITY;
+-- Only the backend (service role) reads and writes checkpoints
+
+-- =====================================================
+-- Claim the next due sync job
+-- SKIP LOCKED lets several backend processes share the jobs;
+-- running jobs whose heartbeat stopped (crashed worker) are reclaimed
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION claim_sync_job(
+    p_lock_timeout_seconds INTEGER DEFAULT 300
+)
+RETURNS SETOF sync_logs AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE sync_logs s
+    SET status = 'running',
+        heartbeat_at = NOW(),
+        attempts = s.attempts + 1,
+        updated_at = NOW()
+    WHERE s.id IN (
+        SELECT sl.id
+        FROM sync_logs sl
+        WHERE sl.status = 'pending'
+        OR (sl.status = 'running' AND sl.heartbeat_at < NOW() - make_interval(secs => p_lock_timeout_seconds))
+        ORDER BY sl.started_at
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING s.*;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- Record one processed chat: checkpoint + job counters in one step
+-- p_errors: failed messages, plus one if the whole chat failed
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION complete_sync_log_chat(
+    p_sync_log_chat_id UUID,
+    p_status TEXT,
+    p_messages_synced INTEGER DEFAULT 0,
+    p_errors INTEGER DEFAULT 0,
+    p_error_message TEXT DEFAULT NULL
+)
+RETURNS sync_logs AS $$
+DECLARE
+    v_sync_log_id UUID;
+    v_log sync_logs;
+BEGIN
+    UPDATE sync_log_chats
+    SET status = p_status,
+        messages_synced = p_messages_synced,
+        error_message = p_error_message,
+        processed_at = NOW()
+    WHERE id = p_sync_log_chat_id
+    AND status = 'pending'
+    RETURNING sync_log_id INTO v_sync_log_id;
+
+    -- Already recorded (e.g. a reclaimed job replaying its last chat)
+    IF v_sync_log_id IS NULL THEN
+        SELECT sl.* INTO v_log
+        FROM sync_logs sl
+        JOIN sync_log_chats slc ON slc.sync_log_id = sl.id
+        WHERE slc.id = p_sync_log_chat_id;
+        RETURN v_log;
+    END IF;
+
+    UPDATE sync_logs
+    SET chats_processed = chats_processed + 1,
+        messages_synced = messages_synced + p_messages_synced,
+        errors_count = errors_count + p_errors,
+        heartbeat_at = NOW(),
+        updated_at = NOW()
+    WHERE id = v_sync_log_id
+    RETURNING * INTO v_log;
+
+    RETURN v_log;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- Keep active jobs out of the log cleanup
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION clean_old_sync_logs()
+RETURNS INTEGER AS $$
+DECLARE
+    v_deleted_count INTEGER;
+BEGIN
+    DELETE FROM sync_logs
+    WHERE started_at < NOW() - INTERVAL '30 days'
+    AND status NOT IN ('pending', 'running');
+
+    GET DIAGNOSTICS v_deleted_count = ROW_COUNT;
+    RETURN v_deleted_count;
+END;
+$$ LANGUAGE plpgsql;
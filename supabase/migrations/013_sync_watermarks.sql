@@ -0,0 +1,92 @@
+-- =====================================================
+-- Per-Chat Sync Watermarks
+-- Syncs page backwards through each chat's history until its own
+-- watermark instead of the session-wide last message timestamp,
+-- and record exactly which range they filled
+-- =====================================================
+
+-- Newest message up to which the chat's history is stored without gaps
+-- (apart from history_truncated_before); only error-free syncs move it
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS history_synced_until TIMESTAMPTZ;
+
+-- Set when a backfill could not reach the watermark (page limit, provider
+-- not paging further back): the watermark still moves so later syncs do not
+-- page through the same messages again, and messages older than this may be
+-- missing. Cleared once a backfill reaches the start of the history
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS history_truncated_before TIMESTAMPTZ;
+
+-- Existing chats start without a watermark: the session-wide gap-fill
+-- only fetched messages newer than the session's last one, so their stored
+-- history can have gaps; their first sync pages back through it again
+-- (messages already stored are skipped as duplicates)
+
+-- Filled range of each chat
+ALTER TABLE sync_log_chats ADD COLUMN IF NOT EXISTS watermark TIMESTAMPTZ;          -- Watermark the backfill stopped at (NULL: whole history)
+ALTER TABLE sync_log_chats ADD COLUMN IF NOT EXISTS filled_from TIMESTAMPTZ;        -- Oldest message fetched above the watermark
+ALTER TABLE sync_log_chats ADD COLUMN IF NOT EXISTS filled_to TIMESTAMPTZ;          -- Newest message fetched
+ALTER TABLE sync_log_chats ADD COLUMN IF NOT EXISTS pages_fetched INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE sync_log_chats ADD COLUMN IF NOT EXISTS complete BOOLEAN NOT NULL DEFAULT FALSE; -- Reached the watermark or the start of the history
+
+-- sync_logs.from_timestamp / to_timestamp now hold the overall filled range
+
+-- =====================================================
+-- Record one processed chat, with its filled range
+-- =====================================================
+
+DROP FUNCTION IF EXISTS complete_sync_log_chat(UUID, TEXT, INTEGER, INTEGER, TEXT);
+
+CREATE OR REPLACE FUNCTION complete_sync_log_chat(
+    p_sync_log_chat_id UUID,
+    p_status TEXT,
+    p_messages_synced INTEGER DEFAULT 0,
+    p_errors INTEGER DEFAULT 0,
+    p_error_message TEXT DEFAULT NULL,
+    p_watermark TIMESTAMPTZ DEFAULT NULL,
+    p_filled_from TIMESTAMPTZ DEFAULT NULL,
+    p_filled_to TIMESTAMPTZ DEFAULT NULL,
+    p_pages_fetched INTEGER DEFAULT 0,
+    p_complete BOOLEAN DEFAULT FALSE
+)
+RETURNS sync_logs AS $$
+DECLARE
+    v_sync_log_id UUID;
+    v_log sync_logs;
+BEGIN
+    UPDATE sync_log_chats
+    SET status = p_status,
+        messages_synced = p_messages_synced,
+        error_message = p_error_message,
+        watermark = p_watermark,
+        filled_from = p_filled_from,
+        filled_to = p_filled_to,
+        pages_fetched = p_pages_fetched,
+        complete = p_complete,
+        processed_at = NOW()
+    WHERE id = p_sync_log_chat_id
+    AND status = 'pending'
+    RETURNING sync_log_id INTO v_sync_log_id;
+
+    -- Already recorded (e.g. a reclaimed job replaying its last chat)
+    IF v_sync_log_id IS NULL THEN
+        SELECT sl.* INTO v_log
+        FROM sync_logs sl
+        JOIN sync_log_chats slc ON slc.sync_log_id = sl.id
+        WHERE slc.id = p_sync_log_chat_id;
+        RETURN v_log;
+    END IF;
+
+    -- LEAST / GREATEST ignore NULLs
+    UPDATE sync_logs
+    SET chats_processed = chats_processed + 1,
+        messages_synced = messages_synced + p_messages_synced,
+        errors_count = errors_count + p_errors,
+        from_timestamp = LEAST(from_timestamp, p_filled_from),
+        to_timestamp = GREATEST(to_timestamp, p_filled_to),
+        heartbeat_at = NOW(),
+        updated_at = NOW()
+    WHERE id = v_sync_log_id
+    RETURNING * INTO v_log;
+
+    RETURN v_log;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,136 @@
+-- =====================================================
+-- Bulk Message Ingest
+-- Saves a batch of messages (a webhook payload or a history page)
+-- in one round trip instead of a lookup, a contact RPC and an
+-- insert per message
+-- =====================================================
+
+-- =====================================================
+-- UPSERT CONTACTS
+-- Bulk version of ensure_contact_exists: creates missing contacts and
+-- updates names that changed (a NULL name never clears a stored one)
+-- p_contacts: [{ "phone_number", "name", "is_group" }]
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION upsert_contacts(
+    p_session_id UUID,
+    p_contacts JSONB
+)
+RETURNS TABLE (
+    id UUID,
+    phone_number TEXT
+) AS $$
+#variable_conflict use_column
+BEGIN
+    INSERT INTO contacts AS c (session_id, phone_number, name, is_group)
+    SELECT DISTINCT ON (entry.item->>'phone_number')
+        p_session_id,
+        entry.item->>'phone_number',
+        entry.item->>'name',
+        COALESCE((entry.item->>'is_group')::BOOLEAN, FALSE)
+    FROM jsonb_array_elements(p_contacts) WITH ORDINALITY AS entry(item, position)
+    WHERE entry.item->>'phone_number' IS NOT NULL
+    -- First entry that carries a name wins
+    ORDER BY entry.item->>'phone_number', (entry.item->>'name' IS NULL), entry.position
+    ON CONFLICT (session_id, phone_number) DO UPDATE
+    SET name = EXCLUDED.name,
+        updated_at = NOW()
+    WHERE EXCLUDED.name IS NOT NULL
+    AND c.name IS DISTINCT FROM EXCLUDED.name;
+
+    RETURN QUERY
+    SELECT c.id, c.phone_number
+    FROM contacts c
+    WHERE c.session_id = p_session_id
+    AND c.phone_number IN (
+        SELECT entry->>'phone_number'
+        FROM jsonb_array_elements(p_contacts) AS entry
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- INGEST MESSAGES
+-- Upserts the senders' contacts, then inserts the messages with
+-- ON CONFLICT DO NOTHING, so replays and overlapping pages are free
+-- p_messages: [{ "waha_message_id", "phone_number", "contact_name", "is_group",
+--                "message_type", "body", "from_me", "ack", "has_media",
+--                "timestamp", "raw_payload" }]
+-- Returns only the rows that were new
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION ingest_messages(
+    p_session_id UUID,
+    p_messages JSONB
+)
+RETURNS TABLE (
+    id UUID,
+    contact_id UUID,
+    waha_message_id TEXT
+) AS $$
+#variable_conflict use_column
+BEGIN
+    -- Newest sender name first, so a renamed contact ends up with its current name
+    PERFORM upsert_contacts(
+        p_session_id,
+        (
+            SELECT COALESCE(jsonb_agg(jsonb_build_object(
+                'phone_number', input.phone_number,
+                'name', input.contact_name,
+                'is_group', input.is_group
+            ) ORDER BY input.timestamp DESC), '[]'::jsonb)
+            FROM jsonb_to_recordset(p_messages) AS input(
+                phone_number TEXT,
+                contact_name TEXT,
+                is_group BOOLEAN,
+                timestamp TIMESTAMPTZ
+            )
+        )
+    );
+
+    RETURN QUERY
+    WITH inserted AS (
+        INSERT INTO messages AS m (
+            session_id,
+            contact_id,
+            waha_message_id,
+            message_type,
+            body,
+            from_me,
+            ack,
+            has_media,
+            timestamp,
+            raw_payload
+        )
+        SELECT
+            p_session_id,
+            c.id,
+            input.waha_message_id,
+            input.message_type::message_type,
+            input.body,
+            COALESCE(input.from_me, FALSE),
+            COALESCE(input.ack, 'PENDING')::message_ack,
+            COALESCE(input.has_media, FALSE),
+            input.timestamp,
+            input.raw_payload
+        FROM jsonb_to_recordset(p_messages) AS input(
+            waha_message_id TEXT,
+            phone_number TEXT,
+            message_type TEXT,
+            body TEXT,
+            from_me BOOLEAN,
+            ack TEXT,
+            has_media BOOLEAN,
+            timestamp TIMESTAMPTZ,
+            raw_payload JSONB
+        )
+        JOIN contacts c ON c.session_id = p_session_id AND c.phone_number = input.phone_number
+        ON CONFLICT (session_id, waha_message_id) DO NOTHING
+        RETURNING m.id, m.contact_id, m.waha_message_id
+    )
+    SELECT inserted.id, inserted.contact_id, inserted.waha_message_id
+    FROM inserted;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION ingest_messages IS 'Bulk insert of normalized messages with their contacts; duplicates are skipped';
@@ -0,0 +1,436 @@
+-- =====================================================
+-- Message Normalization
+-- Stores what the unified Baileys normalizer extracts: quoted replies,
+-- type details (location, contacts, polls, button replies...) and
+-- reactions / edits / revokes of earlier messages
+-- =====================================================
+
+ALTER TYPE message_type ADD VALUE IF NOT EXISTS 'poll';
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS quoted_waha_message_id TEXT; -- Provider id of the quoted message (kept until it is stored)
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS metadata JSONB;              -- Type details, see SCHEMA.md
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;      -- Revoked by the sender ("deleted for everyone")
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS reactions JSONB NOT NULL DEFAULT '[]'::jsonb; -- [{ emoji, actor, from_me, timestamp }]
+
+-- Replies waiting for their quoted message
+CREATE INDEX IF NOT EXISTS idx_messages_quoted_waha_id
+    ON messages(session_id, quoted_waha_message_id)
+    WHERE quoted_waha_message_id IS NOT NULL;
+
+-- =====================================================
+-- MESSAGE UPDATES
+-- Log of reactions, edits and revokes. Syncs page backwards, so an
+-- update often arrives before the message it targets; the message's
+-- state is always recomputed from this log, in any arrival order
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS message_updates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+
+    waha_message_id TEXT NOT NULL,        -- Id of the update itself
+    target_waha_message_id TEXT NOT NULL, -- Message it applies to
+    kind TEXT NOT NULL CHECK (kind IN ('reaction', 'edit', 'revoke')),
+    actor TEXT NOT NULL,                  -- 'me' or the sender's phone number
+    from_me BOOLEAN DEFAULT FALSE,
+
+    emoji TEXT,                           -- reaction ('' removes the actor's reaction)
+    body TEXT,                            -- edit
+
+    timestamp TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+
+    UNIQUE(session_id, waha_message_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_updates_target
+    ON message_updates(session_id, target_waha_message_id);
+
+ALTER TABLE message_updates ENABLE ROW LEVEL SECURITY;
+-- Only the backend (service role) reads and writes the log
+
+-- =====================================================
+-- Recompute edits, revokes and reactions of messages from the log
+-- Reactions: latest one per actor, removals dropped
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION refresh_message_updates(
+    p_session_id UUID,
+    p_target_ids TEXT[]
+)
+RETURNS TABLE (
+    id UUID,
+    contact_id UUID,
+    waha_message_id TEXT,
+    body TEXT,
+    edited_at TIMESTAMPTZ,
+    deleted_at TIMESTAMPTZ,
+    reactions JSONB
+) AS $$
+#variable_conflict use_column
+BEGIN
+    RETURN QUERY
+    WITH state AS (
+        SELECT
+            target.waha_message_id,
+            (
+                SELECT u.body
+                FROM message_updates u
+                WHERE u.session_id = p_session_id
+                AND u.target_waha_message_id = target.waha_message_id
+                AND u.kind = 'edit'
+                ORDER BY u.timestamp DESC
+                LIMIT 1
+            ) AS edited_body,
+            (
+                SELECT MAX(u.timestamp)
+                FROM message_updates u
+                WHERE u.session_id = p_session_id
+                AND u.target_waha_message_id = target.waha_message_id
+                AND u.kind = 'edit'
+            ) AS edited_at,
+            (
+                SELECT MIN(u.timestamp)
+                FROM message_updates u
+                WHERE u.session_id = p_session_id
+                AND u.target_waha_message_id = target.waha_message_id
+                AND u.kind = 'revoke'
+            ) AS deleted_at,
+            (
+                SELECT COALESCE(jsonb_agg(jsonb_build_object(
+                    'emoji', latest.emoji,
+                    'actor', latest.actor,
+                    'from_me', latest.from_me,
+                    'timestamp', latest.timestamp
+                ) ORDER BY latest.timestamp), '[]'::jsonb)
+                FROM (
+                    SELECT DISTINCT ON (u.actor) u.emoji, u.actor, u.from_me, u.timestamp
+                    FROM message_updates u
+                    WHERE u.session_id = p_session_id
+                    AND u.target_waha_message_id = target.waha_message_id
+                    AND u.kind = 'reaction'
+                    ORDER BY u.actor, u.timestamp DESC
+                ) latest
+                WHERE latest.emoji <> ''
+            ) AS reactions
+        FROM unnest(p_target_ids) AS target(waha_message_id)
+    ),
+    updated AS (
+        UPDATE messages m
+        SET body = COALESCE(state.edited_body, m.body),
+            edited_at = state.edited_at,
+            deleted_at = state.deleted_at,
+            reactions = state.reactions
+        FROM state
+        WHERE m.session_id = p_session_id
+        AND m.waha_message_id = state.waha_message_id
+        RETURNING m.id, m.contact_id, m.waha_message_id, m.body, m.edited_at, m.deleted_at, m.reactions
+    )
+    SELECT updated.id, updated.contact_id, updated.waha_message_id, updated.body,
+           updated.edited_at, updated.deleted_at, updated.reactions
+    FROM updated;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- APPLY MESSAGE UPDATES
+-- Logs a batch of updates (replays are skipped), then refreshes the
+-- targeted messages that are already stored
+-- p_updates: [{ "waha_message_id", "target_waha_message_id", "kind",
+--               "actor", "from_me", "emoji", "body", "timestamp" }]
+-- Returns the refreshed messages
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION apply_message_updates(
+    p_session_id UUID,
+    p_updates JSONB
+)
+RETURNS TABLE (
+    id UUID,
+    contact_id UUID,
+    waha_message_id TEXT,
+    body TEXT,
+    edited_at TIMESTAMPTZ,
+    deleted_at TIMESTAMPTZ,
+    reactions JSONB
+) AS $$
+#variable_conflict use_column
+BEGIN
+    INSERT INTO message_updates (
+        session_id,
+        waha_message_id,
+        target_waha_message_id,
+        kind,
+        actor,
+        from_me,
+        emoji,
+        body,
+        timestamp
+    )
+    SELECT
+        p_session_id,
+        input.waha_message_id,
+        input.target_waha_message_id,
+        input.kind,
+        input.actor,
+        COALESCE(input.from_me, FALSE),
+        input.emoji,
+        input.body,
+        input.timestamp
+    FROM jsonb_to_recordset(p_updates) AS input(
+        waha_message_id TEXT,
+        target_waha_message_id TEXT,
+        kind TEXT,
+        actor TEXT,
+        from_me BOOLEAN,
+        emoji TEXT,
+        body TEXT,
+        timestamp TIMESTAMPTZ
+    )
+    WHERE input.target_waha_message_id IS NOT NULL
+    ON CONFLICT (session_id, waha_message_id) DO NOTHING;
+
+    RETURN QUERY
+    SELECT *
+    FROM refresh_message_updates(
+        p_session_id,
+        ARRAY(
+            SELECT DISTINCT entry->>'target_waha_message_id'
+            FROM jsonb_array_elements(p_updates) AS entry
+            WHERE entry->>'target_waha_message_id' IS NOT NULL
+        )
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- INGEST MESSAGES
+-- Now also stores metadata and links quoted replies both ways:
+-- new replies to stored messages, and stored replies to new messages
+-- (history pages arrive newest first). Updates logged before their
+-- message arrived are applied to it
+-- p_messages: [{ "waha_message_id", "phone_number", "contact_name", "is_group",
+--                "message_type", "body", "from_me", "ack", "has_media",
+--                "quoted_waha_message_id", "metadata", "timestamp", "raw_payload" }]
+-- Returns only the rows that were new
+-- =====================================================
+
+DROP FUNCTION IF EXISTS ingest_messages(UUID, JSONB);
+
+CREATE OR REPLACE FUNCTION ingest_messages(
+    p_session_id UUID,
+    p_messages JSONB
+)
+RETURNS TABLE (
+    id UUID,
+    contact_id UUID,
+    waha_message_id TEXT,
+    quoted_message_id UUID
+) AS $$
+#variable_conflict use_column
+DECLARE
+    v_ids UUID[];
+    v_waha_ids TEXT[];
+BEGIN
+    -- Newest sender name first, so a renamed contact ends up with its current name
+    PERFORM upsert_contacts(
+        p_session_id,
+        (
+            SELECT COALESCE(jsonb_agg(jsonb_build_object(
+                'phone_number', input.phone_number,
+                'name', input.contact_name,
+                'is_group', input.is_group
+            ) ORDER BY input.timestamp DESC), '[]'::jsonb)
+            FROM jsonb_to_recordset(p_messages) AS input(
+                phone_number TEXT,
+                contact_name TEXT,
+                is_group BOOLEAN,
+                timestamp TIMESTAMPTZ
+            )
+        )
+    );
+
+    WITH inserted AS (
+        INSERT INTO messages AS m (
+            session_id,
+            contact_id,
+            waha_message_id,
+            message_type,
+            body,
+            from_me,
+            ack,
+            has_media,
+            quoted_waha_message_id,
+            quoted_message_id,
+            metadata,
+            timestamp,
+            raw_payload
+        )
+        SELECT
+            p_session_id,
+            c.id,
+            input.waha_message_id,
+            input.message_type::message_type,
+            input.body,
+            COALESCE(input.from_me, FALSE),
+            COALESCE(input.ack, 'PENDING')::message_ack,
+            COALESCE(input.has_media, FALSE),
+            input.quoted_waha_message_id,
+            quoted.id,
+            input.metadata,
+            input.timestamp,
+            input.raw_payload
+        FROM jsonb_to_recordset(p_messages) AS input(
+            waha_message_id TEXT,
+            phone_number TEXT,
+            message_type TEXT,
+            body TEXT,
+            from_me BOOLEAN,
+            ack TEXT,
+            has_media BOOLEAN,
+            quoted_waha_message_id TEXT,
+            metadata JSONB,
+            timestamp TIMESTAMPTZ,
+            raw_payload JSONB
+        )
+        JOIN contacts c ON c.session_id = p_session_id AND c.phone_number = input.phone_number
+        LEFT JOIN messages quoted ON quoted.session_id = p_session_id
+            AND quoted.waha_message_id = input.quoted_waha_message_id
+        ON CONFLICT (session_id, waha_message_id) DO NOTHING
+        RETURNING m.id, m.waha_message_id
+    )
+    SELECT array_agg(inserted.id), array_agg(inserted.waha_message_id)
+    INTO v_ids, v_waha_ids
+    FROM inserted;
+
+    IF v_ids IS NULL THEN
+        RETURN;
+    END IF;
+
+    -- Replies stored before the message they quote (including ones in this batch)
+    UPDATE messages reply
+    SET quoted_message_id = quoted.id
+    FROM messages quoted
+    WHERE reply.session_id = p_session_id
+    AND reply.quoted_waha_message_id = ANY(v_waha_ids)
+    AND reply.quoted_message_id IS NULL
+    AND quoted.session_id = p_session_id
+    AND quoted.waha_message_id = reply.quoted_waha_message_id;
+
+    -- Reactions, edits and revokes that arrived first
+    PERFORM refresh_message_updates(
+        p_session_id,
+        ARRAY(
+            SELECT DISTINCT u.target_waha_message_id
+            FROM message_updates u
+            WHERE u.session_id = p_session_id
+            AND u.target_waha_message_id = ANY(v_waha_ids)
+        )
+    );
+
+    RETURN QUERY
+    SELECT m.id, m.contact_id, m.waha_message_id, m.quoted_message_id
+    FROM messages m
+    WHERE m.id = ANY(v_ids);
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION ingest_messages IS 'Bulk insert of normalized messages with their contacts; duplicates are skipped, quoted replies linked';
+
+-- =====================================================
+-- GET CHAT MESSAGES PAGE
+-- Same pages, with the normalized fields
+-- =====================================================
+
+DROP FUNCTION IF EXISTS get_chat_messages_page(UUID, UUID, TIMESTAMPTZ, UUID, TIMESTAMPTZ, UUID, INTEGER);
+
+CREATE OR REPLACE FUNCTION get_chat_messages_page(
+    p_session_id UUID,
+    p_contact_id UUID,
+    p_before_timestamp TIMESTAMPTZ DEFAULT NULL,
+    p_before_id UUID DEFAULT NULL,
+    p_after_timestamp TIMESTAMPTZ DEFAULT NULL,
+    p_after_id UUID DEFAULT NULL,
+    p_limit INTEGER DEFAULT 50
+)
+RETURNS TABLE (
+    id UUID,
+    waha_message_id TEXT,
+    message_type message_type,
+    body TEXT,
+    from_me BOOLEAN,
+    ack message_ack,
+    has_media BOOLEAN,
+    media_url TEXT,
+    media_mimetype TEXT,
+    media_filename TEXT,
+    timestamp TIMESTAMPTZ,
+    quoted_message_id UUID,
+    metadata JSONB,
+    edited_at TIMESTAMPTZ,
+    deleted_at TIMESTAMPTZ,
+    reactions JSONB
+) AS $$
+BEGIN
+    IF p_after_timestamp IS NOT NULL THEN
+        -- Closest newer messages first, then flip to newest first
+        RETURN QUERY
+        SELECT page.*
+        FROM (
+            SELECT
+                m.id,
+                m.waha_message_id,
+                m.message_type,
+                m.body,
+                m.from_me,
+                m.ack,
+                m.has_media,
+                m.media_url,
+                m.media_mimetype,
+                m.media_filename,
+                m.timestamp,
+                m.quoted_message_id,
+                m.metadata,
+                m.edited_at,
+                m.deleted_at,
+                m.reactions
+            FROM messages m
+            WHERE m.session_id = p_session_id
+            AND m.contact_id = p_contact_id
+            AND (m.timestamp, m.id) > (p_after_timestamp, p_after_id)
+            ORDER BY m.timestamp ASC, m.id ASC
+            LIMIT p_limit
+        ) page
+        ORDER BY page.timestamp DESC, page.id DESC;
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    SELECT
+        m.id,
+        m.waha_message_id,
+        m.message_type,
+        m.body,
+        m.from_me,
+        m.ack,
+        m.has_media,
+        m.media_url,
+        m.media_mimetype,
+        m.media_filename,
+        m.timestamp,
+        m.quoted_message_id,
+        m.metadata,
+        m.edited_at,
+        m.deleted_at,
+        m.reactions
+    FROM messages m
+    WHERE m.session_id = p_session_id
+    AND m.contact_id = p_contact_id
+    AND (p_before_timestamp IS NULL OR (m.timestamp, m.id) < (p_before_timestamp, p_before_id))
+    ORDER BY m.timestamp DESC, m.id DESC
+    LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION get_chat_messages_page IS 'Keyset-paginated chat messages (newest first) before or after a (timestamp, id) cursor';
@@ -0,0 +1,114 @@
+-- =====================================================
+-- Media Download Queue
+-- message_media rows double as download jobs: every stored message
+-- with media gets one, downloaded by the backend media worker
+-- (webhooks and history syncs alike) and retried on transient failures
+-- =====================================================
+
+-- Created by the CRM features migration; repeated here for fresh databases
+CREATE TABLE IF NOT EXISTS message_media (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    media_type VARCHAR(50) NOT NULL,
+    file_url TEXT,
+    file_name VARCHAR(255),
+    file_size BIGINT,
+    mime_type VARCHAR(100),
+    thumbnail_url TEXT,
+    width INTEGER,
+    height INTEGER,
+    duration INTEGER,
+    download_status VARCHAR(20) DEFAULT 'completed',
+    storage_path TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Job state (download_status)
+-- pending     -> waiting for the worker
+-- downloading -> claimed by a worker
+-- failed      -> last attempt failed; retried at next_attempt_at,
+--                or given up when next_attempt_at is NULL
+-- completed   -> stored in the whatsapp-media bucket
+-- Rows written for media we sent ourselves are created 'completed'
+ALTER TABLE message_media ADD COLUMN IF NOT EXISTS session_id UUID REFERENCES sessions(id) ON DELETE CASCADE;
+ALTER TABLE message_media ADD COLUMN IF NOT EXISTS source_media JSONB;   -- Provider media reference ({ mimetype, filename, url })
+ALTER TABLE message_media ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE message_media ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE message_media ADD COLUMN IF NOT EXISTS locked_at TIMESTAMPTZ;
+ALTER TABLE message_media ADD COLUMN IF NOT EXISTS error_message TEXT;
+
+UPDATE message_media mm
+SET session_id = m.session_id
+FROM messages m
+WHERE m.id = mm.message_id
+AND mm.session_id IS NULL;
+
+ALTER TABLE message_media DROP CONSTRAINT IF EXISTS message_media_download_status_check;
+ALTER TABLE message_media ADD CONSTRAINT message_media_download_status_check
+    CHECK (download_status IN ('pending', 'downloading', 'failed', 'completed'));
+
+-- One job per message: keep the newest row of each
+DELETE FROM message_media mm
+USING message_media newer
+WHERE newer.message_id = mm.message_id
+AND (newer.created_at, newer.id) > (mm.created_at, mm.id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_message_media_message_unique ON message_media(message_id);
+
+CREATE INDEX IF NOT EXISTS idx_message_media_queue
+    ON message_media(next_attempt_at)
+    WHERE download_status IN ('pending', 'failed');
+
+ALTER TABLE message_media ENABLE ROW LEVEL SECURITY;
+
+-- Media of stored messages that never got downloaded (history syncs so far)
+-- WAHA serves media from the URL in its payload, Evolution API by message id
+INSERT INTO message_media (message_id, session_id, media_type, mime_type, file_name, source_media, download_status)
+SELECT
+    m.id,
+    m.session_id,
+    m.message_type::TEXT,
+    m.media_mimetype,
+    m.media_filename,
+    jsonb_build_object(
+        'mimetype', COALESCE(m.media_mimetype, m.raw_payload #>> '{media,mimetype}'),
+        'filename', m.media_filename,
+        'url', m.raw_payload #>> '{media,url}'
+    ),
+    'pending'
+FROM messages m
+WHERE m.has_media = TRUE
+AND m.media_url IS NULL
+ON CONFLICT (message_id) DO NOTHING;
+
+-- =====================================================
+-- Claim a batch of due downloads
+-- SKIP LOCKED lets several backend processes share the queue;
+-- downloads stuck in 'downloading' (crashed worker) are reclaimed
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION claim_media_jobs(
+    p_limit INTEGER DEFAULT 5,
+    p_lock_timeout_seconds INTEGER DEFAULT 300
+)
+RETURNS SETOF message_media AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE message_media mm
+    SET download_status = 'downloading',
+        locked_at = NOW(),
+        attempts = mm.attempts + 1,
+        updated_at = NOW()
+    WHERE mm.id IN (
+        SELECT j.id
+        FROM message_media j
+        WHERE (j.download_status IN ('pending', 'failed') AND j.next_attempt_at <= NOW())
+        OR (j.download_status = 'downloading' AND j.locked_at < NOW() - make_interval(secs => p_lock_timeout_seconds))
+        ORDER BY j.next_attempt_at
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING mm.*;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,184 @@
+-- =====================================================
+-- Private Media
+-- Media in the whatsapp-media bucket is only reachable through
+-- short-lived signed URLs handed out by the backend after an access
+-- check; stored public URLs are converted to storage paths
+-- =====================================================
+
+UPDATE storage.buckets
+SET public = FALSE
+WHERE id = 'whatsapp-media';
+
+-- Path of the message's file in the whatsapp-media bucket
+-- media_url now only holds media sent by URL from outside the bucket
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS media_path TEXT;
+
+-- Downloaded and uploaded media recorded its storage path
+UPDATE messages m
+SET media_path = mm.storage_path
+FROM message_media mm
+WHERE mm.message_id = m.id
+AND mm.storage_path IS NOT NULL
+AND m.media_path IS NULL;
+
+-- Public URLs percent-encode the path (spaces and non-ASCII file names)
+CREATE OR REPLACE FUNCTION pg_temp.decode_url_path(p_path TEXT)
+RETURNS TEXT AS $$
+    SELECT convert_from(
+        string_agg(
+            CASE
+                WHEN t.token[1] ~ '^%[0-9a-fA-F]{2}$' THEN decode(substr(t.token[1], 2), 'hex')
+                ELSE convert_to(t.token[1], 'UTF8')
+            END,
+            ''::bytea
+            ORDER BY t.position
+        ),
+        'UTF8'
+    )
+    FROM regexp_matches(p_path, '%[0-9a-fA-F]{2}|[^%]+|%', 'g') WITH ORDINALITY AS t(token, position)
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Otherwise take the path from the public URL
+-- (https://<project>.supabase.co/storage/v1/object/public/whatsapp-media/<path>)
+UPDATE messages
+SET media_path = pg_temp.decode_url_path(substring(media_url FROM '/storage/v1/object/public/whatsapp-media/([^?]+)'))
+WHERE media_path IS NULL
+AND media_url LIKE '%/storage/v1/object/public/whatsapp-media/%';
+
+UPDATE messages
+SET media_url = NULL
+WHERE media_path IS NOT NULL
+AND media_url LIKE '%/storage/v1/object/public/whatsapp-media/%';
+
+UPDATE message_media
+SET storage_path = COALESCE(
+        storage_path,
+        pg_temp.decode_url_path(substring(file_url FROM '/storage/v1/object/public/whatsapp-media/([^?]+)'))
+    ),
+    file_url = NULL
+WHERE file_url LIKE '%/storage/v1/object/public/whatsapp-media/%';
+
+CREATE INDEX IF NOT EXISTS idx_messages_media_path
+    ON messages(media_path)
+    WHERE media_path IS NOT NULL;
+
+-- =====================================================
+-- Storage policies
+-- The backend reads and writes with the service role; direct access
+-- by users is limited to files of messages in sessions they can access
+-- =====================================================
+
+DROP POLICY IF EXISTS "Users can view media for their sessions" ON storage.objects;
+CREATE POLICY "Users can view media for their sessions"
+    ON storage.objects FOR SELECT
+    USING (
+        bucket_id = 'whatsapp-media'
+        AND EXISTS (
+            SELECT 1 FROM messages m
+            WHERE m.media_path = name
+            AND user_can_access_session(m.session_id, auth.uid())
+        )
+    );
+
+-- Any signed-in user could upload into the bucket; uploads go through the backend
+DROP POLICY IF EXISTS "System can upload media" ON storage.objects;
+
+-- =====================================================
+-- GET CHAT MESSAGES PAGE
+-- Same pages, with the media path to sign
+-- =====================================================
+
+DROP FUNCTION IF EXISTS get_chat_messages_page(UUID, UUID, TIMESTAMPTZ, UUID, TIMESTAMPTZ, UUID, INTEGER);
+
+CREATE OR REPLACE FUNCTION get_chat_messages_page(
+    p_session_id UUID,
+    p_contact_id UUID,
+    p_before_timestamp TIMESTAMPTZ DEFAULT NULL,
+    p_before_id UUID DEFAULT NULL,
+    p_after_timestamp TIMESTAMPTZ DEFAULT NULL,
+    p_after_id UUID DEFAULT NULL,
+    p_limit INTEGER DEFAULT 50
+)
+RETURNS TABLE (
+    id UUID,
+    waha_message_id TEXT,
+    message_type message_type,
+    body TEXT,
+    from_me BOOLEAN,
+    ack message_ack,
+    has_media BOOLEAN,
+    media_url TEXT,
+    media_path TEXT,
+    media_mimetype TEXT,
+    media_filename TEXT,
+    timestamp TIMESTAMPTZ,
+    quoted_message_id UUID,
+    metadata JSONB,
+    edited_at TIMESTAMPTZ,
+    deleted_at TIMESTAMPTZ,
+    reactions JSONB
+) AS $$
+BEGIN
+    IF p_after_timestamp IS NOT NULL THEN
+        -- Closest newer messages first, then flip to newest first
+        RETURN QUERY
+        SELECT page.*
+        FROM (
+            SELECT
+                m.id,
+                m.waha_message_id,
+                m.message_type,
+                m.body,
+                m.from_me,
+                m.ack,
+                m.has_media,
+                m.media_url,
+                m.media_path,
+                m.media_mimetype,
+                m.media_filename,
+                m.timestamp,
+                m.quoted_message_id,
+                m.metadata,
+                m.edited_at,
+                m.deleted_at,
+                m.reactions
+            FROM messages m
+            WHERE m.session_id = p_session_id
+            AND m.contact_id = p_contact_id
+            AND (m.timestamp, m.id) > (p_after_timestamp, p_after_id)
+            ORDER BY m.timestamp ASC, m.id ASC
+            LIMIT p_limit
+        ) page
+        ORDER BY page.timestamp DESC, page.id DESC;
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    SELECT
+        m.id,
+        m.waha_message_id,
+        m.message_type,
+        m.body,
+        m.from_me,
+        m.ack,
+        m.has_media,
+        m.media_url,
+        m.media_path,
+        m.media_mimetype,
+        m.media_filename,
+        m.timestamp,
+        m.quoted_message_id,
+        m.metadata,
+        m.edited_at,
+        m.deleted_at,
+        m.reactions
+    FROM messages m
+    WHERE m.session_id = p_session_id
+    AND m.contact_id = p_contact_id
+    AND (p_before_timestamp IS NULL OR (m.timestamp, m.id) < (p_before_timestamp, p_before_id))
+    ORDER BY m.timestamp DESC, m.id DESC
+    LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION get_chat_messages_page IS 'Keyset-paginated chat messages (newest first) before or after a (timestamp, id) cursor';
@@ -0,0 +1,131 @@
+-- =====================================================
+-- Media Previews
+-- Thumbnails (image thumbnails, video poster frames, first pages of
+-- PDFs), dimensions and durations of stored media, generated by the
+-- backend when the file is stored
+-- =====================================================
+
+-- Path of the JPEG preview in the whatsapp-media bucket, next to the file
+-- (thumbnail_url is kept for previews hosted elsewhere)
+ALTER TABLE message_media ADD COLUMN IF NOT EXISTS thumbnail_path TEXT;
+
+COMMENT ON COLUMN message_media.width IS 'Image / video width in pixels, in display orientation';
+COMMENT ON COLUMN message_media.height IS 'Image / video height in pixels, in display orientation';
+COMMENT ON COLUMN message_media.duration IS 'Audio / video duration in seconds';
+
+-- =====================================================
+-- GET CHAT MESSAGES PAGE
+-- Same pages, with the media size and preview
+-- =====================================================
+
+DROP FUNCTION IF EXISTS get_chat_messages_page(UUID, UUID, TIMESTAMPTZ, UUID, TIMESTAMPTZ, UUID, INTEGER);
+
+CREATE OR REPLACE FUNCTION get_chat_messages_page(
+    p_session_id UUID,
+    p_contact_id UUID,
+    p_before_timestamp TIMESTAMPTZ DEFAULT NULL,
+    p_before_id UUID DEFAULT NULL,
+    p_after_timestamp TIMESTAMPTZ DEFAULT NULL,
+    p_after_id UUID DEFAULT NULL,
+    p_limit INTEGER DEFAULT 50
+)
+RETURNS TABLE (
+    id UUID,
+    waha_message_id TEXT,
+    message_type message_type,
+    body TEXT,
+    from_me BOOLEAN,
+    ack message_ack,
+    has_media BOOLEAN,
+    media_url TEXT,
+    media_path TEXT,
+    media_mimetype TEXT,
+    media_filename TEXT,
+    media_size BIGINT,
+    media_thumbnail_path TEXT,
+    media_width INTEGER,
+    media_height INTEGER,
+    media_duration INTEGER,
+    timestamp TIMESTAMPTZ,
+    quoted_message_id UUID,
+    metadata JSONB,
+    edited_at TIMESTAMPTZ,
+    deleted_at TIMESTAMPTZ,
+    reactions JSONB
+) AS $$
+BEGIN
+    IF p_after_timestamp IS NOT NULL THEN
+        -- Closest newer messages first, then flip to newest first
+        RETURN QUERY
+        SELECT page.*
+        FROM (
+            SELECT
+                m.id,
+                m.waha_message_id,
+                m.message_type,
+                m.body,
+                m.from_me,
+                m.ack,
+                m.has_media,
+                m.media_url,
+                m.media_path,
+                m.media_mimetype,
+                m.media_filename,
+                m.media_size,
+                mm.thumbnail_path,
+                mm.width,
+                mm.height,
+                mm.duration,
+                m.timestamp,
+                m.quoted_message_id,
+                m.metadata,
+                m.edited_at,
+                m.deleted_at,
+                m.reactions
+            FROM messages m
+            LEFT JOIN message_media mm ON mm.message_id = m.id
+            WHERE m.session_id = p_session_id
+            AND m.contact_id = p_contact_id
+            AND (m.timestamp, m.id) > (p_after_timestamp, p_after_id)
+            ORDER BY m.timestamp ASC, m.id ASC
+            LIMIT p_limit
+        ) page
+        ORDER BY page.timestamp DESC, page.id DESC;
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    SELECT
+        m.id,
+        m.waha_message_id,
+        m.message_type,
+        m.body,
+        m.from_me,
+        m.ack,
+        m.has_media,
+        m.media_url,
+        m.media_path,
+        m.media_mimetype,
+        m.media_filename,
+        m.media_size,
+        mm.thumbnail_path,
+        mm.width,
+        mm.height,
+        mm.duration,
+        m.timestamp,
+        m.quoted_message_id,
+        m.metadata,
+        m.edited_at,
+        m.deleted_at,
+        m.reactions
+    FROM messages m
+    LEFT JOIN message_media mm ON mm.message_id = m.id
+    WHERE m.session_id = p_session_id
+    AND m.contact_id = p_contact_id
+    AND (p_before_timestamp IS NULL OR (m.timestamp, m.id) < (p_before_timestamp, p_before_id))
+    ORDER BY m.timestamp DESC, m.id DESC
+    LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION get_chat_messages_page IS 'Keyset-paginated chat messages (newest first) before or after a (timestamp, id) cursor';
@@ -0,0 +1,573 @@
+-- =====================================================
+-- Group Chats
+-- Group metadata (subject, description, owner), group participants
+-- and the sender of each group message
+-- =====================================================
+
+-- Groups are contacts with is_group = TRUE; their subject is the contact name
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS group_description TEXT;
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS group_owner TEXT;           -- Phone number of the creator
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS group_synced_at TIMESTAMPTZ; -- Last metadata sync from the provider
+
+-- Sender of a received group message (NULL in 1:1 chats and for our own messages)
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS participant TEXT;            -- Sender's phone number
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS sender_contact_id UUID REFERENCES contacts(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_messages_sender_contact
+    ON messages(sender_contact_id)
+    WHERE sender_contact_id IS NOT NULL;
+
+-- =====================================================
+-- GROUP PARTICIPANTS
+-- Members of each group, from the provider's group metadata and
+-- participant events. Members who left are kept (left_at) so their
+-- earlier messages still show who sent them
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS group_participants (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    group_contact_id UUID NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    participant_contact_id UUID NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+
+    role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('member', 'admin', 'superadmin')),
+    joined_at TIMESTAMPTZ DEFAULT NOW(),
+    left_at TIMESTAMPTZ,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    UNIQUE(group_contact_id, participant_contact_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_participants_group
+    ON group_participants(group_contact_id)
+    WHERE left_at IS NULL;
+
+ALTER TABLE group_participants ENABLE ROW LEVEL SECURITY;
+-- Only the backend (service role) reads and writes participants
+
+-- Senders of stored group messages, from their raw payloads
+-- (Baileys key.participant, WAHA participant)
+UPDATE messages m
+SET participant = split_part(
+    COALESCE(
+        m.raw_payload->'key'->>'participant',
+        m.raw_payload->'_data'->'key'->>'participant',
+        m.raw_payload->>'participant'
+    ),
+    '@', 1
+)
+FROM contacts c
+WHERE c.id = m.contact_id
+AND c.is_group = TRUE
+AND m.from_me = FALSE
+AND m.participant IS NULL;
+
+UPDATE messages SET participant = NULL WHERE participant = '';
+
+INSERT INTO contacts (session_id, phone_number, is_group)
+SELECT DISTINCT m.session_id, m.participant, FALSE
+FROM messages m
+WHERE m.participant IS NOT NULL
+ON CONFLICT (session_id, phone_number) DO NOTHING;
+
+UPDATE messages m
+SET sender_contact_id = c.id
+FROM contacts c
+WHERE c.session_id = m.session_id
+AND c.phone_number = m.participant
+AND m.participant IS NOT NULL
+AND m.sender_contact_id IS NULL;
+
+INSERT INTO group_participants (session_id, group_contact_id, participant_contact_id, joined_at)
+SELECT m.session_id, m.contact_id, m.sender_contact_id, MIN(m.timestamp)
+FROM messages m
+WHERE m.sender_contact_id IS NOT NULL
+GROUP BY m.session_id, m.contact_id, m.sender_contact_id
+ON CONFLICT (group_contact_id, participant_contact_id) DO NOTHING;
+
+-- =====================================================
+-- UPSERT GROUP
+-- Saves a group's metadata from the provider. With participants, the
+-- member list is replaced: missing members are marked as left
+-- p_group: { "phone_number", "subject", "description", "owner",
+--            "participants": [{ "phone_number", "role" }] | null }
+-- Returns the group's contact id
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION upsert_group(
+    p_session_id UUID,
+    p_group JSONB
+)
+RETURNS UUID AS $$
+DECLARE
+    v_group_id UUID;
+BEGIN
+    INSERT INTO contacts AS c (session_id, phone_number, name, is_group, group_description, group_owner, group_synced_at)
+    VALUES (
+        p_session_id,
+        p_group->>'phone_number',
+        NULLIF(p_group->>'subject', ''),
+        TRUE,
+        p_group->>'description',
+        p_group->>'owner',
+        NOW()
+    )
+    ON CONFLICT (session_id, phone_number) DO UPDATE
+    SET name = COALESCE(EXCLUDED.name, c.name),
+        is_group = TRUE,
+        group_description = COALESCE(EXCLUDED.group_description, c.group_description),
+        group_owner = COALESCE(EXCLUDED.group_owner, c.group_owner),
+        group_synced_at = NOW(),
+        updated_at = NOW()
+    RETURNING c.id INTO v_group_id;
+
+    IF jsonb_typeof(p_group->'participants') = 'array' THEN
+        PERFORM apply_group_participants(p_session_id, v_group_id, 'sync', p_group->'participants');
+    END IF;
+
+    RETURN v_group_id;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION upsert_group IS 'Save a group''s subject, description, owner and (optionally) its full member list';
+
+-- =====================================================
+-- APPLY GROUP PARTICIPANTS
+-- p_action: 'sync'    - p_participants is the full member list
+--           'add'     - joined (or were added)
+--           'remove'  - left (or were removed)
+--           'promote' / 'demote' - became / stopped being admins
+-- p_participants: [{ "phone_number", "role" }] (role only for 'sync' and 'add')
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION apply_group_participants(
+    p_session_id UUID,
+    p_group_contact_id UUID,
+    p_action TEXT,
+    p_participants JSONB
+)
+RETURNS VOID AS $$
+DECLARE
+    v_participant_ids UUID[];
+BEGIN
+    PERFORM upsert_contacts(
+        p_session_id,
+        (
+            SELECT COALESCE(jsonb_agg(jsonb_build_object(
+                'phone_number', entry->>'phone_number',
+                'name', NULL,
+                'is_group', FALSE
+            )), '[]'::jsonb)
+            FROM jsonb_array_elements(p_participants) AS entry
+        )
+    );
+
+    SELECT COALESCE(array_agg(c.id), '{}')
+    INTO v_participant_ids
+    FROM contacts c
+    WHERE c.session_id = p_session_id
+    AND c.phone_number IN (
+        SELECT entry->>'phone_number'
+        FROM jsonb_array_elements(p_participants) AS entry
+    );
+
+    IF p_action IN ('sync', 'add') THEN
+        INSERT INTO group_participants AS gp (session_id, group_contact_id, participant_contact_id, role)
+        SELECT
+            p_session_id,
+            p_group_contact_id,
+            c.id,
+            COALESCE(entry->>'role', 'member')
+        FROM jsonb_array_elements(p_participants) AS entry
+        JOIN contacts c ON c.session_id = p_session_id AND c.phone_number = entry->>'phone_number'
+        ON CONFLICT (group_contact_id, participant_contact_id) DO UPDATE
+        SET role = CASE WHEN p_action = 'sync' THEN EXCLUDED.role ELSE gp.role END,
+            joined_at = CASE WHEN gp.left_at IS NOT NULL THEN NOW() ELSE gp.joined_at END,
+            left_at = NULL,
+            updated_at = NOW();
+    END IF;
+
+    IF p_action = 'sync' THEN
+        UPDATE group_participants
+        SET left_at = NOW(), updated_at = NOW()
+        WHERE group_contact_id = p_group_contact_id
+        AND left_at IS NULL
+        AND NOT (participant_contact_id = ANY(v_participant_ids));
+    ELSIF p_action = 'remove' THEN
+        UPDATE group_participants
+        SET left_at = NOW(), role = 'member', updated_at = NOW()
+        WHERE group_contact_id = p_group_contact_id
+        AND participant_contact_id = ANY(v_participant_ids)
+        AND left_at IS NULL;
+    ELSIF p_action IN ('promote', 'demote') THEN
+        INSERT INTO group_participants AS gp (session_id, group_contact_id, participant_contact_id, role)
+        SELECT p_session_id, p_group_contact_id, participant_id, 'member'
+        FROM unnest(v_participant_ids) AS participant_id
+        ON CONFLICT (group_contact_id, participant_contact_id) DO NOTHING;
+
+        UPDATE group_participants
+        SET role = CASE WHEN p_action = 'promote' THEN 'admin' ELSE 'member' END,
+            left_at = NULL,
+            updated_at = NOW()
+        WHERE group_contact_id = p_group_contact_id
+        AND participant_contact_id = ANY(v_participant_ids)
+        -- The creator stays superadmin
+        AND role <> 'superadmin';
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION apply_group_participants IS 'Apply a group member list or a join / leave / promote / demote event';
+
+-- =====================================================
+-- GET GROUP PARTICIPANTS
+-- Current members with their names, admins first
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION get_group_participants(
+    p_session_id UUID,
+    p_group_contact_id UUID
+)
+RETURNS TABLE (
+    contact_id UUID,
+    phone_number TEXT,
+    name TEXT,
+    custom_name TEXT,
+    role TEXT,
+    joined_at TIMESTAMPTZ
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        c.id,
+        c.phone_number,
+        c.name,
+        cm.custom_name::TEXT,
+        gp.role,
+        gp.joined_at
+    FROM group_participants gp
+    JOIN contacts c ON c.id = gp.participant_contact_id
+    LEFT JOIN contact_metadata cm ON cm.contact_id = c.id AND cm.session_id = p_session_id
+    WHERE gp.session_id = p_session_id
+    AND gp.group_contact_id = p_group_contact_id
+    AND gp.left_at IS NULL
+    ORDER BY
+        CASE gp.role WHEN 'superadmin' THEN 0 WHEN 'admin' THEN 1 ELSE 2 END,
+        COALESCE(cm.custom_name, c.name, c.phone_number);
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION get_group_participants IS 'Current members of a group, admins first';
+
+-- =====================================================
+-- INGEST MESSAGES
+-- Now also records the sender of group messages: the participant gets
+-- a contact (named after their push name until it has a name) and is
+-- listed as a member of the group
+-- p_messages: [{ "waha_message_id", "phone_number", "contact_name", "is_group",
+--                "participant", "participant_name",
+--                "message_type", "body", "from_me", "ack", "has_media",
+--                "quoted_waha_message_id", "metadata", "timestamp", "raw_payload" }]
+-- Returns only the rows that were new
+-- =====================================================
+
+DROP FUNCTION IF EXISTS ingest_messages(UUID, JSONB);
+
+CREATE OR REPLACE FUNCTION ingest_messages(
+    p_session_id UUID,
+    p_messages JSONB
+)
+RETURNS TABLE (
+    id UUID,
+    contact_id UUID,
+    waha_message_id TEXT,
+    quoted_message_id UUID
+) AS $$
+#variable_conflict use_column
+DECLARE
+    v_ids UUID[];
+    v_waha_ids TEXT[];
+BEGIN
+    -- Newest sender name first, so a renamed contact ends up with its current name
+    PERFORM upsert_contacts(
+        p_session_id,
+        (
+            SELECT COALESCE(jsonb_agg(jsonb_build_object(
+                'phone_number', input.phone_number,
+                'name', input.contact_name,
+                'is_group', input.is_group
+            ) ORDER BY input.timestamp DESC), '[]'::jsonb)
+            FROM jsonb_to_recordset(p_messages) AS input(
+                phone_number TEXT,
+                contact_name TEXT,
+                is_group BOOLEAN,
+                timestamp TIMESTAMPTZ
+            )
+        )
+    );
+
+    -- Group senders: push names only fill contacts without a name,
+    -- they are what the sender calls themselves
+    PERFORM upsert_contacts(
+        p_session_id,
+        (
+            SELECT COALESCE(jsonb_agg(jsonb_build_object(
+                'phone_number', input.participant,
+                'name', NULL,
+                'is_group', FALSE
+            )), '[]'::jsonb)
+            FROM jsonb_to_recordset(p_messages) AS input(participant TEXT)
+            WHERE input.participant IS NOT NULL
+        )
+    );
+
+    UPDATE contacts c
+    SET name = sender.participant_name, updated_at = NOW()
+    FROM (
+        SELECT DISTINCT ON (input.participant) input.participant, input.participant_name
+        FROM jsonb_to_recordset(p_messages) AS input(
+            participant TEXT,
+            participant_name TEXT,
+            timestamp TIMESTAMPTZ
+        )
+        WHERE input.participant IS NOT NULL
+        AND input.participant_name IS NOT NULL
+        ORDER BY input.participant, input.timestamp DESC
+    ) sender
+    WHERE c.session_id = p_session_id
+    AND c.phone_number = sender.participant
+    AND c.name IS NULL;
+
+    WITH inserted AS (
+        INSERT INTO messages AS m (
+            session_id,
+            contact_id,
+            waha_message_id,
+            message_type,
+            body,
+            from_me,
+            ack,
+            has_media,
+            quoted_waha_message_id,
+            quoted_message_id,
+            metadata,
+            participant,
+            sender_contact_id,
+            timestamp,
+            raw_payload
+        )
+        SELECT
+            p_session_id,
+            c.id,
+            input.waha_message_id,
+            input.message_type::message_type,
+            input.body,
+            COALESCE(input.from_me, FALSE),
+            COALESCE(input.ack, 'PENDING')::message_ack,
+            COALESCE(input.has_media, FALSE),
+            input.quoted_waha_message_id,
+            quoted.id,
+            input.metadata,
+            input.participant,
+            sender.id,
+            input.timestamp,
+            input.raw_payload
+        FROM jsonb_to_recordset(p_messages) AS input(
+            waha_message_id TEXT,
+            phone_number TEXT,
+            message_type TEXT,
+            body TEXT,
+            from_me BOOLEAN,
+            ack TEXT,
+            has_media BOOLEAN,
+            quoted_waha_message_id TEXT,
+            metadata JSONB,
+            participant TEXT,
+            timestamp TIMESTAMPTZ,
+            raw_payload JSONB
+        )
+        JOIN contacts c ON c.session_id = p_session_id AND c.phone_number = input.phone_number
+        LEFT JOIN contacts sender ON sender.session_id = p_session_id AND sender.phone_number = input.participant
+        LEFT JOIN messages quoted ON quoted.session_id = p_session_id
+            AND quoted.waha_message_id = input.quoted_waha_message_id
+        ON CONFLICT (session_id, waha_message_id) DO NOTHING
+        RETURNING m.id, m.waha_message_id
+    )
+    SELECT array_agg(inserted.id), array_agg(inserted.waha_message_id)
+    INTO v_ids, v_waha_ids
+    FROM inserted;
+
+    IF v_ids IS NULL THEN
+        RETURN;
+    END IF;
+
+    -- Replies stored before the message they quote (including ones in this batch)
+    UPDATE messages reply
+    SET quoted_message_id = quoted.id
+    FROM messages quoted
+    WHERE reply.session_id = p_session_id
+    AND reply.quoted_waha_message_id = ANY(v_waha_ids)
+    AND reply.quoted_message_id IS NULL
+    AND quoted.session_id = p_session_id
+    AND quoted.waha_message_id = reply.quoted_waha_message_id;
+
+    -- Senders are members of their groups
+    INSERT INTO group_participants (session_id, group_contact_id, participant_contact_id, joined_at)
+    SELECT m.session_id, m.contact_id, m.sender_contact_id, MIN(m.timestamp)
+    FROM messages m
+    WHERE m.id = ANY(v_ids)
+    AND m.sender_contact_id IS NOT NULL
+    GROUP BY m.session_id, m.contact_id, m.sender_contact_id
+    ON CONFLICT (group_contact_id, participant_contact_id) DO NOTHING;
+
+    -- Reactions, edits and revokes that arrived first
+    PERFORM refresh_message_updates(
+        p_session_id,
+        ARRAY(
+            SELECT DISTINCT u.target_waha_message_id
+            FROM message_updates u
+            WHERE u.session_id = p_session_id
+            AND u.target_waha_message_id = ANY(v_waha_ids)
+        )
+    );
+
+    RETURN QUERY
+    SELECT m.id, m.contact_id, m.waha_message_id, m.quoted_message_id
+    FROM messages m
+    WHERE m.id = ANY(v_ids);
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION ingest_messages IS 'Bulk insert of normalized messages with their contacts and group senders; duplicates are skipped, quoted replies linked';
+
+-- =====================================================
+-- GET CHAT MESSAGES PAGE
+-- Same pages, with the sender of group messages
+-- =====================================================
+
+DROP FUNCTION IF EXISTS get_chat_messages_page(UUID, UUID, TIMESTAMPTZ, UUID, TIMESTAMPTZ, UUID, INTEGER);
+
+CREATE OR REPLACE FUNCTION get_chat_messages_page(
+    p_session_id UUID,
+    p_contact_id UUID,
+    p_before_timestamp TIMESTAMPTZ DEFAULT NULL,
+    p_before_id UUID DEFAULT NULL,
+    p_after_timestamp TIMESTAMPTZ DEFAULT NULL,
+    p_after_id UUID DEFAULT NULL,
+    p_limit INTEGER DEFAULT 50
+)
+RETURNS TABLE (
+    id UUID,
+    waha_message_id TEXT,
+    message_type message_type,
+    body TEXT,
+    from_me BOOLEAN,
+    ack message_ack,
+    has_media BOOLEAN,
+    media_url TEXT,
+    media_path TEXT,
+    media_mimetype TEXT,
+    media_filename TEXT,
+    media_size BIGINT,
+    media_thumbnail_path TEXT,
+    media_width INTEGER,
+    media_height INTEGER,
+    media_duration INTEGER,
+    timestamp TIMESTAMPTZ,
+    quoted_message_id UUID,
+    metadata JSONB,
+    edited_at TIMESTAMPTZ,
+    deleted_at TIMESTAMPTZ,
+    reactions JSONB,
+    participant TEXT,
+    sender_contact_id UUID,
+    sender_name TEXT
+) AS $$
+BEGIN
+    IF p_after_timestamp IS NOT NULL THEN
+        -- Closest newer messages first, then flip to newest first
+        RETURN QUERY
+        SELECT page.*
+        FROM (
+            SELECT
+                m.id,
+                m.waha_message_id,
+                m.message_type,
+                m.body,
+                m.from_me,
+                m.ack,
+                m.has_media,
+                m.media_url,
+                m.media_path,
+                m.media_mimetype,
+                m.media_filename,
+                m.media_size,
+                mm.thumbnail_path,
+                mm.width,
+                mm.height,
+                mm.duration,
+                m.timestamp,
+                m.quoted_message_id,
+                m.metadata,
+                m.edited_at,
+                m.deleted_at,
+                m.reactions,
+                m.participant,
+                m.sender_contact_id,
+                COALESCE(scm.custom_name, sc.name)::TEXT
+            FROM messages m
+            LEFT JOIN message_media mm ON mm.message_id = m.id
+            LEFT JOIN contacts sc ON sc.id = m.sender_contact_id
+            LEFT JOIN contact_metadata scm ON scm.contact_id = m.sender_contact_id AND scm.session_id = p_session_id
+            WHERE m.session_id = p_session_id
+            AND m.contact_id = p_contact_id
+            AND (m.timestamp, m.id) > (p_after_timestamp, p_after_id)
+            ORDER BY m.timestamp ASC, m.id ASC
+            LIMIT p_limit
+        ) page
+        ORDER BY page.timestamp DESC, page.id DESC;
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    SELECT
+        m.id,
+        m.waha_message_id,
+        m.message_type,
+        m.body,
+        m.from_me,
+        m.ack,
+        m.has_media,
+        m.media_url,
+        m.media_path,
+        m.media_mimetype,
+        m.media_filename,
+        m.media_size,
+        mm.thumbnail_path,
+        mm.width,
+        mm.height,
+        mm.duration,
+        m.timestamp,
+        m.quoted_message_id,
+        m.metadata,
+        m.edited_at,
+        m.deleted_at,
+        m.reactions,
+        m.participant,
+        m.sender_contact_id,
+        COALESCE(scm.custom_name, sc.name)::TEXT
+    FROM messages m
+    LEFT JOIN message_media mm ON mm.message_id = m.id
+    LEFT JOIN contacts sc ON sc.id = m.sender_contact_id
+    LEFT JOIN contact_metadata scm ON scm.contact_id = m.sender_contact_id AND scm.session_id = p_session_id
+    WHERE m.session_id = p_session_id
+    AND m.contact_id = p_contact_id
+    AND (p_before_timestamp IS NULL OR (m.timestamp, m.id) < (p_before_timestamp, p_before_id))
+    ORDER BY m.timestamp DESC, m.id DESC
+    LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION get_chat_messages_page IS 'Keyset-paginated chat messages (newest first) before or after a (timestamp, id) cursor';
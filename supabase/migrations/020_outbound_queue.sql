@@ -0,0 +1,365 @@
+-- =====================================================
+-- Outbound Message Queue
+-- Messages sent from the CRM are stored right away and sent by the
+-- backend outbound worker, one at a time per session, paced with a
+-- minimum interval, random jitter and a per-minute cap (WhatsApp bans
+-- numbers that send in bursts), and retried on transient failures
+-- =====================================================
+
+-- Delivery states of our own messages before the provider has them
+-- QUEUED  -> waiting for the worker (or for a retry)
+-- SENDING -> handed to the provider
+-- FAILED  -> given up; the agent can see why in outbound_messages
+-- Once sent, the usual PENDING -> SERVER -> DEVICE -> READ acks follow
+ALTER TYPE message_ack ADD VALUE IF NOT EXISTS 'QUEUED' BEFORE 'PENDING';
+ALTER TYPE message_ack ADD VALUE IF NOT EXISTS 'SENDING' BEFORE 'PENDING';
+ALTER TYPE message_ack ADD VALUE IF NOT EXISTS 'FAILED';
+ALTER TYPE message_ack ADD VALUE IF NOT EXISTS 'UNCONFIRMED';
+
+-- Queued messages get their provider id when they are sent
+ALTER TABLE messages ALTER COLUMN waha_message_id DROP NOT NULL;
+
+-- Earliest time the session may send its next message (pacing)
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS outbound_next_send_at TIMESTAMPTZ;
+
+-- =====================================================
+-- Jobs, one per queued message
+-- Job state (status)
+-- queued  -> waiting for the worker
+-- sending -> claimed by a worker
+-- failed  -> last attempt failed; retried at next_attempt_at,
+--            or given up when next_attempt_at is NULL
+-- sent    -> accepted by the provider
+-- unconfirmed -> may have reached WhatsApp (send interrupted, or sent but
+--            not recorded); never sent again, automatically or manually
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS outbound_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    contact_id UUID NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    chat_id TEXT NOT NULL,                      -- Provider chat id of the recipient
+    payload JSONB NOT NULL,                     -- { text } or { media, caption }, and quoted
+    idempotency_key TEXT,                       -- Client key, a retried request returns the same message
+    status VARCHAR(20) NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'sending', 'failed', 'sent', 'unconfirmed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+    locked_at TIMESTAMPTZ,
+    error_message TEXT,
+    sent_at TIMESTAMPTZ,
+    created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(message_id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_outbound_messages_idempotency
+    ON outbound_messages(session_id, idempotency_key)
+    WHERE idempotency_key IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_queue
+    ON outbound_messages(session_id, next_attempt_at)
+    WHERE status IN ('queued', 'failed');
+
+-- Per-minute cap
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_sent
+    ON outbound_messages(session_id, sent_at)
+    WHERE status = 'sent';
+
+-- Only the backend (service role) reads and writes the queue
+ALTER TABLE outbound_messages ENABLE ROW LEVEL SECURITY;
+
+-- =====================================================
+-- Claim the next message of every session that may send now
+-- A session sends one message at a time, in queue order, no sooner than
+-- outbound_next_send_at and while it is under the per-minute cap; each
+-- claim pushes outbound_next_send_at by the interval plus jitter.
+-- Sessions that are not connected keep their messages queued.
+-- SKIP LOCKED lets several backend processes share the queue
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION claim_outbound_messages(
+    p_limit INTEGER DEFAULT 10,
+    p_min_interval_ms INTEGER DEFAULT 1500,
+    p_max_jitter_ms INTEGER DEFAULT 2000,
+    p_max_per_minute INTEGER DEFAULT 20,
+    p_lock_timeout_seconds INTEGER DEFAULT 120
+)
+RETURNS SETOF outbound_messages AS $$
+DECLARE
+    v_session_id UUID;
+    v_job outbound_messages;
+BEGIN
+    -- Sends stuck in 'sending' (crashed worker, or sent but not recorded)
+    -- may have reached WhatsApp: give them up as unconfirmed, which cannot
+    -- be retried, rather than risk a duplicate
+    WITH abandoned AS (
+        UPDATE outbound_messages o
+        SET status = 'unconfirmed',
+            next_attempt_at = NULL,
+            locked_at = NULL,
+            error_message = COALESCE(o.error_message, 'Interrupted while sending'),
+            updated_at = NOW()
+        WHERE o.status = 'sending'
+        AND o.locked_at < NOW() - make_interval(secs => p_lock_timeout_seconds)
+        RETURNING o.message_id
+    )
+    UPDATE messages m
+    SET ack = 'UNCONFIRMED'
+    FROM abandoned
+    WHERE m.id = abandoned.message_id;
+
+    FOR v_session_id IN
+        SELECT s.id
+        FROM sessions s
+        WHERE s.status = 'CONNECTED'
+        AND (s.outbound_next_send_at IS NULL OR s.outbound_next_send_at <= NOW())
+        AND EXISTS (
+            SELECT 1 FROM outbound_messages o
+            WHERE o.session_id = s.id
+            AND o.status IN ('queued', 'failed')
+            AND o.next_attempt_at <= NOW()
+        )
+        AND NOT EXISTS (
+            SELECT 1 FROM outbound_messages o
+            WHERE o.session_id = s.id
+            AND o.status = 'sending'
+        )
+        AND (
+            SELECT COUNT(*) FROM outbound_messages o
+            WHERE o.session_id = s.id
+            AND o.status = 'sent'
+            AND o.sent_at > NOW() - INTERVAL '1 minute'
+        ) < p_max_per_minute
+        ORDER BY s.outbound_next_send_at NULLS FIRST
+        LIMIT p_limit
+        FOR UPDATE OF s SKIP LOCKED
+    LOOP
+        UPDATE outbound_messages o
+        SET status = 'sending',
+            locked_at = NOW(),
+            attempts = o.attempts + 1,
+            updated_at = NOW()
+        WHERE o.id = (
+            SELECT j.id
+            FROM outbound_messages j
+            WHERE j.session_id = v_session_id
+            AND j.status IN ('queued', 'failed')
+            AND j.next_attempt_at <= NOW()
+            ORDER BY j.created_at
+            LIMIT 1
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING o.* INTO v_job;
+
+        IF v_job.id IS NOT NULL THEN
+            UPDATE sessions
+            SET outbound_next_send_at = NOW() + make_interval(
+                secs => (p_min_interval_ms + floor(random() * (p_max_jitter_ms + 1))) / 1000.0
+            )
+            WHERE id = v_session_id;
+
+            UPDATE messages SET ack = 'SENDING' WHERE id = v_job.message_id;
+
+            RETURN NEXT v_job;
+        END IF;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- Record a message the provider accepted
+-- The provider's echo can reach the webhook before the send returns, and
+-- be stored as a message of its own: the queued row (with its quote and
+-- media) replaces it, keeping any ack it already got.
+-- Returns the sent message
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION complete_outbound_message(
+    p_job_id UUID,
+    p_waha_message_id TEXT,
+    p_timestamp TIMESTAMPTZ,
+    p_raw_payload JSONB
+)
+RETURNS SETOF messages AS $$
+DECLARE
+    v_job outbound_messages;
+    v_echo_ack message_ack;
+BEGIN
+    SELECT * INTO v_job FROM outbound_messages WHERE id = p_job_id;
+
+    IF v_job.id IS NULL THEN
+        RETURN;
+    END IF;
+
+    DELETE FROM messages m
+    WHERE m.session_id = v_job.session_id
+    AND m.waha_message_id = p_waha_message_id
+    AND m.id <> v_job.message_id
+    RETURNING m.ack INTO v_echo_ack;
+
+    UPDATE messages m
+    SET waha_message_id = p_waha_message_id,
+        ack = COALESCE(v_echo_ack, 'PENDING'),
+        timestamp = COALESCE(p_timestamp, m.timestamp),
+        raw_payload = p_raw_payload
+    WHERE m.id = v_job.message_id;
+
+    UPDATE outbound_messages
+    SET status = 'sent',
+        sent_at = NOW(),
+        next_attempt_at = NULL,
+        locked_at = NULL,
+        error_message = NULL,
+        updated_at = NOW()
+    WHERE id = p_job_id;
+
+    -- Replies, reactions and edits that arrived first
+    UPDATE messages reply
+    SET quoted_message_id = v_job.message_id
+    WHERE reply.session_id = v_job.session_id
+    AND reply.quoted_waha_message_id = p_waha_message_id
+    AND reply.quoted_message_id IS NULL;
+
+    PERFORM refresh_message_updates(v_job.session_id, ARRAY[p_waha_message_id]);
+
+    RETURN QUERY
+    SELECT m.* FROM messages m WHERE m.id = v_job.message_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- Message pages: why a message we sent is FAILED or UNCONFIRMED (send_error)
+-- =====================================================
+
+DROP FUNCTION IF EXISTS get_chat_messages_page(UUID, UUID, TIMESTAMPTZ, UUID, TIMESTAMPTZ, UUID, INTEGER);
+
+CREATE OR REPLACE FUNCTION get_chat_messages_page(
+    p_session_id UUID,
+    p_contact_id UUID,
+    p_before_timestamp TIMESTAMPTZ DEFAULT NULL,
+    p_before_id UUID DEFAULT NULL,
+    p_after_timestamp TIMESTAMPTZ DEFAULT NULL,
+    p_after_id UUID DEFAULT NULL,
+    p_limit INTEGER DEFAULT 50
+)
+RETURNS TABLE (
+    id UUID,
+    waha_message_id TEXT,
+    message_type message_type,
+    body TEXT,
+    from_me BOOLEAN,
+    ack message_ack,
+    has_media BOOLEAN,
+    media_url TEXT,
+    media_path TEXT,
+    media_mimetype TEXT,
+    media_filename TEXT,
+    media_size BIGINT,
+    media_thumbnail_path TEXT,
+    media_width INTEGER,
+    media_height INTEGER,
+    media_duration INTEGER,
+    timestamp TIMESTAMPTZ,
+    quoted_message_id UUID,
+    metadata JSONB,
+    edited_at TIMESTAMPTZ,
+    deleted_at TIMESTAMPTZ,
+    reactions JSONB,
+    participant TEXT,
+    sender_contact_id UUID,
+    sender_name TEXT,
+    send_error TEXT
+) AS $$
+BEGIN
+    IF p_after_timestamp IS NOT NULL THEN
+        -- Closest newer messages first, then flip to newest first
+        RETURN QUERY
+        SELECT page.*
+        FROM (
+            SELECT
+                m.id,
+                m.waha_message_id,
+                m.message_type,
+                m.body,
+                m.from_me,
+                m.ack,
+                m.has_media,
+                m.media_url,
+                m.media_path,
+                m.media_mimetype,
+                m.media_filename,
+                m.media_size,
+                mm.thumbnail_path,
+                mm.width,
+                mm.height,
+                mm.duration,
+                m.timestamp,
+                m.quoted_message_id,
+                m.metadata,
+                m.edited_at,
+                m.deleted_at,
+                m.reactions,
+                m.participant,
+                m.sender_contact_id,
+                COALESCE(scm.custom_name, sc.name)::TEXT,
+                CASE WHEN m.ack IN ('FAILED', 'UNCONFIRMED') THEN om.error_message END
+            FROM messages m
+            LEFT JOIN message_media mm ON mm.message_id = m.id
+            LEFT JOIN contacts sc ON sc.id = m.sender_contact_id
+            LEFT JOIN contact_metadata scm ON scm.contact_id = m.sender_contact_id AND scm.session_id = p_session_id
+            LEFT JOIN outbound_messages om ON om.message_id = m.id
+            WHERE m.session_id = p_session_id
+            AND m.contact_id = p_contact_id
+            AND (m.timestamp, m.id) > (p_after_timestamp, p_after_id)
+            ORDER BY m.timestamp ASC, m.id ASC
+            LIMIT p_limit
+        ) page
+        ORDER BY page.timestamp DESC, page.id DESC;
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    SELECT
+        m.id,
+        m.waha_message_id,
+        m.message_type,
+        m.body,
+        m.from_me,
+        m.ack,
+        m.has_media,
+        m.media_url,
+        m.media_path,
+        m.media_mimetype,
+        m.media_filename,
+        m.media_size,
+        mm.thumbnail_path,
+        mm.width,
+        mm.height,
+        mm.duration,
+        m.timestamp,
+        m.quoted_message_id,
+        m.metadata,
+        m.edited_at,
+        m.deleted_at,
+        m.reactions,
+        m.participant,
+        m.sender_contact_id,
+        COALESCE(scm.custom_name, sc.name)::TEXT,
+        CASE WHEN m.ack IN ('FAILED', 'UNCONFIRMED') THEN om.error_message END
+    FROM messages m
+    LEFT JOIN message_media mm ON mm.message_id = m.id
+    LEFT JOIN contacts sc ON sc.id = m.sender_contact_id
+    LEFT JOIN contact_metadata scm ON scm.contact_id = m.sender_contact_id AND scm.session_id = p_session_id
+    LEFT JOIN outbound_messages om ON om.message_id = m.id
+    WHERE m.session_id = p_session_id
+    AND m.contact_id = p_contact_id
+    AND (p_before_timestamp IS NULL OR (m.timestamp, m.id) < (p_before_timestamp, p_before_id))
+    ORDER BY m.timestamp DESC, m.id DESC
+    LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION get_chat_messages_page IS 'Keyset-paginated chat messages (newest first) before or after a (timestamp, id) cursor';
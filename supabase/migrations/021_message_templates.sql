@@ -0,0 +1,62 @@
+-- =====================================================
+-- Message Templates
+-- Canned responses agents insert in the composer with a slash
+-- command (/price). Each template belongs to an admin's library,
+-- a team or a session; its text can hold variables such as
+-- {{contact.name}} that are filled in for the chat it is used in,
+-- and it can carry a media attachment
+-- =====================================================
+
+-- Scope (who can use the template)
+-- admin   -> everyone working in the admin's sessions
+-- team    -> members of the team
+-- session -> everyone working in the session
+CREATE TABLE IF NOT EXISTS message_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    scope VARCHAR(20) NOT NULL CHECK (scope IN ('admin', 'team', 'session')),
+    -- Admin who manages the template: the library owner, or the owner
+    -- of the team or session
+    owner_admin_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    team_id UUID REFERENCES teams(id) ON DELETE CASCADE,
+    session_id UUID REFERENCES sessions(id) ON DELETE CASCADE,
+
+    shortcut TEXT NOT NULL CHECK (shortcut ~ '^[a-z0-9_-]{1,32}$'), -- Typed after the slash
+    title TEXT NOT NULL,
+    body TEXT NOT NULL DEFAULT '',
+
+    -- Attachment, stored in the whatsapp-media bucket under templates/
+    -- and copied for every message sent with it
+    media_type TEXT,
+    media_path TEXT,
+    media_mimetype TEXT,
+    media_filename TEXT,
+    media_size BIGINT,
+    media_thumbnail_path TEXT,
+    media_width INTEGER,
+    media_height INTEGER,
+    media_duration INTEGER,
+
+    created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CHECK (
+        (scope = 'admin' AND team_id IS NULL AND session_id IS NULL) OR
+        (scope = 'team' AND team_id IS NOT NULL AND session_id IS NULL) OR
+        (scope = 'session' AND session_id IS NOT NULL AND team_id IS NULL)
+    ),
+    CHECK (body <> '' OR media_path IS NOT NULL)
+);
+
+-- One template per shortcut in each library, team and session
+CREATE UNIQUE INDEX IF NOT EXISTS idx_message_templates_shortcut
+    ON message_templates(scope, COALESCE(session_id, team_id, owner_admin_id), shortcut);
+
+CREATE INDEX IF NOT EXISTS idx_message_templates_owner ON message_templates(owner_admin_id);
+CREATE INDEX IF NOT EXISTS idx_message_templates_team ON message_templates(team_id) WHERE team_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_message_templates_session ON message_templates(session_id) WHERE session_id IS NOT NULL;
+
+-- Only the backend (service role) reads and writes templates
+ALTER TABLE message_templates ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE message_templates IS 'Canned responses with variables and an optional attachment, scoped to an admin library, a team or a session';
@@ -0,0 +1,144 @@
+-- =====================================================
+-- Scheduled Messages
+-- Messages an agent writes now and the backend scheduler queues for
+-- sending at a later time, picked as a wall-clock time in a time zone
+-- (9:00 tomorrow in the customer's zone). A message that comes due
+-- while its session is not connected is held, and the owner alerted,
+-- instead of going out late on reconnect
+-- =====================================================
+
+-- Scheduled message state (status)
+-- scheduled -> waiting for scheduled_at
+-- sending   -> claimed by the scheduler
+-- held      -> came due while the session was not connected; waits for
+--              someone to send it now, reschedule or cancel it
+-- queued    -> handed to the outbound queue (message_id), waiting for it
+--              to send the message
+-- sent      -> accepted by the provider; delivery is then reported on
+--              the message itself
+-- failed    -> could not be queued, or the outbound queue gave up on it
+--              (error_message); can be rescheduled or sent now
+-- cancelled -> cancelled before it was sent
+CREATE TABLE IF NOT EXISTS scheduled_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    contact_id UUID NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+
+    body TEXT NOT NULL DEFAULT '',
+
+    -- Attachment, stored in the whatsapp-media bucket under the session's
+    -- outgoing folder; the queued message gets a copy of it
+    media_type TEXT,
+    media_path TEXT,
+    media_mimetype TEXT,
+    media_filename TEXT,
+    media_size BIGINT,
+    media_thumbnail_path TEXT,
+    media_width INTEGER,
+    media_height INTEGER,
+    media_duration INTEGER,
+
+    scheduled_at TIMESTAMPTZ NOT NULL,          -- Instant the message is due
+    timezone TEXT NOT NULL,                     -- IANA zone the time was picked in
+
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled'
+        CHECK (status IN ('scheduled', 'sending', 'held', 'queued', 'sent', 'failed', 'cancelled')),
+    locked_at TIMESTAMPTZ,
+    message_id UUID REFERENCES messages(id) ON DELETE SET NULL, -- Message once queued
+    error_message TEXT,
+    held_at TIMESTAMPTZ,
+    sent_at TIMESTAMPTZ,
+    cancelled_at TIMESTAMPTZ,
+
+    created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    cancelled_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CHECK (body <> '' OR media_path IS NOT NULL)
+);
+
+-- Scheduler: what is due
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_due
+    ON scheduled_messages(scheduled_at)
+    WHERE status IN ('scheduled', 'sending');
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_chat
+    ON scheduled_messages(session_id, contact_id, scheduled_at);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_session_status
+    ON scheduled_messages(session_id, status, scheduled_at);
+
+-- Only the backend (service role) reads and writes scheduled messages
+ALTER TABLE scheduled_messages ENABLE ROW LEVEL SECURITY;
+
+-- =====================================================
+-- Claim the scheduled messages that are due
+-- Claims stuck in 'sending' (crashed scheduler) are claimed again: the
+-- scheduler queues each message with an idempotency key, so a message it
+-- already queued is found instead of queued twice.
+-- SKIP LOCKED lets several backend processes share the schedule
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION claim_scheduled_messages(
+    p_limit INTEGER DEFAULT 20,
+    p_lock_timeout_seconds INTEGER DEFAULT 120
+)
+RETURNS SETOF scheduled_messages AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE scheduled_messages sm
+    SET status = 'sending',
+        locked_at = NOW(),
+        updated_at = NOW()
+    WHERE sm.id IN (
+        SELECT d.id
+        FROM scheduled_messages d
+        WHERE (d.status = 'scheduled' AND d.scheduled_at <= NOW())
+        OR (d.status = 'sending' AND d.locked_at < NOW() - make_interval(secs => p_lock_timeout_seconds))
+        ORDER BY d.scheduled_at
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING sm.*;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- Follow the outbound job of a queued scheduled message
+-- Its job (idempotency key scheduled:<id>) decides whether it was sent:
+-- a job waiting for a retry keeps it queued, a job given up fails it.
+-- An unconfirmed job fails it too, and the scheduler then refuses to
+-- queue it again
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION sync_scheduled_message_status()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE scheduled_messages d
+    SET status = CASE
+            WHEN NEW.status = 'sent' THEN 'sent'
+            WHEN NEW.status = 'queued'
+                OR (NEW.status = 'failed' AND NEW.next_attempt_at IS NOT NULL) THEN 'queued'
+            ELSE 'failed'
+        END,
+        message_id = NEW.message_id,
+        sent_at = NEW.sent_at,
+        locked_at = NULL,
+        error_message = CASE WHEN NEW.status IN ('sent', 'queued') THEN NULL ELSE NEW.error_message END,
+        updated_at = NOW()
+    WHERE d.id::TEXT = substring(NEW.idempotency_key FROM 11)
+    AND d.session_id = NEW.session_id
+    AND d.status IN ('sending', 'queued', 'failed');
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER on_outbound_message_update_scheduled
+    AFTER UPDATE OF status, next_attempt_at ON outbound_messages
+    FOR EACH ROW
+    WHEN (NEW.idempotency_key LIKE 'scheduled:%' AND NEW.status <> 'sending')
+    EXECUTE FUNCTION sync_scheduled_message_status();
+
+COMMENT ON TABLE scheduled_messages IS 'Messages queued for sending at a future time; held while their session is not connected';